@@ -10,14 +10,35 @@ const path = require('path');
 const fs = require('fs');
 const logger = require('../utils/logger');
 const configManager = require('../utils/config');
+const rtcm = require('../utils/rtcm');
+const stationHealth = require('../utils/stationHealth');
+const stationPosition = require('../utils/stationPosition');
+const gps = require('../utils/gps');
+const coverage = require('../utils/coverage');
+const serviceArea = require('../utils/serviceArea');
+const { ValidationError } = require('../utils/errors');
+const { assertValidConfig } = require('../utils/configSchema');
+const configHistory = require('../utils/configHistory');
+const secrets = require('../utils/secrets');
+const { createConnectionStore } = require('../utils/connectionStore');
+const connectionQuery = require('../utils/connectionQuery');
+const track = require('../utils/track');
+const { createEventStream } = require('../utils/eventStream');
+const metrics = require('../utils/metrics');
 
-// Store all connections (active and historical) for the admin interface
-const connections = new Map();
+// RTCM stream statistics per station mountpoint, kept for the lifetime of the process
+const stationStats = new Map();
 
 // How many days to keep connection history (7 days in milliseconds)
 const CONNECTION_HISTORY_DAYS = 7;
 const CONNECTION_HISTORY_MS = CONNECTION_HISTORY_DAYS * 24 * 60 * 60 * 1000;
 
+// How often the server status and station changes are pushed to the dashboards
+const STATUS_INTERVAL_MS = 5000;
+
+// Formats of the track export
+const TRACK_FORMATS = ['geojson', 'gpx', 'kml'];
+
 // Directory for storing per-connection NMEA logs
 const connectionLogsDir = path.join(__dirname, '..', 'logs', 'connections');
 
@@ -26,6 +47,53 @@ if (!fs.existsSync(connectionLogsDir)) {
     fs.mkdirSync(connectionLogsDir, { recursive: true });
 }
 
+// All connections (active and historical) for the admin interface, persisted next to their NMEA logs
+const connections = createConnectionStore({
+    file: path.join(connectionLogsDir, 'connections.jsonl')
+});
+
+// Live events for the admin dashboards
+const events = createEventStream();
+
+// Last station state pushed to the dashboards, as JSON by mountpoint
+const publishedStations = new Map();
+
+// Applies a reloaded configuration to the running server, see initAdminServer
+let onReload = null;
+
+/**
+ * Get the path of a connection's timeline file
+ * 
+ * @param {string} id - Unique ID for the connection
+ * @returns {string} The JSON-lines file with the connection's timeline events
+ */
+function getTimelineFile(id) {
+    return path.join(connectionLogsDir, `${id}.timeline.jsonl`);
+}
+
+/**
+ * Load the connection history from disk and start persisting changes
+ */
+function loadConnectionHistory() {
+    try {
+        const count = connections.load();
+        // The logs directory may have moved since the records were written (e.g. a redeployed container)
+        Array.from(connections.values()).forEach(connection => {
+            connections.set(connection.id, {
+                ...connection,
+                nmeaLogFile: path.join(connectionLogsDir, `${connection.id}.nmea.log`)
+            });
+        });
+        logger.info(`Loaded ${count} connection(s) from the connection history`);
+    } catch (error) {
+        logger.error('Error loading connection history, starting with an empty history:', error);
+    }
+
+    connections.start();
+    // Write the last changes when the process exits
+    process.on('exit', () => connections.stop());
+}
+
 /**
  * Initialize the admin server
  * 
@@ -33,6 +101,8 @@ if (!fs.existsSync(connectionLogsDir)) {
  * @param {number} options.port - Port to listen on
  * @param {string} options.username - Username for basic auth
  * @param {string} options.password - Password for basic auth
+ * @param {Function} [options.onReload] - Applies a configuration reloaded with `POST /api/reload`
+ *   to the running server, returning a summary of the affected sessions
  * @returns {express.Application} The Express app
  */
 function initAdminServer(options = {}) {
@@ -41,6 +111,9 @@ function initAdminServer(options = {}) {
         username = 'admin', 
         password = 'admin'
     } = options;
+    onReload = options.onReload || null;
+
+    loadConnectionHistory();
 
     const app = express();
 
@@ -48,11 +121,28 @@ function initAdminServer(options = {}) {
     app.use(morgan('dev'));
 
     // Parse JSON bodies
-    app.use(express.json());
+    // Service area uploads can be detailed GeoJSON boundaries
+    app.use(express.json({ limit: '5mb' }));
 
     // Enable CORS
     app.use(cors());
 
+    // Prometheus metrics, which may be open or token-protected instead of behind the admin login
+    app.get('/metrics', (req, res, next) => {
+        const settings = metrics.getMetricsSettings(configManager.getConfig());
+        if (!settings.enabled) {
+            return res.status(404).json({ error: 'Metrics are disabled' });
+        }
+        if (settings.auth === metrics.METRICS_AUTH.BASIC) {
+            return next();
+        }
+        if (settings.auth === metrics.METRICS_AUTH.TOKEN && !metrics.isAuthorized(req.headers.authorization, settings)) {
+            res.setHeader('WWW-Authenticate', 'Bearer realm="NearTRIP Metrics"');
+            return res.status(401).json({ error: 'Invalid or missing metrics token' });
+        }
+        sendMetrics(res);
+    });
+
     // Basic authentication
     app.use(basicAuth({
         users: { [username]: password },
@@ -73,48 +163,158 @@ function initAdminServer(options = {}) {
         logger.info(`Admin server started on http://localhost:${port}`);
     });
     
-    // Schedule regular purging of old connections
-    // Run every 6 hours (4 times per day)
-    setInterval(purgeOldConnections, 6 * 60 * 60 * 1000);
+    // Push the server status and station health to subscribed dashboards
+    setInterval(publishStatus, STATUS_INTERVAL_MS).unref();
+    
+    // Purge what expired while the server was down, then every 6 hours (4 times per day)
+    purgeOldConnections();
+    setInterval(purgeOldConnections, 6 * 60 * 60 * 1000).unref();
     logger.info(`Connection history purge scheduled every 6 hours (keeping ${CONNECTION_HISTORY_DAYS} days of history)`);
 
     return { app, server };
 }
 
+/**
+ * Get the configured stations with their live health, as shown in the admin interface
+ * 
+ * @returns {Array<Object>} The stations
+ */
+function getStationViews() {
+    const config = configManager.getConfig();
+    const coveragePolicy = coverage.getCoveragePolicy(config);
+    const positionCheck = stationPosition.getPositionCheckSettings(config);
+    return config.stations.map(station => ({
+        ...secrets.redactSecrets(station),
+        health: stationHealth.getStationHealth(station.mountPoint),
+        // Position broadcast in RTCM 1005/1006 compared with the configured one, null until received
+        referencePosition: stationPosition.getStationPosition(station, positionCheck),
+        // Coverage radius in meters, null if unlimited
+        coverageMeters: gps.getStationRange(station, coveragePolicy.maxBaselineMeters),
+        isFallback: coverage.isFallbackStation(station, coveragePolicy)
+    }));
+}
+
+/**
+ * Get the server version, status and configuration with its secrets masked
+ * 
+ * @returns {Object} The server info
+ */
+function getServerInfo() {
+    const config = configManager.getConfig();
+    return {
+        version: require('../package.json').version,
+        config: secrets.redactSecrets(config),
+        // The configuration file and the layer each setting came from
+        configSources: configManager.getConfigSources(),
+        uptime: Math.floor(process.uptime()),
+        memoryUsage: process.memoryUsage(),
+        nodeVersion: process.version
+    };
+}
+
+/**
+ * Push the server status and the stations that changed since the last push to the dashboards
+ * 
+ * Station health changes on its own (checks, failures, expiring marks) and the configuration
+ * can change on disk, so stations are compared with what was pushed before.
+ */
+function publishStatus() {
+    if (events.clientCount === 0) {
+        return;
+    }
+    try {
+        events.publish('server', getServerInfo(), 'server');
+        
+        const stations = getStationViews();
+        stations.forEach(station => {
+            const json = JSON.stringify(station);
+            if (publishedStations.get(station.mountPoint) !== json) {
+                publishedStations.set(station.mountPoint, json);
+                events.publish('station', station, `station:${station.mountPoint}`);
+            }
+        });
+        Array.from(publishedStations.keys()).forEach(mountPoint => {
+            if (!stations.some(station => station.mountPoint === mountPoint)) {
+                publishedStations.delete(mountPoint);
+                events.publish('station_removed', { mountPoint }, `station:${mountPoint}`);
+            }
+        });
+    } catch (error) {
+        logger.error('Error publishing admin status:', error);
+    }
+}
+
+/**
+ * Send the Prometheus metrics
+ * 
+ * @param {express.Response} res - The response
+ */
+function sendMetrics(res) {
+    try {
+        res.type('text/plain; version=0.0.4').send(metrics.registry.render());
+    } catch (error) {
+        logger.error('Error rendering metrics:', error);
+        res.status(500).json({ error: 'Failed to render metrics' });
+    }
+}
+
+/**
+ * Push the latest state of a connection to the dashboards
+ * 
+ * @param {string} id - Unique ID for the connection
+ */
+function publishConnection(id) {
+    events.publish('connection', connections.get(id), `connection:${id}`);
+}
+
 /**
  * Set up API routes for admin interface
  * 
  * @param {express.Application} app - Express app
  */
 function setupApiRoutes(app) {
-    // Get all stations
+    // Get all stations with their live health
     app.get('/api/stations', (req, res) => {
         try {
-            const config = configManager.getConfig();
-            res.json(config.stations);
+            res.json(getStationViews());
         } catch (error) {
             logger.error('Error fetching stations:', error);
             res.status(500).json({ error: 'Failed to fetch stations' });
         }
     });
 
-    // Add a new station
-    app.post('/api/stations', (req, res) => {
+    // Get RTCM statistics for a station
+    app.get('/api/stations/:mountPoint/stats', (req, res) => {
         try {
-            const newStation = req.body;
+            const { mountPoint } = req.params;
+            const config = configManager.getConfig();
             
-            // Validate required fields
-            if (!newStation.mountPoint || !newStation.casterHost || 
-                !newStation.casterPort || !newStation.latitude || !newStation.longitude) {
-                return res.status(400).json({ error: 'Missing required station fields' });
+            const station = config.stations.find(s => s.mountPoint === mountPoint);
+            if (!station && !stationStats.has(mountPoint)) {
+                return res.status(404).json({ error: 'Station not found' });
             }
+            
+            // A configured station that was never connected has no statistics yet
+            res.json({
+                mountPoint,
+                rtcm: stationStats.has(mountPoint) ? stationStats.get(mountPoint) : null
+            });
+        } catch (error) {
+            logger.error('Error fetching station statistics:', error);
+            res.status(500).json({ error: 'Failed to fetch station statistics' });
+        }
+    });
 
-            const config = configManager.getConfig();
+    // Add a new station
+    app.post('/api/stations', (req, res) => {
+        try {
+            const newStation = secrets.restoreSecrets(req.body);
+            const config = getEditableConfig();
             
             // Check for duplicate mountPoint
             const exists = config.stations.some(s => s.mountPoint === newStation.mountPoint);
             if (exists) {
-                return res.status(400).json({ error: 'Station with this mount point already exists' });
+                return sendValidationError(res, new ValidationError('Station with this mount point already exists', 'mountPoint'));
             }
 
             // Set active to true by default if not specified
@@ -124,12 +324,16 @@ function setupApiRoutes(app) {
 
             // Add the new station
             config.stations.push(newStation);
+            assertValidConfig(config);
             
             // Save the updated config
-            saveConfig(config);
+            saveConfig(config, req, `Added station ${newStation.mountPoint}`);
             
-            res.status(201).json(newStation);
+            res.status(201).json(secrets.redactSecrets(newStation));
         } catch (error) {
+            if (error instanceof ValidationError) {
+                return sendValidationError(res, error);
+            }
             logger.error('Error adding station:', error);
             res.status(500).json({ error: 'Failed to add station' });
         }
@@ -139,9 +343,7 @@ function setupApiRoutes(app) {
     app.put('/api/stations/:mountPoint', (req, res) => {
         try {
             const { mountPoint } = req.params;
-            const updatedStation = req.body;
-            
-            const config = configManager.getConfig();
+            const config = getEditableConfig();
             
             // Find the station index
             const index = config.stations.findIndex(s => s.mountPoint === mountPoint);
@@ -149,25 +351,124 @@ function setupApiRoutes(app) {
                 return res.status(404).json({ error: 'Station not found' });
             }
 
+            // A masked password keeps the saved one
+            const updatedStation = secrets.restoreSecrets(req.body, config.stations[index], `stations[${index}]`);
+
+            // The service area is managed through its own endpoint, keep it unless the update replaces it
+            if (updatedStation.serviceArea === undefined && config.stations[index].serviceArea) {
+                updatedStation.serviceArea = config.stations[index].serviceArea;
+            }
+
             // Update the station
             config.stations[index] = updatedStation;
+            assertValidConfig(config);
             
             // Save the updated config
-            saveConfig(config);
+            saveConfig(config, req, `Updated station ${mountPoint}`);
             
-            res.json(updatedStation);
+            res.json(secrets.redactSecrets(updatedStation));
         } catch (error) {
+            if (error instanceof ValidationError) {
+                return sendValidationError(res, error);
+            }
             logger.error('Error updating station:', error);
             res.status(500).json({ error: 'Failed to update station' });
         }
     });
 
+    // Set a station's service area from an uploaded GeoJSON Polygon/MultiPolygon, Feature or FeatureCollection
+    app.put('/api/stations/:mountPoint/service-area', (req, res) => {
+        try {
+            const { mountPoint } = req.params;
+            const config = getEditableConfig();
+
+            const station = config.stations.find(s => s.mountPoint === mountPoint);
+            if (!station) {
+                return res.status(404).json({ error: 'Station not found' });
+            }
+
+            station.serviceArea = serviceArea.normalizeServiceArea(req.body);
+            assertValidConfig(config);
+            saveConfig(config, req, `Set the service area of ${mountPoint}`);
+
+            logger.info(`Service area of ${mountPoint} updated`);
+            res.json({ mountPoint, serviceArea: station.serviceArea });
+        } catch (error) {
+            if (error instanceof ValidationError) {
+                return sendValidationError(res, error);
+            }
+            logger.error('Error updating service area:', error);
+            res.status(500).json({ error: 'Failed to update service area' });
+        }
+    });
+
+    // Remove a station's service area
+    app.delete('/api/stations/:mountPoint/service-area', (req, res) => {
+        try {
+            const { mountPoint } = req.params;
+            const config = getEditableConfig();
+
+            const station = config.stations.find(s => s.mountPoint === mountPoint);
+            if (!station) {
+                return res.status(404).json({ error: 'Station not found' });
+            }
+
+            delete station.serviceArea;
+            assertValidConfig(config);
+            saveConfig(config, req, `Removed the service area of ${mountPoint}`);
+
+            logger.info(`Service area of ${mountPoint} removed`);
+            res.json({ mountPoint, serviceArea: null });
+        } catch (error) {
+            if (error instanceof ValidationError) {
+                return sendValidationError(res, error);
+            }
+            logger.error('Error removing service area:', error);
+            res.status(500).json({ error: 'Failed to remove service area' });
+        }
+    });
+
+    // Replace a station's configured coordinates with the position its stream broadcasts
+    app.post('/api/stations/:mountPoint/reference-position/apply', (req, res) => {
+        try {
+            const { mountPoint } = req.params;
+            const config = getEditableConfig();
+
+            const station = config.stations.find(s => s.mountPoint === mountPoint);
+            if (!station) {
+                return res.status(404).json({ error: 'Station not found' });
+            }
+
+            const position = stationPosition.getStationPosition(station, stationPosition.getPositionCheckSettings(config));
+            if (!position) {
+                return res.status(409).json({ error: 'The station has not broadcast its position (RTCM 1005/1006) yet' });
+            }
+
+            const previous = { latitude: station.latitude, longitude: station.longitude };
+            // 8 decimals are about a millimeter
+            station.latitude = Number(position.reported.latitude.toFixed(8));
+            station.longitude = Number(position.reported.longitude.toFixed(8));
+            assertValidConfig(config);
+            saveConfig(config, req, `Moved ${mountPoint} to its broadcast position`);
+
+            logger.info(`Position of ${mountPoint} changed from ${previous.latitude}, ${previous.longitude} ` +
+                `to the broadcast ${station.latitude}, ${station.longitude}`);
+            res.json(secrets.redactSecrets(station));
+        } catch (error) {
+            if (error instanceof ValidationError) {
+                return sendValidationError(res, error);
+            }
+            logger.error('Error applying reference position:', error);
+            res.status(500).json({ error: 'Failed to apply reference position' });
+        }
+    });
+
     // Delete a station
     app.delete('/api/stations/:mountPoint', (req, res) => {
         try {
             const { mountPoint } = req.params;
             
-            const config = configManager.getConfig();
+            const config = getEditableConfig();
             
             // Find the station index
             const index = config.stations.findIndex(s => s.mountPoint === mountPoint);
@@ -179,33 +480,89 @@ function setupApiRoutes(app) {
             const removedStation = config.stations.splice(index, 1)[0];
             
             // Save the updated config
-            saveConfig(config);
+            saveConfig(config, req, `Deleted station ${mountPoint}`);
             
-            res.json(removedStation);
+            res.json(secrets.redactSecrets(removedStation));
         } catch (error) {
             logger.error('Error deleting station:', error);
             res.status(500).json({ error: 'Failed to delete station' });
         }
-    });    // Get all connections (active and historical)
+    });    // Query the connections (active and historical) with filters, sorting and cursor pagination
     app.get('/api/connections', (req, res) => {
         try {
-            // Convert to array and sort - active connections first, then by connected time (newest first)
-            const connectionsList = Array.from(connections.values())
-                .sort((a, b) => {
-                    // First sort by active status
-                    if (a.active && !b.active) return -1;
-                    if (!a.active && b.active) return 1;
-                    
-                    // Then by connected time (descending - newest first)
-                    return new Date(b.connectedAt) - new Date(a.connectedAt);
-                });
-                
-            res.json(connectionsList);
+            const query = connectionQuery.parseConnectionQuery(req.query);
+
+            // Without parameters, the plain list of all connections clients got before paging
+            if (Object.keys(req.query).length === 0) {
+                return res.json(connectionQuery.selectConnections(connections.values(), query));
+            }
+            res.json(connectionQuery.queryConnections(connections.values(), query));
         } catch (error) {
+            if (error instanceof ValidationError) {
+                return res.status(400).json({ error: error.message, field: error.field });
+            }
             logger.error('Error fetching connections:', error);
             res.status(500).json({ error: 'Failed to fetch connections' });
         }
     });
+
+    // Export all connections matching the filters as CSV or JSON lines
+    app.get('/api/connections/export', (req, res) => {
+        try {
+            const { format = 'csv', ...params } = req.query;
+            if (format !== 'csv' && format !== 'jsonl') {
+                return res.status(400).json({ error: 'format must be csv or jsonl', field: 'format' });
+            }
+
+            const query = connectionQuery.parseConnectionQuery(params);
+            const matches = connectionQuery.selectConnections(connections.values(), query);
+            const fileName = `connections-${new Date().toISOString().slice(0, 10)}.${format}`;
+
+            res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+            if (format === 'csv') {
+                res.type('text/csv').send(connectionQuery.toCsv(matches));
+            } else {
+                res.type('application/x-ndjson').send(connectionQuery.toJsonLines(matches));
+            }
+        } catch (error) {
+            if (error instanceof ValidationError) {
+                return res.status(400).json({ error: error.message, field: error.field });
+            }
+            logger.error('Error exporting connections:', error);
+            res.status(500).json({ error: 'Failed to export connections' });
+        }
+    });
+    
+    // Get the timeline of events for a specific connection
+    app.get('/api/connections/:id/timeline', (req, res) => {
+        try {
+            const { id } = req.params;
+            
+            if (!connections.has(id)) {
+                return res.status(404).json({ error: 'Connection not found' });
+            }
+            
+            const timelineFile = getTimelineFile(id);
+            const events = [];
+            if (fs.existsSync(timelineFile)) {
+                fs.readFileSync(timelineFile, 'utf8').split('\n').forEach(line => {
+                    if (!line.trim()) {
+                        return;
+                    }
+                    try {
+                        events.push(JSON.parse(line));
+                    } catch (error) {
+                        // A line cut short by a crash
+                    }
+                });
+            }
+            
+            res.json({ id, events });
+        } catch (error) {
+            logger.error('Error fetching connection timeline:', error);
+            res.status(500).json({ error: 'Failed to fetch connection timeline' });
+        }
+    });
     
     // Get NMEA log for a specific connection
     app.get('/api/connections/:id/nmea-log', (req, res) => {
@@ -234,30 +591,82 @@ function setupApiRoutes(app) {
             res.status(500).json({ error: 'Failed to fetch NMEA log' });
         }
     });
-    
+
+    // Export the rover track of a connection (from its logged GGA sentences) as GeoJSON, GPX or KML
+    app.get('/api/connections/:id/track', (req, res) => {
+        try {
+            const { id } = req.params;
+            const { format = 'geojson', maxPoints } = req.query;
+
+            if (!TRACK_FORMATS.includes(format)) {
+                return res.status(400).json({ error: `format must be one of ${TRACK_FORMATS.join(', ')}`, field: 'format' });
+            }
+            const pointLimit = maxPoints === undefined ? null : Number(maxPoints);
+            if (pointLimit !== null && (!Number.isInteger(pointLimit) || pointLimit < 2)) {
+                return res.status(400).json({ error: 'maxPoints must be an integer of at least 2', field: 'maxPoints' });
+            }
+
+            if (!connections.has(id)) {
+                return res.status(404).json({ error: 'Connection not found' });
+            }
+
+            const connection = connections.get(id);
+
+            if (!connection.nmeaLogFile || !fs.existsSync(connection.nmeaLogFile)) {
+                return res.status(404).json({ error: 'NMEA log not found for this connection' });
+            }
+
+            let points = track.parseTrack(fs.readFileSync(connection.nmeaLogFile, 'utf8'), {
+                startedAt: connection.connectedAt
+            });
+            points = track.assignStations(points, connection.stationsUsed);
+            if (pointLimit !== null) {
+                points = track.decimateTrack(points, pointLimit);
+            }
+
+            const name = `${connection.user || connection.clientIp} ${connection.connectedAt}`;
+            const fileName = `connection-${id}.${format}`;
+            if (format === 'gpx') {
+                res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+                res.type('application/gpx+xml').send(track.toGpx(points, { name }));
+            } else if (format === 'kml') {
+                res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+                res.type('application/vnd.google-earth.kml+xml').send(track.toKml(points, { name }));
+            } else {
+                res.type('application/geo+json').send(JSON.stringify(track.toGeoJson(points, { name })));
+            }
+        } catch (error) {
+            logger.error('Error exporting connection track:', error);
+            res.status(500).json({ error: 'Failed to export connection track' });
+        }
+    });
+
     // Get server info
     app.get('/api/info', (req, res) => {
         try {
-            const config = configManager.getConfig();
-            const { username, password, adminPassword, ...safeConfig } = config;
-            res.json({
-                version: require('../package.json').version,
-                config: safeConfig,
-                uptime: Math.floor(process.uptime()),
-                memoryUsage: process.memoryUsage(),
-                nodeVersion: process.version
-            });
+            res.json(getServerInfo());
         } catch (error) {
             logger.error('Error fetching server info:', error);
             res.status(500).json({ error: 'Failed to fetch server info' });
         }
     });
 
+    // Prometheus metrics behind the admin login (metrics.auth "basic")
+    app.get('/metrics', (req, res) => sendMetrics(res));
+
+    // Stream live connection, station and server events (Server-Sent Events)
+    app.get('/api/events', (req, res) => {
+        events.subscribe(req, res);
+        // Everything counts as changed for a new dashboard
+        publishedStations.clear();
+        publishStatus();
+    });
+
     // Get full configuration
     app.get('/api/config', (req, res) => {
         try {
             const config = configManager.getConfig();
-            res.json(config);
+            res.json(secrets.redactSecrets(config));
         } catch (error) {
             logger.error('Error fetching configuration:', error);
             res.status(500).json({ error: 'Failed to fetch configuration' });
@@ -267,22 +676,21 @@ function setupApiRoutes(app) {
     // Update configuration
     app.put('/api/config', (req, res) => {
         try {
-            const newConfig = req.body;
+            // Masked secrets keep the saved ones
+            const newConfig = secrets.restoreSecrets(req.body, configManager.getConfig());
             
-            // Validate required fields
-            if (!newConfig.mountPoint || !newConfig.stations || !Array.isArray(newConfig.stations)) {
-                return res.status(400).json({ error: 'Invalid configuration format' });
-            }
+            // Reject the whole configuration if any field is invalid
+            assertValidConfig(newConfig);
             
             // Save the new config
-            saveConfig(newConfig);
+            saveConfig(newConfig, req, 'Edited the configuration');
             
             // Get the updated config to return (without sensitive info)
-            const config = configManager.getConfig();
-            const { adminPassword, ...safeConfig } = config;
-            
-            res.json(safeConfig);
+            res.json(secrets.redactSecrets(configManager.getConfig()));
         } catch (error) {
+            if (error instanceof ValidationError) {
+                return sendValidationError(res, error);
+            }
             logger.error('Error updating configuration:', error);
             res.status(500).json({ error: 'Failed to update configuration' });
         }
@@ -291,31 +699,109 @@ function setupApiRoutes(app) {
     // Reset configuration to defaults
     app.post('/api/config/reset', (req, res) => {
         try {
-            // Reset config to default values
-            configManager.resetToDefaultConfig();
+            // Reset config to default values, the previous version stays in the history
+            saveConfig(JSON.parse(JSON.stringify(configManager.DEFAULT_CONFIG)), req, 'Reset to the default configuration');
             
             // Get the updated config to return (without sensitive info)
-            const config = configManager.getConfig();
-            const { adminPassword, ...safeConfig } = config;
-            
-            res.json(safeConfig);
+            res.json(secrets.redactSecrets(configManager.getConfig()));
         } catch (error) {
             logger.error('Error resetting configuration:', error);
             res.status(500).json({ error: 'Failed to reset configuration' });
         }
     });
 
+    // List the saved configuration versions, newest first
+    app.get('/api/config/history', (req, res) => {
+        try {
+            res.json(configManager.getHistory().list());
+        } catch (error) {
+            logger.error('Error listing configuration versions:', error);
+            res.status(500).json({ error: 'Failed to list configuration versions' });
+        }
+    });
+
+    // Get a configuration version
+    app.get('/api/config/history/:version', (req, res) => {
+        try {
+            const version = configManager.getVersion(Number(req.params.version));
+            if (!version) {
+                return res.status(404).json({ error: 'Configuration version not found' });
+            }
+            res.json({ ...version, config: secrets.redactSecrets(version.config) });
+        } catch (error) {
+            if (error instanceof ValidationError) {
+                return sendValidationError(res, error);
+            }
+            logger.error('Error fetching configuration version:', error);
+            res.status(500).json({ error: 'Failed to fetch configuration version' });
+        }
+    });
+
+    // Compare a configuration version with the current configuration
+    app.get('/api/config/history/:version/diff', (req, res) => {
+        try {
+            const version = configManager.getVersion(Number(req.params.version));
+            if (!version) {
+                return res.status(404).json({ error: 'Configuration version not found' });
+            }
+            // What changed from the version to the current configuration
+            const changes = configHistory.diffConfig(version.config, configManager.getFileConfig()).map(change => {
+                const field = change.path.split('.').pop();
+                const redact = secrets.isSecretField(field) ? secrets.maskSecret : secrets.redactSecrets;
+                return { ...change, before: redact(change.before), after: redact(change.after) };
+            });
+            res.json({ version: version.version, changes });
+        } catch (error) {
+            if (error instanceof ValidationError) {
+                return sendValidationError(res, error);
+            }
+            logger.error('Error comparing configuration version:', error);
+            res.status(500).json({ error: 'Failed to compare configuration version' });
+        }
+    });
+
+    // Make a configuration version the current configuration again
+    app.post('/api/config/history/:version/rollback', (req, res) => {
+        try {
+            const version = configManager.getVersion(Number(req.params.version));
+            if (!version) {
+                return res.status(404).json({ error: 'Configuration version not found' });
+            }
+
+            // Versions edited on disk may not be valid
+            assertValidConfig(configManager.applyLayers(version.config));
+
+            // The version is a complete file, including the settings the environment or flags override now
+            const saved = saveFileLayer(version.config, req, `Rolled back to version ${version.version}`);
+
+            logger.info(`Configuration rolled back to version ${version.version}`);
+            res.json(saved);
+        } catch (error) {
+            if (error instanceof ValidationError) {
+                return sendValidationError(res, error);
+            }
+            logger.error('Error rolling back configuration:', error);
+            res.status(500).json({ error: 'Failed to roll back configuration' });
+        }
+    });
+
     // Reload configuration from disk
     app.post('/api/reload', (req, res) => {
         try {
             // Reload config from disk
             const config = configManager.reloadConfig();
             
-            // Return the reloaded config (without sensitive info)
-            const { adminPassword, ...safeConfig } = config;
+            // Move the live sessions and the listener over to it
+            const summary = onReload ? onReload(config) : null;
+            publishStatus();
             
-            res.json(safeConfig);
+            // Return the reloaded config (without sensitive info) and what it changed
+            res.json({ config: secrets.redactSecrets(config), summary });
         } catch (error) {
+            // An invalid file is not loaded, the current configuration stays live
+            if (error instanceof ValidationError) {
+                return sendValidationError(res, error);
+            }
             logger.error('Error reloading configuration:', error);
             res.status(500).json({ error: 'Failed to reload configuration' });
         }
@@ -323,14 +809,57 @@ function setupApiRoutes(app) {
 }
 
 /**
- * Save the configuration to disk
+ * Responds with the problems of an invalid request or configuration
+ * 
+ * @param {Object} res - The response
+ * @param {ValidationError} error - The error, with `errors` for each field if the configuration is invalid
+ */
+function sendValidationError(res, error) {
+    res.status(400).json({
+        error: error.message,
+        field: error.field,
+        errors: error.errors || [{ field: error.field, message: error.message }]
+    });
+}
+
+/**
+ * Get a copy of the configuration to change and save
+ * 
+ * The configuration in use is shared with the NTRIP server, which compares it
+ * with the saved one to move the rovers over, so it is never changed in place.
+ * 
+ * @returns {Object} The copy
+ */
+function getEditableConfig() {
+    return JSON.parse(JSON.stringify(configManager.getConfig()));
+}
+
+/**
+ * Save the configuration to disk as a new version
  * 
  * @param {Object} config - The configuration to save
+ * @param {Object} req - The request that changed it, for the admin user
+ * @param {string} summary - What was changed, shown in the version history
+ * @returns {Object} The recorded version
  */
-function saveConfig(config) {
-    const configPath = configManager.CONFIG_FILE_PATH;
-    fs.writeFileSync(configPath, JSON.stringify(config, null, 4));
-    logger.info('Configuration saved successfully');
+function saveConfig(config, req, summary) {
+    const version = configManager.saveConfig(config, { user: req.auth ? req.auth.user : null, summary });
+    publishStatus();
+    return version;
+}
+
+/**
+ * Save a complete configuration file to disk as a new version
+ * 
+ * @param {Object} fileConfig - The file layer to save, e.g. a version from the history
+ * @param {Object} req - The request that changed it, for the admin user
+ * @param {string} summary - What was changed, shown in the version history
+ * @returns {Object} The recorded version
+ */
+function saveFileLayer(fileConfig, req, summary) {
+    const version = configManager.saveFileLayer(fileConfig, { user: req.auth ? req.auth.user : null, summary });
+    publishStatus();
+    return version;
 }
 
 /**
@@ -351,6 +880,7 @@ function trackConnection(id, connectionInfo) {
     };
     
     connections.set(id, connectionData);
+    publishConnection(id);
     logger.debug(`Tracking connection: ${id}`);
     
     // Create empty log file for this connection
@@ -367,6 +897,7 @@ function updateConnection(id, updates) {
     if (connections.has(id)) {
         const connection = connections.get(id);
         connections.set(id, { ...connection, ...updates });
+        publishConnection(id);
     }
 }
 
@@ -383,10 +914,24 @@ function removeConnection(id) {
             active: false,
             disconnectedAt: new Date().toISOString()
         });
+        publishConnection(id);
         logger.debug(`Connection ${id} marked as disconnected`);
     }
 }
 
+/**
+ * Get the RTCM statistics collector for a station, creating it on first use
+ * 
+ * @param {string} mountPoint - The station mountpoint
+ * @returns {Object} The statistics collector (see utils/rtcm createStreamStats)
+ */
+function getStationStats(mountPoint) {
+    if (!stationStats.has(mountPoint)) {
+        stationStats.set(mountPoint, rtcm.createStreamStats());
+    }
+    return stationStats.get(mountPoint);
+}
+
 /**
  * Log NMEA data for a specific connection
  * 
@@ -402,35 +947,94 @@ function logConnectionNMEA(id, nmeaData) {
     }
 }
 
+/**
+ * Record an event in a connection's timeline
+ * 
+ * @param {string} id - Unique ID for the connection
+ * @param {string} type - The event type (see utils/timeline TIMELINE_EVENTS)
+ * @param {Object} [details] - Event details, e.g. the station and reason
+ */
+function recordConnectionEvent(id, type, details = {}) {
+    if (!connections.has(id)) {
+        return;
+    }
+    try {
+        fs.appendFileSync(getTimelineFile(id), JSON.stringify({ at: new Date().toISOString(), type, ...details }) + '\n');
+    } catch (error) {
+        logger.error(`Error recording ${type} event for connection ${id}:`, error);
+    }
+}
+
 /**
  * Purge old connections and their logs based on CONNECTION_HISTORY_DAYS
+ * 
+ * Also deletes NMEA and timeline logs that no longer have a connection record, such as
+ * those written before the history was persisted.
  */
 function purgeOldConnections() {
     const cutoffDate = new Date(Date.now() - CONNECTION_HISTORY_MS);
     
     let purgedCount = 0;
-    connections.forEach((connection, id) => {
+    Array.from(connections.values()).forEach(connection => {
+        // Active connections are kept however long they last
+        if (connection.active) {
+            return;
+        }
+        
         // Determine the date to compare (either disconnected date or connected date)
         const dateToCompare = connection.disconnectedAt 
             ? new Date(connection.disconnectedAt) 
             : new Date(connection.connectedAt);
             
         if (dateToCompare < cutoffDate) {
-            // Remove from memory
-            connections.delete(id);
-            
-            // Delete log file if it exists
-            if (connection.nmeaLogFile && fs.existsSync(connection.nmeaLogFile)) {
-                fs.unlinkSync(connection.nmeaLogFile);
+            // Delete the log files first, so a record is never removed while its logs stay behind
+            try {
+                [connection.nmeaLogFile, getTimelineFile(connection.id)].forEach(logFile => {
+                    if (logFile && fs.existsSync(logFile)) {
+                        fs.unlinkSync(logFile);
+                    }
+                });
+            } catch (error) {
+                logger.error(`Error deleting NMEA log of connection ${connection.id}:`, error);
+                return;
             }
             
+            connections.delete(connection.id);
             purgedCount++;
         }
     });
     
+    let orphanCount = 0;
+    fs.readdirSync(connectionLogsDir)
+        .filter(name => name.endsWith('.nmea.log') || name.endsWith('.timeline.jsonl'))
+        .forEach(name => {
+            const id = name.split('.')[0];
+            const logFile = path.join(connectionLogsDir, name);
+            try {
+                if (!connections.has(id) && fs.statSync(logFile).mtime < cutoffDate) {
+                    fs.unlinkSync(logFile);
+                    orphanCount++;
+                }
+            } catch (error) {
+                logger.error(`Error deleting orphaned log ${name}:`, error);
+            }
+        });
+    
     if (purgedCount > 0) {
         logger.info(`Purged ${purgedCount} old connections and their logs`);
     }
+    if (orphanCount > 0) {
+        logger.info(`Deleted ${orphanCount} orphaned connection log(s)`);
+    }
+    
+    // Drop the purged records from disk as well
+    if (purgedCount > 0) {
+        try {
+            connections.compact();
+        } catch (error) {
+            logger.error('Error compacting connection history:', error);
+        }
+    }
 }
 
 module.exports = {
@@ -438,5 +1042,7 @@ module.exports = {
     trackConnection,
     updateConnection,
     removeConnection,
-    logConnectionNMEA
+    logConnectionNMEA,
+    recordConnectionEvent,
+    getStationStats
 };
@@ -4,12 +4,38 @@
 
 // Global variables for UI elements
 const stationModal = new bootstrap.Modal(document.getElementById('stationModal'));
+const timelineModal = new bootstrap.Modal(document.getElementById('timelineModal'));
 let refreshInterval;
+let stationRefreshInterval;
+
+// Live updates pushed by the server (null if the browser has no EventSource)
+let eventSource = null;
+// Connections seen so far; an unknown one reloads the connection page to show it
+const knownConnectionIds = new Set();
+let connectionReloadTimer = null;
+
+// Connection list paging: the cursors of the pages visited so far (null for the first page)
+const CONNECTIONS_PAGE_SIZE = 50;
+let connectionPageCursors = [null];
 
 // Map variables
 let map = null;
-let stationMarkers = [];
-let clientMarkers = [];
+// Map layers by station mountpoint and client markers by connection ID
+const stationMarkers = new Map();
+const clientMarkers = new Map();
+// Layers of the connection track shown on the map
+let trackLayers = [];
+
+// Track points per map request; longer tracks are thinned out
+const TRACK_MAX_POINTS = 5000;
+
+// Track line colours per fix quality
+const TRACK_COLORS = {
+    1: '#dc3545', // GPS
+    2: '#ffc107', // DGPS
+    4: '#28a745', // RTK fixed
+    5: '#fd7e14'  // RTK float
+};
 
 // Initialize the application
 document.addEventListener('DOMContentLoaded', () => {
@@ -21,14 +47,8 @@ document.addEventListener('DOMContentLoaded', () => {
     // Initialize map
     initMap();
     
-    // Set up periodic refresh (every 5 seconds)
-    refreshInterval = setInterval(() => {
-        loadConnections();
-        
-        // Only refresh server info and don't auto-refresh the config editor
-        // This prevents overwriting user edits in the config
-        updateServerInfoWithoutConfigRefresh();
-    }, 5000);
+    // Apply live updates as they happen, polling only while the stream is unavailable
+    connectEventStream();
 
     // Show the appropriate tab based on URL hash
     loadTabFromUrlHash();
@@ -98,6 +118,7 @@ function setupEventListeners() {    // Add station button
         document.getElementById('formAction').value = 'add';
         document.getElementById('modalTitle').textContent = 'Add Station';
         document.getElementById('stationForm').reset();
+        clearStationErrors();
         stationModal.show();
     });
 
@@ -111,6 +132,28 @@ function setupEventListeners() {    // Add station button
     document.getElementById('saveConfigBtn').addEventListener('click', saveFullConfig);
     document.getElementById('cancelConfigBtn').addEventListener('click', loadConfigEditor);
     document.getElementById('resetConfigBtn').addEventListener('click', resetToDefaultConfig);
+    document.getElementById('refreshConfigHistoryBtn').addEventListener('click', loadConfigHistory);
+
+    // Connection track on the map
+    document.getElementById('clearTrackBtn').addEventListener('click', clearConnectionTrack);
+
+    // Connection filters and paging
+    document.getElementById('connectionFilterForm').addEventListener('submit', (e) => {
+        e.preventDefault();
+        applyConnectionFilters();
+    });
+    document.getElementById('resetConnectionFilterBtn').addEventListener('click', () => {
+        document.getElementById('connectionFilterForm').reset();
+        applyConnectionFilters();
+    });
+    document.getElementById('prevConnectionsBtn').addEventListener('click', () => {
+        connectionPageCursors.pop();
+        loadConnections();
+    });
+    document.getElementById('nextConnectionsBtn').addEventListener('click', (e) => {
+        connectionPageCursors.push(e.target.dataset.cursor);
+        loadConnections();
+    });
 
     // Navigation links
     document.querySelectorAll('.navbar-nav .nav-link, .navbar-brand').forEach(link => {
@@ -153,6 +196,179 @@ function setupEventListeners() {    // Add station button
     });
 }
 
+/**
+ * Start polling the API, used while the live event stream is unavailable
+ */
+function startPolling() {
+    if (refreshInterval) {
+        return;
+    }
+    
+    // Refresh every 5 seconds
+    refreshInterval = setInterval(() => {
+        loadConnections();
+        
+        // Only refresh server info and don't auto-refresh the config editor
+        // This prevents overwriting user edits in the config
+        updateServerInfoWithoutConfigRefresh();
+    }, 5000);
+    
+    // Refresh station health less often, rebuilding the markers closes open popups
+    stationRefreshInterval = setInterval(() => {
+        loadStations();
+        updateStationMarkers();
+    }, 30000);
+}
+
+/**
+ * Stop polling the API
+ */
+function stopPolling() {
+    clearInterval(refreshInterval);
+    clearInterval(stationRefreshInterval);
+    refreshInterval = null;
+    stationRefreshInterval = null;
+}
+
+/**
+ * Subscribe to the live connection, station and server events
+ * 
+ * The browser reconnects a dropped stream by itself; the dashboard polls
+ * until it is back and then catches up on what it missed.
+ */
+function connectEventStream() {
+    if (typeof EventSource === 'undefined') {
+        startPolling();
+        return;
+    }
+    
+    eventSource = new EventSource('/api/events');
+    
+    eventSource.addEventListener('open', () => {
+        if (refreshInterval) {
+            stopPolling();
+            loadConnections();
+            loadStations();
+        }
+    });
+    eventSource.addEventListener('error', () => {
+        console.warn('Live updates unavailable, polling until they are back');
+        startPolling();
+    });
+    
+    eventSource.addEventListener('connection', (e) => applyConnectionEvent(JSON.parse(e.data)));
+    eventSource.addEventListener('station', (e) => applyStationEvent(JSON.parse(e.data)));
+    eventSource.addEventListener('station_removed', (e) => removeStation(JSON.parse(e.data).mountPoint));
+    eventSource.addEventListener('server', (e) => renderServerInfo(JSON.parse(e.data)));
+}
+
+/**
+ * Apply a pushed connection update to the connections table and the map
+ * 
+ * @param {Object} conn - The connection record
+ */
+function applyConnectionEvent(conn) {
+    if (map) {
+        updateClientMarker(conn);
+    }
+    
+    const row = document.querySelector(`#connectionsTable tbody tr[data-id="${conn.id}"]`);
+    if (row) {
+        row.replaceWith(renderConnectionRow(conn));
+    } else if (!knownConnectionIds.has(conn.id)) {
+        // A new connection; the server decides whether it belongs on the current page
+        knownConnectionIds.add(conn.id);
+        if (!connectionReloadTimer) {
+            connectionReloadTimer = setTimeout(() => {
+                connectionReloadTimer = null;
+                loadConnections();
+            }, 1000);
+        }
+    }
+}
+
+/**
+ * Apply a pushed station update to the stations table and the map
+ * 
+ * @param {Object} station - The station from /api/stations
+ */
+function applyStationEvent(station) {
+    const row = findStationRow(station.mountPoint);
+    if (row) {
+        row.replaceWith(renderStationRow(station));
+    } else {
+        loadStations();
+    }
+    
+    if (map) {
+        updateStationMarker(station);
+    }
+}
+
+/**
+ * Remove a deleted station from the stations table and the map
+ * 
+ * @param {string} mountPoint - The station mountpoint
+ */
+function removeStation(mountPoint) {
+    const row = findStationRow(mountPoint);
+    if (row) {
+        row.remove();
+    }
+    (stationMarkers.get(mountPoint) || []).forEach(layer => layer.remove());
+    stationMarkers.delete(mountPoint);
+}
+
+/**
+ * Find the row of a station in the stations table
+ * 
+ * @param {string} mountPoint - The station mountpoint
+ * @returns {HTMLElement|undefined} The row
+ */
+function findStationRow(mountPoint) {
+    return Array.from(document.querySelectorAll('#stationsTable tbody tr'))
+        .find(row => row.dataset.mount === mountPoint);
+}
+
+/**
+ * Show the server version and status
+ * 
+ * @param {Object} data - The server info from /api/info
+ */
+function renderServerInfo(data) {
+    const uptime = formatUptime(data.uptime);
+    const memoryUsage = formatMemoryUsage(data.memoryUsage);
+    
+    document.getElementById('serverInfo').innerHTML = `
+        <strong>NearTRIP v${data.version}</strong> | 
+        Node ${data.nodeVersion} | 
+        Uptime: ${uptime} | 
+        Memory: ${memoryUsage} | 
+        Mount Point: ${data.config.mountPoint} | 
+        Stations: ${data.config.stations.length}
+        ${formatConfigOverrides(data.configSources)}
+    `;
+}
+
+/**
+ * Describe the settings set by environment variables or command-line flags instead of the configuration file
+ * 
+ * @param {Object} configSources - { file, sources, overrides } from /api/info
+ * @returns {string} HTML for the server info bar, empty without overrides
+ */
+function formatConfigOverrides(configSources) {
+    if (!configSources) {
+        return '';
+    }
+    const overridden = Object.entries(configSources.overrides);
+    const title = escapeHtml(`Configuration file: ${configSources.file}`);
+    if (overridden.length === 0) {
+        return `| <span title="${title}">Config: file</span>`;
+    }
+    const list = overridden.map(([settingPath, name]) => `${settingPath} (${name})`).join(', ');
+    return `| <span title="${title}">Overridden: ${escapeHtml(list)}</span>`;
+}
+
 /**
  * Load server information
  */
@@ -162,19 +378,7 @@ async function loadServerInfo() {
         if (!response.ok) throw new Error('Failed to fetch server info');
         
         const data = await response.json();
-        
-        // Format and display server information
-        const uptime = formatUptime(data.uptime);
-        const memoryUsage = formatMemoryUsage(data.memoryUsage);
-        
-        document.getElementById('serverInfo').innerHTML = `
-            <strong>NearTRIP v${data.version}</strong> | 
-            Node ${data.nodeVersion} | 
-            Uptime: ${uptime} | 
-            Memory: ${memoryUsage} | 
-            Mount Point: ${data.config.mountPoint} | 
-            Stations: ${data.config.stations.length}
-        `;
+        renderServerInfo(data);
         
         // Load config editor if we're on the settings tab
         if (document.getElementById('settings').style.display !== 'none') {
@@ -202,97 +406,155 @@ async function loadStations() {
         tableBody.innerHTML = '';
         
         if (stations.length === 0) {
-            tableBody.innerHTML = '<tr><td colspan="7" class="text-center">No stations configured</td></tr>';
+            tableBody.innerHTML = '<tr><td colspan="9" class="text-center">No stations configured</td></tr>';
             return;
         }
         
-        stations.forEach(station => {
-            const row = document.createElement('tr');
-            row.innerHTML = `
-                <td>
-                    <span class="status-indicator ${station.active ? 'status-active' : 'status-inactive'}" 
-                          title="${station.active ? 'Active' : 'Inactive'}"></span>
-                </td>
-                <td>${station.mountPoint}</td>
-                <td>${station.casterHost}</td>
-                <td>${station.casterPort}</td>
-                <td>${station.latitude.toFixed(6)}</td>
-                <td>${station.longitude.toFixed(6)}</td>
-                <td>
-                    <button class="btn btn-sm btn-primary edit-btn" data-mount="${station.mountPoint}">Edit</button>
-                    <button class="btn btn-sm btn-danger delete-btn" data-mount="${station.mountPoint}">Delete</button>
-                </td>
-            `;
-            tableBody.appendChild(row);
-            
-            // Add event listeners for the edit and delete buttons
-            row.querySelector('.edit-btn').addEventListener('click', () => editStation(station));
-            row.querySelector('.delete-btn').addEventListener('click', () => deleteStation(station.mountPoint));
-        });
+        stations.forEach(station => tableBody.appendChild(renderStationRow(station)));
     } catch (error) {
         console.error('Error loading stations:', error);
         document.querySelector('#stationsTable tbody').innerHTML = `
-            <tr><td colspan="7" class="text-center text-danger">Error loading stations: ${error.message}</td></tr>
+            <tr><td colspan="9" class="text-center text-danger">Error loading stations: ${error.message}</td></tr>
         `;
     }
 }
 
 /**
- * Load active connections
+ * Render the row of a station in the stations table
+ * 
+ * @param {Object} station - The station from /api/stations
+ * @returns {HTMLElement} The row
+ */
+function renderStationRow(station) {
+    const row = document.createElement('tr');
+    row.dataset.mount = station.mountPoint;
+    row.innerHTML = `
+        <td>
+            <span class="status-indicator ${station.active ? 'status-active' : 'status-inactive'}" 
+                  title="${station.active ? 'Active' : 'Inactive'}"></span>
+        </td>
+        <td>${formatStationHealth(station.health)}</td>
+        <td>${station.mountPoint}</td>
+        <td>${station.casterHost}</td>
+        <td>${station.casterPort}</td>
+        <td>${isNaN(station.latitude) ? '-' : Number(station.latitude).toFixed(6)}</td>
+        <td>${isNaN(station.longitude) ? '-' : Number(station.longitude).toFixed(6)}</td>
+        <td>${formatReferencePosition(station.referencePosition)}</td>
+        <td>
+            <button class="btn btn-sm btn-primary edit-btn" data-mount="${station.mountPoint}">Edit</button>
+            <button class="btn btn-sm btn-secondary area-btn" data-mount="${station.mountPoint}"
+                    title="Upload a GeoJSON service area">${station.serviceArea ? 'Replace Area' : 'Upload Area'}</button>
+            ${station.serviceArea ? `<button class="btn btn-sm btn-outline-danger remove-area-btn" data-mount="${station.mountPoint}">Remove Area</button>` : ''}
+            <button class="btn btn-sm btn-danger delete-btn" data-mount="${station.mountPoint}">Delete</button>
+        </td>
+    `;
+    
+    // Add event listeners for the edit, service area and delete buttons
+    row.querySelector('.edit-btn').addEventListener('click', () => editStation(station));
+    row.querySelector('.area-btn').addEventListener('click', () => chooseServiceAreaFile(station.mountPoint));
+    if (station.serviceArea) {
+        row.querySelector('.remove-area-btn').addEventListener('click', () => removeServiceArea(station.mountPoint));
+    }
+    if (station.referencePosition && station.referencePosition.mismatch) {
+        row.querySelector('.apply-position-btn').addEventListener('click', () => applyReferencePosition(station));
+    }
+    row.querySelector('.delete-btn').addEventListener('click', () => deleteStation(station.mountPoint));
+    
+    return row;
+}
+
+/**
+ * Get the connection filters from the filter form
+ * 
+ * @returns {URLSearchParams} The filter, sort and order query parameters
+ */
+function getConnectionFilterParams() {
+    const params = new URLSearchParams();
+    const value = (id) => document.getElementById(id).value.trim();
+    
+    // datetime-local values are local time without a zone
+    if (value('filterFrom')) params.set('from', new Date(value('filterFrom')).toISOString());
+    if (value('filterTo')) params.set('to', new Date(value('filterTo')).toISOString());
+    if (value('filterActive')) params.set('active', value('filterActive'));
+    if (value('filterClientIp')) params.set('clientIp', value('filterClientIp'));
+    if (value('filterUser')) params.set('user', value('filterUser'));
+    if (value('filterStation')) params.set('station', value('filterStation'));
+    if (value('filterMinDuration')) params.set('minDuration', Number(value('filterMinDuration')) * 60);
+    if (value('filterFixQuality')) params.set('fixQuality', value('filterFixQuality'));
+    params.set('sort', value('filterSort'));
+    params.set('order', value('filterOrder'));
+    return params;
+}
+
+/**
+ * Apply the connection filters: go back to the first page and update the export links
+ */
+function applyConnectionFilters() {
+    connectionPageCursors = [null];
+    
+    const params = getConnectionFilterParams();
+    document.getElementById('exportConnectionsCsvBtn').href = `/api/connections/export?format=csv&${params}`;
+    document.getElementById('exportConnectionsJsonlBtn').href = `/api/connections/export?format=jsonl&${params}`;
+    
+    loadConnections();
+}
+
+/**
+ * Update the paging controls of the connection list
+ * 
+ * @param {number} shown - Number of connections on the current page
+ * @param {number} total - Number of connections matching the filters
+ * @param {string|null} nextCursor - Cursor of the next page, null on the last page
+ */
+function updateConnectionPaging(shown, total, nextCursor) {
+    const first = (connectionPageCursors.length - 1) * CONNECTIONS_PAGE_SIZE;
+    document.getElementById('connectionsSummary').textContent = total > 0
+        ? `Showing ${first + 1}-${first + shown} of ${total}`
+        : '';
+    
+    document.getElementById('prevConnectionsBtn').disabled = connectionPageCursors.length <= 1;
+    const nextButton = document.getElementById('nextConnectionsBtn');
+    nextButton.disabled = !nextCursor;
+    nextButton.dataset.cursor = nextCursor || '';
+}
+
+/**
+ * Load the current page of connections matching the filters
  */
 async function loadConnections() {
     try {
-        const response = await fetch('/api/connections');
-        if (!response.ok) throw new Error('Failed to fetch connections');
+        const params = getConnectionFilterParams();
+        params.set('limit', CONNECTIONS_PAGE_SIZE);
+        const cursor = connectionPageCursors[connectionPageCursors.length - 1];
+        if (cursor) {
+            params.set('cursor', cursor);
+        }
+        
+        const response = await fetch(`/api/connections?${params}`);
+        if (!response.ok) {
+            const errorData = await response.json().catch(() => ({}));
+            throw new Error(errorData.error || 'Failed to fetch connections');
+        }
         
-        const connections = await response.json();
+        const { connections, total, nextCursor } = await response.json();
+        updateConnectionPaging(connections.length, total, nextCursor);
         
         const tableBody = document.querySelector('#connectionsTable tbody');
         tableBody.innerHTML = '';
         
         if (connections.length === 0) {
-            tableBody.innerHTML = '<tr><td colspan="13" class="text-center">No connections found</td></tr>';
+            tableBody.innerHTML = '<tr><td colspan="14" class="text-center">No connections found</td></tr>';
             return;
         }
         
         connections.forEach(conn => {
-            const row = document.createElement('tr');
-            const isActive = conn.active === true;
-            
-            // Apply styling based on active status
-            if (!isActive) {
-                row.classList.add('connection-inactive');
-            } else {
-                row.classList.add('connection-active');
-            }
-            
-            row.innerHTML = `
-                <td>
-                    <span class="status-indicator ${isActive ? 'status-active' : 'status-inactive'}" 
-                          title="${isActive ? 'Active' : 'Inactive'}"></span>
-                </td>
-                <td>${conn.id.substring(0, 8)}...</td>
-                <td>${conn.clientIp}</td>
-                <td>${formatTimestamp(conn.connectedAt)}</td>
-                <td>${conn.disconnectedAt ? formatTimestamp(conn.disconnectedAt) : '-'}</td>
-                <td>${conn.currentStation || '-'}</td>
-                <td>${conn.latitude ? conn.latitude.toFixed(6) : '-'}</td>
-                <td>${conn.longitude ? conn.longitude.toFixed(6) : '-'}</td>
-                <td>${getFixQualityText(conn.fixQuality)}</td>
-                <td>${conn.numSatellites !== undefined ? conn.numSatellites : '-'}</td>
-                <td>${formatBytes(conn.bytesSent)}</td>
-                <td>${formatBytes(conn.bytesReceived)}</td>
-                <td>
-                    <a href="/api/connections/${conn.id}/nmea-log" class="btn btn-sm btn-info" 
-                       download="connection-${conn.id}.nmea.log">Download</a>
-                </td>
-            `;
-            tableBody.appendChild(row);
+            knownConnectionIds.add(conn.id);
+            tableBody.appendChild(renderConnectionRow(conn));
         });
     } catch (error) {
         console.error('Error loading connections:', error);
         document.querySelector('#connectionsTable tbody').innerHTML = `
-            <tr><td colspan="13" class="text-center text-danger">Error loading connections: ${error.message}</td></tr>
+            <tr><td colspan="14" class="text-center text-danger">Error loading connections: ${error.message}</td></tr>
         `;
     }
     
@@ -302,6 +564,58 @@ async function loadConnections() {
     }
 }
 
+/**
+ * Render the row of a connection in the connections table
+ * 
+ * @param {Object} conn - The connection from /api/connections
+ * @returns {HTMLElement} The row
+ */
+function renderConnectionRow(conn) {
+    const row = document.createElement('tr');
+    row.dataset.id = conn.id;
+    const isActive = conn.active === true;
+    
+    // Apply styling based on active status
+    if (!isActive) {
+        row.classList.add('connection-inactive');
+    } else {
+        row.classList.add('connection-active');
+    }
+    
+    row.innerHTML = `
+        <td>
+            <span class="status-indicator ${isActive ? 'status-active' : 'status-inactive'}" 
+                  title="${isActive ? 'Active' : 'Inactive'}"></span>
+        </td>
+        <td>${conn.id.substring(0, 8)}...</td>
+        <td>${conn.clientIp}</td>
+        <td>${conn.user ? escapeHtml(conn.user) : '-'}</td>
+        <td>${formatTimestamp(conn.connectedAt)}</td>
+        <td>${conn.disconnectedAt ? formatTimestamp(conn.disconnectedAt) : '-'}</td>
+        <td>
+            ${conn.currentStation || '-'}
+            ${conn.lastError ? `<br><small class="text-danger" title="${escapeHtml(conn.lastError.message)}">${conn.lastError.station}: ${conn.lastError.reason}</small>` : ''}
+        </td>
+        <td>${conn.latitude ? conn.latitude.toFixed(6) : '-'}</td>
+        <td>${conn.longitude ? conn.longitude.toFixed(6) : '-'}</td>
+        <td>${getFixQualityText(conn.fixQuality)}</td>
+        <td>${conn.numSatellites !== undefined ? conn.numSatellites : '-'}</td>
+        <td>${formatBytes(conn.bytesSent)}</td>
+        <td>${formatBytes(conn.bytesReceived)}</td>
+        <td>
+            <a href="/api/connections/${conn.id}/nmea-log" class="btn btn-sm btn-info" 
+               download="connection-${conn.id}.nmea.log">Download</a>
+            <button class="btn btn-sm btn-secondary timeline-btn">Timeline</button>
+            <button class="btn btn-sm btn-success track-btn">Track</button>
+        </td>
+    `;
+    
+    row.querySelector('.timeline-btn').addEventListener('click', () => showConnectionTimeline(conn));
+    row.querySelector('.track-btn').addEventListener('click', () => showConnectionTrack(conn));
+    
+    return row;
+}
+
 /**
  * Convert a fix quality number to descriptive text
  * 
@@ -325,6 +639,295 @@ function getFixQualityText(fixQuality) {
     }
 }
 
+/**
+ * Format the health of a station for the stations table
+ * 
+ * @param {Object} health - Station health from the API
+ * @returns {string} HTML with a status badge and the check details
+ */
+function formatStationHealth(health) {
+    if (!health || health.status === 'unknown') {
+        return '<span class="badge bg-secondary">Unknown</span>';
+    }
+    
+    const badge = health.healthy
+        ? '<span class="badge bg-success">Healthy</span>'
+        : `<span class="badge bg-danger" title="${health.reason || ''}">Unhealthy</span>`;
+    
+    const details = [];
+    if (health.latencyMs !== null) {
+        details.push(`${health.latencyMs} ms`);
+    }
+    if (health.uptimePercent !== null) {
+        details.push(`${health.uptimePercent}% up`);
+    }
+    
+    let html = badge;
+    if (details.length > 0) {
+        html += `<br><small class="text-muted">${details.join(', ')}</small>`;
+    }
+    if (!health.healthy && health.lastError) {
+        html += `<br><small class="text-danger">${escapeHtml(health.lastError.message)}</small>`;
+    }
+    return html;
+}
+
+/**
+ * Describe a timeline event for display
+ * 
+ * @param {Object} event - The event from /api/connections/:id/timeline
+ * @returns {Object} { label, badge, details } with the event name, its badge colour and an HTML description
+ */
+function describeTimelineEvent(event) {
+    const distance = event.distance !== null && event.distance !== undefined
+        ? `, ${(event.distance / 1000).toFixed(1)} km away` : '';
+    
+    switch (event.type) {
+        case 'connected':
+            return { label: 'Client connected', badge: 'primary', details: `${event.clientIp}:${event.clientPort}` };
+        case 'disconnected':
+            return { label: 'Client disconnected', badge: 'secondary', details: `${formatBytes(event.bytesSent)} sent` };
+        case 'station_connected':
+            return {
+                label: 'Station connected',
+                badge: 'success',
+                details: `${event.previousStation ? `${event.previousStation} &rarr; ` : ''}<strong>${event.station}</strong>` +
+                    ` (${event.reason}${distance}${event.shared ? ', shared' : ''})`
+            };
+        case 'station_disconnected':
+            return { label: 'Station disconnected', badge: 'warning', details: `${event.station} (${event.reason})` };
+        case 'upstream_error':
+            return { label: 'Upstream error', badge: 'danger', details: `${event.station}: ${event.reason} - ${escapeHtml(event.message)}` };
+        case 'fix_changed':
+            return {
+                label: 'Fix changed',
+                badge: event.to === 4 ? 'success' : event.to === 5 ? 'info' : 'warning',
+                details: `${event.from === null ? '-' : getFixQualityText(event.from)} &rarr; ${getFixQualityText(event.to)}`
+            };
+        case 'position_gap':
+            return { label: 'Position gap', badge: 'warning', details: `No position from the rover for ${event.seconds} s` };
+        case 'out_of_range':
+            return { label: 'Out of range', badge: 'warning', details: `No station serves the rover (${event.behavior})` };
+        case 'back_in_range':
+            return { label: 'Back in range', badge: 'success', details: event.station };
+        case 'byte_rate_drop':
+            return {
+                label: 'Data rate drop',
+                badge: 'danger',
+                details: `${event.station || '-'}: ${formatBytes(event.bytesPerSecond)}/s, usually ${formatBytes(event.usualBytesPerSecond)}/s`
+            };
+        case 'byte_rate_recovered':
+            return { label: 'Data rate recovered', badge: 'success', details: `${event.station || '-'}: ${formatBytes(event.bytesPerSecond)}/s` };
+        default:
+            return { label: event.type, badge: 'secondary', details: '' };
+    }
+}
+
+/**
+ * Show the timeline of events of a connection
+ * 
+ * @param {Object} conn - The connection from /api/connections
+ */
+async function showConnectionTimeline(conn) {
+    const tableBody = document.querySelector('#timelineTable tbody');
+    document.getElementById('timelineTitle').textContent =
+        `Timeline of ${conn.user || conn.clientIp} (${conn.id.substring(0, 8)}...)`;
+    tableBody.innerHTML = '<tr><td colspan="3" class="text-center">Loading...</td></tr>';
+    timelineModal.show();
+    
+    try {
+        const response = await fetch(`/api/connections/${encodeURIComponent(conn.id)}/timeline`);
+        if (!response.ok) throw new Error('Failed to fetch timeline');
+        
+        const { events } = await response.json();
+        if (events.length === 0) {
+            tableBody.innerHTML = '<tr><td colspan="3" class="text-center">No events recorded</td></tr>';
+            return;
+        }
+        
+        tableBody.innerHTML = events.map(event => {
+            const { label, badge, details } = describeTimelineEvent(event);
+            return `
+                <tr>
+                    <td class="text-nowrap">${new Date(event.at).toLocaleString()}</td>
+                    <td><span class="badge bg-${badge}">${label}</span></td>
+                    <td>${details}</td>
+                </tr>
+            `;
+        }).join('');
+    } catch (error) {
+        console.error('Error loading timeline:', error);
+        tableBody.innerHTML = `<tr><td colspan="3" class="text-center text-danger">Error loading timeline: ${error.message}</td></tr>`;
+    }
+}
+
+/**
+ * Show the track of a connection on the map, with the stations it used along the way
+ * 
+ * @param {Object} conn - The connection from /api/connections
+ */
+async function showConnectionTrack(conn) {
+    try {
+        const trackUrl = `/api/connections/${encodeURIComponent(conn.id)}/track`;
+        const [trackResponse, stationsResponse] = await Promise.all([
+            fetch(`${trackUrl}?format=geojson&maxPoints=${TRACK_MAX_POINTS}`),
+            fetch('/api/stations')
+        ]);
+        if (!trackResponse.ok) {
+            const error = await trackResponse.json();
+            throw new Error(error.error || 'Failed to fetch track');
+        }
+        if (!stationsResponse.ok) throw new Error('Failed to fetch stations');
+        
+        const { features } = await trackResponse.json();
+        const stations = await stationsResponse.json();
+        const points = features.filter(feature => feature.geometry.type === 'Point');
+        if (points.length === 0) {
+            alert('No positions were logged for this connection');
+            return;
+        }
+        
+        // Switch to the map before drawing so that it has its size
+        document.querySelector('.navbar-nav .nav-link[href="#map"]').click();
+        clearConnectionTrack();
+        
+        // One line per run of the same fix quality, joined at the point where the quality changes
+        const toLatLng = point => [point.geometry.coordinates[1], point.geometry.coordinates[0]];
+        const runs = [];
+        points.forEach((point, index) => {
+            const { fixQuality } = point.properties;
+            let run = runs[runs.length - 1];
+            if (!run || run.fixQuality !== fixQuality) {
+                run = { fixQuality, latLngs: index > 0 ? [toLatLng(points[index - 1])] : [] };
+                runs.push(run);
+            }
+            run.latLngs.push(toLatLng(point));
+        });
+        runs.forEach(({ fixQuality, latLngs }) => {
+            trackLayers.push(L.polyline(latLngs, {
+                color: TRACK_COLORS[fixQuality] || '#6c757d',
+                weight: 4
+            }).bindTooltip(getFixQualityText(fixQuality)).addTo(map));
+        });
+        
+        // Mark the stations used along the track where the rover first used them
+        const stationsUsed = new Set(points.map(point => point.properties.station).filter(Boolean));
+        stationsUsed.forEach(mountPoint => {
+            const station = stations.find(s => s.mountPoint === mountPoint);
+            const firstPoint = points.find(point => point.properties.station === mountPoint);
+            const firstLatLng = toLatLng(firstPoint);
+            trackLayers.push(L.circleMarker(firstLatLng, { radius: 6, color: '#000', fillColor: '#fff', fillOpacity: 1 })
+                .bindTooltip(`Switched to ${mountPoint} at ${new Date(firstPoint.properties.time).toLocaleString()}`)
+                .addTo(map));
+            if (station && station.latitude && station.longitude) {
+                trackLayers.push(L.polyline([firstLatLng, [station.latitude, station.longitude]], {
+                    color: '#000',
+                    weight: 1,
+                    dashArray: '4 6'
+                }).bindTooltip(mountPoint).addTo(map));
+            }
+        });
+        
+        map.fitBounds(L.featureGroup(trackLayers).getBounds(), { padding: [20, 20] });
+        
+        document.getElementById('trackSummary').textContent =
+            `Track of ${conn.user || conn.clientIp} (${conn.id.substring(0, 8)}...): ${points.length} positions` +
+            (stationsUsed.size > 0 ? `, stations ${Array.from(stationsUsed).join(', ')}` : '');
+        document.getElementById('trackGpxLink').href = `${trackUrl}?format=gpx`;
+        document.getElementById('trackKmlLink').href = `${trackUrl}?format=kml`;
+        document.getElementById('trackGeoJsonLink').href = `${trackUrl}?format=geojson`;
+        document.getElementById('trackGeoJsonLink').download = `connection-${conn.id}.geojson`;
+        document.getElementById('trackInfo').classList.remove('d-none');
+    } catch (error) {
+        console.error('Error loading track:', error);
+        alert(`Error loading track: ${error.message}`);
+    }
+}
+
+/**
+ * Remove the connection track from the map
+ */
+function clearConnectionTrack() {
+    trackLayers.forEach(layer => layer.remove());
+    trackLayers = [];
+    document.getElementById('trackInfo').classList.add('d-none');
+}
+
+/**
+ * Format the comparison of a station's broadcast and configured positions
+ * 
+ * @param {Object|null} referencePosition - The reference position from /api/stations
+ * @returns {string} HTML for the stations table
+ */
+function formatReferencePosition(referencePosition) {
+    if (!referencePosition) {
+        return '<span class="badge bg-secondary" title="No RTCM 1005/1006 received yet">Unknown</span>';
+    }
+    
+    const { reported, offsetMeters, mismatch } = referencePosition;
+    const title = `Broadcast: ${reported.latitude.toFixed(6)}, ${reported.longitude.toFixed(6)}, ` +
+        `${reported.height.toFixed(2)} m (RTCM ${reported.messageType}, station ID ${reported.stationId})`;
+    const offset = offsetMeters === null ? 'not configured'
+        : offsetMeters >= 1000 ? `${(offsetMeters / 1000).toFixed(1)} km off` : `${offsetMeters} m off`;
+    
+    if (!mismatch) {
+        return `<span class="badge bg-success" title="${title}">OK (${offset})</span>`;
+    }
+    return `<span class="badge bg-danger" title="${title}">Mismatch (${offset})</span>
+        <button class="btn btn-sm btn-outline-warning apply-position-btn" title="${title}">Use broadcast</button>`;
+}
+
+/**
+ * Replace a station's configured coordinates with its broadcast position
+ * 
+ * @param {Object} station - The station from /api/stations
+ */
+async function applyReferencePosition(station) {
+    const { reported } = station.referencePosition;
+    if (!confirm(`Change the position of "${station.mountPoint}" to the broadcast ${reported.latitude.toFixed(6)}, ${reported.longitude.toFixed(6)}?`)) {
+        return;
+    }
+    
+    try {
+        const response = await fetch(`/api/stations/${encodeURIComponent(station.mountPoint)}/reference-position/apply`, {
+            method: 'POST'
+        });
+        
+        if (!response.ok) {
+            const errorData = await response.json();
+            throw new Error(errorData.error || 'Failed to update the position');
+        }
+        
+        loadStations();
+        
+        if (map) {
+            updateStationMarkers();
+        }
+    } catch (error) {
+        console.error('Error applying reference position:', error);
+        alert(`Error applying reference position: ${error.message}`);
+    }
+}
+
+/**
+ * Get the marker colour for a station
+ * 
+ * @param {Object} station - Station from the API
+ * @returns {string} Colour name of the leaflet-color-markers icon
+ */
+function getStationMarkerColor(station) {
+    if (!station.active) {
+        return 'red';
+    }
+    if (station.health && !station.health.healthy) {
+        return 'orange';
+    }
+    if (!station.health || station.health.status === 'unknown') {
+        return 'grey';
+    }
+    return 'green';
+}
+
 /**
  * Generate a formatted uptime string
  * 
@@ -415,6 +1018,22 @@ function updateMap() {
     updateClientMarkers();
 }
 
+/**
+ * Format a station's coverage for display
+ * 
+ * @param {Object} station - The station from /api/stations
+ * @returns {string} The coverage radius, or a note for unlimited and fallback stations
+ */
+function formatStationCoverage(station) {
+    if (station.isFallback) {
+        return 'Out-of-range fallback';
+    }
+    if (!station.coverageMeters) {
+        return 'Unlimited';
+    }
+    return `${(station.coverageMeters / 1000).toFixed(1)} km`;
+}
+
 /**
  * Update the station markers on the map
  */
@@ -425,116 +1044,179 @@ async function updateStationMarkers() {
         
         const stations = await response.json();
         
-        // Clear existing station markers
-        stationMarkers.forEach(marker => marker.remove());
-        stationMarkers = [];
-        
-        // Add markers for each station
-        stations.forEach(station => {            
-            if (station.latitude && station.longitude) {
-                // Use default Leaflet marker but customize the icon
-                const markerIcon = L.icon({
-                    iconUrl: station.active ? 
-                        'https://raw.githubusercontent.com/pointhi/leaflet-color-markers/master/img/marker-icon-green.png' : 
-                        'https://raw.githubusercontent.com/pointhi/leaflet-color-markers/master/img/marker-icon-red.png',
-                    shadowUrl: 'https://cdnjs.cloudflare.com/ajax/libs/leaflet/1.7.1/images/marker-shadow.png',
-                    iconSize: [25, 41],
-                    iconAnchor: [12, 41],
-                    popupAnchor: [1, -34],
-                    shadowSize: [41, 41]
-                });
-                
-                  const marker = L.marker([station.latitude, station.longitude], {
-                    icon: markerIcon
-                }).addTo(map);
-                
-                // Only add range rings for active stations
-                if (station.active) {
-                    // Add 10km green circle around station
-                    const circle10km = L.circle([station.latitude, station.longitude], {
-                        color: 'green',
-                        fillColor: '#3f3',
-                        fillOpacity: 0.1,
-                        radius: 10000 // 10km in meters
-                    }).addTo(map);
-                    
-                    // Add 20km orange circle around station
-                    const circle20km = L.circle([station.latitude, station.longitude], {
-                        color: 'orange',
-                        fillColor: '#fa3',
-                        fillOpacity: 0.1,
-                        radius: 20000 // 20km in meters
-                    }).addTo(map);
-                    
-                    // Store circles for later removal
-                    stationMarkers.push(circle10km);
-                    stationMarkers.push(circle20km);
-                }
-                  marker.bindPopup(`
-                    <strong>${station.mountPoint}</strong><br>
-                    ${station.casterHost}:${station.casterPort}<br>
-                    Status: ${station.active ? 'Active' : 'Inactive'}
-                `);
-                
-                // Store marker for later removal
-                stationMarkers.push(marker);
+        // Remove the markers of deleted stations
+        Array.from(stationMarkers.keys()).forEach(mountPoint => {
+            if (!stations.some(station => station.mountPoint === mountPoint)) {
+                removeStation(mountPoint);
             }
         });
+        
+        stations.forEach(updateStationMarker);
     } catch (error) {
         console.error('Error updating station markers:', error);
     }
 }
 
+/**
+ * Draw a station on the map, replacing its previous marker, rings and service area
+ * 
+ * @param {Object} station - The station from /api/stations
+ */
+function updateStationMarker(station) {
+    (stationMarkers.get(station.mountPoint) || []).forEach(layer => layer.remove());
+    const layers = [];
+    
+    // Draw the service area of active stations
+    if (station.active && station.serviceArea) {
+        const area = L.geoJSON(station.serviceArea, {
+            style: {
+                color: 'purple',
+                weight: 2,
+                fillColor: '#a6f',
+                fillOpacity: 0.1
+            }
+        }).bindTooltip(`${station.mountPoint} service area`).addTo(map);
+        
+        layers.push(area);
+    }
+    
+    if (station.latitude && station.longitude) {
+        // Use default Leaflet marker but customize the icon
+        const markerIcon = L.icon({
+            iconUrl: `https://raw.githubusercontent.com/pointhi/leaflet-color-markers/master/img/marker-icon-${getStationMarkerColor(station)}.png`,
+            shadowUrl: 'https://cdnjs.cloudflare.com/ajax/libs/leaflet/1.7.1/images/marker-shadow.png',
+            iconSize: [25, 41],
+            iconAnchor: [12, 41],
+            popupAnchor: [1, -34],
+            shadowSize: [41, 41]
+        });
+        
+        const marker = L.marker([station.latitude, station.longitude], {
+            icon: markerIcon
+        }).addTo(map);
+        
+        // Only add range rings for active stations; the fallback station has no coverage area
+        if (station.active && station.coverageMeters && !station.isFallback) {
+            // Stations are only selected for rovers within this circle
+            const coverageCircle = L.circle([station.latitude, station.longitude], {
+                color: 'blue',
+                fillColor: '#39f',
+                fillOpacity: 0.1,
+                radius: station.coverageMeters
+            }).addTo(map);
+            
+            layers.push(coverageCircle);
+        } else if (station.active && !station.isFallback) {
+            // Add 10km green circle around station
+            const circle10km = L.circle([station.latitude, station.longitude], {
+                color: 'green',
+                fillColor: '#3f3',
+                fillOpacity: 0.1,
+                radius: 10000 // 10km in meters
+            }).addTo(map);
+            
+            // Add 20km orange circle around station
+            const circle20km = L.circle([station.latitude, station.longitude], {
+                color: 'orange',
+                fillColor: '#fa3',
+                fillOpacity: 0.1,
+                radius: 20000 // 20km in meters
+            }).addTo(map);
+            
+            layers.push(circle10km);
+            layers.push(circle20km);
+        }
+        marker.bindPopup(`
+            <strong>${station.mountPoint}</strong><br>
+            ${station.casterHost}:${station.casterPort}<br>
+            Status: ${station.active ? 'Active' : 'Inactive'}<br>
+            Health: ${formatStationHealth(station.health)}<br>
+            Coverage: ${formatStationCoverage(station)}
+        `);
+        
+        layers.push(marker);
+    }
+    
+    // Store the layers for later removal
+    stationMarkers.set(station.mountPoint, layers);
+}
+
 /**
  * Update the client markers on the map
  */
 async function updateClientMarkers() {
     try {
-        const response = await fetch('/api/connections');
+        const response = await fetch('/api/connections?limit=1000');
         if (!response.ok) throw new Error('Failed to fetch connections');
         
-        const connections = await response.json();
+        const { connections } = await response.json();
         
-        // Clear existing client markers
-        clientMarkers.forEach(marker => marker.remove());
-        clientMarkers = [];
-        
-        // Add markers for each client
-        connections.forEach(conn => {
-            if (conn.latitude && conn.longitude) {
-                // Use a blue marker for clients
-                const clientIcon = L.icon({
-                    iconUrl: 'https://raw.githubusercontent.com/pointhi/leaflet-color-markers/master/img/marker-icon-blue.png',
-                    shadowUrl: 'https://cdnjs.cloudflare.com/ajax/libs/leaflet/1.7.1/images/marker-shadow.png',
-                    iconSize: [25, 41],
-                    iconAnchor: [12, 41],
-                    popupAnchor: [1, -34],
-                    shadowSize: [41, 41]
-                });
-                
-                const marker = L.marker([conn.latitude, conn.longitude], {
-                    icon: clientIcon
-                }).addTo(map);
-                
-                // Include fix quality and satellites in the popup
-                marker.bindPopup(`
-                    <strong>Client ID:</strong> ${conn.id.substring(0, 8)}...<br>
-                    <strong>IP:</strong> ${conn.clientIp}<br>
-                    <strong>Current Station:</strong> ${conn.currentStation || '-'}<br>
-                    <strong>Fix Quality:</strong> ${getFixQualityText(conn.fixQuality)}<br>
-                    <strong>Satellites:</strong> ${conn.numSatellites !== undefined ? conn.numSatellites : '-'}<br>
-                    <strong>Data Sent:</strong> ${formatBytes(conn.bytesSent)}<br>
-                    <strong>Data Received:</strong> ${formatBytes(conn.bytesReceived)}
-                `);
-                
-                clientMarkers.push(marker);
+        // Remove the markers of connections that are no longer listed
+        Array.from(clientMarkers.keys()).forEach(id => {
+            if (!connections.some(conn => conn.id === id)) {
+                clientMarkers.get(id).remove();
+                clientMarkers.delete(id);
             }
         });
+        
+        connections.forEach(updateClientMarker);
     } catch (error) {
         console.error('Error updating client markers:', error);
     }
 }
 
+/**
+ * Add, move or remove the marker of a client
+ * 
+ * Existing markers are moved rather than replaced, so an open popup stays open.
+ * 
+ * @param {Object} conn - The connection from /api/connections
+ */
+function updateClientMarker(conn) {
+    let marker = clientMarkers.get(conn.id);
+    
+    if (!conn.latitude || !conn.longitude) {
+        if (marker) {
+            marker.remove();
+            clientMarkers.delete(conn.id);
+        }
+        return;
+    }
+    
+    if (marker) {
+        marker.setLatLng([conn.latitude, conn.longitude]);
+    } else {
+        // Use a blue marker for clients
+        const clientIcon = L.icon({
+            iconUrl: 'https://raw.githubusercontent.com/pointhi/leaflet-color-markers/master/img/marker-icon-blue.png',
+            shadowUrl: 'https://cdnjs.cloudflare.com/ajax/libs/leaflet/1.7.1/images/marker-shadow.png',
+            iconSize: [25, 41],
+            iconAnchor: [12, 41],
+            popupAnchor: [1, -34],
+            shadowSize: [41, 41]
+        });
+        
+        marker = L.marker([conn.latitude, conn.longitude], {
+            icon: clientIcon
+        }).bindPopup('').addTo(map);
+        
+        clientMarkers.set(conn.id, marker);
+    }
+    
+    // Include fix quality and satellites in the popup
+    marker.setPopupContent(`
+        <strong>Client ID:</strong> ${conn.id.substring(0, 8)}...<br>
+        <strong>IP:</strong> ${conn.clientIp}<br>
+        <strong>User:</strong> ${conn.user ? escapeHtml(conn.user) : '-'}<br>
+        <strong>Current Station:</strong> ${conn.currentStation || '-'}<br>
+        ${conn.lastError ? `<strong>Last Error:</strong> ${conn.lastError.station} (${conn.lastError.reason}) ${escapeHtml(conn.lastError.message)}<br>` : ''}
+        <strong>Fix Quality:</strong> ${getFixQualityText(conn.fixQuality)}<br>
+        <strong>Satellites:</strong> ${conn.numSatellites !== undefined ? conn.numSatellites : '-'}<br>
+        <strong>Data Sent:</strong> ${formatBytes(conn.bytesSent)}<br>
+        <strong>Data Received:</strong> ${formatBytes(conn.bytesReceived)}
+    `);
+}
+
 /**
  * Update server info without refreshing the config editor
  * 
@@ -547,20 +1229,7 @@ async function updateServerInfoWithoutConfigRefresh() {
         const response = await fetch('/api/info');
         if (!response.ok) throw new Error('Failed to fetch server info');
         
-        const data = await response.json();
-        
-        // Format and display server information
-        const uptime = formatUptime(data.uptime);
-        const memoryUsage = formatMemoryUsage(data.memoryUsage);
-        
-        document.getElementById('serverInfo').innerHTML = `
-            <strong>NearTRIP v${data.version}</strong> | 
-            Node ${data.nodeVersion} | 
-            Uptime: ${uptime} | 
-            Memory: ${memoryUsage} | 
-            Mount Point: ${data.config.mountPoint} | 
-            Stations: ${data.config.stations.length}
-        `;
+        renderServerInfo(await response.json());
     } catch (error) {
         console.error('Error updating server info:', error);
     }
@@ -582,6 +1251,141 @@ async function loadConfigEditor() {
         console.error('Error loading configuration:', error);
         document.getElementById('configEditor').value = `Error loading configuration: ${error.message}`;
     }
+    loadConfigHistory();
+}
+
+/**
+ * Escape text for use in HTML
+ * 
+ * @param {*} value - The text
+ * @returns {string} The escaped text
+ */
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Load the list of saved configuration versions
+ */
+async function loadConfigHistory() {
+    const tableBody = document.querySelector('#configHistoryTable tbody');
+    try {
+        const response = await fetch('/api/config/history');
+        if (!response.ok) throw new Error('Failed to fetch configuration history');
+        
+        const versions = await response.json();
+        if (versions.length === 0) {
+            tableBody.innerHTML = '<tr><td colspan="5" class="text-center">No versions saved yet</td></tr>';
+            return;
+        }
+        
+        tableBody.innerHTML = versions.map((version, index) => `
+            <tr>
+                <td>${version.version}${index === 0 ? ' <span class="badge bg-success">latest</span>' : ''}</td>
+                <td class="text-nowrap">${new Date(version.savedAt).toLocaleString()}</td>
+                <td>${version.user ? escapeHtml(version.user) : '<span class="text-muted">on disk</span>'}</td>
+                <td>${escapeHtml(version.summary || '')}</td>
+                <td class="text-nowrap">
+                    <button class="btn btn-sm btn-outline-secondary config-diff-btn" data-version="${version.version}">Diff</button>
+                    <button class="btn btn-sm btn-outline-warning config-rollback-btn" data-version="${version.version}">Roll Back</button>
+                </td>
+            </tr>
+        `).join('');
+        
+        tableBody.querySelectorAll('.config-diff-btn').forEach(button => {
+            button.addEventListener('click', () => showConfigDiff(Number(button.dataset.version)));
+        });
+        tableBody.querySelectorAll('.config-rollback-btn').forEach(button => {
+            button.addEventListener('click', () => rollbackConfig(Number(button.dataset.version)));
+        });
+    } catch (error) {
+        console.error('Error loading configuration history:', error);
+        tableBody.innerHTML = `<tr><td colspan="5" class="text-center text-danger">Error loading configuration history: ${error.message}</td></tr>`;
+    }
+}
+
+/**
+ * Format a configuration value for the diff table
+ * 
+ * @param {*} value - The value, undefined if the field does not exist
+ * @returns {string} HTML for the value
+ */
+function formatConfigValue(value) {
+    if (value === undefined) {
+        return '<span class="text-muted">(not set)</span>';
+    }
+    return `<code>${escapeHtml(JSON.stringify(value))}</code>`;
+}
+
+/**
+ * Show how the current configuration differs from a saved version
+ * 
+ * @param {number} version - The version number
+ */
+async function showConfigDiff(version) {
+    const container = document.getElementById('configDiff');
+    const tableBody = document.querySelector('#configDiffTable tbody');
+    container.classList.remove('d-none');
+    document.getElementById('configDiffTitle').textContent = `Changes since version ${version}`;
+    tableBody.innerHTML = '<tr><td colspan="3" class="text-center">Loading...</td></tr>';
+    
+    try {
+        const response = await fetch(`/api/config/history/${version}/diff`);
+        if (!response.ok) {
+            const errorData = await response.json();
+            throw new Error(errorData.error || 'Failed to compare configuration');
+        }
+        
+        const { changes } = await response.json();
+        if (changes.length === 0) {
+            tableBody.innerHTML = '<tr><td colspan="3" class="text-center">The current configuration is the same</td></tr>';
+            return;
+        }
+        
+        tableBody.innerHTML = changes.map(change => `
+            <tr class="${change.type === 'added' ? 'table-success' : change.type === 'removed' ? 'table-danger' : ''}">
+                <td><code>${escapeHtml(change.path)}</code></td>
+                <td>${formatConfigValue(change.before)}</td>
+                <td>${formatConfigValue(change.after)}</td>
+            </tr>
+        `).join('');
+    } catch (error) {
+        console.error('Error comparing configuration:', error);
+        tableBody.innerHTML = `<tr><td colspan="3" class="text-center text-danger">Error comparing configuration: ${error.message}</td></tr>`;
+    }
+}
+
+/**
+ * Make a saved configuration version the current configuration
+ * 
+ * @param {number} version - The version number
+ */
+async function rollbackConfig(version) {
+    if (!confirm(`Roll back to configuration version ${version}? The current configuration stays in the history.`)) {
+        return;
+    }
+    
+    try {
+        const response = await fetch(`/api/config/history/${version}/rollback`, {
+            method: 'POST'
+        });
+        
+        if (!response.ok) {
+            const errorData = await response.json();
+            throw new Error(describeErrors(errorData, 'Failed to roll back configuration'));
+        }
+        
+        document.getElementById('configDiff').classList.add('d-none');
+        loadStations();
+        loadServerInfo();
+    } catch (error) {
+        console.error('Error rolling back configuration:', error);
+        alert(`Error rolling back configuration: ${error.message}`);
+    }
 }
 
 /**
@@ -611,7 +1415,7 @@ async function saveFullConfig() {
         
         if (!response.ok) {
             const errorData = await response.json();
-            throw new Error(errorData.message || 'Failed to save configuration');
+            throw new Error(describeErrors(errorData, 'Failed to save configuration'));
         }
         
         alert('Configuration saved successfully');
@@ -639,7 +1443,7 @@ async function resetToDefaultConfig() {
         
         if (!response.ok) {
             const errorData = await response.json();
-            throw new Error(errorData.message || 'Failed to reset configuration');
+            throw new Error(errorData.error || 'Failed to reset configuration');
         }
         
         alert('Configuration reset to defaults');
@@ -664,10 +1468,11 @@ async function reloadConfig() {
         
         if (!response.ok) {
             const errorData = await response.json();
-            throw new Error(errorData.message || 'Failed to reload configuration');
+            throw new Error(describeErrors(errorData, 'Failed to reload configuration'));
         }
         
-        alert('Configuration reloaded successfully');
+        const data = await response.json();
+        alert(`Configuration reloaded successfully${describeReloadSummary(data.summary)}`);
         
         // Reload the server info to reflect changes
         loadServerInfo();
@@ -677,6 +1482,30 @@ async function reloadConfig() {
     }
 }
 
+/**
+ * Describe what a configuration reload did to the live sessions
+ * 
+ * @param {Object|null} summary - The reload summary from the server
+ * @returns {string} The description, empty without a summary
+ */
+function describeReloadSummary(summary) {
+    if (!summary) {
+        return '';
+    }
+    
+    const lines = [`\n\n${summary.sessions.affected.length} of ${summary.sessions.total} session(s) affected`];
+    summary.sessions.affected.forEach(({ client, station, action }) => {
+        lines.push(`- ${client} on ${station || 'no station'}: ${action}`);
+    });
+    if (summary.changes.listener) {
+        lines.push(`Listener moved to ${summary.changes.listener.interface}:${summary.changes.listener.port}`);
+    }
+    if (summary.changes.restartRequired.length > 0) {
+        lines.push(`Restart the server to apply ${summary.changes.restartRequired.join(', ')}`);
+    }
+    return lines.join('\n');
+}
+
 /**
  * Edit a station
  * 
@@ -698,13 +1527,67 @@ function editStation(station) {
     // Store original mount point for reference in case it changes
     document.getElementById('originalMountPoint').value = station.mountPoint;
     
+    clearStationErrors();
     stationModal.show();
 }
 
+// Station form inputs by configuration field
+const STATION_FIELD_INPUTS = {
+    mountPoint: 'stationMountPoint',
+    casterHost: 'stationCasterHost',
+    casterPort: 'stationCasterPort',
+    password: 'stationPassword',
+    latitude: 'stationLatitude',
+    longitude: 'stationLongitude'
+};
+
+/**
+ * Describe the error response of a configuration change, one line per invalid field
+ * 
+ * @param {Object} errorData - The response body: { error, field, errors }
+ * @param {string} fallback - Message if the response has none
+ * @returns {string} The description
+ */
+function describeErrors(errorData, fallback) {
+    if (!errorData.errors || errorData.errors.length === 0) {
+        return errorData.error || fallback;
+    }
+    return errorData.errors.map(({ field, message }) => `\n${field}: ${message}`).join('');
+}
+
+/**
+ * Remove the field errors from the station form
+ */
+function clearStationErrors() {
+    Object.values(STATION_FIELD_INPUTS).forEach(id => {
+        document.getElementById(id).classList.remove('is-invalid');
+    });
+}
+
+/**
+ * Show field errors next to the station form inputs
+ * 
+ * @param {Array<Object>} errors - The problems found: { field, message }, with fields like `stations[2].latitude`
+ * @returns {Array<Object>} The errors that do not belong to an input of the form
+ */
+function showStationErrors(errors) {
+    return errors.filter(({ field, message }) => {
+        const name = String(field).replace(/^stations\[\d+\]\./, '').split(/[.[]/)[0];
+        const input = STATION_FIELD_INPUTS[name] && document.getElementById(STATION_FIELD_INPUTS[name]);
+        if (!input) {
+            return true;
+        }
+        input.classList.add('is-invalid');
+        input.parentElement.querySelector('.invalid-feedback').textContent = message;
+        return false;
+    });
+}
+
 /**
  * Save a station (add or edit)
  */
 async function saveStation() {
+    clearStationErrors();
     try {
         const formAction = document.getElementById('formAction').value;
         const originalMountPoint = document.getElementById('originalMountPoint').value;
@@ -746,7 +1629,14 @@ async function saveStation() {
         
         if (!response.ok) {
             const errorData = await response.json();
-            throw new Error(errorData.message || 'Failed to save station');
+            // Problems with a field of the form are shown next to it
+            const otherErrors = showStationErrors(errorData.errors || []);
+            if (errorData.errors && otherErrors.length === 0) {
+                return;
+            }
+            throw new Error(otherErrors.length > 0
+                ? describeErrors({ errors: otherErrors }, errorData.error)
+                : errorData.error || 'Failed to save station');
         }
         
         stationModal.hide();
@@ -761,6 +1651,93 @@ async function saveStation() {
     }
 }
 
+/**
+ * Let the user pick a GeoJSON file and upload it as a station's service area
+ * 
+ * @param {string} mountPoint - The mount point of the station
+ */
+function chooseServiceAreaFile(mountPoint) {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.geojson,.json,application/geo+json,application/json';
+    input.addEventListener('change', () => {
+        if (input.files.length > 0) {
+            uploadServiceArea(mountPoint, input.files[0]);
+        }
+    });
+    input.click();
+}
+
+/**
+ * Upload a GeoJSON file as a station's service area
+ * 
+ * @param {string} mountPoint - The mount point of the station
+ * @param {File} file - The GeoJSON file
+ */
+async function uploadServiceArea(mountPoint, file) {
+    try {
+        let geojson;
+        try {
+            geojson = JSON.parse(await file.text());
+        } catch (error) {
+            throw new Error(`${file.name} is not valid JSON`);
+        }
+        
+        const response = await fetch(`/api/stations/${encodeURIComponent(mountPoint)}/service-area`, {
+            method: 'PUT',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(geojson)
+        });
+        
+        if (!response.ok) {
+            const errorData = await response.json();
+            throw new Error(errorData.field ? `${errorData.error} (${errorData.field})` : errorData.error);
+        }
+        
+        loadStations();
+        
+        if (map) {
+            updateStationMarkers();
+        }
+    } catch (error) {
+        console.error('Error uploading service area:', error);
+        alert(`Error uploading service area: ${error.message}`);
+    }
+}
+
+/**
+ * Remove a station's service area
+ * 
+ * @param {string} mountPoint - The mount point of the station
+ */
+async function removeServiceArea(mountPoint) {
+    if (!confirm(`Remove the service area of station "${mountPoint}"? It will then serve rovers anywhere in range.`)) {
+        return;
+    }
+    
+    try {
+        const response = await fetch(`/api/stations/${encodeURIComponent(mountPoint)}/service-area`, {
+            method: 'DELETE'
+        });
+        
+        if (!response.ok) {
+            const errorData = await response.json();
+            throw new Error(errorData.error || 'Failed to remove service area');
+        }
+        
+        loadStations();
+        
+        if (map) {
+            updateStationMarkers();
+        }
+    } catch (error) {
+        console.error('Error removing service area:', error);
+        alert(`Error removing service area: ${error.message}`);
+    }
+}
+
 /**
  * Delete a station
  * 
@@ -778,7 +1755,7 @@ async function deleteStation(mountPoint) {
         
         if (!response.ok) {
             const errorData = await response.json();
-            throw new Error(errorData.message || 'Failed to delete station');
+            throw new Error(errorData.error || 'Failed to delete station');
         }
         
         loadStations();
@@ -1,13 +1,16 @@
 #!/bin/sh
 
+# The configuration file, in the config volume unless NEARTRIP_CONFIG says otherwise
+export NEARTRIP_CONFIG="${NEARTRIP_CONFIG:-/app/config/config.json}"
+
 # Ensure config directory exists
-mkdir -p /app/config
+mkdir -p "$(dirname "$NEARTRIP_CONFIG")"
 
-# If config.json doesn't exist in the volume, copy the sample
-if [ ! -f /app/config/config.json ]; then
-    echo "No config.json found in volume, copying sample..."
+# If the config file doesn't exist in the volume, copy the sample
+if [ ! -f "$NEARTRIP_CONFIG" ]; then
+    echo "No config file found at $NEARTRIP_CONFIG, copying sample..."
     if [ -f /app/config.json.sample ]; then
-        cp /app/config.json.sample /app/config/config.json
+        cp /app/config.json.sample "$NEARTRIP_CONFIG"
     else
         echo "Warning: No config.json.sample found, creating minimal config..."
         echo '{
@@ -18,15 +21,15 @@ if [ ! -f /app/config/config.json ]; then
     "mountPoint": "NEAR-Default",
     "userAgent": "NearTRIP/1.0",
     "adminPort": 3000,
-    "adminUser": "admin",
+    "adminUsername": "admin",
     "adminPassword": "admin",
     "stations": []
-}' > /app/config/config.json
+}' > "$NEARTRIP_CONFIG"
     fi
 fi
 
 # Create symlink to maintain compatibility with existing code
-ln -sf /app/config/config.json /app/config.json
+ln -sf "$NEARTRIP_CONFIG" /app/config.json
 
 # Start the application
 exec "$@"
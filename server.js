@@ -12,19 +12,35 @@ const path = require('path');
 const crypto = require('crypto');
 const gps = require('./utils/gps');
 const ntrip = require('./utils/ntrip');
+const auth = require('./utils/auth');
+const { createRequestParser } = require('./utils/requestParser');
+const switching = require('./utils/switching');
+const reconnect = require('./utils/reconnect');
+const coverage = require('./utils/coverage');
+const serviceArea = require('./utils/serviceArea');
+const timeline = require('./utils/timeline');
+const stationHealth = require('./utils/stationHealth');
+const stationPosition = require('./utils/stationPosition');
+const rtcm = require('./utils/rtcm');
+const { createUpstreamPool } = require('./utils/upstreamPool');
+const { createHealthProber } = require('./utils/healthProber');
+const { CasterTimeoutError, CasterResponseError } = require('./utils/errors');
 const logger = require('./utils/logger');
 const configManager = require('./utils/config');
-const { NTRIP, FILES, HTTP } = require('./utils/constants');
+const configChanges = require('./utils/configChanges');
+const { NTRIP, NMEA, FILES, HTTP } = require('./utils/constants');
 const adminServer = require('./admin/adminServer');
+const metrics = require('./utils/metrics');
 
 // Load configuration
 let config;
 try {
-    config = configManager.getConfig();
+    // Settings from the environment and flags override the configuration file
+    config = configManager.configure({ argv: process.argv.slice(2) });
     logger.info('Configuration loaded successfully');
 } catch (error) {
     logger.error('Failed to load configuration:', error);
-    console.error('Error: Could not load config.json. Please ensure it exists and is valid JSON.');
+    console.error(`Error: Could not load the configuration. ${error.message}`);
     process.exit(1);
 }
 
@@ -34,105 +50,291 @@ if (!fs.existsSync(logsDir)) {
     fs.mkdirSync(logsDir, { recursive: true });
 }
 
+// Caster connections, shared by rovers on the same station
+const upstreamPool = createUpstreamPool();
+
+// Open client sessions by connection ID, re-evaluated when the configuration changes
+const sessions = new Map();
+
+// The NTRIP listener, replaced when its port or interface changes
+let ntripServer = null;
+
+// Count every caster connection's frames once in the station statistics, however many rovers it feeds
+upstreamPool.on('upstream', (upstream) => {
+    metrics.upstreamConnections.inc({ station: upstream.mountPoint });
+    metrics.upstreamConnectSeconds.observe({ station: upstream.mountPoint }, (Date.now() - upstream.openedAt) / 1000);
+    upstream.on('close', () => metrics.upstreamConnections.dec({ station: upstream.mountPoint }));
+    
+    const stationStats = adminServer.getStationStats(upstream.mountPoint);
+    upstream.on('frame', (frame) => stationStats.recordFrame(frame));
+    upstream.on('corrupt', (frame) => {
+        logger.debug(`Dropped RTCM ${rtcm.getMessageType(frame)} frame with bad CRC from ${upstream.mountPoint}`);
+        stationStats.recordCorrupt();
+    });
+    upstream.on('discard', (count) => stationStats.recordDiscard(count));
+
+    // Compare the broadcast antenna position with the configured one; network RTK
+    // streams (never shared) report a virtual station instead
+    if (upstream.shared) {
+        upstream.on('frame', (frame) => {
+            const point = rtcm.decodeReferencePoint(frame);
+            const station = point && config.stations.find(s => s.mountPoint === upstream.mountPoint);
+            if (station) {
+                stationPosition.recordReferencePoint(station, point, stationPosition.getPositionCheckSettings(config));
+            }
+        });
+    }
+});
+
+// Background station checks; stations rovers are streaming from are not probed
+const healthProber = createHealthProber({
+    getConfig: () => config,
+    getLastFrameAt: (station) => upstreamPool.getLastFrameAt(station),
+    isInUse: (station) => upstreamPool.isInUse(station)
+});
+
 /**
  * Handle client requests and route to appropriate handlers
  * 
  * @param {net.Socket} clientSocket - The client socket connection
  */
 function handleClient(clientSocket) {
-    let casterSocket = null;
-    let clientIp = clientSocket.remoteAddress;
-    let clientPort = clientSocket.remotePort;
+    const clientIp = clientSocket.remoteAddress;
+    const clientPort = clientSocket.remotePort;
     
     // Generate a unique ID for this connection
     const connectionId = crypto.randomUUID();
     
+    // Per-connection state shared by the handlers below
+    const session = {
+        id: connectionId,
+        clientSocket,
+        clientIp,
+        clientPort,
+        // Subscription to the correction stream that feeds the rover (see utils/upstreamPool)
+        upstream: null,
+        // New stream being set up during a make-before-break handover
+        pendingUpstream: null,
+        handoverInProgress: false,
+        // Set once the client has been granted access to the mountpoint, and when
+        mountpointAccepted: false,
+        mountpointAcceptedAt: 0,
+        // Latest known rover position, merged from all position sentences, and when it was received
+        lastPosition: null,
+        lastPositionAt: 0,
+        // Latest raw GGA sentence and when it was received, relayed to network RTK casters
+        lastGga: null,
+        lastGgaAt: 0,
+        // When the current station was selected, for the switching dwell time
+        stationSelectedAt: 0,
+        // Failed attempts on the current upstream station and the pending retry, if any
+        reconnectAttempts: 0,
+        reconnectTimer: null,
+        bytesSent: 0,
+        // Statistics of the RTCM frames forwarded to this client
+        rtcmStats: rtcm.createStreamStats(),
+        // Stations the rover received corrections from, in order: { mountPoint, since }
+        stationsUsed: [],
+        // Number of positions reported per GGA fix quality
+        fixQualityCounts: {},
+        // Watches the correction data rate while streaming, for the timeline
+        byteRateMonitor: timeline.createByteRateMonitor(),
+        byteRateTimer: null,
+        // Stations to move off once the handover in progress is done, after a configuration change
+        stationsToLeave: null,
+        // While the credentials are checked, and the latest NMEA sentence received meanwhile
+        authenticating: false,
+        sentenceBeforeAccept: null,
+        closed: false
+    };
+    sessions.set(connectionId, session);
+    
     // Track the connection in admin interface
     adminServer.trackConnection(connectionId, {
         clientIp: clientIp,
         clientPort: clientPort,
         latitude: null,
         longitude: null,
-        currentStation: null
+        currentStation: null,
+        user: null,
+        rtcm: session.rtcmStats
     });
+    metrics.activeClients.inc();
     
-    logger.info(`Client connected from ${clientIp}:${clientPort} [${connectionId}]`);    // Track data received from client
-    let receivedBytes = 0;
-    clientSocket.on('data', async (data) => {
-        // Update received bytes count
-        receivedBytes += data.length;
-        adminServer.updateConnection(connectionId, { bytesReceived: receivedBytes });
-        
-        const request = data.toString().trim();
-
+    adminServer.recordConnectionEvent(connectionId, timeline.TIMELINE_EVENTS.CONNECTED, { clientIp, clientPort });
+    logger.info(`Client connected from ${clientIp}:${clientPort} [${connectionId}]`);
+    
+    // Split the client byte stream into the request head and NMEA sentences
+    const parser = createRequestParser();
+    
+    parser.on('request', async (request) => {
         try {
             // Handle NTRIP sourcetable request
-            if (request.startsWith(NTRIP.REQUEST_TYPES.ROOT)) {
+            if (request.method === NTRIP.REQUEST_TYPES.GET && request.path === NTRIP.ROOT_PATH) {
                 logger.debug(`Sourcetable request from ${clientIp}:${clientPort}`);
                 const response = ntrip.generateSourcetableResponse(config.mountPoint);
                 clientSocket.write(response);
                 clientSocket.end();
-                return;
-            } 
-              // Handle GPGGA location data
-            else if (request.startsWith(NTRIP.REQUEST_TYPES.GPGGA)) {
-                handleGpggaRequest(request, clientSocket, casterSocket, connectionId)
-                    .then(newCasterSocket => {
-                        casterSocket = newCasterSocket;
-                    })
-                    .catch(error => {
-                        logger.error(`Error handling GPGGA request: ${error.message}`);
-                    });
             }
             
             // Handle mountpoint request
-            else if (request.startsWith(`${NTRIP.REQUEST_TYPES.MOUNTPOINT}${config.mountPoint}`)) {
+            else if (request.method === NTRIP.REQUEST_TYPES.GET && request.path === `/${config.mountPoint}`) {
+                if (auth.isAuthRequired(config)) {
+                    session.authenticating = true;
+                    const user = await auth.authenticate(request.headers.authorization, config);
+                    session.authenticating = false;
+                    
+                    if (session.closed) {
+                        return;
+                    }
+                    if (!user) {
+                        logger.warn(`Authentication failed for ${clientIp}:${clientPort} on mountpoint ${config.mountPoint}`);
+                        metrics.authFailures.inc();
+                        clientSocket.end(ntrip.generateUnauthorizedResponse(config.mountPoint, request.ntripVersion === 2));
+                        return;
+                    }
+                    
+                    logger.info(`Client ${clientIp}:${clientPort} authenticated as ${user}`);
+                    adminServer.updateConnection(connectionId, { user });
+                }
+                
+                session.mountpointAccepted = true;
+                session.mountpointAcceptedAt = Date.now();
                 logger.info(`Client connected to mountpoint: ${config.mountPoint}`);
                 clientSocket.write(`${HTTP.RESPONSE_TYPES.ICY} ${HTTP.OK_STATUS} ${HTTP.OK_MESSAGE}\r\n\r\n`);
-            } 
+                
+                if (session.sentenceBeforeAccept) {
+                    handleSentence(session.sentenceBeforeAccept);
+                    session.sentenceBeforeAccept = null;
+                }
+            }
             
             // Handle unknown requests
             else {
-                logger.warn(`Unknown request from ${clientIp}:${clientPort}: ${request.substring(0, 100)}`);
+                logger.warn(`Unknown request from ${clientIp}:${clientPort}: ${request.method} ${request.path.substring(0, 100)}`);
                 clientSocket.end();
             }
         } catch (error) {
             logger.error(`Error processing client request: ${error.message}`);
             clientSocket.end();
         }
-    });    clientSocket.on('end', () => {
-        logger.info(`Client disconnected: ${clientIp}:${clientPort} [${connectionId}]`);
-        if (casterSocket) {
-            logger.debug('Closing caster connection');
-            casterSocket.end();
+    });
+    
+    /**
+     * Handle an NMEA sentence from the client
+     * 
+     * @param {string} sentence - The sentence
+     */
+    function handleSentence(sentence) {
+        // Handle GGA/RMC/GNS location data from any talker
+        if (NMEA.POSITION_SENTENCE_PATTERN.test(sentence)) {
+            try {
+                handlePositionSentence(sentence, session);
+            } catch (error) {
+                logger.error(`Error handling position sentence: ${error.message}`);
+            }
+        } else {
+            logger.debug(`Ignoring NMEA sentence from ${clientIp}:${clientPort}: ${sentence.substring(0, 6)}`);
+        }
+    }
+    
+    parser.on('nmea', (sentence) => {
+        // Rovers often send their position along with the request, keep the latest for when they are accepted
+        if (session.authenticating) {
+            session.sentenceBeforeAccept = sentence;
+            return;
+        }
+        // Only accept position data from clients streaming from the mountpoint
+        if (!session.mountpointAccepted || session.closed) {
+            return;
         }
+        handleSentence(sentence);
+    });
+    
+    parser.on('invalid', (line) => {
+        logger.warn(`Unknown request from ${clientIp}:${clientPort}: ${line.substring(0, 100)}`);
+        clientSocket.end();
+    });
+    
+    parser.on('error', (error) => {
+        logger.warn(`Invalid data from ${clientIp}:${clientPort}: ${error.message}`);
+        clientSocket.end();
+    });
+    
+    // Track data received from client
+    let receivedBytes = 0;
+    clientSocket.on('data', (data) => {
+        // Update received bytes count
+        receivedBytes += data.length;
+        adminServer.updateConnection(connectionId, { bytesReceived: receivedBytes });
+        metrics.bytesReceived.inc({}, data.length);
         
-        // Remove connection from tracking
-        adminServer.removeConnection(connectionId);
+        parser.push(data);
+    });
+
+    clientSocket.on('end', () => {
+        logger.info(`Client disconnected: ${clientIp}:${clientPort} [${connectionId}]`);
+        closeSession(session);
     });
 
     clientSocket.on('error', (error) => {
         logger.error(`Client socket error (${clientIp}:${clientPort} [${connectionId}]):`, error);
         clientSocket.end();
-        if (casterSocket) {
-            casterSocket.end();
-        }
-        
-        // Remove connection from tracking
-        adminServer.removeConnection(connectionId);
+        closeSession(session);
     });
 }
 
 /**
- * Handle GPGGA NMEA sentence from client
+ * Release the upstream connection of a client session and mark it disconnected
  * 
- * @param {string} request - The GPGGA request string
- * @param {net.Socket} clientSocket - The client socket
- * @param {net.Socket} currentCasterSocket - The current caster socket (if any)
- * @param {string} connectionId - The unique ID for this connection
- * @returns {Promise<net.Socket>} The new or existing caster socket
+ * @param {Object} session - The client session
+ */
+function closeSession(session) {
+    if (session.closed) {
+        return;
+    }
+    session.closed = true;
+    
+    adminServer.recordConnectionEvent(session.id, timeline.TIMELINE_EVENTS.DISCONNECTED, {
+        station: session.upstream ? session.upstream.mountPoint : null,
+        bytesSent: session.bytesSent
+    });
+    
+    if (session.reconnectTimer) {
+        clearTimeout(session.reconnectTimer);
+        session.reconnectTimer = null;
+    }
+    
+    clearInterval(session.byteRateTimer);
+    session.byteRateTimer = null;
+    
+    if (session.upstream) {
+        logger.debug('Releasing caster connection');
+        session.upstream.release();
+        session.upstream = null;
+    }
+    
+    // Abandon a handover in progress
+    if (session.pendingUpstream) {
+        session.pendingUpstream.release();
+        session.pendingUpstream = null;
+    }
+    
+    // Remove connection from tracking
+    sessions.delete(session.id);
+    adminServer.removeConnection(session.id);
+    metrics.activeClients.dec();
+}
+
+/**
+ * Handle an NMEA position sentence (GGA, RMC or GNS) from client
+ * 
+ * @param {string} request - The NMEA sentence
+ * @param {Object} session - The client session; its caster socket is replaced when switching stations
  */
-async function handleGpggaRequest(request, clientSocket, currentCasterSocket, connectionId) {
+function handlePositionSentence(request, session) {
+    const connectionId = session.id;
+    
     // Log NMEA message to the global log
     const nmeaLogPath = path.join(logsDir, 'nmea.log');
     fs.appendFile(nmeaLogPath, request + '\n', (err) => {
@@ -143,112 +345,827 @@ async function handleGpggaRequest(request, clientSocket, currentCasterSocket, co
     
     // Also log to connection-specific NMEA log
     adminServer.logConnectionNMEA(connectionId, request);
-      // Parse GPGGA message
-    const nmeaMessage = gps.parseGPGGA(request);
+    
+    // Parse position message
+    const nmeaMessage = gps.parsePositionSentence(request);
 
     if (!nmeaMessage || !nmeaMessage.latitude || !nmeaMessage.longitude) {
-        logger.warn('Invalid or incomplete GPGGA message');
-        return currentCasterSocket;
+        logger.warn('Invalid or incomplete position sentence');
+        metrics.nmeaParseErrors.inc({ sentence: request.substring(3, 6) });
+        return;
     }
-      const user_lat = nmeaMessage.latitude;
+    
+    const user_lat = nmeaMessage.latitude;
     const user_lon = nmeaMessage.longitude;
-    const fixQuality = nmeaMessage.fixQuality;
-    const numSatellites = nmeaMessage.numSatellites;
 
-    logger.info(`User location: ${user_lat.toFixed(6)}, ${user_lon.toFixed(6)}`);
+    logger.info(`User location: ${user_lat.toFixed(6)}, ${user_lon.toFixed(6)} (${nmeaMessage.talker}${nmeaMessage.sentenceType})`);
+    
+    recordPositionEvents(session, nmeaMessage);
+    
+    // Remember the position for relaying to network RTK casters
+    // (RMC sentences carry no satellite count or altitude, so keep the last known ones)
+    const knownFields = Object.fromEntries(Object.entries(nmeaMessage).filter(([, value]) => value !== null));
+    session.lastPosition = { ...session.lastPosition, ...knownFields };
+    session.lastPositionAt = Date.now();
+    if (nmeaMessage.sentenceType === NMEA.SENTENCE_TYPES.GGA) {
+        session.lastGga = request;
+        session.lastGgaAt = Date.now();
+    }
     
     // Update connection tracking with current location, fix quality and satellites count
-    adminServer.updateConnection(connectionId, {
+    const locationUpdate = {
         latitude: user_lat,
         longitude: user_lon,
-        fixQuality: fixQuality,
-        numSatellites: numSatellites
-    });
+        fixQuality: nmeaMessage.fixQuality
+    };
+    if (nmeaMessage.numSatellites !== null) {
+        locationUpdate.numSatellites = nmeaMessage.numSatellites;
+    }
+    session.fixQualityCounts[nmeaMessage.fixQuality] = (session.fixQualityCounts[nmeaMessage.fixQuality] || 0) + 1;
+    locationUpdate.fixQualityCounts = session.fixQualityCounts;
+    adminServer.updateConnection(connectionId, locationUpdate);
 
-    // Find closest station
-    const closestStation = gps.findClosestStation(user_lat, user_lon, config.stations);
+    selectStation(session, nmeaMessage.fixQuality);
+}
+
+/**
+ * Select the station for the last known position of a session and switch to it if needed
+ * 
+ * @param {Object} session - The client session, with a known position
+ * @param {number} fixQuality - The rover's GGA fix quality
+ * @param {boolean} [leaveCurrent=false] - Move off the current station even if it is still the best one,
+ *   because the configuration removed it or changed its caster settings
+ */
+function selectStation(session, fixQuality, leaveCurrent = false) {
+    // Find the closest station serving the rover, avoiding stations that are marked unhealthy unless none is left
+    const coveragePolicy = coverage.getCoveragePolicy(config);
+    const rankedStations = rankCandidateStations(session.lastPosition, coveragePolicy);
+    const closestStation = rankedStations.find(station => stationHealth.isHealthy(station.mountPoint)) ||
+        rankedStations[0];
+
+    // A handover or reconnect is already under way; the next position update re-evaluates
+    if (session.handoverInProgress || session.reconnectTimer) {
+        return;
+    }
 
     if (!closestStation) {
-        logger.warn('No suitable station found');
-        return currentCasterSocket;
+        handleOutOfRange(session, coveragePolicy, leaveCurrent);
+        return;
+    }
+
+    if (session.outOfRange) {
+        logger.info(`Client ${session.clientIp}:${session.clientPort} is back in range of ${closestStation.mountPoint}`);
+        session.outOfRange = false;
+        adminServer.updateConnection(session.id, { outOfRange: false });
+        adminServer.recordConnectionEvent(session.id, timeline.TIMELINE_EVENTS.BACK_IN_RANGE, {
+            station: closestStation.mountPoint
+        });
+    }
+
+    // Leave the fallback station, a station the rover moved out of range or out of the area of,
+    // or one the configuration change took away, without hysteresis
+    const { latitude, longitude } = session.lastPosition;
+    let currentStation = leaveCurrent ? null : getCurrentStation(session);
+    if (currentStation && (coverage.isFallbackStation(currentStation, coveragePolicy) ||
+        !gps.isWithinRange(currentStation, coveragePolicy.maxBaselineMeters) ||
+        !serviceArea.servesPosition(currentStation, latitude, longitude))) {
+        currentStation = null;
     }
 
     // Check if we need to connect to a new station
-    if (!currentCasterSocket || 
-        currentCasterSocket.mountPoint !== closestStation.mountPoint || 
-        currentCasterSocket.destroyed) {
+    const decision = switching.evaluateSwitch({
+        current: currentStation,
+        candidate: closestStation,
+        fixQuality,
+        selectedAt: session.stationSelectedAt
+    }, switching.getSwitchingPolicy(config));
+    
+    if (!decision.switch) {
+        if (decision.reason !== 'already_nearest') {
+            logger.debug(`Staying on ${session.upstream.mountPoint} instead of ${closestStation.mountPoint} (${decision.reason})`);
+        }
+        return;
+    }
+
+    startSwitch(session, closestStation, leaveCurrent ? 'config_changed' : decision.reason);
+}
+
+/**
+ * Rank the stations that may serve a rover, nearest first
+ * 
+ * Candidates are the stations whose service area contains the rover and
+ * that are within their coverage radius; the out-of-range fallback station
+ * is never a candidate.
+ * 
+ * @param {Object} position - The rover position
+ * @param {Object} coveragePolicy - The coverage policy
+ * @returns {Array<Object>} The candidate stations with their distance
+ */
+function rankCandidateStations(position, coveragePolicy) {
+    const stations = coverage.getSelectableStations(config.stations, coveragePolicy)
+        .filter(station => serviceArea.servesPosition(station, position.latitude, position.longitude));
+    return gps.rankStations(position.latitude, position.longitude, stations, {
+        maxBaselineMeters: coveragePolicy.maxBaselineMeters
+    });
+}
+
+/**
+ * Apply the configured out-of-range behavior to a rover that no station covers
+ * 
+ * @param {Object} session - The client session
+ * @param {Object} coveragePolicy - The coverage policy
+ * @param {boolean} [leaveCurrent=false] - Move off the current station, see selectStation
+ */
+function handleOutOfRange(session, coveragePolicy, leaveCurrent = false) {
+    if (!session.outOfRange) {
+        logger.warn(`No station in range of client ${session.clientIp}:${session.clientPort} (${coveragePolicy.outOfRange})`);
+        session.outOfRange = true;
+        adminServer.updateConnection(session.id, { outOfRange: true });
+        adminServer.recordConnectionEvent(session.id, timeline.TIMELINE_EVENTS.OUT_OF_RANGE, {
+            behavior: coveragePolicy.outOfRange
+        });
+    }
+    
+    if (coveragePolicy.outOfRange === coverage.OUT_OF_RANGE.NONE) {
+        if (session.upstream) {
+            logger.info(`Stopping corrections from ${session.upstream.mountPoint}, the rover is out of its range`);
+            releaseUpstream(session, 'out_of_range');
+        }
+        return;
+    }
+    
+    if (coveragePolicy.outOfRange === coverage.OUT_OF_RANGE.FALLBACK) {
+        const fallbackStation = coverage.getFallbackStation(config.stations, coveragePolicy);
+        if (fallbackStation) {
+            if (leaveCurrent || !hasUpstream(session) || session.upstream.mountPoint !== fallbackStation.mountPoint) {
+                startSwitch(session, withDistance(fallbackStation, session.lastPosition), leaveCurrent ? 'config_changed' : 'out_of_range');
+            }
+            return;
+        }
+        logger.warn(`Fallback station ${coveragePolicy.fallbackMountPoint} is not configured or inactive`);
+    }
+    
+    // OUT_OF_RANGE.KEEP: stay on the current station, if any, unless the configuration took it away
+    if (leaveCurrent && hasUpstream(session)) {
+        const station = config.stations.find(s => s.mountPoint === session.upstream.mountPoint && s.active !== false);
+        if (station) {
+            startSwitch(session, withDistance(station, session.lastPosition), 'config_changed');
+        } else {
+            logger.info(`Stopping corrections from ${session.upstream.mountPoint}, the station was removed or deactivated`);
+            releaseUpstream(session, 'config_changed');
+        }
+    }
+}
+
+/**
+ * Stop the correction stream of a session without connecting it to another station
+ * 
+ * @param {Object} session - The client session, with an upstream
+ * @param {string} reason - Why, for the timeline
+ */
+function releaseUpstream(session, reason) {
+    adminServer.recordConnectionEvent(session.id, timeline.TIMELINE_EVENTS.STATION_DISCONNECTED, {
+        station: session.upstream.mountPoint,
+        reason
+    });
+    session.upstream.release();
+    session.upstream = null;
+    adminServer.updateConnection(session.id, { currentStation: null });
+}
+
+/**
+ * Add the distance to the rover to a station
+ * 
+ * @param {Object} station - The station configuration
+ * @param {Object} position - The rover position
+ * @returns {Object} The station with `distance` in meters (null if the station has no coordinates)
+ */
+function withDistance(station, position) {
+    const hasCoordinates = !isNaN(station.latitude) && !isNaN(station.longitude);
+    return {
+        ...station,
+        distance: hasCoordinates
+            ? gps.calculateDistance(position.latitude, position.longitude, station.latitude, station.longitude)
+            : null
+    };
+}
+
+/**
+ * Start moving a session to a station in the background
+ * 
+ * @param {Object} session - The client session
+ * @param {Object} station - The station to move to, with its `distance` to the rover
+ * @param {string} reason - Why the switch happens, for the logs
+ */
+function startSwitch(session, station, reason) {
+    // Further position updates must not start a second handover while this one runs
+    session.handoverInProgress = true;
+    switchStation(session, station, reason)
+        .catch(error => {
+            logger.error(`Error switching to ${station.mountPoint}: ${error.message}`);
+        })
+        .finally(() => {
+            session.handoverInProgress = false;
+            
+            // The configuration changed during the handover, apply it now
+            const stationsToLeave = session.stationsToLeave;
+            session.stationsToLeave = null;
+            if (stationsToLeave) {
+                applyConfigToSession(session, stationsToLeave);
+            }
+        });
+}
+
+/**
+ * Schedule a new upstream connection after the session lost (or never got) its correction stream
+ * 
+ * The failed station is retried with exponential backoff. When the retries are
+ * used up it is marked unhealthy and the session falls back to the next nearest
+ * healthy station within the fallback baseline; if there is none, the nearest
+ * station is retried at the maximum delay.
+ * 
+ * @param {Object} session - The client session
+ * @param {Object} failedStation - The station whose connection failed
+ * @param {Error} error - The failure
+ */
+function scheduleReconnect(session, failedStation, error) {
+    if (session.closed || session.reconnectTimer || !session.lastPosition) {
+        return;
+    }
+    
+    const policy = reconnect.getReconnectPolicy(config);
+    const coveragePolicy = coverage.getCoveragePolicy(config);
+    const rankedStations = gps.rankStations(session.lastPosition.latitude, session.lastPosition.longitude, config.stations);
+    
+    // The failed station is retried even when out of range (kept or the fallback station)...
+    let sameStation = rankedStations.find(s => s.mountPoint === failedStation.mountPoint);
+    if (!sameStation && coverage.isFallbackStation(failedStation, coveragePolicy)) {
+        const fallbackStation = coverage.getFallbackStation(config.stations, coveragePolicy);
+        sameStation = fallbackStation ? withDistance(fallbackStation, session.lastPosition) : undefined;
+    }
+    
+    // ...but only stations serving the rover are fallen back to
+    const candidates = rankCandidateStations(session.lastPosition, coveragePolicy);
+    
+    session.reconnectAttempts++;
+    
+    let target = sameStation;
+    let reason = 'reconnect';
+    let delay = reconnect.getBackoffDelay(session.reconnectAttempts, policy);
+    
+    // Give up on the station once it used up its retries (or was removed or deactivated meanwhile)
+    if (!sameStation || session.reconnectAttempts > policy.maxRetries) {
+        if (sameStation) {
+            stationHealth.markUnhealthy(failedStation.mountPoint, error.reason || error.code || 'network', policy.unhealthySeconds * 1000);
+            logger.warn(`Station ${failedStation.mountPoint} marked unhealthy for ${policy.unhealthySeconds} seconds after ${session.reconnectAttempts} failed attempts`);
+        }
         
-        if (currentCasterSocket) {
-            logger.debug(`Closing connection to ${currentCasterSocket.mountPoint}`);
-            currentCasterSocket.end();
+        const fallback = reconnect.selectFallbackStation(candidates, failedStation.mountPoint, stationHealth.isHealthy, policy);
+        if (fallback) {
+            target = fallback;
+            reason = 'fallback';
+            delay = 0;
+            // The fallback station gets its own retries
+            session.reconnectAttempts = 0;
+        } else {
+            target = rankedStations[0];
+            delay = policy.maxDelaySeconds * 1000;
+        }
+    }
+    
+    if (!target) {
+        logger.warn(`No station left to reconnect client ${session.clientIp}:${session.clientPort} to`);
+        return;
+    }
+    
+    logger.info(`Connecting to ${target.mountPoint} in ${delay / 1000} seconds (${reason})`);
+    session.reconnectTimer = setTimeout(() => {
+        session.reconnectTimer = null;
+        // A handover still running reschedules if it fails
+        if (!session.closed && !session.handoverInProgress) {
+            startSwitch(session, target, reason);
         }
+    }, delay);
+}
 
-        logger.info(`Connecting to closest station: ${closestStation.mountPoint} (${closestStation.distance} meters away)`);
+/**
+ * Check whether a session still receives corrections from an open caster connection
+ * 
+ * @param {Object} session - The client session
+ * @returns {boolean} True if the current caster connection is open
+ */
+function hasUpstream(session) {
+    return Boolean(session.upstream && !session.upstream.closed);
+}
 
-        try {
-            const newCasterSocket = await ntrip.connectToNtripCaster(
-                closestStation.casterHost,
-                closestStation.casterPort,
-                closestStation.mountPoint,
-                closestStation.username,
-                closestStation.password,
-                config.userAgent
-            );            // Store mountPoint on socket for reference
-            newCasterSocket.mountPoint = closestStation.mountPoint;
+/**
+ * Move a session to a new station without interrupting its correction stream
+ * 
+ * Make-before-break: the new caster connection is opened while the rover keeps
+ * receiving corrections from the current one. The rover is moved over when the
+ * new stream delivers its first complete RTCM frame; output only ever switches
+ * between whole frames, after which the old connection is closed. If the new
+ * station fails, the rover simply stays on the current one.
+ * 
+ * @param {Object} session - The client session
+ * @param {Object} station - The station to move to
+ * @param {string} reason - Why the switch happens, for the logs
+ * @returns {Promise<void>} Resolves when the handover has completed or been abandoned
+ */
+async function switchStation(session, station, reason) {
+    const connectionId = session.id;
+    const previousMountPoint = hasUpstream(session) ? session.upstream.mountPoint : null;
+    
+    const distance = Number.isFinite(station.distance) ? `${station.distance} meters away, ` : '';
+    if (previousMountPoint) {
+        logger.info(`Switching from ${previousMountPoint} to ${station.mountPoint} (${distance}${reason})`);
+    } else {
+        logger.info(`Connecting to station: ${station.mountPoint} (${distance}${reason})`);
+    }
+
+    let upstream;
+    try {
+        upstream = await upstreamPool.acquire(station, {
+            userAgent: config.userAgent,
+            lingerSeconds: config.upstreamLingerSeconds,
+            // Network RTK casters may not answer before they know the rover position
+            gga: station.sendGga ? getUpstreamGga(session) : null
+        });
+    } catch (error) {
+        logger.error(`Failed to connect to caster ${station.mountPoint}:`, error);
+        recordCasterError(connectionId, station.mountPoint, error);
+        handleSwitchFailure(session, station, error);
+        return;
+    }
+    
+    // The client may have gone away while we were connecting
+    if (session.closed) {
+        upstream.release();
+        return;
+    }
+    
+    session.pendingUpstream = upstream;
+    
+    const firstFrame = new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+            reject(new CasterTimeoutError('No RTCM data received from new station'));
+        }, NTRIP.HANDOVER_TIMEOUT_MS);
+        
+        upstream.once('handover', () => {
+            clearTimeout(timer);
+            resolve();
+        });
+        upstream.once('close', () => {
+            clearTimeout(timer);
+            reject(new CasterResponseError('Caster closed the connection before sending corrections'));
+        });
+    });
+    
+    upstream.on('corrupt', () => {
+        if (session.upstream === upstream) {
+            session.rtcmStats.recordCorrupt();
+        }
+    });
+    
+    upstream.on('discard', (count) => {
+        if (session.upstream === upstream) {
+            session.rtcmStats.recordDiscard(count);
+        }
+    });
+    
+    // The rover only ever receives whole frames, so it can move between streams at any frame
+    const forward = (data, isFrame) => {
+        if (session.upstream !== upstream) {
+            // Data from a stream that is neither current nor the handover target is dropped
+            if (session.pendingUpstream !== upstream) {
+                return;
+            }
+            completeHandover(session, upstream, station, reason);
+        }
+        
+        if (!session.clientSocket.destroyed) {
+            if (session.bytesSent === 0) {
+                metrics.firstCorrectionSeconds.observe({}, (Date.now() - session.mountpointAcceptedAt) / 1000);
+            }
+            session.clientSocket.write(data);
+            session.bytesSent += data.length;
+            if (isFrame) {
+                session.rtcmStats.recordFrame(data);
+            }
             
-            // Update connection tracking with current station
+            // Update bytes sent in admin interface
             adminServer.updateConnection(connectionId, {
-                currentStation: closestStation.mountPoint
+                bytesSent: session.bytesSent
             });
-            
-            // Track data transfer for admin interface
-            let sentBytes = 0;
-            let receivedBytes = 0;
-            
-            // Forward data from caster to client
-            newCasterSocket.on('data', (data) => {
-                if (clientSocket && !clientSocket.destroyed) {
-                    clientSocket.write(data);
-                    sentBytes += data.length;
-                    
-                    // Update bytes sent in admin interface
-                    adminServer.updateConnection(connectionId, {
-                        bytesSent: sentBytes
-                    });
-                }
+            metrics.bytesSent.inc({ station: station.mountPoint }, data.length);
+        }
+    };
+    upstream.on('frame', (frame) => forward(frame, true));
+    
+    // Streams that are not RTCM 3 are passed through as they come, so a switch
+    // to or from one can cut a message
+    upstream.on('data', (data) => forward(data, false));
+    
+    // Reconnect if the stream feeding the rover goes away (not when it was released or the client left)
+    upstream.on('close', (error) => {
+        if (error && session.upstream === upstream && !session.closed) {
+            recordCasterError(connectionId, station.mountPoint, error);
+            adminServer.recordConnectionEvent(connectionId, timeline.TIMELINE_EVENTS.STATION_DISCONNECTED, {
+                station: station.mountPoint,
+                reason: error.reason || error.code || 'network'
             });
+            logger.warn(`Lost corrections from ${station.mountPoint} for client ${session.clientIp}:${session.clientPort}`);
+            scheduleReconnect(session, station, error);
+        }
+    });
+    
+    // Network RTK mountpoints need the rover position before they send corrections
+    startGgaRelay(session, upstream, station);
+    
+    try {
+        await firstFrame;
+    } catch (error) {
+        if (session.pendingUpstream === upstream) {
+            session.pendingUpstream = null;
+        }
+        upstream.release();
+        
+        // Abandoned because the client left
+        if (session.closed) {
+            return;
+        }
+        
+        logger.warn(`Handover to ${station.mountPoint} abandoned: ${error.message}`);
+        recordCasterError(connectionId, station.mountPoint, error);
+        handleSwitchFailure(session, station, error);
+    }
+}
 
-            // Handle caster errors
-            newCasterSocket.on('error', (error) => {
-                logger.error(`Caster socket error (${closestStation.mountPoint}):`, error);
-                newCasterSocket.end();
-            });
+/**
+ * React to a station that could not be switched to
+ * 
+ * A session without corrections reconnects (see scheduleReconnect). A session
+ * that still streams from its current station stays there, and the failed
+ * station is avoided for a while so that every position update does not
+ * retry it.
+ * 
+ * @param {Object} session - The client session
+ * @param {Object} station - The station that failed
+ * @param {Error} error - The failure
+ */
+function handleSwitchFailure(session, station, error) {
+    if (session.closed) {
+        return;
+    }
+    
+    if (!hasUpstream(session)) {
+        scheduleReconnect(session, station, error);
+        return;
+    }
+    
+    const policy = reconnect.getReconnectPolicy(config);
+    stationHealth.markUnhealthy(station.mountPoint, error.reason || error.code || 'network', policy.unhealthySeconds * 1000);
+}
 
-            // Handle caster connection end
-            newCasterSocket.on('end', () => {
-                logger.info(`Caster connection ended: ${closestStation.mountPoint}`);
-            });
+/**
+ * Make a pending stream the one that feeds the rover and release the previous one
+ * 
+ * Called between two frames, so the rover never receives part of a frame from either stream.
+ * 
+ * @param {Object} session - The client session
+ * @param {EventEmitter} upstream - The pending upstream subscription that delivered its first frame
+ * @param {Object} station - The station it streams from
+ * @param {string} reason - Why the switch happened, for the timeline
+ */
+function completeHandover(session, upstream, station, reason) {
+    const previousUpstream = session.upstream;
+    
+    session.upstream = upstream;
+    session.pendingUpstream = null;
+    session.stationSelectedAt = Date.now();
+    session.reconnectAttempts = 0;
+    stationHealth.markHealthy(upstream.mountPoint);
+    
+    // A handover that was under way when the previous stream dropped makes a reconnect unnecessary
+    if (session.reconnectTimer) {
+        clearTimeout(session.reconnectTimer);
+        session.reconnectTimer = null;
+    }
+    
+    // Update connection tracking with current station
+    session.stationsUsed.push({ mountPoint: upstream.mountPoint, since: new Date().toISOString() });
+    metrics.stationSwitches.inc({ station: upstream.mountPoint, reason });
+    adminServer.updateConnection(session.id, {
+        currentStation: upstream.mountPoint,
+        sharedUpstream: upstream.shared,
+        stationsUsed: session.stationsUsed,
+        lastError: null
+    });
+    adminServer.recordConnectionEvent(session.id, timeline.TIMELINE_EVENTS.STATION_CONNECTED, {
+        station: upstream.mountPoint,
+        previousStation: previousUpstream ? previousUpstream.mountPoint : null,
+        distance: Number.isFinite(station.distance) ? station.distance : null,
+        reason,
+        shared: upstream.shared
+    });
+    startByteRateMonitor(session);
+    
+    if (previousUpstream) {
+        logger.info(`Handover from ${previousUpstream.mountPoint} to ${upstream.mountPoint} complete`);
+        previousUpstream.release();
+    }
+    
+    upstream.emit('handover');
+}
 
-            return newCasterSocket;
-        } catch (error) {
-            logger.error(`Failed to connect to caster ${closestStation.mountPoint}:`, error);
-            return currentCasterSocket;
+/**
+ * Get the station a session is currently streaming from, with its distance to the rover
+ * 
+ * @param {Object} session - The client session
+ * @returns {Object|null} The station with `distance` added, or null if the session has no
+ *   open caster connection or its station was removed or deactivated
+ */
+function getCurrentStation(session) {
+    if (!hasUpstream(session) || !session.lastPosition) {
+        return null;
+    }
+    
+    const station = config.stations.find(s => s.mountPoint === session.upstream.mountPoint);
+    if (!station || station.active === false) {
+        return null;
+    }
+    
+    return {
+        ...station,
+        distance: gps.calculateDistance(session.lastPosition.latitude, session.lastPosition.longitude, station.latitude, station.longitude)
+    };
+}
+
+/**
+ * Relay the rover position to a caster that needs it (VRS and other network RTK mountpoints)
+ * 
+ * The position also goes out with the caster request (see switchStation);
+ * it is sent again as soon as the stream starts and then every
+ * `ggaIntervalSeconds` (per station, falling back to the global setting)
+ * until the stream closes or is released.
+ * 
+ * @param {Object} session - The client session
+ * @param {EventEmitter} upstream - The upstream subscription to send the position to
+ * @param {Object} station - The station configuration
+ */
+function startGgaRelay(session, upstream, station) {
+    if (!station.sendGga) {
+        return;
+    }
+    
+    const intervalSeconds = station.ggaIntervalSeconds || config.ggaIntervalSeconds || NTRIP.GGA_RELAY.DEFAULT_INTERVAL_SECONDS;
+    
+    const sendPosition = () => {
+        const gga = getUpstreamGga(session);
+        if (gga && !upstream.closed) {
+            upstream.write(`${gga}\r\n`);
+            logger.debug(`Sent rover position to ${station.mountPoint}`);
         }
+    };
+    
+    sendPosition();
+    const timer = setInterval(sendPosition, intervalSeconds * 1000);
+    upstream.on('close', () => clearInterval(timer));
+}
+
+/**
+ * Get the GGA sentence to send upstream for a session
+ * 
+ * The rover's own GGA is relayed while it is recent; otherwise (RMC/GNS only
+ * receivers, or a rover that stopped sending GGA) one is synthesized from the
+ * last known position.
+ * 
+ * @param {Object} session - The client session
+ * @returns {string|null} A GGA sentence, or null if the position is unknown
+ */
+function getUpstreamGga(session) {
+    if (session.lastGga && Date.now() - session.lastGgaAt <= NTRIP.GGA_RELAY.MAX_SENTENCE_AGE_MS) {
+        return session.lastGga;
     }
+    if (session.lastPosition) {
+        return gps.buildGGA(session.lastPosition);
+    }
+    return null;
+}
+
+/**
+ * Record an upstream caster failure on the connection for the admin interface
+ * 
+ * @param {string} connectionId - The unique ID for this connection
+ * @param {string} mountPoint - The station mount point that failed
+ * @param {Error} error - The failure, a CasterError carries a reason code
+ */
+function recordCasterError(connectionId, mountPoint, error) {
+    const reason = error.reason || error.code || 'network';
+    metrics.upstreamFailures.inc({ station: mountPoint, reason });
+    adminServer.updateConnection(connectionId, {
+        lastError: {
+            station: mountPoint,
+            reason,
+            message: error.message,
+            at: new Date().toISOString()
+        }
+    });
+    adminServer.recordConnectionEvent(connectionId, timeline.TIMELINE_EVENTS.UPSTREAM_ERROR, {
+        station: mountPoint,
+        reason,
+        message: error.message
+    });
+}
+
+/**
+ * Record fix quality transitions and gaps in the position reports in the connection timeline
+ * 
+ * @param {Object} session - The client session, before the new position is merged in
+ * @param {Object} position - The parsed position sentence
+ */
+function recordPositionEvents(session, position) {
+    if (session.lastPositionAt && Date.now() - session.lastPositionAt > timeline.POSITION_GAP_MS) {
+        adminServer.recordConnectionEvent(session.id, timeline.TIMELINE_EVENTS.POSITION_GAP, {
+            seconds: Math.round((Date.now() - session.lastPositionAt) / 1000)
+        });
+    }
+    
+    const previousFixQuality = session.lastPosition ? session.lastPosition.fixQuality : null;
+    if (previousFixQuality !== position.fixQuality) {
+        adminServer.recordConnectionEvent(session.id, timeline.TIMELINE_EVENTS.FIX_CHANGED, {
+            from: previousFixQuality === undefined ? null : previousFixQuality,
+            to: position.fixQuality
+        });
+    }
+}
 
-    return currentCasterSocket;
+/**
+ * Start watching the correction data rate of a session for drops
+ * 
+ * @param {Object} session - The client session
+ */
+function startByteRateMonitor(session) {
+    if (session.byteRateTimer) {
+        return;
+    }
+    session.byteRateMonitor.sample(session.bytesSent);
+    session.byteRateTimer = setInterval(() => {
+        const event = session.byteRateMonitor.sample(session.bytesSent);
+        if (event) {
+            const { type, ...details } = event;
+            adminServer.recordConnectionEvent(session.id, type, {
+                station: session.upstream ? session.upstream.mountPoint : null,
+                ...details
+            });
+        }
+    }, timeline.BYTE_RATE_WINDOW_MS);
+}
+
+/**
+ * Apply a new configuration to a live session
+ * 
+ * The session is moved off a station that was removed, deactivated or whose
+ * caster settings changed; otherwise its station is re-evaluated as on a
+ * position update, so it only switches if the switching policy allows it.
+ * 
+ * @param {Object} session - The client session
+ * @param {Set<string>} stationsToLeave - Mountpoints no session may stay on, see utils/configChanges
+ * @returns {string|null} What happened to the session: `switching`, `released` or `deferred`
+ *   (until its handover is done), null if it was not affected
+ */
+function applyConfigToSession(session, stationsToLeave) {
+    if (session.closed || !session.lastPosition) {
+        return null;
+    }
+    
+    if (session.handoverInProgress) {
+        session.stationsToLeave = new Set([...(session.stationsToLeave || []), ...stationsToLeave]);
+        return 'deferred';
+    }
+    
+    // A pending reconnect would use the old configuration, select again right away instead
+    if (session.reconnectTimer) {
+        clearTimeout(session.reconnectTimer);
+        session.reconnectTimer = null;
+    }
+    
+    const hadUpstream = hasUpstream(session);
+    const leaveCurrent = hadUpstream && stationsToLeave.has(session.upstream.mountPoint);
+    selectStation(session, session.lastPosition.fixQuality, leaveCurrent);
+    
+    if (session.handoverInProgress) {
+        return 'switching';
+    }
+    if (hadUpstream && !session.upstream) {
+        return 'released';
+    }
+    return null;
 }
 
 /**
- * Handle configuration changes
+ * Apply a new configuration to the running server
+ * 
+ * Sessions are moved off stations that were removed, deactivated or whose
+ * caster settings changed and every session's station is re-evaluated; the
+ * listener is moved when its port or interface changed. Rovers already
+ * streaming keep their mountpoint when it is renamed.
  * 
  * @param {Object} newConfig - The new configuration
+ * @returns {Object} A summary: the `changes` (see utils/configChanges) and the
+ *   number of sessions with the `affected` ones: { id, client, station, action }
  */
 function handleConfigChange(newConfig) {
+    const changes = configChanges.getConfigChanges(config, newConfig);
     logger.info('Configuration has been updated');
     config = newConfig;
     logger.info(`Mount point: ${config.mountPoint}`);
     logger.info(`Available stations: ${config.stations.length}`);
+    
+    // Rovers moving to a station with new caster settings must not join a connection made with the old ones
+    changes.stations.connectionChanged.forEach(mountPoint => upstreamPool.forgetStation(mountPoint));
+    
+    const stationsToLeave = configChanges.getStationsToLeave(changes);
+    const affected = [];
+    sessions.forEach(session => {
+        const station = hasUpstream(session) ? session.upstream.mountPoint : null;
+        const action = applyConfigToSession(session, stationsToLeave);
+        if (action) {
+            affected.push({ id: session.id, client: `${session.clientIp}:${session.clientPort}`, station, action });
+        }
+    });
+    
+    if (changes.listener) {
+        rebindListener(changes.listener);
+    }
+    if (changes.restartRequired.length > 0) {
+        logger.warn(`Restart the server to apply the changes to ${changes.restartRequired.join(', ')}`);
+    }
+    
+    logger.info(`Configuration applied to ${sessions.size} session(s), ${affected.length} affected`);
+    affected.forEach(({ id, client, station, action }) => {
+        logger.info(`  ${client} on ${station || 'no station'}: ${action} [${id}]`);
+    });
+    
+    return {
+        changes,
+        sessions: { total: sessions.size, affected }
+    };
+}
+
+/**
+ * Move the NTRIP listener to a new address, keeping the connected rovers
+ * 
+ * The current listener stops accepting first so that the port can stay the
+ * same when only the interface changes. If the new address cannot be used,
+ * the server listens on the previous one again.
+ * 
+ * @param {Object} address - The new address: { port, interface }
+ */
+function rebindListener(address) {
+    if (!ntripServer || !ntripServer.listening) {
+        return;
+    }
+    
+    const previous = ntripServer.address();
+    // Closing the listener does not close the client connections it accepted
+    ntripServer.close();
+    
+    const server = net.createServer(handleClient);
+    server.once('error', (error) => {
+        logger.error(`Could not listen on ${address.interface}:${address.port}, staying on ${previous.address}:${previous.port}: ${error.message}`);
+        ntripServer = listen(previous.port, previous.address);
+    });
+    server.listen(address.port, address.interface, () => {
+        server.on('error', handleServerError);
+        logger.info(`NearTRIP server moved to ${address.interface}:${address.port}`);
+    });
+    ntripServer = server;
+}
+
+/**
+ * Open an NTRIP listener
+ * 
+ * @param {number} port - The port
+ * @param {string} host - The interface address
+ * @param {Function} [onListening] - Called once it listens
+ * @returns {net.Server} The listener
+ */
+function listen(port, host, onListening) {
+    const server = net.createServer(handleClient);
+    server.on('error', handleServerError);
+    server.listen(port, host, onListening);
+    return server;
+}
+
+/**
+ * Handle a listener error, which leaves the server unable to take rovers
+ * 
+ * @param {Error} error - The error
+ */
+function handleServerError(error) {
+    logger.error('Server error:', error);
+    process.exit(1);
 }
 
 /**
@@ -271,22 +1188,20 @@ function reloadConfiguration() {
  * Start the NTRIP server
  */
 function startServer() {
-    const server = net.createServer(handleClient);
-
-    // Handle server errors
-    server.on('error', (error) => {
-        logger.error('Server error:', error);
-        process.exit(1);
-    });
-
-    // Start listening
-    server.listen(config.port, config.interface, () => {
+    ntripServer = listen(config.port, config.interface, () => {
         logger.info(`NearTRIP server started on ${config.interface}:${config.port}`);
         logger.info(`Mount point: ${config.mountPoint}`);
         logger.info(`Available stations: ${config.stations.length}`);
         
+        if (!auth.isAuthRequired(config)) {
+            logger.warn('No rover accounts configured, the mountpoint is open to any client');
+        }
+        
+        // Check the stations in the background so dead ones are not selected
+        healthProber.start();
+        
         // Set up config file watcher
-        configManager.watchConfig(configManager.CONFIG_FILE_PATH, handleConfigChange);
+        configManager.watchConfig(configManager.getConfigFilePath(), handleConfigChange);
         logger.info('Configuration file watcher started');
         
         // Start admin interface
@@ -297,13 +1212,14 @@ function startServer() {
         adminServer.initAdminServer({
             port: adminPort,
             username: adminUser,
-            password: adminPass
+            password: adminPass,
+            onReload: handleConfigChange
         });
         
         logger.info(`Admin interface available at http://localhost:${adminPort}`);
     });
 
-    return server;
+    return ntripServer;
 }
 
 // Handle process termination gracefully
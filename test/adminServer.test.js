@@ -0,0 +1,115 @@
+/**
+ * Tests for the admin API changing the configuration
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const configManager = require('../utils/config');
+const { getConfigChanges } = require('../utils/configChanges');
+const adminServer = require('../admin/adminServer');
+
+// Mock the logger to prevent console output during tests
+jest.mock('../utils/logger', () => ({
+  error: jest.fn(),
+  warn: jest.fn(),
+  info: jest.fn(),
+  debug: jest.fn()
+}));
+
+// Request logging
+jest.mock('morgan', () => () => (req, res, next) => next());
+
+const UP1 = { mountPoint: 'UP1', casterHost: 'caster.example.com', casterPort: 2101, username: 'u', password: 'p', latitude: 37.5, longitude: -122.0 };
+const UP2 = { ...UP1, mountPoint: 'UP2', latitude: 38.0 };
+
+describe('Admin API', () => {
+  let dir;
+  let server;
+  let baseUrl;
+
+  beforeAll(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'neartrip-admin-'));
+    ({ server } = adminServer.initAdminServer({ port: 0, username: 'admin', password: 'secret' }));
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    const filePath = path.join(dir, 'config.json');
+    fs.writeFileSync(filePath, JSON.stringify({ port: 2101, mountPoint: 'NEAR', stations: [UP1, UP2] }));
+    configManager.configure({ argv: ['--config', filePath], env: {} });
+  });
+
+  /**
+   * Send an authenticated JSON request to the admin API
+   */
+  function request(method, url, body) {
+    return fetch(`${baseUrl}${url}`, {
+      method,
+      headers: {
+        Authorization: `Basic ${Buffer.from('admin:secret').toString('base64')}`,
+        'Content-Type': 'application/json'
+      },
+      body: body && JSON.stringify(body)
+    });
+  }
+
+  test('should leave the configuration in use unchanged when a station is edited', async () => {
+    // The server holds on to the configuration it runs with and compares it with the reloaded one
+    const running = configManager.getConfig();
+
+    const response = await request('PUT', '/api/stations/UP1', { ...UP1, casterHost: 'other.example.com', password: '********' });
+    expect(response.status).toBe(200);
+
+    expect(running.stations[0].casterHost).toBe('caster.example.com');
+    const changes = getConfigChanges(running, configManager.reloadConfig());
+    expect(changes.stations.connectionChanged).toEqual(['UP1']);
+  });
+
+  test('should report added and removed stations after saving them', async () => {
+    const running = configManager.getConfig();
+
+    expect((await request('POST', '/api/stations', { ...UP1, mountPoint: 'UP3' })).status).toBe(201);
+    expect((await request('DELETE', '/api/stations/UP2')).status).toBe(200);
+
+    const changes = getConfigChanges(running, configManager.reloadConfig());
+    expect(changes.stations.added).toEqual(['UP3']);
+    expect(changes.stations.removed).toEqual(['UP2']);
+  });
+
+  test('should roll back to a version as it was saved, including settings the environment overrides', async () => {
+    const filePath = configManager.getConfigFilePath();
+    const original = configManager.saveConfig(configManager.getConfig(), { user: 'admin' });
+    configManager.saveConfig({ ...configManager.getConfig(), port: 2102 }, { user: 'admin' });
+    configManager.configure({ argv: ['--config', filePath], env: { NEARTRIP_PORT: '2110' } });
+
+    const response = await request('POST', `/api/config/history/${original.version}/rollback`);
+
+    expect(response.status).toBe(200);
+    expect(JSON.parse(fs.readFileSync(filePath, 'utf8')).port).toBe(2101);
+    expect(configManager.getConfig().port).toBe(2110);
+  });
+
+  test('should list all connections as an array unless filtered or paged', async () => {
+    const all = await (await request('GET', '/api/connections')).json();
+    expect(Array.isArray(all)).toBe(true);
+
+    const page = await (await request('GET', '/api/connections?limit=10')).json();
+    expect(page).toEqual({ connections: all.slice(0, 10), total: all.length, nextCursor: all.length > 10 ? expect.any(String) : null });
+  });
+
+  test('should reject an invalid service area without saving it', async () => {
+    const area = { type: 'Polygon', coordinates: [[[0, 0], [1, 0], [0, 0]]] };
+
+    const response = await request('PUT', '/api/stations/UP1/service-area', area);
+
+    expect(response.status).toBe(400);
+    expect((await response.json()).errors).toEqual([expect.objectContaining({ field: expect.any(String) })]);
+    expect(configManager.reloadConfig().stations[0].serviceArea).toBeUndefined();
+  });
+});
@@ -0,0 +1,85 @@
+/**
+ * Unit tests for client authentication utilities
+ */
+const auth = require('../utils/auth');
+
+// Mock the logger to prevent console output during tests
+jest.mock('../utils/logger', () => ({
+  error: jest.fn(),
+  warn: jest.fn(),
+  info: jest.fn(),
+  debug: jest.fn()
+}));
+
+const basic = (username, password) =>
+  `Basic ${Buffer.from(`${username}:${password}`).toString('base64')}`;
+
+describe('Auth Utilities', () => {
+  describe('parseBasicAuth', () => {
+    test('should decode a Basic Authorization header', () => {
+      expect(auth.parseBasicAuth(basic('rover', 'p:ss'))).toEqual({ username: 'rover', password: 'p:ss' });
+    });
+
+    test('should return null for missing or malformed headers', () => {
+      expect(auth.parseBasicAuth(undefined)).toBeNull();
+      expect(auth.parseBasicAuth('Bearer abc')).toBeNull();
+      expect(auth.parseBasicAuth('Basic')).toBeNull();
+      expect(auth.parseBasicAuth(`Basic ${Buffer.from('nocolon').toString('base64')}`)).toBeNull();
+    });
+  });
+
+  describe('hashPassword / verifyPassword', () => {
+    test('should verify a password against its hash', async () => {
+      const hash = auth.hashPassword('secret');
+      expect(hash).toMatch(/^scrypt\$[0-9a-f]+\$[0-9a-f]+$/);
+      await expect(auth.verifyPassword('secret', hash)).resolves.toBe(true);
+      await expect(auth.verifyPassword('wrong', hash)).resolves.toBe(false);
+    });
+
+    test('should reject unsupported hash formats', async () => {
+      await expect(auth.verifyPassword('secret', 'md5$abc')).resolves.toBe(false);
+      await expect(auth.verifyPassword('secret', null)).resolves.toBe(false);
+    });
+
+    test('should reject malformed hashes whatever the password', async () => {
+      const [, salt, hash] = auth.hashPassword('secret').split('$');
+
+      await expect(auth.verifyPassword('anything', 'scrypt$zz$zz')).resolves.toBe(false);
+      await expect(auth.verifyPassword('anything', `scrypt$${salt}$`)).resolves.toBe(false);
+      await expect(auth.verifyPassword('secret', `scrypt$${salt}$${hash.slice(0, 32)}`)).resolves.toBe(false);
+      await expect(auth.verifyPassword('secret', `scrypt$zz$${hash}`)).resolves.toBe(false);
+    });
+  });
+
+  describe('authenticate', () => {
+    const config = {
+      users: [
+        { username: 'rover1', passwordHash: auth.hashPassword('one') },
+        { username: 'rover2', passwordHash: auth.hashPassword('two'), active: false }
+      ]
+    };
+
+    test('should return the username for valid credentials', async () => {
+      await expect(auth.authenticate(basic('rover1', 'one'), config)).resolves.toBe('rover1');
+    });
+
+    test('should reject wrong passwords, unknown and inactive users', async () => {
+      await expect(auth.authenticate(basic('rover1', 'two'), config)).resolves.toBeNull();
+      await expect(auth.authenticate(basic('nobody', 'one'), config)).resolves.toBeNull();
+      await expect(auth.authenticate(basic('rover2', 'two'), config)).resolves.toBeNull();
+      await expect(auth.authenticate(undefined, config)).resolves.toBeNull();
+    });
+
+    test('should fall back to the top-level username and password', async () => {
+      const legacy = { username: 'you', password: 'plain' };
+      expect(auth.isAuthRequired(legacy)).toBe(true);
+      await expect(auth.authenticate(basic('you', 'plain'), legacy)).resolves.toBe('you');
+      await expect(auth.authenticate(basic('you', 'other'), legacy)).resolves.toBeNull();
+    });
+
+    test('should not require auth when no accounts are configured', () => {
+      expect(auth.isAuthRequired({ username: '', password: '' })).toBe(false);
+      expect(auth.isAuthRequired({ users: [] })).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,155 @@
+/**
+ * Unit tests for loading the configuration file
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const configManager = require('../utils/config');
+const { ConfigValidationError } = require('../utils/errors');
+
+// Mock the logger to prevent console output during tests
+jest.mock('../utils/logger', () => ({
+  error: jest.fn(),
+  warn: jest.fn(),
+  info: jest.fn(),
+  debug: jest.fn()
+}));
+
+const validConfig = {
+  port: 2101,
+  mountPoint: 'NEAR',
+  stations: [{ mountPoint: 'UP1', casterHost: 'caster.example.com', casterPort: 2101, latitude: 37.5, longitude: -122.0 }]
+};
+
+// The configuration in use: the file over the defaults
+function effective(fileConfig) {
+  return { ...configManager.DEFAULT_CONFIG, ...fileConfig };
+}
+
+describe('Configuration', () => {
+  let dir;
+  let filePath;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'neartrip-config-'));
+    filePath = path.join(dir, 'config.json');
+    fs.writeFileSync(filePath, JSON.stringify(validConfig));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('should load a valid configuration', () => {
+    expect(configManager.loadConfig(filePath)).toEqual(effective(validConfig));
+    expect(configManager.getConfig()).toEqual(effective(validConfig));
+    expect(configManager.getFileConfig()).toEqual(validConfig);
+  });
+
+  test('should keep the last good configuration when the file is not valid JSON', () => {
+    configManager.loadConfig(filePath);
+    fs.writeFileSync(filePath, '{ "port": 2101, }');
+
+    expect(() => configManager.reloadConfig(filePath)).toThrow(ConfigValidationError);
+    expect(configManager.getConfig()).toEqual(effective(validConfig));
+  });
+
+  test('should keep the last good configuration when the file breaks the schema', () => {
+    configManager.loadConfig(filePath);
+    fs.writeFileSync(filePath, JSON.stringify({ ...validConfig, stations: [{ ...validConfig.stations[0], latitude: 137.5 }] }));
+
+    expect(() => configManager.reloadConfig(filePath)).toThrow('stations[0].latitude: must be between -90 and 90');
+    expect(configManager.getConfig()).toEqual(effective(validConfig));
+  });
+
+  test('should save versions with the admin user, keeping edits made on disk', () => {
+    const changed = { ...validConfig, port: 2102 };
+
+    configManager.saveConfig(changed, { user: 'admin', summary: 'Changed the port' }, filePath);
+
+    expect(JSON.parse(fs.readFileSync(filePath, 'utf8'))).toEqual(changed);
+    expect(configManager.getConfig()).toEqual(effective(changed));
+    expect(fs.readdirSync(dir).filter(name => name.endsWith('.tmp'))).toEqual([]);
+
+    const history = configManager.getHistory(filePath);
+    expect(history.list().map(({ version, user, summary }) => ({ version, user, summary }))).toEqual([
+      { version: 2, user: 'admin', summary: 'Changed the port' },
+      { version: 1, user: null, summary: 'Edited on disk' }
+    ]);
+    expect(history.get(1).config).toEqual(validConfig);
+  });
+
+  test('should not record the file again if it was not edited since the last save', () => {
+    configManager.saveConfig({ ...validConfig, port: 2102 }, { user: 'admin' }, filePath);
+    configManager.saveConfig({ ...validConfig, port: 2103 }, { user: 'admin' }, filePath);
+
+    expect(configManager.getHistory(filePath).list()).toHaveLength(3);
+  });
+
+  describe('with an encryption key', () => {
+    beforeEach(() => {
+      process.env.NEARTRIP_CONFIG_KEY = 'test key';
+    });
+
+    afterEach(() => {
+      delete process.env.NEARTRIP_CONFIG_KEY;
+    });
+
+    test('should store station passwords encrypted and load them decrypted', () => {
+      const withPassword = { ...validConfig, stations: [{ ...validConfig.stations[0], password: 'station-secret' }] };
+
+      configManager.saveConfig(withPassword, { user: 'admin' }, filePath);
+
+      expect(fs.readFileSync(filePath, 'utf8')).not.toContain('station-secret');
+      expect(JSON.stringify(configManager.getHistory(filePath).latest())).not.toContain('station-secret');
+      expect(configManager.loadConfig(filePath)).toEqual(effective(withPassword));
+      expect(configManager.getVersion(2, filePath).config).toEqual(withPassword);
+    });
+  });
+
+  describe('with environment and command-line overrides', () => {
+    afterEach(() => {
+      // Drop the overrides for the other tests
+      configManager.configure({ argv: ['--config', filePath], env: {} });
+    });
+
+    test('should apply the overrides over the file and report their sources', () => {
+      const config = configManager.configure({
+        argv: ['--config', filePath, '--port', '2103'],
+        env: { NEARTRIP_PORT: '2102', NEARTRIP_ADMIN_PASSWORD: 'from-env' }
+      });
+
+      expect(config).toMatchObject({ port: 2103, adminPassword: 'from-env', mountPoint: 'NEAR' });
+      expect(configManager.getConfigFilePath()).toBe(filePath);
+      expect(configManager.getConfigSources()).toMatchObject({
+        file: filePath,
+        sources: { port: 'cli', adminPassword: 'env', mountPoint: 'file', adminUsername: 'default' },
+        overrides: { port: '--port', adminPassword: 'NEARTRIP_ADMIN_PASSWORD' }
+      });
+    });
+
+    test('should only write the file layer when saving', () => {
+      configManager.configure({ argv: ['--config', filePath], env: { NEARTRIP_ADMIN_PASSWORD: 'from-env' } });
+
+      configManager.saveConfig({ ...configManager.getConfig(), mountPoint: 'NEAR2' }, { user: 'admin' });
+
+      expect(JSON.parse(fs.readFileSync(filePath, 'utf8'))).toEqual({ ...validConfig, mountPoint: 'NEAR2' });
+      expect(configManager.getConfig()).toMatchObject({ adminPassword: 'from-env', mountPoint: 'NEAR2' });
+    });
+
+    test('should write a complete file layer as it is, including settings that are overridden', () => {
+      configManager.configure({ argv: ['--config', filePath], env: { NEARTRIP_PORT: '2110' } });
+
+      configManager.saveFileLayer({ ...validConfig, port: 2102 }, { user: 'admin' });
+
+      expect(JSON.parse(fs.readFileSync(filePath, 'utf8'))).toEqual({ ...validConfig, port: 2102 });
+      expect(configManager.getFileConfig().port).toBe(2102);
+      expect(configManager.getConfig().port).toBe(2110);
+    });
+
+    test('should name the variable of an invalid override', () => {
+      expect(() => configManager.configure({ argv: ['--config', filePath], env: { NEARTRIP_PORT: '70000' } }))
+        .toThrow('(set by NEARTRIP_PORT)');
+    });
+  });
+});
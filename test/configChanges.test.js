@@ -0,0 +1,85 @@
+/**
+ * Unit tests for finding what a configuration reload changes
+ */
+const { getConfigChanges, getStationsToLeave } = require('../utils/configChanges');
+
+// Mock the logger to prevent console output during tests
+jest.mock('../utils/logger', () => ({
+  error: jest.fn(),
+  warn: jest.fn(),
+  info: jest.fn(),
+  debug: jest.fn()
+}));
+
+const UP1 = { mountPoint: 'UP1', casterHost: 'caster.example.com', casterPort: 2101, latitude: 37.5, longitude: -122.0 };
+const UP2 = { ...UP1, mountPoint: 'UP2', latitude: 38.0 };
+const UP3 = { ...UP1, mountPoint: 'UP3', latitude: 38.5 };
+const UP4 = { ...UP1, mountPoint: 'UP4', latitude: 39.0 };
+
+const BEFORE = {
+  interface: '0.0.0.0',
+  port: 2101,
+  mountPoint: 'NEAR',
+  adminPort: 3000,
+  stations: [UP1, UP2, UP3, UP4]
+};
+
+describe('Configuration Changes', () => {
+  test('should find no changes in the same configuration', () => {
+    expect(getConfigChanges(BEFORE, { ...BEFORE })).toEqual({
+      stations: { added: [], removed: [], deactivated: [], activated: [], connectionChanged: [], updated: [] },
+      listener: null,
+      mountPoint: null,
+      restartRequired: []
+    });
+  });
+
+  test('should classify the station changes', () => {
+    const UP5 = { ...UP1, mountPoint: 'UP5' };
+    const after = {
+      ...BEFORE,
+      stations: [
+        { ...UP1, password: 'new' },
+        { ...UP2, active: false },
+        { ...UP3, latitude: 38.6 },
+        UP5
+      ]
+    };
+
+    expect(getConfigChanges(BEFORE, after).stations).toEqual({
+      added: ['UP5'],
+      removed: ['UP4'],
+      deactivated: ['UP2'],
+      activated: [],
+      connectionChanged: ['UP1'],
+      updated: ['UP3']
+    });
+  });
+
+  test('should not count marking an active station active as an update', () => {
+    const changes = getConfigChanges(BEFORE, { ...BEFORE, stations: [{ ...UP1, active: true }, UP2, UP3, UP4] });
+
+    expect(changes.stations.updated).toEqual([]);
+    expect(changes.stations.activated).toEqual([]);
+  });
+
+  test('should report a station being activated again', () => {
+    const before = { ...BEFORE, stations: [{ ...UP1, active: false }] };
+
+    expect(getConfigChanges(before, { ...BEFORE, stations: [UP1] }).stations.activated).toEqual(['UP1']);
+  });
+
+  test('should report listener, mountpoint and startup-only settings', () => {
+    const changes = getConfigChanges(BEFORE, { ...BEFORE, port: 2102, mountPoint: 'NEAR2', adminPort: 3001 });
+
+    expect(changes.listener).toEqual({ port: 2102, interface: '0.0.0.0' });
+    expect(changes.mountPoint).toBe('NEAR2');
+    expect(changes.restartRequired).toEqual(['adminPort']);
+  });
+
+  test('should list the stations rovers have to leave', () => {
+    const after = { ...BEFORE, stations: [{ ...UP1, casterPort: 2102 }, { ...UP2, active: false }, { ...UP3, latitude: 38.6 }] };
+
+    expect(getStationsToLeave(getConfigChanges(BEFORE, after))).toEqual(new Set(['UP1', 'UP2', 'UP4']));
+  });
+});
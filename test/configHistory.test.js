@@ -0,0 +1,93 @@
+/**
+ * Unit tests for the configuration version history
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { diffConfig, createConfigHistory } = require('../utils/configHistory');
+
+// Mock the logger to prevent console output during tests
+jest.mock('../utils/logger', () => ({
+  error: jest.fn(),
+  warn: jest.fn(),
+  info: jest.fn(),
+  debug: jest.fn()
+}));
+
+describe('Configuration History', () => {
+  describe('diffConfig', () => {
+    test('should find changed, added and removed fields', () => {
+      const before = { port: 2101, mountPoint: 'NEAR', coverage: { maxBaselineMeters: 30000 } };
+      const after = { port: 2102, coverage: { maxBaselineMeters: 30000, outOfRange: 'reject' }, adminPort: 3000 };
+
+      expect(diffConfig(before, after)).toEqual([
+        { path: 'port', type: 'changed', before: 2101, after: 2102 },
+        { path: 'mountPoint', type: 'removed', before: 'NEAR' },
+        { path: 'coverage.outOfRange', type: 'added', after: 'reject' },
+        { path: 'adminPort', type: 'added', after: 3000 }
+      ]);
+    });
+
+    test('should follow stations by mountpoint', () => {
+      const up1 = { mountPoint: 'UP1', latitude: 37.5 };
+      const up2 = { mountPoint: 'UP2', latitude: 38.0 };
+      const up3 = { mountPoint: 'UP3', latitude: 39.0 };
+
+      expect(diffConfig(
+        { stations: [up1, up2] },
+        { stations: [{ ...up2, latitude: 38.5 }, up3] }
+      )).toEqual([
+        { path: 'stations[UP1]', type: 'removed', before: up1 },
+        { path: 'stations[UP2].latitude', type: 'changed', before: 38.0, after: 38.5 },
+        { path: 'stations[UP3]', type: 'added', after: up3 }
+      ]);
+    });
+
+    test('should compare other lists by position', () => {
+      expect(diffConfig({ ring: [1, 2, 3] }, { ring: [1, 5] })).toEqual([
+        { path: 'ring[1]', type: 'changed', before: 2, after: 5 },
+        { path: 'ring[2]', type: 'removed', before: 3 }
+      ]);
+    });
+
+    test('should find no changes in equal configurations', () => {
+      expect(diffConfig({ a: { b: [1, { c: null }] } }, { a: { b: [1, { c: null }] } })).toEqual([]);
+    });
+  });
+
+  describe('createConfigHistory', () => {
+    let directory;
+
+    beforeEach(() => {
+      directory = fs.mkdtempSync(path.join(os.tmpdir(), 'neartrip-history-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    test('should number the versions and list them newest first', () => {
+      const history = createConfigHistory({ directory });
+
+      history.record({ port: 2101 }, { summary: 'Edited on disk' });
+      history.record({ port: 2102 }, { user: 'admin', summary: 'Edited the configuration' });
+
+      expect(history.list()).toEqual([
+        { version: 2, savedAt: expect.any(String), user: 'admin', summary: 'Edited the configuration' },
+        { version: 1, savedAt: expect.any(String), user: null, summary: 'Edited on disk' }
+      ]);
+      expect(history.get(1).config).toEqual({ port: 2101 });
+      expect(history.latest().config).toEqual({ port: 2102 });
+      expect(history.get(3)).toBeNull();
+    });
+
+    test('should only keep the newest versions', () => {
+      const history = createConfigHistory({ directory, maxVersions: 3 });
+
+      [1, 2, 3, 4, 5].forEach(port => history.record({ port }));
+
+      expect(history.list().map(version => version.version)).toEqual([5, 4, 3]);
+      expect(history.get(2)).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,130 @@
+/**
+ * Unit tests for the layered configuration
+ */
+const {
+  envName,
+  flagName,
+  readEnv,
+  parseArgs,
+  mergeLayers,
+  toFileLayer
+} = require('../utils/configLayers');
+const { ConfigValidationError } = require('../utils/errors');
+
+// Mock the logger to prevent console output during tests
+jest.mock('../utils/logger', () => ({
+  error: jest.fn(),
+  warn: jest.fn(),
+  info: jest.fn(),
+  debug: jest.fn()
+}));
+
+describe('Configuration Layers', () => {
+  describe('names', () => {
+    test('should derive variables and flags from setting paths', () => {
+      expect(envName('adminPassword')).toBe('NEARTRIP_ADMIN_PASSWORD');
+      expect(envName('coverage.fallbackMountPoint')).toBe('NEARTRIP_COVERAGE_FALLBACK_MOUNT_POINT');
+      expect(flagName('port')).toBe('--port');
+      expect(flagName('metrics.token')).toBe('--metrics-token');
+    });
+  });
+
+  describe('readEnv', () => {
+    test('should read typed overrides and the configuration path', () => {
+      expect(readEnv({
+        NEARTRIP_CONFIG: '/app/config/config.json',
+        NEARTRIP_PORT: '2102',
+        NEARTRIP_ADMIN_PASSWORD: 'secret',
+        NEARTRIP_METRICS_ENABLED: 'yes',
+        NEARTRIP_USER_AGENT: '',
+        PATH: '/usr/bin'
+      })).toEqual({
+        configPath: '/app/config/config.json',
+        overrides: { port: 2102, adminPassword: 'secret', metrics: { enabled: true } },
+        names: {
+          port: 'NEARTRIP_PORT',
+          adminPassword: 'NEARTRIP_ADMIN_PASSWORD',
+          'metrics.enabled': 'NEARTRIP_METRICS_ENABLED'
+        }
+      });
+    });
+
+    test('should reject values of the wrong type', () => {
+      const read = () => readEnv({ NEARTRIP_PORT: '21.5', NEARTRIP_HEALTH_CHECK_ENABLED: 'maybe' });
+
+      expect(read).toThrow(ConfigValidationError);
+      expect(read).toThrow('NEARTRIP_PORT: must be an integer');
+      expect(read).toThrow('NEARTRIP_HEALTH_CHECK_ENABLED: must be a boolean');
+    });
+  });
+
+  describe('parseArgs', () => {
+    test('should read flags with separate and inline values', () => {
+      expect(parseArgs(['--config', 'local.json', '--port', '2102', '--coverage-max-baseline-meters=15000'])).toEqual({
+        configPath: 'local.json',
+        overrides: { port: 2102, coverage: { maxBaselineMeters: 15000 } },
+        names: { port: '--port', 'coverage.maxBaselineMeters': '--coverage-max-baseline-meters' }
+      });
+    });
+
+    test('should reject unknown flags and missing values', () => {
+      expect(() => parseArgs(['--prot', '2102'])).toThrow('--prot: is not a known option');
+      expect(() => parseArgs(['--port'])).toThrow('--port: needs a value');
+      expect(() => parseArgs(['--admin-port=admin'])).toThrow('--admin-port: must be an integer');
+    });
+  });
+
+  describe('mergeLayers', () => {
+    test('should apply the layers in order and report the source of each setting', () => {
+      const { config, sources } = mergeLayers({
+        default: { port: 2101, adminPort: 3000, metrics: { enabled: false } },
+        file: { port: 2102, stations: [{ mountPoint: 'UP1' }], metrics: { enabled: true, auth: 'token', token: 'abc' } },
+        env: { adminPort: 3001, metrics: { token: 'env-token' } },
+        cli: { port: 2103 }
+      });
+
+      expect(config).toEqual({
+        port: 2103,
+        adminPort: 3001,
+        stations: [{ mountPoint: 'UP1' }],
+        metrics: { enabled: true, auth: 'token', token: 'env-token' }
+      });
+      expect(sources).toEqual({
+        port: 'cli',
+        adminPort: 'env',
+        stations: 'file',
+        'metrics.enabled': 'file',
+        'metrics.auth': 'file',
+        'metrics.token': 'env'
+      });
+    });
+  });
+
+  describe('toFileLayer', () => {
+    const layers = {
+      default: { port: 2101, adminPassword: 'admin' },
+      file: { port: 2102, metrics: { enabled: true } },
+      env: { adminPassword: 'from-env', metrics: { token: 'env-token' } },
+      cli: {}
+    };
+
+    test('should leave out unchanged values that come from other layers', () => {
+      const config = { port: 2104, adminPassword: 'from-env', metrics: { enabled: true, token: 'env-token' }, stations: [] };
+
+      expect(toFileLayer(config, layers)).toEqual({ port: 2104, metrics: { enabled: true }, stations: [] });
+    });
+
+    test('should write overridden values that were changed', () => {
+      const config = { port: 2102, adminPassword: 'changed', metrics: { enabled: true, token: 'env-token' } };
+
+      expect(toFileLayer(config, layers)).toEqual({ port: 2102, adminPassword: 'changed', metrics: { enabled: true } });
+    });
+
+    test('should keep the file value of a setting overridden by the environment', () => {
+      const withFilePassword = { ...layers, file: { ...layers.file, adminPassword: 'from-file' } };
+
+      expect(toFileLayer({ port: 2102, adminPassword: 'from-env', metrics: { enabled: true } }, withFilePassword))
+        .toEqual({ port: 2102, adminPassword: 'from-file', metrics: { enabled: true } });
+    });
+  });
+});
@@ -0,0 +1,157 @@
+/**
+ * Unit tests for the configuration schema
+ */
+const fs = require('fs');
+const path = require('path');
+const { validateConfig, assertValidConfig } = require('../utils/configSchema');
+const { ConfigValidationError, ValidationError } = require('../utils/errors');
+
+// Mock the logger to prevent console output during tests
+jest.mock('../utils/logger', () => ({
+  error: jest.fn(),
+  warn: jest.fn(),
+  info: jest.fn(),
+  debug: jest.fn()
+}));
+
+function station(overrides = {}) {
+  return {
+    mountPoint: 'UP1',
+    casterHost: 'caster.example.com',
+    casterPort: 2101,
+    latitude: 37.5,
+    longitude: -122.0,
+    ...overrides
+  };
+}
+
+function config(overrides = {}) {
+  return {
+    port: 2101,
+    mountPoint: 'NEAR',
+    stations: [station(), station({ mountPoint: 'UP2', latitude: 38.0 })],
+    ...overrides
+  };
+}
+
+function fields(errors) {
+  return errors.map(error => error.field);
+}
+
+describe('Configuration Schema', () => {
+  describe('validateConfig', () => {
+    test('should accept a valid configuration', () => {
+      expect(validateConfig(config())).toEqual([]);
+    });
+
+    test('should accept the sample configuration', () => {
+      const sample = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'config.json.sample'), 'utf8'));
+
+      expect(validateConfig(sample)).toEqual([]);
+    });
+
+    test('should report missing fields and wrong types', () => {
+      const errors = validateConfig({ port: '2101', stations: [{ mountPoint: 'UP1', casterPort: 2101 }] });
+
+      expect(errors).toEqual(expect.arrayContaining([
+        { field: 'port', message: 'must be a number' },
+        { field: 'mountPoint', message: 'is required' },
+        { field: 'stations[0].casterHost', message: 'is required' },
+        { field: 'stations[0].latitude', message: 'is required' }
+      ]));
+    });
+
+    test('should check ports and coordinates', () => {
+      const errors = validateConfig(config({
+        port: 70000,
+        adminPort: 80.5,
+        stations: [station({ casterPort: 0, latitude: 91, longitude: -181 })]
+      }));
+
+      expect(fields(errors)).toEqual([
+        'port',
+        'adminPort',
+        'stations[0].casterPort',
+        'stations[0].latitude',
+        'stations[0].longitude'
+      ]);
+    });
+
+    test('should reject duplicate mountpoints and caster streams', () => {
+      const errors = validateConfig(config({
+        stations: [
+          station(),
+          station(),
+          station({ mountPoint: 'up1', casterHost: 'CASTER.example.com' })
+        ]
+      }));
+
+      expect(errors).toEqual([
+        { field: 'stations[1].mountPoint', message: 'duplicates the mountpoint of stations[0]' },
+        { field: 'stations[2].mountPoint', message: 'uses the same caster host, port and mountpoint as stations[0]' }
+      ]);
+    });
+
+    test('should let only the coverage fallback station go without coordinates', () => {
+      const wide = { mountPoint: 'WIDE', casterHost: 'caster.example.com', casterPort: 2101 };
+
+      expect(fields(validateConfig(config({ stations: [station(), wide] }))))
+        .toEqual(['stations[1].latitude', 'stations[1].longitude']);
+      expect(validateConfig(config({
+        stations: [station(), wide],
+        coverage: { outOfRange: 'fallback', fallbackMountPoint: 'WIDE' }
+      }))).toEqual([]);
+    });
+
+    test('should report the invalid part of a service area', () => {
+      const errors = validateConfig(config({
+        stations: [station({ serviceArea: { type: 'Polygon', coordinates: [[[0, 0], [1, 0], [0, 0]]] } })]
+      }));
+
+      expect(fields(errors)).toEqual(['stations[0].serviceArea.geometry.coordinates[0]']);
+    });
+
+    test('should check the rover accounts', () => {
+      const errors = validateConfig(config({
+        users: [
+          { username: 'rover1', passwordHash: 'scrypt$00$00' },
+          { username: 'rover1', password: 'secret' },
+          { username: 'rover2' }
+        ]
+      }));
+
+      expect(errors).toEqual([
+        { field: 'users[1].username', message: 'is used by another account' },
+        { field: 'users[2].password', message: 'is required (or passwordHash)' }
+      ]);
+    });
+
+    test('should check the policy sections and their dependencies', () => {
+      const errors = validateConfig(config({
+        switching: { minAdvantagePercent: 150 },
+        coverage: { outOfRange: 'fallback', fallbackMountPoint: 'MISSING' },
+        metrics: { auth: 'token' }
+      }));
+
+      expect(errors).toEqual([
+        { field: 'switching.minAdvantagePercent', message: 'must be between 0 and 100' },
+        { field: 'coverage.fallbackMountPoint', message: 'is not a configured station' },
+        { field: 'metrics.token', message: 'is required with auth "token"' }
+      ]);
+    });
+  });
+
+  describe('assertValidConfig', () => {
+    test('should throw all problems with the first field', () => {
+      expect.assertions(4);
+      try {
+        assertValidConfig(config({ port: 0, mountPoint: 'A B' }));
+      } catch (error) {
+        expect(error).toBeInstanceOf(ConfigValidationError);
+        expect(error).toBeInstanceOf(ValidationError);
+        expect(error.field).toBe('port');
+        expect(error.errors).toHaveLength(2);
+      }
+    });
+  });
+});
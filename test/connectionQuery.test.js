@@ -0,0 +1,112 @@
+/**
+ * Unit tests for connection history queries
+ */
+const connectionQuery = require('../utils/connectionQuery');
+const { ValidationError } = require('../utils/errors');
+
+const now = Date.parse('2024-01-02T00:00:00.000Z');
+
+const connections = [
+  {
+    id: 'a', active: false, clientIp: '10.0.0.1', user: 'rover1',
+    connectedAt: '2024-01-01T08:00:00.000Z', disconnectedAt: '2024-01-01T10:00:00.000Z',
+    currentStation: 'UP2', stationsUsed: [{ mountPoint: 'UP1' }, { mountPoint: 'UP2' }],
+    fixQuality: 1, fixQualityCounts: { 1: 10, 4: 300 }, bytesSent: 5000
+  },
+  {
+    id: 'b', active: true, clientIp: '10.0.0.2', user: 'rover2',
+    connectedAt: '2024-01-01T23:00:00.000Z', disconnectedAt: null,
+    currentStation: 'UP1', stationsUsed: [{ mountPoint: 'UP1' }],
+    fixQuality: 5, fixQualityCounts: { 5: 20 }, bytesSent: 100
+  },
+  {
+    id: 'c', active: false, clientIp: '10.0.0.1', user: null,
+    connectedAt: '2023-12-30T12:00:00.000Z', disconnectedAt: '2023-12-30T12:01:00.000Z',
+    currentStation: null, fixQuality: 0, bytesSent: 0
+  }
+];
+
+const run = (params) => connectionQuery.queryConnections(connections, connectionQuery.parseConnectionQuery(params), now);
+const ids = (result) => result.connections.map(c => c.id);
+
+describe('Connection Queries', () => {
+  describe('filters', () => {
+    test('should default to active connections first, then newest first', () => {
+      expect(ids(run({}))).toEqual(['b', 'a', 'c']);
+    });
+
+    test('should filter by date range overlap', () => {
+      expect(ids(run({ from: '2024-01-01T09:00:00Z', to: '2024-01-01T12:00:00Z' }))).toEqual(['a']);
+      expect(ids(run({ from: '2024-01-01T12:00:00Z' }))).toEqual(['b']);
+    });
+
+    test('should filter by status, client, user and station', () => {
+      expect(ids(run({ active: 'false' }))).toEqual(['a', 'c']);
+      expect(ids(run({ clientIp: '10.0.0.1' }))).toEqual(['a', 'c']);
+      expect(ids(run({ user: 'rover2' }))).toEqual(['b']);
+      expect(ids(run({ station: 'UP1' }))).toEqual(['b', 'a']);
+    });
+
+    test('should filter by minimum duration, counting active connections up to now', () => {
+      expect(ids(run({ minDuration: '3600' }))).toEqual(['b', 'a']);
+      expect(ids(run({ minDuration: '7201' }))).toEqual([]);
+    });
+
+    test('should filter by fix qualities reported during the connection', () => {
+      expect(ids(run({ fixQuality: '4' }))).toEqual(['a']);
+      expect(ids(run({ fixQuality: '4,5' }))).toEqual(['b', 'a']);
+      expect(ids(run({ fixQuality: '0' }))).toEqual(['c']);
+    });
+
+    test('should reject invalid parameters with the field name', () => {
+      expect(() => connectionQuery.parseConnectionQuery({ from: 'yesterday' })).toThrow(ValidationError);
+      expect(() => connectionQuery.parseConnectionQuery({ active: 'yes' })).toThrow('active must be true or false');
+      expect(() => connectionQuery.parseConnectionQuery({ sort: 'color' })).toThrow(ValidationError);
+      expect(() => connectionQuery.parseConnectionQuery({ limit: '0' })).toThrow(ValidationError);
+      expect(() => connectionQuery.parseConnectionQuery({ cursor: 'not-a-cursor' })).toThrow('Invalid cursor');
+    });
+  });
+
+  describe('sorting and paging', () => {
+    test('should sort by the requested key and order', () => {
+      expect(ids(run({ sort: 'bytesSent', order: 'asc' }))).toEqual(['c', 'b', 'a']);
+      expect(ids(run({ sort: 'duration' }))).toEqual(['a', 'b', 'c']);
+    });
+
+    test('should page with cursors until the last page', () => {
+      const first = run({ sort: 'connectedAt', limit: '2' });
+      expect(ids(first)).toEqual(['b', 'a']);
+      expect(first.total).toBe(3);
+
+      const second = run({ sort: 'connectedAt', limit: '2', cursor: first.nextCursor });
+      expect(ids(second)).toEqual(['c']);
+      expect(second.nextCursor).toBeNull();
+    });
+
+    test('should reject a cursor made for another sort order', () => {
+      const { nextCursor } = run({ sort: 'connectedAt', limit: '1' });
+
+      expect(() => connectionQuery.parseConnectionQuery({ sort: 'user', cursor: nextCursor }))
+        .toThrow('different sort order');
+    });
+  });
+
+  describe('export', () => {
+    test('should format CSV with escaped fields', () => {
+      const csv = connectionQuery.toCsv([{ ...connections[0], user: 'rover "one", north' }], now);
+      const [header, row] = csv.trim().split('\r\n');
+
+      expect(header.split(',')).toContain('durationSeconds');
+      expect(row).toContain('"rover ""one"", north"');
+      expect(row).toContain('UP1;UP2');
+      expect(row).toContain(',7200,');
+    });
+
+    test('should format one JSON record per line', () => {
+      const lines = connectionQuery.toJsonLines(connections).trim().split('\n');
+
+      expect(lines).toHaveLength(3);
+      expect(JSON.parse(lines[1]).id).toBe('b');
+    });
+  });
+});
@@ -0,0 +1,100 @@
+/**
+ * Unit tests for the persistent connection history
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createConnectionStore } = require('../utils/connectionStore');
+
+// Mock the logger to prevent console output during tests
+jest.mock('../utils/logger', () => ({
+  error: jest.fn(),
+  warn: jest.fn(),
+  info: jest.fn(),
+  debug: jest.fn()
+}));
+
+describe('Connection Store', () => {
+  let directory;
+  let file;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'neartrip-store-'));
+    file = path.join(directory, 'connections.jsonl');
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('should reload flushed records', () => {
+    const store = createConnectionStore({ file });
+    store.load();
+    store.set('a', { id: 'a', active: false, connectedAt: '2024-01-01T00:00:00.000Z', bytesSent: 10 });
+    store.set('a', { ...store.get('a'), bytesSent: 20 });
+    store.set('b', { id: 'b', active: false, connectedAt: '2024-01-01T00:01:00.000Z' });
+    store.flush();
+
+    const reloaded = createConnectionStore({ file });
+    expect(reloaded.load()).toBe(2);
+    expect(reloaded.get('a').bytesSent).toBe(20);
+    expect(reloaded.has('b')).toBe(true);
+  });
+
+  test('should not write records before they are flushed', () => {
+    const store = createConnectionStore({ file });
+    store.load();
+    store.set('a', { id: 'a', active: false });
+
+    expect(createConnectionStore({ file }).load()).toBe(0);
+  });
+
+  test('should persist deletions', () => {
+    const store = createConnectionStore({ file });
+    store.load();
+    store.set('a', { id: 'a', active: false });
+    store.flush();
+    store.delete('a');
+    store.flush();
+
+    const reloaded = createConnectionStore({ file });
+    expect(reloaded.load()).toBe(0);
+  });
+
+  test('should close connections that were active when the process stopped', () => {
+    const savedAt = Date.UTC(2024, 0, 1, 12, 0, 0);
+    fs.writeFileSync(file, `${JSON.stringify({
+      op: 'put', savedAt, record: { id: 'a', active: true, connectedAt: '2024-01-01T11:00:00.000Z' }
+    })}\n`);
+
+    const store = createConnectionStore({ file });
+    store.load();
+
+    expect(store.get('a')).toMatchObject({
+      active: false,
+      disconnectedAt: '2024-01-01T12:00:00.000Z',
+      endReason: 'server_restart'
+    });
+  });
+
+  test('should skip a line cut short by a crash', () => {
+    fs.writeFileSync(file, `${JSON.stringify({ op: 'put', savedAt: 1, record: { id: 'a' } })}\n{"op":"put","rec`);
+
+    const store = createConnectionStore({ file });
+    expect(store.load()).toBe(1);
+  });
+
+  test('should compact the file to one line per record', () => {
+    const store = createConnectionStore({ file });
+    store.load();
+    for (let i = 0; i < 5; i++) {
+      store.set('a', { id: 'a', active: false, bytesSent: i });
+      store.flush();
+    }
+    store.compact();
+
+    const lines = fs.readFileSync(file, 'utf8').trim().split('\n');
+    expect(lines).toHaveLength(1);
+    expect(JSON.parse(lines[0]).record.bytesSent).toBe(4);
+  });
+});
@@ -0,0 +1,49 @@
+/**
+ * Unit tests for the station coverage policy
+ */
+const coverage = require('../utils/coverage');
+
+describe('Coverage Policy', () => {
+  const stations = [
+    { mountPoint: 'RTK1', latitude: 37.5, longitude: -122.0 },
+    { mountPoint: 'WIDE', latitude: 37.0, longitude: -120.0 },
+    { mountPoint: 'OFF', latitude: 37.6, longitude: -122.1, active: false }
+  ];
+
+  describe('getCoveragePolicy', () => {
+    test('should merge configured values over the defaults', () => {
+      const policy = coverage.getCoveragePolicy({ coverage: { maxBaselineMeters: 30000 } });
+
+      expect(policy.maxBaselineMeters).toBe(30000);
+      expect(policy.outOfRange).toBe(coverage.OUT_OF_RANGE.KEEP);
+      expect(coverage.getCoveragePolicy({})).toEqual(coverage.DEFAULT_COVERAGE_POLICY);
+    });
+  });
+
+  describe('getSelectableStations', () => {
+    test('should leave out the fallback station', () => {
+      const policy = coverage.getCoveragePolicy({ coverage: { outOfRange: 'fallback', fallbackMountPoint: 'WIDE' } });
+
+      expect(coverage.getSelectableStations(stations, policy).map(s => s.mountPoint)).toEqual(['RTK1', 'OFF']);
+      expect(coverage.getSelectableStations(stations, coverage.DEFAULT_COVERAGE_POLICY)).toHaveLength(3);
+    });
+  });
+
+  describe('getFallbackStation', () => {
+    test('should return the fallback station only with the fallback behavior', () => {
+      const fallback = coverage.getCoveragePolicy({ coverage: { outOfRange: 'fallback', fallbackMountPoint: 'WIDE' } });
+      const keep = coverage.getCoveragePolicy({ coverage: { outOfRange: 'keep', fallbackMountPoint: 'WIDE' } });
+
+      expect(coverage.getFallbackStation(stations, fallback).mountPoint).toBe('WIDE');
+      expect(coverage.getFallbackStation(stations, keep)).toBeNull();
+    });
+
+    test('should ignore a missing or inactive fallback station', () => {
+      const missing = coverage.getCoveragePolicy({ coverage: { outOfRange: 'fallback', fallbackMountPoint: 'NONE' } });
+      const inactive = coverage.getCoveragePolicy({ coverage: { outOfRange: 'fallback', fallbackMountPoint: 'OFF' } });
+
+      expect(coverage.getFallbackStation(stations, missing)).toBeNull();
+      expect(coverage.getFallbackStation(stations, inactive)).toBeNull();
+    });
+  });
+});
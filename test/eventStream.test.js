@@ -0,0 +1,129 @@
+/**
+ * Unit tests for the live admin event stream
+ */
+const { EventEmitter } = require('events');
+const { createEventStream } = require('../utils/eventStream');
+
+// Mock the logger to prevent console output during tests
+jest.mock('../utils/logger', () => ({
+  error: jest.fn(),
+  warn: jest.fn(),
+  info: jest.fn(),
+  debug: jest.fn()
+}));
+
+describe('Event Stream', () => {
+  let stream;
+
+  function subscribe() {
+    const req = new EventEmitter();
+    const res = {
+      chunks: [],
+      writeHead: jest.fn(),
+      write: jest.fn(chunk => res.chunks.push(chunk)),
+      end: jest.fn()
+    };
+    stream.subscribe(req, res);
+    return { req, res };
+  }
+
+  // The events written to a response after the retry preamble
+  function received(res) {
+    return res.chunks.slice(1).join('').split('\n\n').filter(Boolean).map(message => {
+      const fields = Object.fromEntries(message.split('\n').map(line => {
+        const index = line.indexOf(': ');
+        return [line.slice(0, index), line.slice(index + 2)];
+      }));
+      return { event: fields.event, data: JSON.parse(fields.data) };
+    });
+  }
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    stream = createEventStream({ flushIntervalMs: 500, heartbeatIntervalMs: 15000 });
+  });
+
+  afterEach(() => {
+    stream.close();
+    jest.useRealTimers();
+  });
+
+  test('should open an event stream response', () => {
+    const { res } = subscribe();
+
+    expect(res.writeHead).toHaveBeenCalledWith(200, expect.objectContaining({ 'Content-Type': 'text/event-stream' }));
+    expect(res.chunks[0]).toBe('retry: 3000\n\n');
+    expect(stream.clientCount).toBe(1);
+  });
+
+  test('should send published events in batches', () => {
+    const { res } = subscribe();
+
+    stream.publish('server', { uptime: 1 });
+    stream.publish('station', { mountPoint: 'UP1' });
+    expect(received(res)).toEqual([]);
+
+    jest.advanceTimersByTime(500);
+
+    expect(received(res)).toEqual([
+      { event: 'server', data: { uptime: 1 } },
+      { event: 'station', data: { mountPoint: 'UP1' } }
+    ]);
+    expect(res.chunks[1]).toMatch(/^id: 1\n/);
+  });
+
+  test('should only send the latest event per key', () => {
+    const { res } = subscribe();
+
+    stream.publish('connection', { id: 'a', bytesSent: 1 }, 'connection:a');
+    stream.publish('connection', { id: 'b', bytesSent: 5 }, 'connection:b');
+    stream.publish('connection', { id: 'a', bytesSent: 2 }, 'connection:a');
+    stream.flush();
+
+    expect(received(res).map(event => event.data)).toEqual([
+      { id: 'b', bytesSent: 5 },
+      { id: 'a', bytesSent: 2 }
+    ]);
+  });
+
+  test('should not buffer events without subscribers', () => {
+    stream.publish('server', { uptime: 1 });
+    const { res } = subscribe();
+    stream.flush();
+
+    expect(received(res)).toEqual([]);
+  });
+
+  test('should unsubscribe closed requests', () => {
+    const first = subscribe();
+    const second = subscribe();
+
+    first.req.emit('close');
+    stream.publish('server', { uptime: 1 });
+    stream.flush();
+
+    expect(stream.clientCount).toBe(1);
+    expect(received(first.res)).toEqual([]);
+    expect(received(second.res)).toHaveLength(1);
+  });
+
+  test('should drop subscribers that cannot be written to', () => {
+    const { res } = subscribe();
+    res.write.mockImplementation(() => {
+      throw new Error('socket closed');
+    });
+
+    stream.publish('server', { uptime: 1 });
+    stream.flush();
+
+    expect(stream.clientCount).toBe(0);
+  });
+
+  test('should keep idle streams alive', () => {
+    const { res } = subscribe();
+
+    jest.advanceTimersByTime(15000);
+
+    expect(res.chunks).toContain(': heartbeat\n\n');
+  });
+});
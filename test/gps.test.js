@@ -11,6 +11,17 @@ jest.mock('../utils/logger', () => ({
   debug: jest.fn()
 }));
 
+/**
+ * Append a valid NMEA checksum to a sentence body
+ */
+function withChecksum(body) {
+  let checksum = 0;
+  for (let i = 1; i < body.length; i++) {
+    checksum ^= body.charCodeAt(i);
+  }
+  return `${body}*${checksum.toString(16).toUpperCase().padStart(2, '0')}`;
+}
+
 describe('GPS Utilities', () => {
   describe('parseLatLon', () => {
     test('should correctly convert DDMM.MMMM to decimal degrees', () => {
@@ -51,6 +62,90 @@ describe('GPS Utilities', () => {
     });
   });
 
+  describe('parseGGA', () => {
+    test('should accept any talker ID', () => {
+      ['GN', 'GA', 'GL', 'GB'].forEach(talker => {
+        const result = gps.parseGGA(withChecksum(`$${talker}GGA,123519,3723.2475,N,12158.3416,W,4,17,0.8,9.0,M,-34.2,M,1.0,0001`));
+        expect(result.talker).toBe(talker);
+        expect(result.sentenceType).toBe('GGA');
+        expect(result.latitude).toBeCloseTo(37.387458, 5);
+        expect(result.fixQuality).toBe(4);
+        expect(result.numSatellites).toBe(17);
+      });
+    });
+  });
+
+  describe('parseRMC', () => {
+    test('should derive position and fix quality from an RMC sentence', () => {
+      const result = gps.parseRMC(withChecksum('$GNRMC,123519,A,3723.2475,N,12158.3416,W,0.1,309.62,120598,,,R'));
+
+      expect(result.sentenceType).toBe('RMC');
+      expect(result.latitude).toBeCloseTo(37.387458, 5);
+      expect(result.longitude).toBeCloseTo(-121.972360, 5);
+      expect(result.fixQuality).toBe(4);
+      expect(result.numSatellites).toBeNull();
+      expect(result.date).toBe('120598');
+    });
+
+    test('should treat a missing mode indicator as autonomous and status V as no fix', () => {
+      expect(gps.parseRMC('$GPRMC,123519,A,3723.2475,N,12158.3416,W,0.1,309.62,120598,*10').fixQuality).toBe(1);
+      expect(gps.parseRMC(withChecksum('$GPRMC,123519,V,3723.2475,N,12158.3416,W,0.1,309.62,120598,,,N')).fixQuality).toBe(0);
+    });
+
+    test('should return null for RMC without coordinates', () => {
+      expect(gps.parseRMC(withChecksum('$GPRMC,123519,V,,,,,,,120598,,,N'))).toBeNull();
+    });
+  });
+
+  describe('parseGNS', () => {
+    test('should use the best mode indicator across constellations', () => {
+      const result = gps.parseGNS(withChecksum('$GNGNS,123519,3723.2475,N,12158.3416,W,RFN,21,0.7,9.0,-34.2,1.0,0001'));
+
+      expect(result.sentenceType).toBe('GNS');
+      expect(result.latitude).toBeCloseTo(37.387458, 5);
+      expect(result.fixQuality).toBe(4);
+      expect(result.numSatellites).toBe(21);
+      expect(result.altitude).toBe(9);
+    });
+  });
+
+  describe('parsePositionSentence', () => {
+    test('should dispatch on the sentence type', () => {
+      expect(gps.parsePositionSentence(withChecksum('$GNGGA,123519,3723.2475,N,12158.3416,W,1,07,1.0,9.0,M,-34.2,M,,')).sentenceType).toBe('GGA');
+      expect(gps.parsePositionSentence(withChecksum('$GNRMC,123519,A,3723.2475,N,12158.3416,W,0.1,309.62,120598,,,A')).sentenceType).toBe('RMC');
+      expect(gps.parsePositionSentence(withChecksum('$GNGNS,123519,3723.2475,N,12158.3416,W,AA,07,1.0,9.0,-34.2,,')).sentenceType).toBe('GNS');
+    });
+
+    test('should return null for unsupported sentences', () => {
+      expect(gps.parsePositionSentence(withChecksum('$GPGSV,3,1,11,03,03,111,00'))).toBeNull();
+      expect(gps.parsePositionSentence(null)).toBeNull();
+    });
+  });
+
+  describe('buildGGA', () => {
+    test('should build a GGA sentence that parses back to the same position', () => {
+      const sentence = gps.buildGGA(
+        { latitude: -33.856784, longitude: 151.215297, fixQuality: 5, numSatellites: 9, horizontalDilution: 0.9, altitude: 25.4 },
+        new Date(Date.UTC(2024, 0, 1, 8, 5, 3, 250))
+      );
+      const result = gps.parseGGA(sentence);
+
+      expect(sentence).toMatch(/^\$GPGGA,080503\.25,3351\.\d{7},S,15112\.\d{7},E,5,09,0\.9,25\.400,M,/);
+      expect(sentence).toBe(withChecksum(sentence.split('*')[0]));
+      expect(result.latitude).toBeCloseTo(-33.856784, 6);
+      expect(result.longitude).toBeCloseTo(151.215297, 6);
+      expect(result.fixQuality).toBe(5);
+    });
+
+    test('should fill in defaults for positions from RMC sentences', () => {
+      const result = gps.parseGGA(gps.buildGGA({ latitude: 37.5, longitude: -122.0, fixQuality: 0, numSatellites: null }));
+
+      expect(result.fixQuality).toBe(1);
+      expect(result.numSatellites).toBe(12);
+      expect(result.horizontalDilution).toBe(1);
+    });
+  });
+
   describe('calculateDistance', () => {
     test('should calculate correct distance between two points', () => {
       const distance = gps.calculateDistance(37.5, -122.0, 37.6, -122.1);
@@ -60,6 +155,73 @@ describe('GPS Utilities', () => {
     });
   });
 
+  describe('rankStations', () => {
+    const stations = [
+      { mountPoint: 'Far', latitude: 38.0, longitude: -122.5 },
+      { mountPoint: 'Near', latitude: 37.5, longitude: -122.0 },
+      { mountPoint: 'Middle', latitude: 37.6, longitude: -122.1 },
+      { mountPoint: 'Off', latitude: 37.5, longitude: -122.0, active: false }
+    ];
+
+    test('should rank active stations nearest first', () => {
+      const ranked = gps.rankStations(37.49, -121.99, stations);
+
+      expect(ranked.map(s => s.mountPoint)).toEqual(['Near', 'Middle', 'Far']);
+      expect(ranked[0].distance).toBeLessThan(ranked[1].distance);
+      expect(ranked[1].distance).toBeLessThan(ranked[2].distance);
+    });
+
+    test('should return an empty list for invalid input', () => {
+      expect(gps.rankStations(NaN, -122.0, stations)).toEqual([]);
+      expect(gps.rankStations(37.5, -122.0, null)).toEqual([]);
+      expect(gps.rankStations(37.5, -122.0, [stations[3]])).toEqual([]);
+    });
+
+    test('should leave out stations beyond their range or the default baseline', () => {
+      const ranged = stations.map(s => (s.mountPoint === 'Far' ? { ...s, maxRangeMeters: 100000 } : s));
+
+      expect(gps.rankStations(37.49, -121.99, ranged, { maxBaselineMeters: 20000 }).map(s => s.mountPoint))
+        .toEqual(['Near', 'Middle', 'Far']);
+      expect(gps.rankStations(37.49, -121.99, ranged, { maxBaselineMeters: 5000 }).map(s => s.mountPoint))
+        .toEqual(['Near', 'Far']);
+      expect(gps.rankStations(37.49, -121.99, stations, { maxBaselineMeters: 1000 })).toEqual([]);
+    });
+  });
+
+  describe('ecefToGeodetic', () => {
+    test('should convert ECEF coordinates to latitude, longitude and height', () => {
+      const position = gps.ecefToGeodetic(-2688365.9634, -4302284.8780, 3852759.1620);
+
+      expect(position.latitude).toBeCloseTo(37.4, 7);
+      expect(position.longitude).toBeCloseTo(-122.0, 7);
+      expect(position.height).toBeCloseTo(10.0, 3);
+    });
+
+    test('should handle the southern and eastern hemispheres', () => {
+      const position = gps.ecefToGeodetic(-4646678.6, 2553206.2, -3534962.5);
+
+      expect(position.latitude).toBeLessThan(0);
+      expect(position.longitude).toBeGreaterThan(90);
+    });
+  });
+
+  describe('getStationRange', () => {
+    test('should prefer the station range over the default baseline', () => {
+      expect(gps.getStationRange({ maxRangeMeters: 5000 }, 20000)).toBe(5000);
+      expect(gps.getStationRange({}, 20000)).toBe(20000);
+      expect(gps.getStationRange({})).toBeNull();
+    });
+  });
+
+  describe('isWithinRange', () => {
+    test('should compare the station distance with its range', () => {
+      expect(gps.isWithinRange({ distance: 4000, maxRangeMeters: 5000 })).toBe(true);
+      expect(gps.isWithinRange({ distance: 6000, maxRangeMeters: 5000 })).toBe(false);
+      expect(gps.isWithinRange({ distance: 6000 }, 10000)).toBe(true);
+      expect(gps.isWithinRange({ distance: 1e7 })).toBe(true);
+    });
+  });
+
   describe('findClosestStation', () => {
     const testStations = [
       { mountPoint: 'Station1', latitude: 37.5, longitude: -122.0 },
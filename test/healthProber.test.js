@@ -0,0 +1,156 @@
+/**
+ * Unit tests for the background station health checks
+ */
+const EventEmitter = require('events');
+const net = require('net');
+const { probeStation, createHealthProber, getHealthCheckSettings } = require('../utils/healthProber');
+const stationHealth = require('../utils/stationHealth');
+const { crc24q } = require('../utils/rtcm');
+const { CasterAuthError } = require('../utils/errors');
+
+// Mock the logger to prevent console output during tests
+jest.mock('../utils/logger', () => ({
+  error: jest.fn(),
+  warn: jest.fn(),
+  info: jest.fn(),
+  debug: jest.fn()
+}));
+
+const STATION = { mountPoint: 'BASE', casterHost: 'caster.example.com', casterPort: 2101, latitude: 37.5, longitude: -122.0 };
+
+/**
+ * Build a valid RTCM 3 frame
+ */
+function buildFrame() {
+  const frame = Buffer.from([0xd3, 0x00, 0x02, 0x3e, 0xd0, 0, 0, 0]);
+  frame.writeUIntBE(crc24q(frame.subarray(0, 5)), 5, 3);
+  return frame;
+}
+
+/**
+ * Create a fake caster socket
+ */
+function createSocket() {
+  const socket = new EventEmitter();
+  socket.write = jest.fn();
+  socket.destroy = jest.fn(() => socket.emit('close'));
+  return socket;
+}
+
+describe('Health Prober', () => {
+  beforeEach(() => {
+    stationHealth.clearStationHealth();
+  });
+
+  describe('getHealthCheckSettings', () => {
+    test('should merge configured values over the defaults', () => {
+      expect(getHealthCheckSettings({ healthCheck: { intervalSeconds: 60 } }))
+        .toEqual({ enabled: true, intervalSeconds: 60, timeoutSeconds: 15 });
+    });
+  });
+
+  describe('probeStation', () => {
+    test('should pass once the caster sends an RTCM frame', async () => {
+      const socket = createSocket();
+      const connect = jest.fn().mockResolvedValue(socket);
+
+      const probe = probeStation(STATION, { connect, timeoutMs: 1000 });
+      await Promise.resolve();
+      socket.emit('corrections', buildFrame());
+
+      await expect(probe).resolves.toEqual({ latencyMs: expect.any(Number) });
+      expect(socket.destroy).toHaveBeenCalled();
+    });
+
+    test('should send a GGA with the request to network RTK mountpoints', async () => {
+      const socket = createSocket();
+      const connect = jest.fn().mockResolvedValue(socket);
+
+      const probe = probeStation({ ...STATION, sendGga: true }, { connect, timeoutMs: 1000 });
+      await Promise.resolve();
+      socket.emit('corrections', buildFrame());
+      await probe;
+
+      expect(connect).toHaveBeenCalledWith('caster.example.com', 2101, 'BASE', undefined, undefined, undefined,
+        expect.stringMatching(/^\$GPGGA,/));
+    });
+
+    test('should pass a network RTK caster that waits for the position before streaming', async () => {
+      // Does not answer the request before it gets a GGA
+      const caster = net.createServer(socket => {
+        let received = '';
+        socket.on('data', data => {
+          received += data.toString('latin1');
+          if (received.includes('\r\n\r\n') && received.includes('$GPGGA')) {
+            received = '';
+            socket.write('ICY 200 OK\r\n');
+            socket.write(buildFrame());
+          }
+        });
+      });
+      await new Promise(resolve => caster.listen(0, '127.0.0.1', resolve));
+
+      try {
+        const station = { ...STATION, casterHost: '127.0.0.1', casterPort: caster.address().port, sendGga: true };
+        await expect(probeStation(station, { timeoutMs: 1000 })).resolves.toEqual({ latencyMs: expect.any(Number) });
+      } finally {
+        await new Promise(resolve => caster.close(resolve));
+      }
+    });
+
+    test('should fail when no RTCM data arrives in time', async () => {
+      const socket = createSocket();
+      const connect = jest.fn().mockResolvedValue(socket);
+
+      await expect(probeStation(STATION, { connect, timeoutMs: 10 }))
+        .rejects.toMatchObject({ reason: 'timeout' });
+      expect(socket.destroy).toHaveBeenCalled();
+    });
+  });
+
+  describe('runChecks', () => {
+    const config = {
+      stations: [
+        STATION,
+        { ...STATION, mountPoint: 'DENIED' },
+        { ...STATION, mountPoint: 'STREAMING' },
+        { ...STATION, mountPoint: 'VRS', sendGga: true },
+        { ...STATION, mountPoint: 'OFF', active: false }
+      ]
+    };
+
+    test('should record the result of every active station', async () => {
+      const probe = jest.fn(async station => {
+        if (station.mountPoint === 'DENIED') {
+          throw new CasterAuthError();
+        }
+        return { latencyMs: 42 };
+      });
+      const prober = createHealthProber({
+        getConfig: () => config,
+        getLastFrameAt: station => (station.mountPoint === 'STREAMING' ? Date.now() : null),
+        isInUse: station => station.mountPoint === 'VRS',
+        probe
+      });
+
+      await prober.runChecks();
+
+      // Live streams, stations rovers are connected to and inactive stations are not probed
+      expect(probe.mock.calls.map(([station]) => station.mountPoint)).toEqual(['BASE', 'DENIED']);
+      expect(stationHealth.getStationHealth('BASE')).toMatchObject({ status: 'healthy', latencyMs: 42 });
+      expect(stationHealth.getStationHealth('STREAMING')).toMatchObject({ status: 'healthy', latencyMs: null });
+      expect(stationHealth.getStationHealth('DENIED')).toMatchObject({ status: 'unhealthy', reason: 'unauthorized' });
+      expect(stationHealth.getStationHealth('VRS').status).toBe('unknown');
+      expect(stationHealth.getStationHealth('OFF').status).toBe('unknown');
+    });
+
+    test('should not check while disabled', async () => {
+      const probe = jest.fn();
+      const prober = createHealthProber({ getConfig: () => ({ ...config, healthCheck: { enabled: false } }), probe });
+
+      await prober.runChecks();
+
+      expect(probe).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,139 @@
+/**
+ * Unit tests for the Prometheus metrics
+ */
+const metrics = require('../utils/metrics');
+
+// Mock the logger to prevent console output during tests
+jest.mock('../utils/logger', () => ({
+  error: jest.fn(),
+  warn: jest.fn(),
+  info: jest.fn(),
+  debug: jest.fn()
+}));
+
+describe('Metrics', () => {
+  describe('createRegistry', () => {
+    let registry;
+
+    beforeEach(() => {
+      registry = metrics.createRegistry();
+    });
+
+    test('should render counters and gauges with labels', () => {
+      const counter = registry.counter({ name: 'test_failures_total', help: 'Failures', labelNames: ['station', 'reason'] });
+      const gauge = registry.gauge({ name: 'test_clients', help: 'Clients' });
+
+      counter.inc({ station: 'UP1', reason: 'timeout' });
+      counter.inc({ station: 'UP1', reason: 'timeout' }, 2);
+      counter.inc({ station: 'UP2', reason: 'unauthorized' });
+      gauge.inc();
+      gauge.inc();
+      gauge.dec();
+
+      expect(registry.render()).toBe([
+        '# HELP test_failures_total Failures',
+        '# TYPE test_failures_total counter',
+        'test_failures_total{station="UP1",reason="timeout"} 3',
+        'test_failures_total{station="UP2",reason="unauthorized"} 1',
+        '# HELP test_clients Clients',
+        '# TYPE test_clients gauge',
+        'test_clients 1',
+        ''
+      ].join('\n'));
+    });
+
+    test('should render unlabelled metrics before anything happened', () => {
+      registry.counter({ name: 'test_total', help: 'Things' });
+      registry.counter({ name: 'test_labelled_total', help: 'Things', labelNames: ['station'] });
+
+      const text = registry.render();
+
+      expect(text).toContain('test_total 0\n');
+      expect(text).not.toContain('test_labelled_total{');
+    });
+
+    test('should escape label values', () => {
+      const gauge = registry.gauge({ name: 'test_gauge', help: 'Gauge', labelNames: ['station'] });
+      gauge.set({ station: 'A"B\\C\nD' }, 5);
+
+      expect(registry.render()).toContain('test_gauge{station="A\\"B\\\\C\\nD"} 5');
+    });
+
+    test('should render cumulative histogram buckets', () => {
+      const histogram = registry.histogram({ name: 'test_seconds', help: 'Latency', labelNames: ['station'], buckets: [0.1, 1] });
+
+      histogram.observe({ station: 'UP1' }, 0.05);
+      histogram.observe({ station: 'UP1' }, 0.5);
+      histogram.observe({ station: 'UP1' }, 3);
+
+      const lines = registry.render().split('\n');
+      expect(lines).toEqual(expect.arrayContaining([
+        '# TYPE test_seconds histogram',
+        'test_seconds_bucket{station="UP1",le="0.1"} 1',
+        'test_seconds_bucket{station="UP1",le="1"} 2',
+        'test_seconds_bucket{station="UP1",le="+Inf"} 3',
+        'test_seconds_sum{station="UP1"} 3.55',
+        'test_seconds_count{station="UP1"} 3'
+      ]));
+    });
+
+    test('should clear all series on reset', () => {
+      const counter = registry.counter({ name: 'test_total', help: 'Things', labelNames: ['station'] });
+      counter.inc({ station: 'UP1' });
+
+      registry.reset();
+
+      expect(registry.render()).not.toContain('UP1');
+    });
+  });
+
+  describe('getMetricsSettings', () => {
+    test('should default to enabled behind the admin login', () => {
+      expect(metrics.getMetricsSettings({})).toEqual({ enabled: true, auth: 'basic', token: null });
+    });
+
+    test('should merge the configured settings', () => {
+      expect(metrics.getMetricsSettings({ metrics: { auth: 'token', token: 'secret' } }))
+        .toEqual({ enabled: true, auth: 'token', token: 'secret' });
+    });
+  });
+
+  describe('isAuthorized', () => {
+    const settings = { enabled: true, auth: 'token', token: 'secret' };
+
+    test('should accept the configured bearer token', () => {
+      expect(metrics.isAuthorized('Bearer secret', settings)).toBe(true);
+      expect(metrics.isAuthorized('bearer secret', settings)).toBe(true);
+    });
+
+    test('should reject other or missing tokens', () => {
+      expect(metrics.isAuthorized('Bearer wrong', settings)).toBe(false);
+      expect(metrics.isAuthorized('Basic c2VjcmV0', settings)).toBe(false);
+      expect(metrics.isAuthorized(undefined, settings)).toBe(false);
+    });
+
+    test('should reject everything when no token is configured', () => {
+      expect(metrics.isAuthorized('Bearer ', { ...settings, token: null })).toBe(false);
+      expect(metrics.isAuthorized('Bearer null', { ...settings, token: null })).toBe(false);
+    });
+  });
+
+  describe('server metrics', () => {
+    test('should expose the NearTRIP metrics', () => {
+      const text = metrics.registry.render();
+
+      [
+        'neartrip_active_clients',
+        'neartrip_upstream_connections',
+        'neartrip_client_bytes_received_total',
+        'neartrip_client_bytes_sent_total',
+        'neartrip_station_switches_total',
+        'neartrip_upstream_failures_total',
+        'neartrip_auth_failures_total',
+        'neartrip_nmea_parse_errors_total',
+        'neartrip_upstream_connect_seconds',
+        'neartrip_time_to_first_correction_seconds'
+      ].forEach(name => expect(text).toContain(`# TYPE ${name} `));
+    });
+  });
+});
@@ -3,6 +3,7 @@
  */
 const ntrip = require('../utils/ntrip');
 const net = require('net');
+const { CasterAuthError, MountpointNotFoundError, CasterFullError } = require('../utils/errors');
 
 // Mock dependencies
 jest.mock('../utils/logger', () => ({
@@ -27,6 +28,9 @@ jest.mock('net', () => {
     }),
     write: jest.fn(),
     end: jest.fn(),
+    destroy: jest.fn(),
+    emit: jest.fn(),
+    destroyed: false,
     // Helper to trigger events in tests
     triggerEvent: function(event, ...args) {
       if (this.eventCallbacks && this.eventCallbacks[event]) {
@@ -42,7 +46,8 @@ jest.mock('net', () => {
   
   return {
     connect: jest.fn().mockImplementation((port, host, callback) => {
-      callback();
+      // Like a real socket, the connect callback runs after net.connect returns
+      setImmediate(callback);
       return mockSocket;
     }),
     Socket: jest.fn().mockImplementation(() => mockSocket),
@@ -50,6 +55,11 @@ jest.mock('net', () => {
   };
 });
 
+/**
+ * Wait for pending setImmediate callbacks (such as the mocked connect callback)
+ */
+const flushImmediate = () => new Promise(resolve => setImmediate(resolve));
+
 describe('NTRIP Utilities', () => {
   beforeEach(() => {
     // Clear all mocks before each test
@@ -58,7 +68,7 @@ describe('NTRIP Utilities', () => {
 
   describe('connectToNtripCaster', () => {
     test('should connect to NTRIP caster and write headers', async () => {
-      const casterSocket = await ntrip.connectToNtripCaster(
+      const connectPromise = ntrip.connectToNtripCaster(
         'test.caster.com',
         2101,
         'TEST',
@@ -66,10 +76,106 @@ describe('NTRIP Utilities', () => {
         'pass',
         'TestAgent/1.0'
       );
+      await flushImmediate();
       
+      const casterSocket = net._getMockSocket();
       expect(net.connect).toHaveBeenCalledWith(2101, 'test.caster.com', expect.any(Function));
       expect(casterSocket.write).toHaveBeenCalledWith(expect.stringContaining('GET /TEST HTTP/1.1'));
       expect(casterSocket.write).toHaveBeenCalledWith(expect.stringContaining('Authorization: Basic'));
+
+      casterSocket.triggerEvent('data', Buffer.from('ICY 200 OK\r\n\r\n'));
+      await expect(connectPromise).resolves.toBe(casterSocket);
+    });
+
+    test('should send a GGA sentence right after the request', async () => {
+      ntrip.connectToNtripCaster('test.caster.com', 2101, 'VRS', 'user', 'pass', 'TestAgent/1.0', '$GPGGA,1');
+      await flushImmediate();
+
+      const casterSocket = net._getMockSocket();
+      expect(casterSocket.write).toHaveBeenNthCalledWith(1, expect.stringContaining('GET /VRS HTTP/1.1'));
+      expect(casterSocket.write).toHaveBeenNthCalledWith(2, '$GPGGA,1\r\n');
+    });
+
+    test('should only resolve once the caster starts streaming', async () => {
+      let resolved = false;
+      const connectPromise = ntrip.connectToNtripCaster('test.caster.com', 2101, 'TEST', 'user', 'pass')
+        .then(socket => { resolved = true; return socket; });
+      await flushImmediate();
+
+      const casterSocket = net._getMockSocket();
+      casterSocket.triggerEvent('data', Buffer.from('HTTP/1.1 200 OK\r\nNtrip-Version: Ntrip/2.0'));
+      await flushImmediate();
+      expect(resolved).toBe(false);
+
+      casterSocket.triggerEvent('data', Buffer.from('\r\nContent-Type: gnss/data\r\n\r\n'));
+      await connectPromise;
+      expect(resolved).toBe(true);
+    });
+
+    test('should emit correction data received together with an ICY status line', async () => {
+      const connectPromise = ntrip.connectToNtripCaster('test.caster.com', 2101, 'TEST', 'user', 'pass');
+      await flushImmediate();
+
+      const casterSocket = net._getMockSocket();
+      casterSocket.triggerEvent('data', Buffer.concat([Buffer.from('ICY 200 OK\r\n'), Buffer.from([0xd3, 0x00, 0x01])]));
+      await connectPromise;
+      await flushImmediate();
+
+      expect(casterSocket.emit).toHaveBeenCalledWith('corrections', Buffer.from([0xd3, 0x00, 0x01]));
+    });
+
+    test('should resolve on a bare ICY status line and stop the handshake timeout', async () => {
+      const connectPromise = ntrip.connectToNtripCaster('test.caster.com', 2101, 'TEST', 'user', 'pass');
+      await flushImmediate();
+
+      const casterSocket = net._getMockSocket();
+      casterSocket.triggerEvent('data', Buffer.from('ICY 200 OK\r\n'));
+
+      await expect(connectPromise).resolves.toBe(casterSocket);
+      expect(casterSocket.setTimeout).toHaveBeenLastCalledWith(0);
+    });
+
+    test('should decode chunked transfer-encoding from NTRIP 2.0 casters', async () => {
+      const connectPromise = ntrip.connectToNtripCaster('test.caster.com', 2101, 'TEST', 'user', 'pass');
+      await flushImmediate();
+
+      const casterSocket = net._getMockSocket();
+      casterSocket.triggerEvent('data', Buffer.from('HTTP/1.1 200 OK\r\nTransfer-Encoding: chunked\r\n\r\n'));
+      await connectPromise;
+
+      casterSocket.triggerEvent('data', Buffer.from('3\r\nabc\r\n2\r'));
+      casterSocket.triggerEvent('data', Buffer.from('\nde\r\n'));
+
+      expect(casterSocket.emit).toHaveBeenNthCalledWith(1, 'corrections', Buffer.from('abc'));
+      expect(casterSocket.emit).toHaveBeenNthCalledWith(2, 'corrections', Buffer.from('de'));
+    });
+
+    test.each([
+      ['HTTP/1.1 401 Unauthorized\r\n\r\n', CasterAuthError, 'unauthorized'],
+      ['ICY 401 Unauthorized\r\n\r\n', CasterAuthError, 'unauthorized'],
+      ['HTTP/1.1 404 Not Found\r\n\r\n', MountpointNotFoundError, 'mountpoint_not_found'],
+      ['SOURCETABLE 200 OK\r\nContent-Type: text/plain\r\n\r\nSTR;OTHER;', MountpointNotFoundError, 'mountpoint_not_found'],
+      ['HTTP/1.1 200 OK\r\nContent-Type: gnss/sourcetable\r\n\r\n', MountpointNotFoundError, 'mountpoint_not_found'],
+      ['HTTP/1.1 503 Service Unavailable\r\n\r\n', CasterFullError, 'caster_full']
+    ])('should reject %j with a typed error', async (response, ErrorType, reason) => {
+      const connectPromise = ntrip.connectToNtripCaster('test.caster.com', 2101, 'TEST', 'user', 'pass');
+      await flushImmediate();
+
+      const casterSocket = net._getMockSocket();
+      casterSocket.triggerEvent('data', Buffer.from(response));
+
+      await expect(connectPromise).rejects.toBeInstanceOf(ErrorType);
+      await expect(connectPromise).rejects.toMatchObject({ reason });
+      expect(casterSocket.destroy).toHaveBeenCalled();
+    });
+
+    test('should reject a response that is not NTRIP or HTTP', async () => {
+      const connectPromise = ntrip.connectToNtripCaster('test.caster.com', 2101, 'TEST', 'user', 'pass');
+      await flushImmediate();
+
+      net._getMockSocket().triggerEvent('data', Buffer.from('SSH-2.0-OpenSSH\r\n'));
+
+      await expect(connectPromise).rejects.toMatchObject({ reason: 'bad_response' });
     });
 
     test('should throw an error for missing required parameters', async () => {
@@ -110,6 +216,48 @@ describe('NTRIP Utilities', () => {
     });
   });
 
+  describe('parseCasterResponseHead', () => {
+    test('should return null until the head is complete', () => {
+      expect(ntrip.parseCasterResponseHead(Buffer.from('HTTP/1.1 200'))).toBeNull();
+      expect(ntrip.parseCasterResponseHead(Buffer.from('HTTP/1.1 200 OK\r\nServer: x\r\n'))).toBeNull();
+      expect(ntrip.parseCasterResponseHead(Buffer.from('ICY 200 OK'))).toBeNull();
+    });
+
+    test('should end an ICY head with the status line', () => {
+      const buffer = Buffer.from('ICY 200 OK\r\n');
+
+      expect(ntrip.parseCasterResponseHead(buffer)).toMatchObject({ protocol: 'ICY', statusCode: 200, bodyOffset: buffer.length });
+    });
+
+    test('should parse the status line, headers and body offset', () => {
+      const buffer = Buffer.from('HTTP/1.1 200 OK\r\nTransfer-Encoding: chunked\r\n\r\nBODY');
+      const head = ntrip.parseCasterResponseHead(buffer);
+
+      expect(head).toMatchObject({
+        protocol: 'HTTP/1.1',
+        statusCode: 200,
+        statusMessage: 'OK',
+        headers: { 'transfer-encoding': 'chunked' }
+      });
+      expect(buffer.toString('latin1', head.bodyOffset)).toBe('BODY');
+    });
+  });
+
+  describe('createChunkedDecoder', () => {
+    test('should ignore chunk extensions and stop at the last chunk', () => {
+      const decode = ntrip.createChunkedDecoder();
+
+      expect(decode(Buffer.from('4;ext=1\r\nwxyz\r\n0\r\n\r\n')).toString()).toBe('wxyz');
+      expect(decode(Buffer.from('3\r\nabc\r\n')).length).toBe(0);
+    });
+
+    test('should throw on an invalid chunk size', () => {
+      const decode = ntrip.createChunkedDecoder();
+
+      expect(() => decode(Buffer.from('zz\r\n'))).toThrow('Invalid chunk size');
+    });
+  });
+
   describe('generateSourcetableResponse', () => {
     test('should generate a valid sourcetable response', () => {
       const response = ntrip.generateSourcetableResponse('TEST', 'Test Location');
@@ -125,4 +273,21 @@ describe('NTRIP Utilities', () => {
       expect(response).toContain('STR;TEST;NTRIP Service;');
     });
   });
+
+  describe('generateUnauthorizedResponse', () => {
+    test('should generate an NTRIP 1.0 401 response with a Basic challenge', () => {
+      const response = ntrip.generateUnauthorizedResponse('TEST');
+
+      expect(response.startsWith('HTTP/1.0 401 Unauthorized\r\n')).toBe(true);
+      expect(response).toContain('WWW-Authenticate: Basic realm="/TEST"');
+      expect(response).not.toContain('Ntrip-Version');
+    });
+
+    test('should use HTTP/1.1 for NTRIP 2.0 clients', () => {
+      const response = ntrip.generateUnauthorizedResponse('TEST', true);
+
+      expect(response.startsWith('HTTP/1.1 401 Unauthorized\r\n')).toBe(true);
+      expect(response).toContain('Ntrip-Version: Ntrip/2.0');
+    });
+  });
 });
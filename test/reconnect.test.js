@@ -0,0 +1,57 @@
+/**
+ * Unit tests for the upstream reconnect policy
+ */
+const reconnect = require('../utils/reconnect');
+
+const station = (mountPoint, distance) => ({ mountPoint, distance });
+
+describe('Reconnect Policy', () => {
+  describe('getReconnectPolicy', () => {
+    test('should merge configured values over the defaults', () => {
+      const policy = reconnect.getReconnectPolicy({ reconnect: { maxRetries: 5 } });
+
+      expect(policy.maxRetries).toBe(5);
+      expect(policy.initialDelaySeconds).toBe(1);
+      expect(reconnect.getReconnectPolicy({})).toEqual(reconnect.DEFAULT_RECONNECT_POLICY);
+    });
+  });
+
+  describe('getBackoffDelay', () => {
+    test('should grow exponentially up to the maximum delay', () => {
+      const policy = { initialDelaySeconds: 1, backoffMultiplier: 2, maxDelaySeconds: 10 };
+
+      expect([1, 2, 3, 4, 5].map(attempt => reconnect.getBackoffDelay(attempt, policy)))
+        .toEqual([1000, 2000, 4000, 8000, 10000]);
+    });
+  });
+
+  describe('selectFallbackStation', () => {
+    const ranked = [station('A', 1000), station('B', 5000), station('C', 20000), station('D', 30000)];
+    const allHealthy = () => true;
+
+    test('should fall back to the next nearest station', () => {
+      expect(reconnect.selectFallbackStation(ranked, 'A', allHealthy).mountPoint).toBe('B');
+    });
+
+    test('should skip unhealthy stations', () => {
+      const isHealthy = mountPoint => mountPoint !== 'B';
+
+      expect(reconnect.selectFallbackStation(ranked, 'A', isHealthy).mountPoint).toBe('C');
+    });
+
+    test('should return to the nearest station when a fallback fails', () => {
+      expect(reconnect.selectFallbackStation(ranked, 'B', allHealthy).mountPoint).toBe('A');
+    });
+
+    test('should respect the fallback count and baseline limits', () => {
+      const isHealthy = mountPoint => mountPoint !== 'B' && mountPoint !== 'C';
+      const policy = { ...reconnect.DEFAULT_RECONNECT_POLICY, maxFallbackBaselineMeters: 10000 };
+
+      // D is beyond the two fallback stations after the nearest
+      expect(reconnect.selectFallbackStation(ranked, 'A', isHealthy)).toBeNull();
+      // C would be healthy but is too far away
+      expect(reconnect.selectFallbackStation(ranked, 'A', allHealthy, policy).mountPoint).toBe('B');
+      expect(reconnect.selectFallbackStation(ranked, 'A', mountPoint => mountPoint !== 'B', policy)).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,92 @@
+/**
+ * Unit tests for the streaming client request parser
+ */
+const { createRequestParser, MAX_LINE_LENGTH } = require('../utils/requestParser');
+
+const GGA = '$GPGGA,123519,3723.2475,N,12158.3416,W,1,07,1.0,9.0,M,-34.2,M,,*59';
+
+/**
+ * Create a parser that records every event it emits
+ */
+function createRecordingParser() {
+  const parser = createRequestParser();
+  const events = [];
+  ['request', 'nmea', 'invalid', 'error'].forEach(name => {
+    parser.on(name, payload => events.push([name, payload]));
+  });
+  return { parser, events };
+}
+
+describe('Request Parser', () => {
+  test('should parse the request head and a GGA sent in the same chunk', () => {
+    const { parser, events } = createRecordingParser();
+
+    parser.push(Buffer.from(
+      'GET /NEAR HTTP/1.1\r\nHost: example.com\r\nNtrip-Version: Ntrip/2.0\r\nAuthorization: Basic abc=\r\n\r\n' +
+      GGA + '\r\n'
+    ));
+
+    expect(events).toEqual([
+      ['request', {
+        method: 'GET',
+        path: '/NEAR',
+        version: 'HTTP/1.1',
+        headers: { host: 'example.com', 'ntrip-version': 'Ntrip/2.0', authorization: 'Basic abc=' },
+        ntripVersion: 2
+      }],
+      ['nmea', GGA]
+    ]);
+    expect(parser.isStreaming()).toBe(true);
+  });
+
+  test('should reassemble a request line split across chunks', () => {
+    const { parser, events } = createRecordingParser();
+
+    parser.push('GET /NE');
+    parser.push('AR HTTP/1.0\r');
+    expect(events).toHaveLength(0);
+    parser.push('\nUser-Agent: NTRIP Test\r\n\r\n');
+
+    expect(events).toHaveLength(1);
+    expect(events[0][1]).toMatchObject({ method: 'GET', path: '/NEAR', version: 'HTTP/1.0', ntripVersion: 1 });
+  });
+
+  test('should emit each sentence when several arrive in one chunk with LF endings', () => {
+    const { parser, events } = createRecordingParser();
+
+    parser.push('GET /NEAR\n\n');
+    parser.push(`${GGA}\n${GGA}\n$GPGGA,partial`);
+
+    expect(events.filter(([name]) => name === 'nmea')).toHaveLength(2);
+    expect(events[0][1].version).toBeNull();
+
+    parser.push(',more*00\n');
+    expect(events[events.length - 1]).toEqual(['nmea', '$GPGGA,partial,more*00']);
+  });
+
+  test('should ignore non-NMEA lines in the sentence stream', () => {
+    const { parser, events } = createRecordingParser();
+
+    parser.push('GET /NEAR HTTP/1.0\r\n\r\n\r\ngarbage\r\n');
+
+    expect(events.map(([name]) => name)).toEqual(['request']);
+  });
+
+  test('should report an invalid request line', () => {
+    const { parser, events } = createRecordingParser();
+
+    parser.push('HELLO\r\n');
+
+    expect(events).toEqual([['invalid', 'HELLO']]);
+    expect(parser.isStreaming()).toBe(false);
+  });
+
+  test('should emit an error when a line exceeds the maximum length', () => {
+    const { parser, events } = createRecordingParser();
+
+    parser.push('x'.repeat(MAX_LINE_LENGTH + 1));
+
+    expect(events).toHaveLength(1);
+    expect(events[0][0]).toBe('error');
+  });
+});
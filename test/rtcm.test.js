@@ -0,0 +1,245 @@
+/**
+ * Unit tests for RTCM 3 stream framing
+ */
+const {
+  crc24q,
+  isFrameValid,
+  getMessageType,
+  getConstellation,
+  describeMessageType,
+  decodeReferencePoint,
+  createFrameReader,
+  createStreamStats
+} = require('../utils/rtcm');
+
+/**
+ * Build an RTCM 3 frame with the given message type and payload length
+ */
+function buildFrame(messageType, payloadLength = 8) {
+  const frame = Buffer.alloc(3 + payloadLength + 3);
+  frame[0] = 0xd3;
+  frame[1] = (payloadLength >> 8) & 0x03;
+  frame[2] = payloadLength & 0xff;
+  frame[3] = messageType >> 4;
+  frame[4] = (messageType & 0x0f) << 4;
+  frame.writeUIntBE(crc24q(frame.subarray(0, 3 + payloadLength)), 3 + payloadLength, 3);
+  return frame;
+}
+
+/**
+ * Build a 1005 (or, with an antenna height, 1006) station ARP frame
+ */
+function buildArpFrame({ stationId, x, y, z, antennaHeight = null }) {
+  const fields = [
+    [antennaHeight === null ? 1005 : 1006, 12], [stationId, 12], [0, 6], [0b1101, 4],
+    [Math.round(x * 10000), 38], [0, 2], [Math.round(y * 10000), 38], [0, 2], [Math.round(z * 10000), 38]
+  ];
+  if (antennaHeight !== null) {
+    fields.push([Math.round(antennaHeight * 10000), 16]);
+  }
+
+  // Two's complement bit string of all fields
+  const bits = fields.map(([value, length]) =>
+    BigInt.asUintN(length, BigInt(value)).toString(2).padStart(length, '0')).join('');
+  const payload = Buffer.alloc(Math.ceil(bits.length / 8));
+  for (let i = 0; i < bits.length; i++) {
+    if (bits[i] === '1') {
+      payload[i >> 3] |= 0x80 >> (i & 7);
+    }
+  }
+
+  const frame = Buffer.alloc(3 + payload.length + 3);
+  frame[0] = 0xd3;
+  frame[2] = payload.length;
+  payload.copy(frame, 3);
+  frame.writeUIntBE(crc24q(frame.subarray(0, 3 + payload.length)), 3 + payload.length, 3);
+  return frame;
+}
+
+/**
+ * Create a frame reader that records the frames and discards it emits
+ */
+function createRecordingReader() {
+  const reader = createFrameReader();
+  const frames = [];
+  const discards = [];
+  const corrupt = [];
+  reader.on('frame', frame => frames.push(Buffer.from(frame)));
+  reader.on('discard', count => discards.push(count));
+  reader.on('corrupt', frame => corrupt.push(Buffer.from(frame)));
+  return { reader, frames, discards, corrupt };
+}
+
+describe('RTCM Framing', () => {
+  test('should calculate the CRC-24Q check value', () => {
+    expect(crc24q(Buffer.from('123456789'))).toBe(0xcde703);
+    expect(isFrameValid(buildFrame(1005))).toBe(true);
+  });
+
+  test('should read the message type of a frame', () => {
+    expect(getMessageType(buildFrame(1005))).toBe(1005);
+    expect(getMessageType(buildFrame(4094))).toBe(4094);
+    expect(getMessageType(Buffer.from([0xd3, 0x00, 0x00]))).toBeNull();
+  });
+
+  test('should emit each frame when several arrive in one chunk', () => {
+    const { reader, frames, discards } = createRecordingReader();
+
+    reader.push(Buffer.concat([buildFrame(1074, 20), buildFrame(1084, 300)]));
+
+    expect(frames.map(getMessageType)).toEqual([1074, 1084]);
+    expect(frames[1]).toHaveLength(306);
+    expect(discards).toHaveLength(0);
+  });
+
+  test('should reassemble a frame split across chunks', () => {
+    const { reader, frames } = createRecordingReader();
+    const frame = buildFrame(1230, 12);
+
+    reader.push(frame.subarray(0, 2));
+    reader.push(frame.subarray(2, 10));
+    expect(frames).toHaveLength(0);
+    reader.push(frame.subarray(10));
+
+    expect(frames).toEqual([frame]);
+  });
+
+  test('should skip bytes before the next frame and report them', () => {
+    const { reader, frames, discards } = createRecordingReader();
+
+    // A preamble byte followed by non-zero reserved bits is not a frame start
+    reader.push(Buffer.concat([Buffer.from([0x01, 0xd3, 0xff, 0x02]), buildFrame(1005, 19)]));
+
+    expect(frames.map(getMessageType)).toEqual([1005]);
+    expect(discards).toEqual([4]);
+  });
+
+  test('should drop a frame with a bad CRC and recover on the next frame', () => {
+    const { reader, frames, corrupt } = createRecordingReader();
+    const damaged = buildFrame(1074, 10);
+    damaged[8] ^= 0xff;
+
+    reader.push(Buffer.concat([damaged, buildFrame(1084, 10)]));
+
+    expect(corrupt).toEqual([damaged]);
+    expect(frames.map(getMessageType)).toEqual([1084]);
+  });
+
+  test('should pass a stream that is not RTCM 3 through unframed', () => {
+    const { reader, frames, discards } = createRecordingReader();
+    const data = [];
+    reader.on('data', chunk => data.push(Buffer.from(chunk)));
+
+    // RTCM 2 carries 6 bits per byte, the upper two bits set to 01
+    const rtcm2 = Buffer.alloc(1500);
+    for (let i = 0; i < rtcm2.length; i++) {
+      rtcm2[i] = 0x40 | (i % 64);
+    }
+
+    reader.push(rtcm2);
+    expect(reader.framed).toBeNull();
+    expect(data).toHaveLength(0);
+
+    reader.push(rtcm2);
+    reader.push(rtcm2.subarray(0, 10));
+
+    expect(reader.framed).toBe(false);
+    expect(data).toEqual([Buffer.concat([rtcm2, rtcm2]), rtcm2.subarray(0, 10)]);
+    expect(frames).toHaveLength(0);
+    expect(discards).toHaveLength(0);
+  });
+
+  test('should report the bytes skipped before the first frame once it arrives', () => {
+    const { reader, frames, discards } = createRecordingReader();
+
+    reader.push(Buffer.from([0x01, 0x02, 0x03]));
+    expect(discards).toHaveLength(0);
+    reader.push(buildFrame(1005, 19));
+
+    expect(reader.framed).toBe(true);
+    expect(frames.map(getMessageType)).toEqual([1005]);
+    expect(discards).toEqual([3]);
+  });
+});
+
+describe('RTCM Message Types', () => {
+  test('should map observation messages to constellations', () => {
+    expect(getConstellation(1077)).toBe('GPS');
+    expect(getConstellation(1004)).toBe('GPS');
+    expect(getConstellation(1084)).toBe('GLONASS');
+    expect(getConstellation(1094)).toBe('Galileo');
+    expect(getConstellation(1124)).toBe('BeiDou');
+    expect(getConstellation(1005)).toBeNull();
+  });
+
+  test('should describe message types', () => {
+    expect(describeMessageType(1006)).toBe('Station ARP with antenna height');
+    expect(describeMessageType(1127)).toBe('BeiDou MSM7');
+    expect(describeMessageType(1012)).toBe('GLONASS observations');
+    expect(describeMessageType(4094)).toBeNull();
+  });
+});
+
+describe('RTCM Station ARP', () => {
+  test('should decode the ECEF position of a 1005 message', () => {
+    const point = decodeReferencePoint(buildArpFrame({
+      stationId: 2003, x: -2688365.9634, y: -4302284.878, z: 3852759.162
+    }));
+
+    expect(point.messageType).toBe(1005);
+    expect(point.stationId).toBe(2003);
+    expect(point.x).toBeCloseTo(-2688365.9634, 4);
+    expect(point.y).toBeCloseTo(-4302284.878, 4);
+    expect(point.z).toBeCloseTo(3852759.162, 4);
+    expect(point.antennaHeight).toBeNull();
+  });
+
+  test('should decode the antenna height of a 1006 message', () => {
+    const point = decodeReferencePoint(buildArpFrame({
+      stationId: 1, x: 4075580.4, y: 931853.7, z: 4801568.2, antennaHeight: 1.5432
+    }));
+
+    expect(point.messageType).toBe(1006);
+    expect(point.x).toBeCloseTo(4075580.4, 4);
+    expect(point.antennaHeight).toBeCloseTo(1.5432, 4);
+  });
+
+  test('should ignore other messages and truncated payloads', () => {
+    expect(decodeReferencePoint(buildFrame(1077, 40))).toBeNull();
+    expect(decodeReferencePoint(buildFrame(1005, 10))).toBeNull();
+  });
+});
+
+describe('RTCM Stream Statistics', () => {
+  test('should count frames per message type and average their rates', () => {
+    const stats = createStreamStats();
+    const start = Date.parse('2026-01-01T00:00:00Z');
+
+    for (let second = 0; second < 5; second++) {
+      stats.recordFrame(buildFrame(1074, 20), start + second * 1000);
+    }
+    stats.recordFrame(buildFrame(1005, 19), start + 2000);
+    stats.recordFrame(buildFrame(1084, 20), start + 4000);
+    stats.recordCorrupt();
+    stats.recordDiscard(7);
+
+    const snapshot = JSON.parse(JSON.stringify(stats));
+
+    expect(snapshot).toMatchObject({
+      frames: 7,
+      bytes: 5 * 26 + 25 + 26,
+      corruptFrames: 1,
+      discardedBytes: 7,
+      lastFrameAt: '2026-01-01T00:00:04.000Z',
+      constellations: ['GPS', 'GLONASS']
+    });
+    expect(Object.keys(snapshot.messageTypes)).toEqual(['1005', '1074', '1084']);
+    expect(snapshot.messageTypes['1074']).toEqual({
+      description: 'GPS MSM4',
+      count: 5,
+      ratePerSecond: 1,
+      lastReceivedAt: '2026-01-01T00:00:04.000Z'
+    });
+    expect(snapshot.messageTypes['1005'].ratePerSecond).toBeNull();
+  });
+});
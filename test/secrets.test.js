@@ -0,0 +1,98 @@
+/**
+ * Unit tests for configuration secrets
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const secrets = require('../utils/secrets');
+const { ValidationError, ConfigValidationError } = require('../utils/errors');
+
+const config = {
+  port: 2101,
+  adminPassword: 'admin-secret',
+  password: '',
+  metrics: { auth: 'token', token: 'scrape-token' },
+  users: [{ username: 'rover1', passwordHash: 'scrypt$00$00' }],
+  stations: [
+    { mountPoint: 'UP1', username: 'person', password: 'up1-secret' },
+    { mountPoint: 'UP2', username: 'human', password: '' }
+  ]
+};
+
+describe('Secrets', () => {
+  describe('redactSecrets', () => {
+    test('should mask every secret but keep empty ones recognizable', () => {
+      const redacted = secrets.redactSecrets(config);
+
+      expect(redacted.adminPassword).toBe(secrets.SECRET_MASK);
+      expect(redacted.password).toBe('');
+      expect(redacted.metrics.token).toBe(secrets.SECRET_MASK);
+      expect(redacted.users[0].passwordHash).toBe(secrets.SECRET_MASK);
+      expect(redacted.stations[0]).toEqual({ mountPoint: 'UP1', username: 'person', password: secrets.SECRET_MASK });
+      expect(redacted.stations[1].password).toBe('');
+      expect(config.stations[0].password).toBe('up1-secret');
+    });
+  });
+
+  describe('restoreSecrets', () => {
+    test('should keep the saved secrets where the mask is sent back', () => {
+      const submitted = secrets.redactSecrets(config);
+      // Stations are matched by mountpoint, not position
+      submitted.stations.reverse();
+      submitted.port = 2102;
+
+      const restored = secrets.restoreSecrets(submitted, config);
+
+      expect(restored).toEqual({ ...config, port: 2102, stations: [config.stations[1], config.stations[0]] });
+    });
+
+    test('should take new secrets as they are', () => {
+      const restored = secrets.restoreSecrets({ mountPoint: 'UP1', password: 'new-secret' }, config.stations[0]);
+
+      expect(restored.password).toBe('new-secret');
+    });
+
+    test('should reject a mask without a saved secret', () => {
+      expect(() => secrets.restoreSecrets({ stations: [{ mountPoint: 'NEW', password: secrets.SECRET_MASK }] }, config))
+        .toThrow(new ValidationError('is masked but there is no saved value to keep, enter it again', 'stations[0].password'));
+    });
+  });
+
+  describe('encryption', () => {
+    const key = secrets.getSecretKey({ NEARTRIP_CONFIG_KEY: 'correct horse battery staple' });
+
+    test('should encrypt station passwords and decrypt them again', () => {
+      const stored = secrets.encryptSecrets(config, key);
+
+      expect(secrets.isEncrypted(stored.stations[0].password)).toBe(true);
+      expect(stored.stations[0].password).not.toContain('up1-secret');
+      expect(stored.stations[1].password).toBe('');
+      expect(secrets.decryptSecrets(stored, key)).toEqual(config);
+    });
+
+    test('should leave the configuration unchanged without a key', () => {
+      expect(secrets.encryptSecrets(config, null)).toBe(config);
+      expect(secrets.getSecretKey({})).toBeNull();
+    });
+
+    test('should read the key from a file', () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'neartrip-key-'));
+      const keyFile = path.join(dir, 'key');
+      fs.writeFileSync(keyFile, 'correct horse battery staple\n');
+      try {
+        expect(secrets.getSecretKey({ NEARTRIP_CONFIG_KEY_FILE: keyFile })).toEqual(key);
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+
+    test('should report passwords that cannot be decrypted', () => {
+      const stored = secrets.encryptSecrets(config, key);
+      const otherKey = secrets.getSecretKey({ NEARTRIP_CONFIG_KEY: 'another key' });
+
+      expect(() => secrets.decryptSecrets(stored, null)).toThrow(ConfigValidationError);
+      expect(() => secrets.decryptSecrets(stored, otherKey))
+        .toThrow('stations[0].password: could not be decrypted with the configured key');
+    });
+  });
+});
@@ -0,0 +1,82 @@
+/**
+ * Unit tests for station service areas
+ */
+const serviceArea = require('../utils/serviceArea');
+const { ValidationError } = require('../utils/errors');
+
+// A square of about 11 x 11 km with a 2 x 2 km hole in the middle
+const square = {
+  type: 'Polygon',
+  coordinates: [
+    [[-122.05, 37.45], [-121.95, 37.45], [-121.95, 37.55], [-122.05, 37.55], [-122.05, 37.45]],
+    [[-122.01, 37.49], [-121.99, 37.49], [-121.99, 37.51], [-122.01, 37.51], [-122.01, 37.49]]
+  ]
+};
+
+const otherSquare = {
+  type: 'Polygon',
+  coordinates: [[[-121.0, 38.0], [-120.9, 38.0], [-120.9, 38.1], [-121.0, 38.1], [-121.0, 38.0]]]
+};
+
+describe('Service Areas', () => {
+  describe('containsPosition', () => {
+    test('should find positions inside the outer ring but not in a hole', () => {
+      expect(serviceArea.containsPosition(square, 37.46, -122.04)).toBe(true);
+      expect(serviceArea.containsPosition(square, 37.5, -122.0)).toBe(false);
+      expect(serviceArea.containsPosition(square, 37.6, -122.0)).toBe(false);
+    });
+
+    test('should check every polygon of a MultiPolygon', () => {
+      const multi = { type: 'MultiPolygon', coordinates: [square.coordinates, otherSquare.coordinates] };
+
+      expect(serviceArea.containsPosition(multi, 38.05, -120.95)).toBe(true);
+      expect(serviceArea.containsPosition(multi, 37.46, -122.04)).toBe(true);
+      expect(serviceArea.containsPosition(multi, 39.0, -120.95)).toBe(false);
+    });
+  });
+
+  describe('servesPosition', () => {
+    test('should let stations without an area serve anywhere', () => {
+      expect(serviceArea.servesPosition({ mountPoint: 'ANY' }, 0, 0)).toBe(true);
+      expect(serviceArea.servesPosition({ mountPoint: 'SQ', serviceArea: square }, 0, 0)).toBe(false);
+    });
+  });
+
+  describe('normalizeServiceArea', () => {
+    test('should unwrap a Feature', () => {
+      expect(serviceArea.normalizeServiceArea({ type: 'Feature', properties: {}, geometry: square })).toEqual(square);
+    });
+
+    test('should merge the polygons of a FeatureCollection', () => {
+      const area = serviceArea.normalizeServiceArea({
+        type: 'FeatureCollection',
+        features: [
+          { type: 'Feature', geometry: square },
+          { type: 'Feature', geometry: otherSquare }
+        ]
+      });
+
+      expect(area.type).toBe('MultiPolygon');
+      expect(area.coordinates).toHaveLength(2);
+    });
+
+    test('should reject geometries that are not polygons', () => {
+      expect(() => serviceArea.normalizeServiceArea({ type: 'Point', coordinates: [-122, 37.5] }))
+        .toThrow(ValidationError);
+      expect(() => serviceArea.normalizeServiceArea(null)).toThrow(ValidationError);
+    });
+
+    test('should report the field of an invalid ring', () => {
+      const open = { type: 'Polygon', coordinates: [[[-122, 37], [-121, 37], [-121, 38], [-122, 38]]] };
+      const outOfRange = { type: 'Polygon', coordinates: [[[-122, 37], [-121, 97], [-121, 38], [-122, 37]]] };
+
+      expect(() => serviceArea.normalizeServiceArea(open)).toThrow('must end at its first position');
+      try {
+        serviceArea.normalizeServiceArea(outOfRange);
+      } catch (error) {
+        expect(error.field).toBe('geometry.coordinates[0][1]');
+      }
+      expect.assertions(2);
+    });
+  });
+});
@@ -0,0 +1,97 @@
+/**
+ * Unit tests for station health tracking
+ */
+const stationHealth = require('../utils/stationHealth');
+
+describe('Station Health', () => {
+  const now = Date.parse('2026-01-01T00:00:00Z');
+
+  beforeEach(() => {
+    stationHealth.clearStationHealth();
+  });
+
+  test('should treat unknown stations as healthy', () => {
+    expect(stationHealth.isHealthy('A', now)).toBe(true);
+    expect(stationHealth.getStationHealth('A', now)).toEqual({
+      healthy: true,
+      status: 'unknown',
+      reason: null,
+      since: null,
+      until: null,
+      lastCheckAt: null,
+      latencyMs: null,
+      uptimePercent: null,
+      lastError: null
+    });
+  });
+
+  test('should keep a station unhealthy until the mark expires', () => {
+    stationHealth.markUnhealthy('A', 'timeout', 60000, now);
+
+    expect(stationHealth.isHealthy('A', now + 59999)).toBe(false);
+    expect(stationHealth.getStationHealth('A', now + 1000)).toMatchObject({
+      healthy: false,
+      status: 'unhealthy',
+      reason: 'timeout',
+      since: '2026-01-01T00:00:00.000Z',
+      until: '2026-01-01T00:01:00.000Z'
+    });
+    expect(stationHealth.isHealthy('A', now + 60000)).toBe(true);
+  });
+
+  test('should extend the mark on repeated failures and clear it on success', () => {
+    stationHealth.markUnhealthy('A', 'timeout', 60000, now);
+    stationHealth.markUnhealthy('A', 'caster_full', 60000, now + 30000);
+
+    expect(stationHealth.getStationHealth('A', now + 80000)).toMatchObject({
+      healthy: false,
+      reason: 'caster_full',
+      since: '2026-01-01T00:00:00.000Z'
+    });
+
+    stationHealth.markHealthy('A');
+    expect(stationHealth.isHealthy('A', now + 80000)).toBe(true);
+  });
+
+  test('should keep a station that failed its check unhealthy until a check passes', () => {
+    stationHealth.recordCheck('A', { ok: true, latencyMs: 120 }, now);
+    stationHealth.recordCheck('A', { ok: false, error: { reason: 'unauthorized', message: 'Caster rejected credentials' } }, now + 1000);
+
+    expect(stationHealth.isHealthy('A', now + 3600000)).toBe(false);
+    expect(stationHealth.getStationHealth('A', now + 2000)).toEqual({
+      healthy: false,
+      status: 'unhealthy',
+      reason: 'unauthorized',
+      since: '2026-01-01T00:00:01.000Z',
+      until: null,
+      lastCheckAt: '2026-01-01T00:00:01.000Z',
+      latencyMs: 120,
+      uptimePercent: 50,
+      lastError: { reason: 'unauthorized', message: 'Caster rejected credentials', at: '2026-01-01T00:00:01.000Z' }
+    });
+
+    stationHealth.recordCheck('A', { ok: true, latencyMs: 90 }, now + 3000);
+    expect(stationHealth.getStationHealth('A', now + 3000)).toMatchObject({
+      healthy: true,
+      status: 'healthy',
+      reason: null,
+      latencyMs: 90,
+      uptimePercent: 66.7
+    });
+  });
+
+  test('should clear a failed check once a connection to the station streams', () => {
+    stationHealth.recordCheck('A', { ok: false, error: { reason: 'caster_full', message: 'Caster is full' } }, now);
+
+    stationHealth.markHealthy('A');
+
+    expect(stationHealth.getStationHealth('A', now + 1000)).toMatchObject({ healthy: true, status: 'healthy' });
+  });
+
+  test('should clear a failure mark when a check passes', () => {
+    stationHealth.markUnhealthy('A', 'timeout', 60000, now);
+    stationHealth.recordCheck('A', { ok: true }, now + 1000);
+
+    expect(stationHealth.isHealthy('A', now + 1000)).toBe(true);
+  });
+});
@@ -0,0 +1,69 @@
+/**
+ * Unit tests for station position verification
+ */
+const stationPosition = require('../utils/stationPosition');
+const logger = require('../utils/logger');
+
+// Mock the logger to prevent console output during tests
+jest.mock('../utils/logger', () => ({
+  error: jest.fn(),
+  warn: jest.fn(),
+  info: jest.fn(),
+  debug: jest.fn()
+}));
+
+// ARP at 37.4, -122.0, 10 m above the ellipsoid
+const point = { messageType: 1006, stationId: 7, x: -2688365.9634, y: -4302284.8780, z: 3852759.1620, antennaHeight: 1.5 };
+const settings = stationPosition.DEFAULT_POSITION_CHECK;
+
+describe('Station Position', () => {
+  beforeEach(() => {
+    stationPosition.clearReportedPositions();
+    jest.clearAllMocks();
+  });
+
+  test('should return null until the station reports its position', () => {
+    expect(stationPosition.getStationPosition({ mountPoint: 'UP1', latitude: 37.4, longitude: -122.0 }, settings)).toBeNull();
+  });
+
+  test('should accept a configured position close to the broadcast one', () => {
+    const station = { mountPoint: 'UP1', latitude: 37.4001, longitude: -122.0 };
+    stationPosition.recordReferencePoint(station, point, settings, Date.UTC(2024, 0, 1));
+
+    const position = stationPosition.getStationPosition(station, settings);
+    expect(position.mismatch).toBe(false);
+    expect(position.offsetMeters).toBe(11);
+    expect(position.reported.latitude).toBeCloseTo(37.4, 7);
+    expect(position.reported.antennaHeight).toBe(1.5);
+    expect(position.reported.receivedAt).toBe('2024-01-01T00:00:00.000Z');
+    expect(logger.warn).not.toHaveBeenCalled();
+  });
+
+  test('should flag a typo in the configured position and warn once', () => {
+    const station = { mountPoint: 'UP1', latitude: 37.4, longitude: -121.0 };
+    stationPosition.recordReferencePoint(station, point, settings);
+    stationPosition.recordReferencePoint(station, point, settings);
+
+    expect(stationPosition.getStationPosition(station, settings).mismatch).toBe(true);
+    expect(logger.warn).toHaveBeenCalledTimes(1);
+
+    // Correcting the configuration clears the flag
+    const corrected = { ...station, longitude: -122.0 };
+    expect(stationPosition.getStationPosition(corrected, settings).mismatch).toBe(false);
+  });
+
+  test('should ignore an ARP that is not on the Earth', () => {
+    const station = { mountPoint: 'UP1', latitude: 37.4, longitude: -122.0 };
+    stationPosition.recordReferencePoint(station, { ...point, x: 0, y: 0, z: 0 }, settings);
+
+    expect(stationPosition.getStationPosition(station, settings)).toBeNull();
+  });
+
+  test('should use the configured threshold and switch', () => {
+    const station = { mountPoint: 'UP1', latitude: 37.4001, longitude: -122.0 };
+    stationPosition.recordReferencePoint(station, point, settings);
+
+    expect(stationPosition.getStationPosition(station, { enabled: true, maxOffsetMeters: 5 }).mismatch).toBe(true);
+    expect(stationPosition.getStationPosition(station, { enabled: false, maxOffsetMeters: 5 }).mismatch).toBe(false);
+  });
+});
@@ -0,0 +1,79 @@
+/**
+ * Unit tests for the station switching policy
+ */
+const switching = require('../utils/switching');
+
+const station = (mountPoint, distance) => ({ mountPoint, distance });
+
+describe('Switching Policy', () => {
+  describe('getSwitchingPolicy', () => {
+    test('should merge configured values over the defaults', () => {
+      const policy = switching.getSwitchingPolicy({ switching: { minDwellSeconds: 30 } });
+
+      expect(policy.minDwellSeconds).toBe(30);
+      expect(policy.minAdvantageMeters).toBe(0);
+      expect(switching.getSwitchingPolicy({})).toEqual(switching.DEFAULT_SWITCHING_POLICY);
+    });
+  });
+
+  describe('evaluateSwitch', () => {
+    test('should switch when there is no current station', () => {
+      expect(switching.evaluateSwitch({ current: null, candidate: station('B', 1000) }))
+        .toEqual({ switch: true, reason: 'no_current_station' });
+    });
+
+    test('should not switch without a candidate or to the same station', () => {
+      expect(switching.evaluateSwitch({ current: station('A', 1000), candidate: null }).switch).toBe(false);
+      expect(switching.evaluateSwitch({ current: station('A', 1000), candidate: station('A', 1000) }))
+        .toEqual({ switch: false, reason: 'already_nearest' });
+    });
+
+    test('should switch to any closer station with the default policy', () => {
+      expect(switching.evaluateSwitch({ current: station('A', 10001), candidate: station('B', 10000) }).switch).toBe(true);
+    });
+
+    test('should require a minimum absolute advantage', () => {
+      const policy = { ...switching.DEFAULT_SWITCHING_POLICY, minAdvantageMeters: 2000 };
+
+      expect(switching.evaluateSwitch({ current: station('A', 11000), candidate: station('B', 10000) }, policy))
+        .toEqual({ switch: false, reason: 'insufficient_advantage' });
+      expect(switching.evaluateSwitch({ current: station('A', 12000), candidate: station('B', 10000) }, policy).switch)
+        .toBe(true);
+    });
+
+    test('should require a minimum percentage advantage', () => {
+      const policy = { ...switching.DEFAULT_SWITCHING_POLICY, minAdvantagePercent: 20 };
+
+      expect(switching.evaluateSwitch({ current: station('A', 12000), candidate: station('B', 10000) }, policy).switch)
+        .toBe(false);
+      expect(switching.evaluateSwitch({ current: station('A', 12500), candidate: station('B', 10000) }, policy).switch)
+        .toBe(true);
+    });
+
+    test('should enforce the minimum dwell time', () => {
+      const policy = { ...switching.DEFAULT_SWITCHING_POLICY, minDwellSeconds: 60 };
+      const state = { current: station('A', 20000), candidate: station('B', 1000), selectedAt: 100000 };
+
+      expect(switching.evaluateSwitch({ ...state, now: 159999 }, policy)).toEqual({ switch: false, reason: 'dwell' });
+      expect(switching.evaluateSwitch({ ...state, now: 160000 }, policy).switch).toBe(true);
+    });
+
+    test('should hold the station while RTK fixed unless the baseline limit is exceeded', () => {
+      const policy = { ...switching.DEFAULT_SWITCHING_POLICY, holdWhileRtkFixed: true, maxFixedBaselineMeters: 30000 };
+
+      expect(switching.evaluateSwitch({ current: station('A', 25000), candidate: station('B', 1000), fixQuality: 4 }, policy))
+        .toEqual({ switch: false, reason: 'rtk_fixed' });
+      expect(switching.evaluateSwitch({ current: station('A', 25000), candidate: station('B', 1000), fixQuality: 5 }, policy).switch)
+        .toBe(true);
+      expect(switching.evaluateSwitch({ current: station('A', 35000), candidate: station('B', 1000), fixQuality: 4 }, policy).switch)
+        .toBe(true);
+    });
+
+    test('should hold an RTK fixed rover at any baseline when no limit is set', () => {
+      const policy = { ...switching.DEFAULT_SWITCHING_POLICY, holdWhileRtkFixed: true };
+
+      expect(switching.evaluateSwitch({ current: station('A', 90000), candidate: station('B', 1000), fixQuality: 4 }, policy).switch)
+        .toBe(false);
+    });
+  });
+});
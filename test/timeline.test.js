@@ -0,0 +1,43 @@
+/**
+ * Unit tests for the connection timeline
+ */
+const { createByteRateMonitor, TIMELINE_EVENTS } = require('../utils/timeline');
+
+describe('Byte Rate Monitor', () => {
+  // Feed windows of 10 seconds at the given rates (bytes per second)
+  function feed(monitor, rates) {
+    let total = 0;
+    let now = 0;
+    const events = [monitor.sample(total, now)];
+    rates.forEach(rate => {
+      total += rate * 10;
+      now += 10000;
+      events.push(monitor.sample(total, now));
+    });
+    return events.filter(Boolean);
+  }
+
+  test('should report nothing for a steady stream', () => {
+    expect(feed(createByteRateMonitor(), [1000, 1100, 950, 1000, 1050])).toEqual([]);
+  });
+
+  test('should report a drop once and the recovery', () => {
+    const events = feed(createByteRateMonitor(), [1000, 1000, 200, 0, 0, 900]);
+
+    expect(events).toEqual([
+      { type: TIMELINE_EVENTS.BYTE_RATE_DROP, bytesPerSecond: 200, usualBytesPerSecond: 1000 },
+      { type: TIMELINE_EVENTS.BYTE_RATE_RECOVERED, bytesPerSecond: 900 }
+    ]);
+  });
+
+  test('should not treat a stream that has not started as usual', () => {
+    expect(feed(createByteRateMonitor(), [0, 0, 1000, 1000])).toEqual([]);
+  });
+
+  test('should use the configured drop ratio', () => {
+    const events = feed(createByteRateMonitor({ dropRatio: 0.9 }), [1000, 850]);
+
+    expect(events).toHaveLength(1);
+    expect(events[0].type).toBe(TIMELINE_EVENTS.BYTE_RATE_DROP);
+  });
+});
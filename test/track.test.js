@@ -0,0 +1,176 @@
+/**
+ * Unit tests for the rover track export
+ */
+const track = require('../utils/track');
+
+// Mock the logger to prevent console output during tests
+jest.mock('../utils/logger', () => ({
+  error: jest.fn(),
+  warn: jest.fn(),
+  info: jest.fn(),
+  debug: jest.fn()
+}));
+
+/**
+ * Append a valid NMEA checksum to a sentence body
+ */
+function withChecksum(body) {
+  let checksum = 0;
+  for (let i = 1; i < body.length; i++) {
+    checksum ^= body.charCodeAt(i);
+  }
+  return `${body}*${checksum.toString(16).toUpperCase().padStart(2, '0')}`;
+}
+
+function gga(time, fixQuality, latitude = '3723.2475') {
+  return withChecksum(`$GPGGA,${time},${latitude},N,12158.3416,W,${fixQuality},07,1.2,9.0,M,-34.2,M,,`);
+}
+
+describe('Track Export', () => {
+  describe('parseTrack', () => {
+    test('should read the GGA sentences of a log with their date', () => {
+      const log = [
+        gga('123519', 4),
+        withChecksum('$GPRMC,123520,A,3723.2475,N,12158.3416,W,0.0,0.0,010124,,,D'),
+        'garbage',
+        gga('123520.50', 5),
+        ''
+      ].join('\n');
+
+      const points = track.parseTrack(log, { startedAt: '2024-01-01T12:35:00.000Z' });
+
+      expect(points).toHaveLength(2);
+      expect(points[0]).toEqual({
+        time: '2024-01-01T12:35:19.000Z',
+        latitude: expect.closeTo(37.387458, 5),
+        longitude: expect.closeTo(-121.97236, 5),
+        altitude: 9,
+        fixQuality: 4,
+        numSatellites: 7,
+        hdop: 1.2
+      });
+      expect(points[1].time).toBe('2024-01-01T12:35:20.500Z');
+    });
+
+    test('should move to the next day at midnight', () => {
+      const log = [gga('235959', 4), gga('000001', 4)].join('\n');
+
+      const points = track.parseTrack(log, { startedAt: '2024-01-01T23:59:00.000Z' });
+
+      expect(points.map(point => point.time)).toEqual(['2024-01-01T23:59:59.000Z', '2024-01-02T00:00:01.000Z']);
+    });
+
+    test('should date a fix from before midnight on the day before the connection', () => {
+      // The rover's first sentence was sent a moment before a connection that started just after midnight
+      const points = track.parseTrack(gga('235959', 4), { startedAt: '2024-01-02T00:00:01.000Z' });
+
+      expect(points[0].time).toBe('2024-01-01T23:59:59.000Z');
+    });
+
+    test('should keep positions without a time', () => {
+      const points = track.parseTrack(gga('', 1), { startedAt: '2024-01-01T12:00:00.000Z' });
+
+      expect(points).toHaveLength(1);
+      expect(points[0].time).toBeNull();
+    });
+  });
+
+  describe('assignStations', () => {
+    test('should add the station in use at each point', () => {
+      const points = [
+        { time: '2024-01-01T12:00:00.000Z' },
+        { time: '2024-01-01T12:01:00.000Z' },
+        { time: '2024-01-01T12:02:00.000Z' },
+        { time: null }
+      ];
+      const stationsUsed = [
+        { mountPoint: 'UP1', since: '2024-01-01T12:00:30.000Z' },
+        { mountPoint: 'UP2', since: '2024-01-01T12:02:00.000Z' }
+      ];
+
+      expect(track.assignStations(points, stationsUsed).map(point => point.station))
+        .toEqual([null, 'UP1', 'UP2', null]);
+    });
+
+    test('should handle connections without stations', () => {
+      expect(track.assignStations([{ time: '2024-01-01T12:00:00.000Z' }])[0].station).toBeNull();
+    });
+  });
+
+  describe('decimateTrack', () => {
+    test('should keep the first and last points', () => {
+      const points = Array.from({ length: 101 }, (_, i) => i);
+
+      expect(track.decimateTrack(points, 5)).toEqual([0, 25, 50, 75, 100]);
+      expect(track.decimateTrack(points, 200)).toBe(points);
+    });
+  });
+
+  describe('splitByFixQuality', () => {
+    test('should join the runs at the point where the fix quality changes', () => {
+      const points = [1, 4, 4, 5].map((fixQuality, index) => ({ fixQuality, index }));
+
+      const segments = track.splitByFixQuality(points);
+
+      expect(segments.map(s => [s.fixQuality, s.points.map(p => p.index)])).toEqual([
+        [1, [0]],
+        [4, [0, 1, 2]],
+        [5, [2, 3]]
+      ]);
+    });
+  });
+
+  describe('formats', () => {
+    const points = track.assignStations(
+      track.parseTrack([gga('120000', 4), gga('120001', 4), gga('120002', 5, '3723.3000')].join('\n'), {
+        startedAt: '2024-01-01T11:59:59.000Z'
+      }),
+      [{ mountPoint: 'UP<1>', since: '2024-01-01T11:59:59.000Z' }]
+    );
+
+    test('should write a GPX track with time, fix, satellites and HDOP', () => {
+      const gpx = track.toGpx(points, { name: 'rover & co' });
+
+      expect(gpx).toContain('<name>rover &amp; co</name>');
+      expect(gpx.match(/<trkpt /g)).toHaveLength(3);
+      expect(gpx).toContain('<trkpt lat="37.38745833" lon="-121.97236000">');
+      expect(gpx).toContain('<time>2024-01-01T12:00:00.000Z</time>');
+      expect(gpx).toContain('<fix>dgps</fix>');
+      expect(gpx).toContain('<sat>7</sat>');
+      expect(gpx).toContain('<hdop>1.2</hdop>');
+      expect(gpx).toContain('<desc>RTK fixed (UP&lt;1&gt;)</desc>');
+    });
+
+    test('should write KML lines coloured by fix quality', () => {
+      const kml = track.toKml(points, { name: 'rover' });
+
+      expect(kml).toContain('<Style id="fix4">');
+      expect(kml).toContain('<color>ff00ff00</color>');
+      expect(kml).toContain('<color>ff00a5ff</color>');
+      expect(kml.match(/<Placemark>/g)).toHaveLength(2);
+      expect(kml).toContain('<TimeSpan><begin>2024-01-01T12:00:00.000Z</begin><end>2024-01-01T12:00:01.000Z</end></TimeSpan>');
+      expect(kml).toContain('<coordinates>-121.97236000,37.38745833,9 -121.97236000,37.38745833,9</coordinates>');
+    });
+
+    test('should write a GeoJSON line and points with their properties', () => {
+      const geoJson = track.toGeoJson(points, { name: 'rover' });
+
+      expect(geoJson.type).toBe('FeatureCollection');
+      expect(geoJson.features).toHaveLength(4);
+      expect(geoJson.features[0].geometry.type).toBe('LineString');
+      expect(geoJson.features[0].geometry.coordinates).toHaveLength(3);
+      expect(geoJson.features[3]).toEqual({
+        type: 'Feature',
+        geometry: { type: 'Point', coordinates: [expect.closeTo(-121.97236, 5), expect.closeTo(37.388333, 5), 9] },
+        properties: {
+          time: '2024-01-01T12:00:02.000Z',
+          fixQuality: 5,
+          fix: 'RTK float',
+          numSatellites: 7,
+          hdop: 1.2,
+          station: 'UP<1>'
+        }
+      });
+    });
+  });
+});
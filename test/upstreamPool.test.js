@@ -0,0 +1,253 @@
+/**
+ * Unit tests for the shared upstream connection pool
+ */
+const EventEmitter = require('events');
+const net = require('net');
+const { createUpstreamPool, getUpstreamKey } = require('../utils/upstreamPool');
+const { crc24q } = require('../utils/rtcm');
+
+// Mock the logger to prevent console output during tests
+jest.mock('../utils/logger', () => ({
+  error: jest.fn(),
+  warn: jest.fn(),
+  info: jest.fn(),
+  debug: jest.fn()
+}));
+
+const BASE = { mountPoint: 'BASE', casterHost: 'caster.example.com', casterPort: 2101, username: 'u', password: 'p' };
+const VRS = { ...BASE, mountPoint: 'VRS', sendGga: true };
+
+/**
+ * Build a valid RTCM 3 frame with the given message type
+ */
+function buildFrame(messageType) {
+  const frame = Buffer.alloc(3 + 8 + 3);
+  frame[0] = 0xd3;
+  frame[2] = 8;
+  frame[3] = messageType >> 4;
+  frame[4] = (messageType & 0x0f) << 4;
+  frame.writeUIntBE(crc24q(frame.subarray(0, 11)), 11, 3);
+  return frame;
+}
+
+/**
+ * Create a fake caster socket that closes when ended or destroyed
+ */
+function createSocket() {
+  const socket = new EventEmitter();
+  socket.write = jest.fn();
+  socket.end = jest.fn(() => socket.emit('close'));
+  socket.destroy = jest.fn(() => socket.emit('close'));
+  return socket;
+}
+
+/**
+ * Create a pool whose connections are fake sockets
+ */
+function createTestPool() {
+  const sockets = [];
+  const connect = jest.fn(async () => {
+    const socket = createSocket();
+    sockets.push(socket);
+    return socket;
+  });
+  return { pool: createUpstreamPool({ connect }), connect, sockets };
+}
+
+/**
+ * Record the message types of the frames a subscription receives
+ */
+function recordFrames(subscription) {
+  const types = [];
+  subscription.on('frame', frame => types.push((frame[3] << 4) | (frame[4] >> 4)));
+  return types;
+}
+
+/**
+ * Start a network RTK caster that answers "ICY 200 OK" and then stays silent until it gets a GGA
+ */
+async function startVrsCaster() {
+  const server = net.createServer(socket => {
+    let received = '';
+    let accepted = false;
+    socket.on('data', data => {
+      received += data.toString('latin1');
+      if (!accepted && received.includes('\r\n\r\n')) {
+        accepted = true;
+        socket.write('ICY 200 OK\r\n');
+      }
+      if (accepted && received.includes('$GPGGA')) {
+        received = '';
+        socket.write(buildFrame(1005));
+      }
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return server;
+}
+
+describe('Upstream Pool', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('should key connections by caster, account and mountpoint', () => {
+    expect(getUpstreamKey(BASE)).toBe('u@caster.example.com:2101/BASE');
+  });
+
+  test('should share one connection between rovers on the same station', async () => {
+    const { pool, connect, sockets } = createTestPool();
+
+    const [first, second] = await Promise.all([pool.acquire(BASE), pool.acquire(BASE)]);
+    const firstFrames = recordFrames(first);
+    const secondFrames = recordFrames(second);
+    sockets[0].emit('corrections', buildFrame(1005));
+
+    expect(connect).toHaveBeenCalledTimes(1);
+    expect(firstFrames).toEqual([1005]);
+    expect(secondFrames).toEqual([1005]);
+    expect(first.shared).toBe(true);
+  });
+
+  test('should start a late joiner at the next whole frame', async () => {
+    const { pool, sockets } = createTestPool();
+    const first = await pool.acquire(BASE);
+    const firstFrames = recordFrames(first);
+    const frame = buildFrame(1077);
+
+    sockets[0].emit('corrections', Buffer.concat([buildFrame(1074), frame.subarray(0, 5)]));
+    const late = await pool.acquire(BASE);
+    const lateFrames = recordFrames(late);
+    sockets[0].emit('corrections', frame.subarray(5));
+
+    expect(firstFrames).toEqual([1074, 1077]);
+    expect(lateFrames).toEqual([1077]);
+  });
+
+  test('should pass a stream that is not RTCM 3 through to every rover', async () => {
+    const { pool, sockets } = createTestPool();
+    const first = await pool.acquire(BASE);
+    const second = await pool.acquire(BASE);
+    const received = [];
+    first.on('data', data => received.push(data.length));
+    second.on('data', data => received.push(data.length));
+
+    sockets[0].emit('corrections', Buffer.alloc(3000, 0x66));
+
+    expect(received).toEqual([3000, 3000]);
+    expect(pool.getLastFrameAt(BASE)).toEqual(expect.any(Number));
+  });
+
+  test('should give every rover on a network RTK mountpoint its own connection', async () => {
+    const { pool, connect, sockets } = createTestPool();
+
+    const first = await pool.acquire(VRS);
+    await pool.acquire(VRS);
+    first.write('$GPGGA\r\n');
+
+    expect(connect).toHaveBeenCalledTimes(2);
+    expect(first.shared).toBe(false);
+    expect(sockets[0].write).toHaveBeenCalledWith('$GPGGA\r\n');
+    expect(sockets[1].write).not.toHaveBeenCalled();
+
+    // Dedicated connections close as soon as the rover leaves
+    first.release();
+    expect(sockets[0].destroy).toHaveBeenCalled();
+  });
+
+  test('should send the rover position with the request to a network RTK caster', async () => {
+    const caster = await startVrsCaster();
+    const pool = createUpstreamPool();
+    const station = { ...VRS, casterHost: '127.0.0.1', casterPort: caster.address().port };
+
+    try {
+      const subscription = await pool.acquire(station, { gga: '$GPGGA,120000.00,3730.0000,N,12200.0000,W,1,08,1.0,10.0,M,0.0,M,,*4F' });
+      const frames = recordFrames(subscription);
+      await new Promise(resolve => subscription.once('frame', resolve));
+
+      expect(frames).toEqual([1005]);
+      subscription.release();
+    } finally {
+      await new Promise(resolve => caster.close(resolve));
+    }
+  });
+
+  test('should report the frames and rovers of network RTK connections', async () => {
+    const { pool, sockets } = createTestPool();
+
+    const subscription = await pool.acquire(VRS);
+    expect(pool.isInUse(VRS)).toBe(true);
+    expect(pool.getLastFrameAt(VRS)).toBeNull();
+
+    sockets[0].emit('corrections', buildFrame(1005));
+    expect(pool.getLastFrameAt(VRS)).toEqual(expect.any(Number));
+
+    subscription.release();
+    expect(pool.isInUse(VRS)).toBe(false);
+    expect(pool.getLastFrameAt(VRS)).toBeNull();
+  });
+
+  test('should keep a shared connection open for the linger time after the last rover left', async () => {
+    jest.useFakeTimers();
+    const { pool, connect, sockets } = createTestPool();
+
+    const first = await pool.acquire(BASE, { lingerSeconds: 30 });
+    first.release();
+    jest.advanceTimersByTime(29000);
+    expect(sockets[0].destroy).not.toHaveBeenCalled();
+
+    // A rover coming back within the linger time reuses the connection
+    const second = await pool.acquire(BASE, { lingerSeconds: 30 });
+    jest.advanceTimersByTime(60000);
+    expect(connect).toHaveBeenCalledTimes(1);
+    expect(sockets[0].destroy).not.toHaveBeenCalled();
+
+    second.release();
+    jest.advanceTimersByTime(30000);
+    expect(sockets[0].destroy).toHaveBeenCalled();
+  });
+
+  test('should notify subscribers when the caster connection is lost', async () => {
+    const { pool, connect, sockets } = createTestPool();
+    const subscription = await pool.acquire(BASE);
+    const closed = jest.fn();
+    subscription.on('close', closed);
+
+    sockets[0].emit('close');
+
+    expect(closed).toHaveBeenCalledWith(expect.objectContaining({ reason: 'bad_response' }));
+    expect(subscription.closed).toBe(true);
+
+    await pool.acquire(BASE);
+    expect(connect).toHaveBeenCalledTimes(2);
+  });
+
+  test('should open a new connection once a station is forgotten, keeping the old one for its rovers', async () => {
+    const { pool, connect, sockets } = createTestPool();
+    const first = await pool.acquire(BASE);
+    const firstFrames = recordFrames(first);
+
+    pool.forgetStation('BASE');
+    const second = await pool.acquire({ ...BASE, password: 'new' });
+    const secondFrames = recordFrames(second);
+    sockets[0].emit('corrections', buildFrame(1005));
+
+    expect(connect).toHaveBeenCalledTimes(2);
+    expect(connect).toHaveBeenLastCalledWith('caster.example.com', 2101, 'BASE', 'u', 'new', undefined, null);
+    expect(firstFrames).toEqual([1005]);
+    expect(secondFrames).toEqual([]);
+  });
+
+  test('should reject every waiting rover when the connection fails', async () => {
+    const connect = jest.fn()
+      .mockRejectedValueOnce(new Error('connect ECONNREFUSED'))
+      .mockResolvedValueOnce(createSocket());
+    const pool = createUpstreamPool({ connect });
+
+    const results = await Promise.allSettled([pool.acquire(BASE), pool.acquire(BASE)]);
+
+    expect(results.map(result => result.status)).toEqual(['rejected', 'rejected']);
+    await expect(pool.acquire(BASE)).resolves.toBeDefined();
+    expect(connect).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,199 @@
+/**
+ * Client authentication utilities for the NTRIP proxy mountpoint
+ * @module utils/auth
+ */
+const crypto = require('crypto');
+const { promisify } = require('util');
+const logger = require('./logger');
+
+// Parameters for scrypt password hashes ("scrypt$<salt>$<hash>", hex encoded)
+const HASH_SCHEME = 'scrypt';
+const HASH_KEY_LENGTH = 64;
+const HASH_SALT_BYTES = 16;
+
+// Whole bytes of hex digits
+const HEX_PATTERN = /^(?:[0-9a-f]{2})+$/i;
+
+// Hashing runs on the thread pool, a login must not stall the streams of the other rovers
+const scrypt = promisify(crypto.scrypt);
+
+/**
+ * Parses the value of an HTTP Basic Authorization header
+ *
+ * @param {string} headerValue - The Authorization header value (e.g. "Basic dXNlcjpwYXNz")
+ * @returns {Object|null} The decoded { username, password } or null if the header is missing or malformed
+ */
+function parseBasicAuth(headerValue) {
+    if (!headerValue || typeof headerValue !== 'string') {
+        return null;
+    }
+
+    const [scheme, encoded] = headerValue.trim().split(/\s+/);
+    if (!scheme || scheme.toLowerCase() !== 'basic' || !encoded) {
+        return null;
+    }
+
+    const decoded = Buffer.from(encoded, 'base64').toString('utf8');
+    const separatorIndex = decoded.indexOf(':');
+    if (separatorIndex === -1) {
+        return null;
+    }
+
+    return {
+        username: decoded.substring(0, separatorIndex),
+        password: decoded.substring(separatorIndex + 1)
+    };
+}
+
+/**
+ * Hashes a password for storage in the rover account list
+ *
+ * @param {string} password - The plain text password
+ * @param {Buffer} [salt] - Optional salt, a random one is generated if omitted
+ * @returns {string} The encoded hash in the form "scrypt$<salt>$<hash>"
+ */
+function hashPassword(password, salt = crypto.randomBytes(HASH_SALT_BYTES)) {
+    const hash = crypto.scryptSync(String(password), salt, HASH_KEY_LENGTH);
+    return `${HASH_SCHEME}$${salt.toString('hex')}$${hash.toString('hex')}`;
+}
+
+/**
+ * Decodes a hash produced by hashPassword
+ *
+ * @param {string} encodedHash - The stored hash
+ * @returns {Object|null} The { salt, hash } buffers, or null if the hash is malformed
+ */
+function parsePasswordHash(encodedHash) {
+    const [scheme, saltHex, hashHex, ...rest] = encodedHash.split('$');
+    if (scheme !== HASH_SCHEME || rest.length > 0 || !HEX_PATTERN.test(saltHex || '') || !HEX_PATTERN.test(hashHex || '')) {
+        return null;
+    }
+
+    // A shorter hash would compare fewer bytes, an empty one none at all
+    const hash = Buffer.from(hashHex, 'hex');
+    if (hash.length !== HASH_KEY_LENGTH) {
+        return null;
+    }
+
+    return { salt: Buffer.from(saltHex, 'hex'), hash };
+}
+
+/**
+ * Verifies a password against an encoded hash produced by hashPassword
+ *
+ * @param {string} password - The plain text password to check
+ * @param {string} encodedHash - The stored hash
+ * @returns {Promise<boolean>} True if the password matches, false if it does not or the hash is malformed
+ */
+async function verifyPassword(password, encodedHash) {
+    if (typeof password !== 'string' || typeof encodedHash !== 'string') {
+        return false;
+    }
+
+    const parsed = parsePasswordHash(encodedHash);
+    if (!parsed) {
+        logger.warn('Unsupported or malformed password hash in rover account list');
+        return false;
+    }
+
+    const actual = await scrypt(password, parsed.salt, HASH_KEY_LENGTH);
+    return crypto.timingSafeEqual(actual, parsed.hash);
+}
+
+/**
+ * Compares two strings in constant time
+ *
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {boolean} True if the strings are equal
+ */
+function safeEqual(a, b) {
+    const bufferA = Buffer.from(String(a));
+    const bufferB = Buffer.from(String(b));
+    if (bufferA.length !== bufferB.length) {
+        return false;
+    }
+    return crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+/**
+ * Gets the rover accounts allowed to use the proxy mountpoint
+ *
+ * Accounts come from the `users` list in the configuration. For backwards
+ * compatibility the top-level `username`/`password` pair is accepted as a
+ * single plain text account when no `users` list is configured.
+ *
+ * @param {Object} config - The server configuration
+ * @returns {Array<Object>} The configured accounts
+ */
+function getRoverAccounts(config) {
+    if (!config) {
+        return [];
+    }
+
+    if (Array.isArray(config.users) && config.users.length > 0) {
+        return config.users.filter(user => user && user.username && user.active !== false);
+    }
+
+    if (config.username) {
+        return [{ username: config.username, password: config.password || '' }];
+    }
+
+    return [];
+}
+
+/**
+ * Checks whether client authentication is required by the configuration
+ *
+ * @param {Object} config - The server configuration
+ * @returns {boolean} True if at least one rover account is configured
+ */
+function isAuthRequired(config) {
+    return getRoverAccounts(config).length > 0;
+}
+
+/**
+ * Authenticates a client request against the configured rover accounts
+ *
+ * @param {string} authorizationHeader - The Authorization header sent by the client
+ * @param {Object} config - The server configuration
+ * @returns {Promise<string|null>} The authenticated username, or null if authentication failed
+ */
+async function authenticate(authorizationHeader, config) {
+    const credentials = parseBasicAuth(authorizationHeader);
+    if (!credentials) {
+        return null;
+    }
+
+    const account = getRoverAccounts(config).find(user => user.username === credentials.username);
+    if (!account) {
+        return null;
+    }
+
+    const valid = account.passwordHash
+        ? await verifyPassword(credentials.password, account.passwordHash)
+        : safeEqual(credentials.password, account.password || '');
+
+    return valid ? account.username : null;
+}
+
+// Print a password hash for the rover account list when run directly:
+//   node utils/auth.js <password>
+if (require.main === module) {
+    const password = process.argv[2];
+    if (!password) {
+        console.error('Usage: node utils/auth.js <password>');
+        process.exit(1);
+    }
+    console.log(hashPassword(password));
+}
+
+module.exports = {
+    parseBasicAuth,
+    hashPassword,
+    verifyPassword,
+    safeEqual,
+    getRoverAccounts,
+    isAuthRequired,
+    authenticate
+};
@@ -1,10 +1,23 @@
 /**
- * Configuration utility for loading and reloading server configuration
+ * Configuration utility for loading, saving and reloading server configuration
+ * 
+ * Saves replace config.json atomically (a temporary file is renamed over it)
+ * and are kept in a version history next to it, see utils/configHistory.
+ * Station passwords are encrypted on disk when a key is configured, see
+ * utils/secrets.
+ * 
+ * The file is one layer of the configuration: defaults below it, environment
+ * variables and command-line flags above it, see utils/configLayers.
  * @module utils/config
  */
 const fs = require('fs');
 const path = require('path');
 const logger = require('./logger');
+const { assertValidConfig } = require('./configSchema');
+const { ConfigValidationError } = require('./errors');
+const { createConfigHistory, isEqual } = require('./configHistory');
+const secrets = require('./secrets');
+const configLayers = require('./configLayers');
 
 // Default configuration file path
 const CONFIG_FILE_PATH = path.join(__dirname, '..', 'config.json');
@@ -23,17 +36,112 @@ const DEFAULT_CONFIG = {
     stations: []
 };
 
-// Current configuration
+// Directory of the version history, next to the configuration file
+const HISTORY_DIRECTORY_NAME = 'config-history';
+
+// Editors and saves change the file in several steps, reload once they are done
+const WATCH_DEBOUNCE_MS = 100;
+
+// The configuration file in use, selected by configure()
+let configFilePath = CONFIG_FILE_PATH;
+
+// Environment and command-line layers: { env, cli, names } with the variable or flag of each overridden path
+let overrides = null;
+
+// The layers of the current configuration and the layer each setting came from
+let currentLayers = null;
+let currentSources = {};
+
+// Current (effective) configuration
 let currentConfig = null;
 
+/**
+ * Read and parse a configuration file
+ * 
+ * @param {string} filePath - Path to the configuration file
+ * @returns {*} The parsed file
+ * @throws {ConfigValidationError} If the file is not valid JSON
+ */
+function readConfigFile(filePath) {
+    const text = fs.readFileSync(filePath, 'utf8');
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        throw new ConfigValidationError([{ field: '(file)', message: `is not valid JSON: ${error.message}` }]);
+    }
+}
+
+/**
+ * Get the environment and command-line layers, reading the environment if configure() was not called
+ * 
+ * @returns {Object} The layers: { env, cli }
+ */
+function getOverrideLayers() {
+    if (!overrides) {
+        const env = configLayers.readEnv(process.env);
+        overrides = { env: env.overrides, cli: {}, names: env.names };
+    }
+    return { env: overrides.env, cli: overrides.cli };
+}
+
+/**
+ * Check an effective configuration, naming the variable or flag of overridden settings
+ * 
+ * @param {Object} config - The effective configuration
+ * @throws {ConfigValidationError} If it is invalid
+ */
+function assertValidLayers(config) {
+    try {
+        assertValidConfig(config);
+    } catch (error) {
+        if (!(error instanceof ConfigValidationError) || !overrides) {
+            throw error;
+        }
+        throw new ConfigValidationError(error.errors.map(({ field, message }) => (
+            overrides.names[field] ? { field, message: `${message} (set by ${overrides.names[field]})` } : { field, message }
+        )));
+    }
+}
+
+/**
+ * Select the configuration file and the overrides, then load the configuration
+ * 
+ * The file is `--config <path>`, `NEARTRIP_CONFIG` or config.json next to the
+ * server, in that order.
+ * 
+ * @param {Object} [options] - Where the overrides come from
+ * @param {Array<string>} [options.argv=[]] - Command-line arguments, without the node executable and script
+ * @param {Object} [options.env=process.env] - The environment
+ * @returns {Object} The loaded configuration
+ * @throws {ConfigValidationError} If an override or the configuration is not valid
+ */
+function configure({ argv = [], env = process.env } = {}) {
+    const fromEnv = configLayers.readEnv(env);
+    const fromArgs = configLayers.parseArgs(argv);
+    
+    configFilePath = path.resolve(fromArgs.configPath || fromEnv.configPath || CONFIG_FILE_PATH);
+    overrides = {
+        env: fromEnv.overrides,
+        cli: fromArgs.overrides,
+        names: { ...fromEnv.names, ...fromArgs.names }
+    };
+    
+    return loadConfig(configFilePath);
+}
+
 /**
  * Load configuration from file
  * 
- * @param {string} [filePath=CONFIG_FILE_PATH] - Path to the configuration file
+ * The configuration is checked against the schema first. An invalid file is
+ * rejected and the current configuration stays in use, so a half-finished
+ * edit never replaces the stations with defaults.
+ * 
+ * @param {string} [filePath] - Path to the configuration file, defaults to the selected one
  * @returns {Object} The loaded configuration
- * @throws {Error} If the configuration file cannot be loaded or parsed
+ * @throws {ConfigValidationError} If the configuration file is not valid
+ * @throws {Error} If the configuration file cannot be read
  */
-function loadConfig(filePath = CONFIG_FILE_PATH) {
+function loadConfig(filePath = configFilePath) {
     try {
         // Check if the config file exists
         if (!fs.existsSync(filePath)) {
@@ -46,44 +154,155 @@ function loadConfig(filePath = CONFIG_FILE_PATH) {
             }
             
             // Write default config to file
-            fs.writeFileSync(filePath, JSON.stringify(DEFAULT_CONFIG, null, 4));
+            writeFileAtomic(filePath, JSON.stringify(DEFAULT_CONFIG, null, 4));
             logger.info(`Default configuration written to ${filePath}`);
-            
-            // Store and return the default config
-            currentConfig = { ...DEFAULT_CONFIG };
-            return currentConfig;
         }
         
-        // Clear the Node.js require cache for the config file
-        // This ensures we get a fresh copy of the file when it changes
-        if (require.cache[require.resolve(filePath)]) {
-            delete require.cache[require.resolve(filePath)];
-        }
-        
-        // Load the configuration
-        const config = require(filePath);
+        // Load the file and check it with the other layers applied
+        const fileConfig = secrets.decryptSecrets(readConfigFile(filePath), secrets.getSecretKey());
+        const layers = { ...getOverrideLayers(), default: DEFAULT_CONFIG, file: fileConfig };
+        const { config, sources } = configLayers.mergeLayers(layers);
+        assertValidLayers(config);
         logger.info(`Configuration loaded successfully from ${filePath}`);
         
         // Store as current config
+        currentLayers = layers;
+        currentSources = sources;
         currentConfig = config;
         
         return config;
     } catch (error) {
-        logger.error(`Failed to load configuration from ${filePath}:`, error);
-        
-        // If we can't load the config file but it exists, it might be corrupted
-        if (fs.existsSync(filePath)) {
-            logger.warn(`Configuration file ${filePath} might be corrupted, using default configuration`);
-            
-            // We'll use the default config in memory but won't overwrite the file
-            currentConfig = { ...DEFAULT_CONFIG };
-            return currentConfig;
+        if (error instanceof ConfigValidationError) {
+            logger.error(`Configuration from ${filePath} is invalid${currentConfig ? ', keeping the current configuration' : ''}:`);
+            error.errors.forEach(({ field, message }) => logger.error(`  ${field}: ${message}`));
+            throw error;
         }
         
+        logger.error(`Failed to load configuration from ${filePath}:`, error);
         throw new Error(`Could not load configuration file. Error: ${error.message}`);
     }
 }
 
+/**
+ * Resolve the file a configuration path points to
+ * 
+ * In Docker config.json is a symlink into the config volume. Renaming over
+ * the link would replace it with a file outside the volume.
+ * 
+ * @param {string} filePath - Path to the configuration file
+ * @returns {string} The path of the actual file
+ */
+function resolveConfigPath(filePath) {
+    try {
+        return fs.realpathSync(filePath);
+    } catch (error) {
+        return filePath;
+    }
+}
+
+/**
+ * Replace a file atomically, so that readers never see a partly written file
+ * 
+ * @param {string} filePath - Path to the file
+ * @param {string} content - The new content
+ */
+function writeFileAtomic(filePath, content) {
+    const targetPath = resolveConfigPath(filePath);
+    const tempPath = path.join(path.dirname(targetPath), `.${path.basename(targetPath)}.${process.pid}.tmp`);
+    try {
+        fs.writeFileSync(tempPath, content);
+        fs.renameSync(tempPath, targetPath);
+    } catch (error) {
+        fs.rmSync(tempPath, { force: true });
+        throw error;
+    }
+}
+
+/**
+ * Get the version history of a configuration file
+ * 
+ * @param {string} [filePath] - Path to the configuration file, defaults to the selected one
+ * @returns {Object} The history, see utils/configHistory
+ */
+function getHistory(filePath = configFilePath) {
+    const directory = path.join(path.dirname(resolveConfigPath(filePath)), HISTORY_DIRECTORY_NAME);
+    return createConfigHistory({ directory });
+}
+
+/**
+ * Get a version of the configuration with its passwords decrypted
+ * 
+ * @param {number} version - The version number
+ * @param {string} [filePath] - Path to the configuration file, defaults to the selected one
+ * @returns {Object|null} The version, or null if it does not exist
+ * @throws {ConfigValidationError} If its passwords cannot be decrypted
+ */
+function getVersion(version, filePath = configFilePath) {
+    const entry = getHistory(filePath).get(version);
+    return entry && { ...entry, config: secrets.decryptSecrets(entry.config, secrets.getSecretKey()) };
+}
+
+/**
+ * Save a configuration and record it in the version history
+ * 
+ * The configuration is expected to be valid. Values that come from the
+ * environment, flags or defaults are not written unless they were changed.
+ * If the file on disk was edited
+ * by hand since the last save, that version is recorded first so that it can
+ * be restored too.
+ * 
+ * @param {Object} config - The effective configuration to save
+ * @param {Object} [change] - About the change
+ * @param {string} [change.user] - The admin user who made it
+ * @param {string} [change.summary] - What was changed
+ * @param {string} [filePath] - Path to the configuration file, defaults to the selected one
+ * @returns {Object} The recorded version without the configuration
+ */
+function saveConfig(config, change = {}, filePath = configFilePath) {
+    // Only the file layer is written: values set by the environment or flags stay out of it
+    const layers = currentLayers || { ...getOverrideLayers(), default: DEFAULT_CONFIG, file: {} };
+    return saveFileLayer(configLayers.toFileLayer(config, layers), change, filePath);
+}
+
+/**
+ * Save a complete file layer, e.g. a version from the history, and record it in the version history
+ * 
+ * Unlike saveConfig, the file gets exactly these settings, including the
+ * ones the environment or flags currently override. The configuration they
+ * make with the other layers is expected to be valid (see applyLayers).
+ * 
+ * @param {Object} fileConfig - The file layer, with passwords decrypted
+ * @param {Object} [change] - About the change, see saveConfig
+ * @param {string} [filePath] - Path to the configuration file, defaults to the selected one
+ * @returns {Object} The recorded version without the configuration
+ */
+function saveFileLayer(fileConfig, change = {}, filePath = configFilePath) {
+    const history = getHistory(filePath);
+
+    if (fs.existsSync(filePath)) {
+        try {
+            const onDisk = readConfigFile(filePath);
+            const latest = history.latest();
+            if (!latest || !isEqual(latest.config, onDisk)) {
+                history.record(onDisk, { savedAt: fs.statSync(filePath).mtime, summary: 'Edited on disk' });
+            }
+        } catch (error) {
+            logger.warn(`Not keeping the current configuration file in the history: ${error.message}`);
+        }
+    }
+
+    // The history keeps what is on disk, with the passwords encrypted too
+    const stored = secrets.encryptSecrets(fileConfig, secrets.getSecretKey());
+    writeFileAtomic(filePath, JSON.stringify(stored, null, 4));
+
+    currentLayers = { ...(currentLayers || { ...getOverrideLayers(), default: DEFAULT_CONFIG }), file: fileConfig };
+    ({ config: currentConfig, sources: currentSources } = configLayers.mergeLayers(currentLayers));
+
+    const version = history.record(stored, change);
+    logger.info(`Configuration saved as version ${version.version}${change.user ? ` by ${change.user}` : ''}`);
+    return version;
+}
+
 /**
  * Get the current configuration
  * 
@@ -96,14 +315,58 @@ function getConfig() {
     return currentConfig;
 }
 
+/**
+ * Build the effective configuration for a file layer, e.g. a version from the history
+ * 
+ * @param {Object} fileConfig - The file layer
+ * @returns {Object} The configuration with the defaults and overrides applied
+ */
+function applyLayers(fileConfig) {
+    return configLayers.mergeLayers({ ...getOverrideLayers(), default: DEFAULT_CONFIG, file: fileConfig }).config;
+}
+
+/**
+ * Get the file layer of the current configuration
+ * 
+ * @returns {Object} The configuration as saved in the file, with passwords decrypted
+ */
+function getFileConfig() {
+    getConfig();
+    return currentLayers.file;
+}
+
+/**
+ * Get where the current configuration came from
+ * 
+ * @returns {Object} { file, sources, overrides }: the configuration file, the layer
+ *   (default, file, env or cli) of each setting by path and the variable or flag of overridden settings
+ */
+function getConfigSources() {
+    getConfig();
+    return {
+        file: configFilePath,
+        sources: currentSources,
+        overrides: overrides ? overrides.names : {}
+    };
+}
+
+/**
+ * Get the path of the configuration file in use
+ * 
+ * @returns {string} The path
+ */
+function getConfigFilePath() {
+    return configFilePath;
+}
+
 /**
  * Reload the configuration from disk
  * 
- * @param {string} [filePath=CONFIG_FILE_PATH] - Path to the configuration file
+ * @param {string} [filePath] - Path to the configuration file, defaults to the selected one
  * @returns {Object} The reloaded configuration
  * @throws {Error} If the configuration file cannot be loaded or parsed
  */
-function reloadConfig(filePath = CONFIG_FILE_PATH) {
+function reloadConfig(filePath = configFilePath) {
     logger.info(`Reloading configuration from ${filePath}`);
     return loadConfig(filePath);
 }
@@ -111,15 +374,27 @@ function reloadConfig(filePath = CONFIG_FILE_PATH) {
 /**
  * Watch the configuration file for changes and reload automatically
  * 
- * @param {string} [filePath=CONFIG_FILE_PATH] - Path to the configuration file
+ * @param {string} [filePath] - Path to the configuration file, defaults to the selected one
  * @param {Function} [callback] - Optional callback function to call when config is reloaded
  * @returns {fs.FSWatcher} A file watcher instance
  */
-function watchConfig(filePath = CONFIG_FILE_PATH, callback) {
+function watchConfig(filePath = configFilePath, callback) {
     logger.info(`Setting up config file watch on ${filePath}`);
     
-    const watcher = fs.watch(filePath, { persistent: true }, (eventType) => {
-        if (eventType === 'change') {
+    // Watch the directory: saves and many editors replace the file instead of changing it
+    const targetPath = resolveConfigPath(filePath);
+    const fileName = path.basename(targetPath);
+    let timer = null;
+    
+    const watcher = fs.watch(path.dirname(targetPath), { persistent: true }, (eventType, changedFile) => {
+        if (changedFile !== fileName) {
+            return;
+        }
+        clearTimeout(timer);
+        timer = setTimeout(() => {
+            if (!fs.existsSync(targetPath)) {
+                return;
+            }
             logger.info(`Configuration file ${filePath} changed`);
             
             try {
@@ -129,31 +404,34 @@ function watchConfig(filePath = CONFIG_FILE_PATH, callback) {
                     callback(newConfig);
                 }
             } catch (error) {
-                logger.error('Error reloading configuration after file change:', error);
-                // Continue using previous configuration on error
+                // loadConfig has logged the problems; the previous configuration stays live
+                logger.error(`Error reloading configuration after file change: ${error.message}`);
             }
-        }
+        }, WATCH_DEBOUNCE_MS);
     });
     
     watcher.on('error', (error) => {
         logger.error(`Error watching config file ${filePath}:`, error);
     });
+    watcher.on('close', () => clearTimeout(timer));
     
     return watcher;
 }
 
-// Initialize by loading the configuration
-try {
-    loadConfig();
-} catch (error) {
-    // Log but don't exit - let the server handle startup errors
-    logger.error('Failed to load initial configuration:', error);
-}
-
 module.exports = {
+    configure,
     loadConfig,
     getConfig,
+    getFileConfig,
+    getConfigSources,
+    getConfigFilePath,
+    applyLayers,
     reloadConfig,
+    saveConfig,
+    saveFileLayer,
+    getHistory,
+    getVersion,
     watchConfig,
-    CONFIG_FILE_PATH
+    CONFIG_FILE_PATH,
+    DEFAULT_CONFIG
 };
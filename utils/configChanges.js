@@ -0,0 +1,110 @@
+/**
+ * Configuration changes on reload
+ *
+ * Compares the configuration in use with a reloaded one to find what the
+ * live sessions and the listener have to follow: stations that went away or
+ * whose caster connection settings changed, and settings that need the NTRIP
+ * listener to be opened again or the server to be restarted.
+ *
+ * @module utils/configChanges
+ */
+const { isEqual } = require('./configHistory');
+
+// Station fields the caster connection is made with; rovers are moved to a new connection when they change
+const CONNECTION_FIELDS = ['casterHost', 'casterPort', 'username', 'password', 'sendGga'];
+
+// Settings the NTRIP listener is opened with
+const LISTENER_FIELDS = ['port', 'interface'];
+
+// Settings only read on startup
+const RESTART_FIELDS = ['adminPort', 'adminUsername', 'adminPassword'];
+
+/**
+ * Gets the stations of a configuration by mountpoint
+ *
+ * @param {Object} config - The configuration
+ * @returns {Map<string, Object>} The stations
+ */
+function stationsByMountPoint(config) {
+    return new Map((config.stations || []).map(station => [station.mountPoint, station]));
+}
+
+/**
+ * Finds what changed between two configurations
+ *
+ * @param {Object} before - The configuration in use
+ * @param {Object} after - The reloaded configuration
+ * @returns {Object} The changes:
+ *   - `stations`: mountpoints that were `added`, `removed`, `deactivated`, `activated`,
+ *     whose caster settings changed (`connectionChanged`) or whose other settings changed (`updated`)
+ *   - `listener`: the new `{ port, interface }` if the NTRIP listener has to move, otherwise null
+ *   - `mountPoint`: the new mountpoint if it changed, otherwise null
+ *   - `restartRequired`: settings that changed but only take effect after a restart
+ */
+function getConfigChanges(before, after) {
+    const stations = {
+        added: [],
+        removed: [],
+        deactivated: [],
+        activated: [],
+        connectionChanged: [],
+        updated: []
+    };
+
+    const oldStations = stationsByMountPoint(before);
+    const newStations = stationsByMountPoint(after);
+
+    oldStations.forEach((station, mountPoint) => {
+        if (!newStations.has(mountPoint)) {
+            stations.removed.push(mountPoint);
+        }
+    });
+
+    newStations.forEach((station, mountPoint) => {
+        const oldStation = oldStations.get(mountPoint);
+        if (!oldStation) {
+            stations.added.push(mountPoint);
+            return;
+        }
+
+        const wasActive = oldStation.active !== false;
+        const isActive = station.active !== false;
+        if (wasActive && !isActive) {
+            stations.deactivated.push(mountPoint);
+        } else if (!wasActive && isActive) {
+            stations.activated.push(mountPoint);
+        }
+
+        if (CONNECTION_FIELDS.some(field => !isEqual(oldStation[field], station[field]))) {
+            stations.connectionChanged.push(mountPoint);
+        } else if (!isEqual({ ...oldStation, active: null }, { ...station, active: null })) {
+            stations.updated.push(mountPoint);
+        }
+    });
+
+    const listenerChanged = LISTENER_FIELDS.some(field => !isEqual(before[field], after[field]));
+
+    return {
+        stations,
+        listener: listenerChanged ? { port: after.port, interface: after.interface } : null,
+        mountPoint: before.mountPoint !== after.mountPoint ? after.mountPoint : null,
+        restartRequired: RESTART_FIELDS.filter(field => !isEqual(before[field], after[field]))
+    };
+}
+
+/**
+ * Gets the stations a rover has to be moved off after a reload
+ *
+ * @param {Object} changes - The changes, see getConfigChanges
+ * @returns {Set<string>} The mountpoints that were removed, deactivated or whose caster settings changed
+ */
+function getStationsToLeave(changes) {
+    const { removed, deactivated, connectionChanged } = changes.stations;
+    return new Set([...removed, ...deactivated, ...connectionChanged]);
+}
+
+module.exports = {
+    CONNECTION_FIELDS,
+    getConfigChanges,
+    getStationsToLeave
+};
@@ -0,0 +1,249 @@
+/**
+ * Configuration version history
+ *
+ * Every configuration written by the server is kept as a numbered version in
+ * a directory next to config.json, one JSON file per version:
+ * `{ version, savedAt, user, summary, config }`. The admin interface lists
+ * the versions, compares them with the current configuration and rolls back
+ * to any of them. Only the newest versions are kept.
+ *
+ * @module utils/configHistory
+ */
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+// How many versions are kept
+const MAX_VERSIONS = 50;
+
+// Fields that identify the entries of configuration lists, so that diffs follow an entry that moved
+const LIST_KEYS = ['mountPoint', 'username'];
+
+/**
+ * Checks whether a value is a plain object (not an array or null)
+ *
+ * @param {*} value - The value
+ * @returns {boolean} True for plain objects
+ */
+function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Checks whether two JSON values are equal
+ *
+ * @param {*} a - The first value
+ * @param {*} b - The second value
+ * @returns {boolean} True if they are equal
+ */
+function isEqual(a, b) {
+    if (a === b) {
+        return true;
+    }
+    if (Array.isArray(a) && Array.isArray(b)) {
+        return a.length === b.length && a.every((item, i) => isEqual(item, b[i]));
+    }
+    if (isObject(a) && isObject(b)) {
+        const keys = Object.keys(a);
+        return keys.length === Object.keys(b).length &&
+            keys.every(key => Object.prototype.hasOwnProperty.call(b, key) && isEqual(a[key], b[key]));
+    }
+    return false;
+}
+
+/**
+ * Finds the field that identifies the entries of two lists, e.g. the station mountpoint
+ *
+ * @param {Array} before - The old list
+ * @param {Array} after - The new list
+ * @returns {string|null} The field, or null if the entries are compared by position
+ */
+function findListKey(before, after) {
+    const items = [...before, ...after];
+    return LIST_KEYS.find(key => {
+        const ids = items.map(item => (isObject(item) ? item[key] : undefined));
+        return ids.every(id => typeof id === 'string') &&
+            new Set(ids.slice(0, before.length)).size === before.length &&
+            new Set(ids.slice(before.length)).size === after.length;
+    }) || null;
+}
+
+/**
+ * Lists the differences between two configurations
+ *
+ * Paths use dots for object fields and brackets for list entries. Entries of
+ * the station and account lists are named by their mountpoint or username,
+ * e.g. `stations[UP1].latitude`, other list entries by their index.
+ *
+ * @param {*} before - The old configuration
+ * @param {*} after - The new configuration
+ * @param {string} [basePath=''] - Path of the compared values
+ * @returns {Array<Object>} The changes: { path, type: added|removed|changed, before, after }
+ */
+function diffConfig(before, after, basePath = '') {
+    if (isEqual(before, after)) {
+        return [];
+    }
+
+    const changes = [];
+    const fieldPath = key => (basePath ? `${basePath}.${key}` : key);
+
+    if (isObject(before) && isObject(after)) {
+        const keys = [...Object.keys(before), ...Object.keys(after).filter(key => !(key in before))];
+        keys.forEach(key => {
+            if (!(key in after)) {
+                changes.push({ path: fieldPath(key), type: 'removed', before: before[key] });
+            } else if (!(key in before)) {
+                changes.push({ path: fieldPath(key), type: 'added', after: after[key] });
+            } else {
+                changes.push(...diffConfig(before[key], after[key], fieldPath(key)));
+            }
+        });
+        return changes;
+    }
+
+    if (Array.isArray(before) && Array.isArray(after)) {
+        const listKey = findListKey(before, after);
+        const entries = list => new Map(list.map((item, i) => [listKey ? item[listKey] : String(i), item]));
+        const beforeEntries = entries(before);
+        const afterEntries = entries(after);
+        const ids = [...beforeEntries.keys(), ...Array.from(afterEntries.keys()).filter(id => !beforeEntries.has(id))];
+
+        ids.forEach(id => {
+            const entryPath = `${basePath}[${id}]`;
+            if (!afterEntries.has(id)) {
+                changes.push({ path: entryPath, type: 'removed', before: beforeEntries.get(id) });
+            } else if (!beforeEntries.has(id)) {
+                changes.push({ path: entryPath, type: 'added', after: afterEntries.get(id) });
+            } else {
+                changes.push(...diffConfig(beforeEntries.get(id), afterEntries.get(id), entryPath));
+            }
+        });
+        return changes;
+    }
+
+    return [{ path: basePath, type: 'changed', before, after }];
+}
+
+/**
+ * Creates a configuration history
+ *
+ * @param {Object} options - History options
+ * @param {string} options.directory - Directory of the version files
+ * @param {number} [options.maxVersions=MAX_VERSIONS] - How many versions are kept
+ * @returns {Object} The history with `record()`, `list()`, `get()` and `latest()`
+ */
+function createConfigHistory(options) {
+    const { directory, maxVersions = MAX_VERSIONS } = options;
+
+    /**
+     * Gets the version numbers on disk
+     *
+     * @returns {Array<number>} The version numbers in ascending order
+     */
+    function versionNumbers() {
+        if (!fs.existsSync(directory)) {
+            return [];
+        }
+        return fs.readdirSync(directory)
+            .map(name => /^(\d+)\.json$/.exec(name))
+            .filter(Boolean)
+            .map(match => Number(match[1]))
+            .sort((a, b) => a - b);
+    }
+
+    /**
+     * Gets the path of a version file
+     *
+     * @param {number} version - The version number
+     * @returns {string} The path
+     */
+    function versionFile(version) {
+        return path.join(directory, `${version}.json`);
+    }
+
+    const history = {
+        /**
+         * Stores a configuration as the next version and drops the oldest versions
+         *
+         * @param {Object} config - The configuration
+         * @param {Object} [change] - About the change
+         * @param {string} [change.user] - The admin user who made it, null for edits on disk
+         * @param {string} [change.summary] - What was changed
+         * @param {Date} [change.savedAt] - When it was made, defaults to now
+         * @returns {Object} The version without the configuration
+         */
+        record(config, change = {}) {
+            const numbers = versionNumbers();
+            const version = numbers.length > 0 ? numbers[numbers.length - 1] + 1 : 1;
+            const entry = {
+                version,
+                savedAt: (change.savedAt || new Date()).toISOString(),
+                user: change.user || null,
+                summary: change.summary || null
+            };
+
+            fs.mkdirSync(directory, { recursive: true });
+            fs.writeFileSync(versionFile(version), JSON.stringify({ ...entry, config }, null, 4));
+
+            numbers.slice(0, Math.max(0, numbers.length + 1 - maxVersions)).forEach(old => {
+                try {
+                    fs.unlinkSync(versionFile(old));
+                } catch (error) {
+                    logger.warn(`Could not remove configuration version ${old}: ${error.message}`);
+                }
+            });
+
+            return entry;
+        },
+
+        /**
+         * Lists the versions, newest first
+         *
+         * @returns {Array<Object>} The versions without their configurations
+         */
+        list() {
+            return versionNumbers().reverse()
+                .map(version => history.get(version))
+                .filter(Boolean)
+                .map(({ config, ...entry }) => entry);
+        },
+
+        /**
+         * Gets a version
+         *
+         * @param {number} version - The version number
+         * @returns {Object|null} The version with its configuration, or null if it does not exist
+         */
+        get(version) {
+            if (!Number.isInteger(version) || !fs.existsSync(versionFile(version))) {
+                return null;
+            }
+            try {
+                return JSON.parse(fs.readFileSync(versionFile(version), 'utf8'));
+            } catch (error) {
+                logger.warn(`Could not read configuration version ${version}: ${error.message}`);
+                return null;
+            }
+        },
+
+        /**
+         * Gets the newest version
+         *
+         * @returns {Object|null} The version with its configuration, or null if there is none
+         */
+        latest() {
+            const numbers = versionNumbers();
+            return numbers.length > 0 ? history.get(numbers[numbers.length - 1]) : null;
+        }
+    };
+
+    return history;
+}
+
+module.exports = {
+    MAX_VERSIONS,
+    diffConfig,
+    isEqual,
+    createConfigHistory
+};
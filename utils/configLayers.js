@@ -0,0 +1,327 @@
+/**
+ * Layered configuration
+ *
+ * The effective configuration is built from four layers, each overriding the
+ * ones before it:
+ * 1. `default`: the built-in defaults
+ * 2. `file`: config.json, or the file named by `--config` / `NEARTRIP_CONFIG`
+ * 3. `env`: environment variables, e.g. `NEARTRIP_PORT` or `NEARTRIP_ADMIN_PASSWORD`
+ * 4. `cli`: command-line flags, e.g. `--port 2101` or `--admin-password=secret`
+ *
+ * The settings in OVERRIDABLE_SETTINGS can be overridden; the names of their
+ * variables and flags are derived from their paths (`metrics.token` is
+ * `NEARTRIP_METRICS_TOKEN` and `--metrics-token`). The admin interface only
+ * writes the file layer, see toFileLayer.
+ *
+ * @module utils/configLayers
+ */
+const { ConfigValidationError } = require('./errors');
+const { isEqual } = require('./configHistory');
+
+// The layers, from lowest to highest precedence
+const LAYERS = ['default', 'file', 'env', 'cli'];
+
+// Settings that can be set from the environment and the command line, by path
+const OVERRIDABLE_SETTINGS = {
+    interface: 'string',
+    port: 'integer',
+    mountPoint: 'string',
+    userAgent: 'string',
+    username: 'string',
+    password: 'string',
+    adminPort: 'integer',
+    adminUsername: 'string',
+    adminPassword: 'string',
+    upstreamLingerSeconds: 'number',
+    ggaIntervalSeconds: 'number',
+    'coverage.maxBaselineMeters': 'number',
+    'coverage.outOfRange': 'string',
+    'coverage.fallbackMountPoint': 'string',
+    'positionCheck.enabled': 'boolean',
+    'healthCheck.enabled': 'boolean',
+    'metrics.enabled': 'boolean',
+    'metrics.auth': 'string',
+    'metrics.token': 'string'
+};
+
+// Selects the configuration file
+const CONFIG_PATH_ENV = 'NEARTRIP_CONFIG';
+const CONFIG_PATH_FLAG = '--config';
+
+const BOOLEAN_VALUES = {
+    true: true, yes: true, on: true, 1: true,
+    false: false, no: false, off: false, 0: false
+};
+
+/**
+ * Splits a camel case path into words, e.g. `coverage.fallbackMountPoint` into coverage, fallback, mount, point
+ *
+ * @param {string} settingPath - The setting path
+ * @returns {Array<string>} The lower case words
+ */
+function pathWords(settingPath) {
+    return settingPath.replace(/([a-z0-9])([A-Z])/g, '$1.$2').toLowerCase().split('.');
+}
+
+/**
+ * Gets the environment variable of a setting
+ *
+ * @param {string} settingPath - The setting path, e.g. `adminPassword`
+ * @returns {string} The variable name, e.g. `NEARTRIP_ADMIN_PASSWORD`
+ */
+function envName(settingPath) {
+    return `NEARTRIP_${pathWords(settingPath).join('_').toUpperCase()}`;
+}
+
+/**
+ * Gets the command-line flag of a setting
+ *
+ * @param {string} settingPath - The setting path, e.g. `adminPassword`
+ * @returns {string} The flag, e.g. `--admin-password`
+ */
+function flagName(settingPath) {
+    return `--${pathWords(settingPath).join('-')}`;
+}
+
+/**
+ * Converts a variable or flag value to the type of its setting
+ *
+ * @param {string} text - The value
+ * @param {string} type - string, integer, number or boolean
+ * @returns {*} The value, or undefined if it is not of the type
+ */
+function parseValue(text, type) {
+    if (type === 'boolean') {
+        return BOOLEAN_VALUES[text.trim().toLowerCase()];
+    }
+    if (type === 'integer' || type === 'number') {
+        const value = Number(text);
+        return text.trim() !== '' && Number.isFinite(value) && (type === 'number' || Number.isInteger(value)) ? value : undefined;
+    }
+    return text;
+}
+
+/**
+ * Sets a value at a dotted path, creating the sections on the way
+ *
+ * @param {Object} target - The object
+ * @param {string} settingPath - The path
+ * @param {*} value - The value
+ */
+function setPath(target, settingPath, value) {
+    const keys = settingPath.split('.');
+    let object = target;
+    keys.slice(0, -1).forEach(key => {
+        if (object[key] === null || typeof object[key] !== 'object' || Array.isArray(object[key])) {
+            object[key] = {};
+        }
+        object = object[key];
+    });
+    object[keys[keys.length - 1]] = value;
+}
+
+/**
+ * Gets the value at a dotted path
+ *
+ * @param {Object} source - The object
+ * @param {string} settingPath - The path
+ * @returns {*} The value, or undefined if it is not set
+ */
+function getPath(source, settingPath) {
+    return settingPath.split('.').reduce(
+        (object, key) => (object !== null && typeof object === 'object' ? object[key] : undefined),
+        source
+    );
+}
+
+/**
+ * Removes the value at a dotted path, and sections left empty
+ *
+ * @param {Object} target - The object
+ * @param {string} settingPath - The path
+ */
+function deletePath(target, settingPath) {
+    const [key, ...rest] = settingPath.split('.');
+    if (target === null || typeof target !== 'object' || !(key in target)) {
+        return;
+    }
+    if (rest.length === 0) {
+        delete target[key];
+        return;
+    }
+    deletePath(target[key], rest.join('.'));
+    if (target[key] !== null && typeof target[key] === 'object' && Object.keys(target[key]).length === 0) {
+        delete target[key];
+    }
+}
+
+/**
+ * Reads the overrides and the configuration file path from the environment
+ *
+ * Empty variables count as unset, as Docker Compose passes them for undefined substitutions.
+ *
+ * @param {Object} env - The environment, e.g. process.env
+ * @returns {Object} { configPath, overrides, names } with the variable name of each overridden path
+ * @throws {ConfigValidationError} If a variable has a value of the wrong type
+ */
+function readEnv(env) {
+    const overrides = {};
+    const names = {};
+    const errors = [];
+
+    Object.entries(OVERRIDABLE_SETTINGS).forEach(([settingPath, type]) => {
+        const name = envName(settingPath);
+        if (env[name] === undefined || env[name] === '') {
+            return;
+        }
+        const value = parseValue(env[name], type);
+        if (value === undefined) {
+            errors.push({ field: name, message: `must be ${type === 'integer' ? 'an' : 'a'} ${type}` });
+            return;
+        }
+        setPath(overrides, settingPath, value);
+        names[settingPath] = name;
+    });
+
+    if (errors.length > 0) {
+        throw new ConfigValidationError(errors);
+    }
+    return { configPath: env[CONFIG_PATH_ENV] || null, overrides, names };
+}
+
+/**
+ * Reads the overrides and the configuration file path from command-line arguments
+ *
+ * Flags take their value as the next argument or after `=`: `--port 2101`, `--port=2101`.
+ *
+ * @param {Array<string>} argv - The arguments, without the node executable and script
+ * @returns {Object} { configPath, overrides, names } with the flag of each overridden path
+ * @throws {ConfigValidationError} If a flag is unknown, has no value or a value of the wrong type
+ */
+function parseArgs(argv) {
+    const flags = Object.fromEntries(Object.keys(OVERRIDABLE_SETTINGS).map(settingPath => [flagName(settingPath), settingPath]));
+    const overrides = {};
+    const names = {};
+    const errors = [];
+    let configPath = null;
+
+    for (let i = 0; i < argv.length; i++) {
+        const [flag, inlineValue] = argv[i].split(/=(.*)/s);
+        const settingPath = flags[flag];
+        if (flag !== CONFIG_PATH_FLAG && !settingPath) {
+            errors.push({ field: flag, message: 'is not a known option' });
+            continue;
+        }
+
+        const text = inlineValue !== undefined ? inlineValue : argv[++i];
+        if (text === undefined) {
+            errors.push({ field: flag, message: 'needs a value' });
+            continue;
+        }
+        if (flag === CONFIG_PATH_FLAG) {
+            configPath = text;
+            continue;
+        }
+
+        const type = OVERRIDABLE_SETTINGS[settingPath];
+        const value = parseValue(text, type);
+        if (value === undefined) {
+            errors.push({ field: flag, message: `must be ${type === 'integer' ? 'an' : 'a'} ${type}` });
+            continue;
+        }
+        setPath(overrides, settingPath, value);
+        names[settingPath] = flag;
+    }
+
+    if (errors.length > 0) {
+        throw new ConfigValidationError(errors);
+    }
+    return { configPath, overrides, names };
+}
+
+/**
+ * Merges configuration layers, sections field by field and everything else as a whole
+ *
+ * @param {Object} lower - The lower layer
+ * @param {Object} higher - The higher layer
+ * @returns {Object} The merged copy
+ */
+function mergeLayer(lower, higher) {
+    const merged = { ...lower };
+    Object.entries(higher).forEach(([key, value]) => {
+        const isSection = value !== null && typeof value === 'object' && !Array.isArray(value);
+        const lowerIsSection = merged[key] !== null && typeof merged[key] === 'object' && !Array.isArray(merged[key]);
+        merged[key] = isSection && lowerIsSection ? mergeLayer(merged[key], value) : value;
+    });
+    return merged;
+}
+
+/**
+ * Builds the effective configuration from the layers
+ *
+ * @param {Object} layers - The layers by name: { default, file, env, cli }
+ * @returns {Object} { config, sources } with the layer each setting came from, by path
+ *   (fields of sections such as `metrics.token` are listed separately)
+ */
+function mergeLayers(layers) {
+    const config = LAYERS.reduce((merged, name) => mergeLayer(merged, layers[name] || {}), {});
+
+    const sourceOf = settingPath => [...LAYERS].reverse().find(name => getPath(layers[name], settingPath) !== undefined);
+    const sources = {};
+    Object.entries(config).forEach(([key, value]) => {
+        if (value !== null && typeof value === 'object' && !Array.isArray(value)) {
+            Object.keys(value).forEach(field => {
+                sources[`${key}.${field}`] = sourceOf(`${key}.${field}`);
+            });
+        } else {
+            sources[key] = sourceOf(key);
+        }
+    });
+
+    return { config, sources };
+}
+
+/**
+ * Gets the file layer to save for an effective configuration changed in the admin interface
+ *
+ * Values that come from the environment, the command line or the defaults
+ * are not written to the file unless they were changed: the file keeps its
+ * own value (or none) for them. A complete file layer, such as a version
+ * from the history, is saved as it is instead (utils/config saveFileLayer),
+ * since its values for overridden settings would be lost here.
+ *
+ * @param {Object} config - The effective configuration to save
+ * @param {Object} layers - The layers it was built from
+ * @returns {Object} The configuration to write to the file
+ */
+function toFileLayer(config, layers) {
+    const fileConfig = JSON.parse(JSON.stringify(config));
+    const { config: effective, sources } = mergeLayers(layers);
+
+    Object.entries(sources).forEach(([settingPath, source]) => {
+        if (source === 'file' || !isEqual(getPath(config, settingPath), getPath(effective, settingPath))) {
+            return;
+        }
+        const fileValue = getPath(layers.file, settingPath);
+        if (fileValue === undefined) {
+            deletePath(fileConfig, settingPath);
+        } else {
+            setPath(fileConfig, settingPath, fileValue);
+        }
+    });
+
+    return fileConfig;
+}
+
+module.exports = {
+    LAYERS,
+    OVERRIDABLE_SETTINGS,
+    CONFIG_PATH_ENV,
+    CONFIG_PATH_FLAG,
+    envName,
+    flagName,
+    readEnv,
+    parseArgs,
+    mergeLayers,
+    toFileLayer
+};
@@ -0,0 +1,344 @@
+/**
+ * Configuration schema
+ *
+ * Every configuration is checked before it is used: on startup, on reloads
+ * and when the admin interface changes it. An invalid configuration is
+ * rejected with the list of offending fields instead of being replaced by
+ * defaults, so a typo during a hot edit never takes the rovers offline.
+ *
+ * Fields are described by rules:
+ * - `type`: string, number, boolean or object
+ * - `required`: the field must be present
+ * - `nullable`: null is accepted (meaning "not set")
+ * - `min`/`max`, `integer`, `positive` for numbers; `pattern`, `nonEmpty` for strings
+ * - `values` for a fixed set of accepted values
+ *
+ * Unknown fields are ignored so that comments and settings of newer versions
+ * do not stop the server.
+ *
+ * @module utils/configSchema
+ */
+const { OUT_OF_RANGE } = require('./coverage');
+const { METRICS_AUTH } = require('./metrics');
+const serviceArea = require('./serviceArea');
+const { ConfigValidationError } = require('./errors');
+
+const PORT = { type: 'number', integer: true, min: 1, max: 65535 };
+
+// NTRIP mountpoints appear in request paths, so they cannot contain whitespace or slashes
+const MOUNT_POINT = { type: 'string', required: true, pattern: /^[^\s/]+$/, patternMessage: 'must not contain spaces or slashes' };
+
+const SECONDS = { type: 'number', min: 0 };
+const METERS = { type: 'number', min: 0 };
+const OPTIONAL_METERS = { type: 'number', positive: true, nullable: true };
+
+const TOP_LEVEL_SCHEMA = {
+    interface: { type: 'string', nonEmpty: true },
+    port: { ...PORT, required: true },
+    mountPoint: MOUNT_POINT,
+    userAgent: { type: 'string' },
+    username: { type: 'string' },
+    password: { type: 'string' },
+    adminPort: PORT,
+    adminUsername: { type: 'string', nonEmpty: true },
+    adminPassword: { type: 'string' },
+    upstreamLingerSeconds: SECONDS,
+    ggaIntervalSeconds: { type: 'number', positive: true },
+    stations: { type: 'array', required: true },
+    users: { type: 'array' }
+};
+
+const STATION_SCHEMA = {
+    mountPoint: MOUNT_POINT,
+    casterHost: { type: 'string', required: true, nonEmpty: true },
+    casterPort: { ...PORT, required: true },
+    username: { type: 'string' },
+    password: { type: 'string' },
+    // Required except for the coverage fallback station (see checkStations)
+    latitude: { type: 'number', min: -90, max: 90 },
+    longitude: { type: 'number', min: -180, max: 180 },
+    active: { type: 'boolean' },
+    sendGga: { type: 'boolean' },
+    ggaIntervalSeconds: { type: 'number', positive: true },
+    maxRangeMeters: OPTIONAL_METERS,
+    serviceArea: { type: 'object', nullable: true }
+};
+
+const USER_SCHEMA = {
+    username: { type: 'string', required: true, nonEmpty: true },
+    // One of the two is required (see checkUsers)
+    password: { type: 'string', nonEmpty: true },
+    passwordHash: { type: 'string', nonEmpty: true },
+    active: { type: 'boolean' }
+};
+
+// Policy sections (see the DEFAULT_* settings of each module)
+const SECTION_SCHEMAS = {
+    switching: {
+        minAdvantageMeters: METERS,
+        minAdvantagePercent: { type: 'number', min: 0, max: 100 },
+        minDwellSeconds: SECONDS,
+        holdWhileRtkFixed: { type: 'boolean' },
+        maxFixedBaselineMeters: OPTIONAL_METERS
+    },
+    reconnect: {
+        maxRetries: { type: 'number', integer: true, min: 0 },
+        initialDelaySeconds: SECONDS,
+        backoffMultiplier: { type: 'number', min: 1 },
+        maxDelaySeconds: SECONDS,
+        unhealthySeconds: SECONDS,
+        maxFallbackStations: { type: 'number', integer: true, min: 0 },
+        maxFallbackBaselineMeters: OPTIONAL_METERS
+    },
+    coverage: {
+        maxBaselineMeters: OPTIONAL_METERS,
+        outOfRange: { type: 'string', values: Object.values(OUT_OF_RANGE) },
+        fallbackMountPoint: { type: 'string', nullable: true }
+    },
+    positionCheck: {
+        enabled: { type: 'boolean' },
+        maxOffsetMeters: { type: 'number', positive: true }
+    },
+    healthCheck: {
+        enabled: { type: 'boolean' },
+        intervalSeconds: { type: 'number', positive: true },
+        timeoutSeconds: { type: 'number', positive: true }
+    },
+    metrics: {
+        enabled: { type: 'boolean' },
+        auth: { type: 'string', values: Object.values(METRICS_AUTH) },
+        token: { type: 'string', nullable: true }
+    }
+};
+
+/**
+ * Gets the JSON type of a value
+ *
+ * @param {*} value - The value
+ * @returns {string} string, number, boolean, array, object or null
+ */
+function typeOf(value) {
+    if (value === null) {
+        return 'null';
+    }
+    return Array.isArray(value) ? 'array' : typeof value;
+}
+
+/**
+ * Checks a value against a rule
+ *
+ * @param {*} value - The value, undefined if the field is missing
+ * @param {Object} rule - The rule
+ * @returns {string|null} What is wrong with the value, or null if it is valid
+ */
+function checkValue(value, rule) {
+    if (value === undefined) {
+        return rule.required ? 'is required' : null;
+    }
+    if (value === null) {
+        return rule.nullable ? null : (rule.required ? 'is required' : 'must not be null');
+    }
+    if (typeOf(value) !== rule.type || (rule.type === 'number' && !Number.isFinite(value))) {
+        return `must be ${rule.type === 'array' || rule.type === 'object' ? 'an' : 'a'} ${rule.type}`;
+    }
+    if (rule.values && !rule.values.includes(value)) {
+        return `must be one of ${rule.values.join(', ')}`;
+    }
+    if (rule.type === 'string') {
+        if ((rule.nonEmpty || rule.required) && value.trim() === '') {
+            return 'must not be empty';
+        }
+        if (rule.pattern && !rule.pattern.test(value)) {
+            return rule.patternMessage;
+        }
+    }
+    if (rule.type === 'number') {
+        if (rule.integer && !Number.isInteger(value)) {
+            return 'must be an integer';
+        }
+        if (rule.positive && value <= 0) {
+            return 'must be greater than 0';
+        }
+        if (rule.min !== undefined && value < rule.min) {
+            return rule.max !== undefined ? `must be between ${rule.min} and ${rule.max}` : `must be at least ${rule.min}`;
+        }
+        if (rule.max !== undefined && value > rule.max) {
+            return rule.min !== undefined ? `must be between ${rule.min} and ${rule.max}` : `must be at most ${rule.max}`;
+        }
+    }
+    return null;
+}
+
+/**
+ * Checks the fields of an object against a schema
+ *
+ * @param {Object} object - The object
+ * @param {Object} schema - Rules by field name
+ * @param {string} prefix - Path of the object, e.g. `stations[2].`
+ * @param {Array<Object>} errors - Receives the problems found
+ */
+function checkFields(object, schema, prefix, errors) {
+    Object.entries(schema).forEach(([name, rule]) => {
+        const message = checkValue(object[name], rule);
+        if (message) {
+            errors.push({ field: `${prefix}${name}`, message });
+        }
+    });
+}
+
+/**
+ * Checks the station list: each station, unique mountpoints and caster streams
+ *
+ * @param {Array<Object>} stations - The stations
+ * @param {string|null} fallbackMountPoint - The coverage fallback station, which may have no position
+ * @param {Array<Object>} errors - Receives the problems found
+ */
+function checkStations(stations, fallbackMountPoint, errors) {
+    const mountPoints = new Map();
+    const streams = new Map();
+
+    stations.forEach((station, index) => {
+        const prefix = `stations[${index}]`;
+        if (typeOf(station) !== 'object') {
+            errors.push({ field: prefix, message: 'must be an object' });
+            return;
+        }
+        checkFields(station, STATION_SCHEMA, `${prefix}.`, errors);
+
+        if (station.mountPoint !== fallbackMountPoint) {
+            ['latitude', 'longitude'].forEach(name => {
+                if (station[name] === undefined || station[name] === null) {
+                    errors.push({ field: `${prefix}.${name}`, message: 'is required' });
+                }
+            });
+        }
+
+        if (typeof station.mountPoint === 'string') {
+            if (mountPoints.has(station.mountPoint)) {
+                errors.push({
+                    field: `${prefix}.mountPoint`,
+                    message: `duplicates the mountpoint of stations[${mountPoints.get(station.mountPoint)}]`
+                });
+            } else {
+                mountPoints.set(station.mountPoint, index);
+
+                // The same caster stream under another spelling, e.g. a host name in other case
+                const stream = `${String(station.casterHost).toLowerCase()}:${station.casterPort}/${station.mountPoint.toLowerCase()}`;
+                if (streams.has(stream)) {
+                    errors.push({
+                        field: `${prefix}.mountPoint`,
+                        message: `uses the same caster host, port and mountpoint as stations[${streams.get(stream)}]`
+                    });
+                } else {
+                    streams.set(stream, index);
+                }
+            }
+        }
+
+        if (station.serviceArea) {
+            try {
+                serviceArea.normalizeServiceArea(station.serviceArea);
+            } catch (error) {
+                const field = error.field ? `${prefix}.serviceArea.${error.field}` : `${prefix}.serviceArea`;
+                errors.push({ field, message: error.message });
+            }
+        }
+    });
+}
+
+/**
+ * Checks the rover accounts, which need unique usernames
+ *
+ * @param {Array<Object>} users - The accounts
+ * @param {Array<Object>} errors - Receives the problems found
+ */
+function checkUsers(users, errors) {
+    const usernames = new Set();
+    users.forEach((user, index) => {
+        const prefix = `users[${index}]`;
+        if (typeOf(user) !== 'object') {
+            errors.push({ field: prefix, message: 'must be an object' });
+            return;
+        }
+        checkFields(user, USER_SCHEMA, `${prefix}.`, errors);
+        if (user.password === undefined && user.passwordHash === undefined) {
+            errors.push({ field: `${prefix}.password`, message: 'is required (or passwordHash)' });
+        }
+        if (typeof user.username === 'string') {
+            if (usernames.has(user.username)) {
+                errors.push({ field: `${prefix}.username`, message: 'is used by another account' });
+            }
+            usernames.add(user.username);
+        }
+    });
+}
+
+/**
+ * Checks a configuration against the schema
+ *
+ * @param {Object} config - The configuration
+ * @returns {Array<Object>} The problems found: { field, message }, empty if the configuration is valid
+ */
+function validateConfig(config) {
+    if (typeOf(config) !== 'object') {
+        return [{ field: '(root)', message: 'must be an object' }];
+    }
+
+    const errors = [];
+    checkFields(config, TOP_LEVEL_SCHEMA, '', errors);
+
+    const coverage = typeOf(config.coverage) === 'object' ? config.coverage : {};
+    if (Array.isArray(config.stations)) {
+        const fallbackMountPoint = coverage.outOfRange === OUT_OF_RANGE.FALLBACK ? coverage.fallbackMountPoint : null;
+        checkStations(config.stations, fallbackMountPoint, errors);
+    }
+    if (Array.isArray(config.users)) {
+        checkUsers(config.users, errors);
+    }
+
+    Object.entries(SECTION_SCHEMAS).forEach(([section, schema]) => {
+        const value = config[section];
+        if (value === undefined || value === null) {
+            return;
+        }
+        if (typeOf(value) !== 'object') {
+            errors.push({ field: section, message: 'must be an object' });
+            return;
+        }
+        checkFields(value, schema, `${section}.`, errors);
+    });
+
+    // Settings that only make sense together
+    if (coverage.outOfRange === OUT_OF_RANGE.FALLBACK) {
+        const stations = Array.isArray(config.stations) ? config.stations : [];
+        if (!coverage.fallbackMountPoint) {
+            errors.push({ field: 'coverage.fallbackMountPoint', message: 'is required with outOfRange "fallback"' });
+        } else if (!stations.some(station => station && station.mountPoint === coverage.fallbackMountPoint)) {
+            errors.push({ field: 'coverage.fallbackMountPoint', message: 'is not a configured station' });
+        }
+    }
+    const metrics = typeOf(config.metrics) === 'object' ? config.metrics : {};
+    if (metrics.auth === METRICS_AUTH.TOKEN && !metrics.token) {
+        errors.push({ field: 'metrics.token', message: 'is required with auth "token"' });
+    }
+
+    return errors;
+}
+
+/**
+ * Checks a configuration and throws if it is invalid
+ *
+ * @param {Object} config - The configuration
+ * @throws {ConfigValidationError} With all problems found
+ */
+function assertValidConfig(config) {
+    const errors = validateConfig(config);
+    if (errors.length > 0) {
+        throw new ConfigValidationError(errors);
+    }
+}
+
+module.exports = {
+    validateConfig,
+    assertValidConfig
+};
@@ -0,0 +1,406 @@
+/**
+ * Connection history queries
+ *
+ * Filters, sorts and pages the connection records served by the admin API,
+ * and formats them for export.
+ *
+ * Pages are addressed with an opaque cursor that holds the sort key of the
+ * last record returned, so records that start or end while paging do not
+ * shift the following pages.
+ *
+ * @module utils/connectionQuery
+ */
+const { ValidationError } = require('./errors');
+
+// Page size limits
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 1000;
+
+// Stand-in for "not yet" (an active connection's end) that survives JSON in cursors
+const FAR_FUTURE = Number.MAX_SAFE_INTEGER;
+
+/**
+ * Gets a timestamp in ms since epoch
+ *
+ * @param {string|null} isoString - An ISO timestamp
+ * @returns {number|null} The time, or null if missing
+ */
+function toTime(isoString) {
+    return isoString ? Date.parse(isoString) : null;
+}
+
+/**
+ * Gets how long a connection lasted, or has lasted so far
+ *
+ * @param {Object} connection - The connection record
+ * @param {number} [now=Date.now()] - The current time (ms since epoch)
+ * @returns {number} The duration in ms
+ */
+function getDurationMs(connection, now = Date.now()) {
+    const end = connection.active ? now : (toTime(connection.disconnectedAt) || now);
+    return Math.max(0, end - toTime(connection.connectedAt));
+}
+
+/**
+ * Gets the stations a connection received corrections from
+ *
+ * @param {Object} connection - The connection record
+ * @returns {Array<string>} The mountpoints, in the order they were used
+ */
+function getStationsUsed(connection) {
+    const stations = (connection.stationsUsed || []).map(entry => entry.mountPoint);
+    if (connection.currentStation && !stations.includes(connection.currentStation)) {
+        stations.push(connection.currentStation);
+    }
+    return Array.from(new Set(stations));
+}
+
+// Sort keys; each returns an array compared element by element, then by ID
+const SORT_KEYS = {
+    // Active connections first, then newest first (with the default descending order)
+    status: (c) => [c.active ? 1 : 0, toTime(c.connectedAt)],
+    connectedAt: (c) => [toTime(c.connectedAt)],
+    disconnectedAt: (c) => [c.active ? FAR_FUTURE : (toTime(c.disconnectedAt) || FAR_FUTURE)],
+    duration: (c, now) => [getDurationMs(c, now)],
+    bytesSent: (c) => [c.bytesSent || 0],
+    bytesReceived: (c) => [c.bytesReceived || 0],
+    clientIp: (c) => [c.clientIp || ''],
+    user: (c) => [c.user || '']
+};
+
+/**
+ * Parses a date query parameter
+ *
+ * @param {string} value - The parameter value
+ * @param {string} field - The parameter name
+ * @returns {number|null} The time (ms since epoch), or null if not given
+ * @throws {ValidationError} If the date is invalid
+ */
+function parseDate(value, field) {
+    if (value === undefined || value === '') {
+        return null;
+    }
+    const time = Date.parse(value);
+    if (isNaN(time)) {
+        throw new ValidationError(`${field} must be an ISO 8601 date`, field);
+    }
+    return time;
+}
+
+/**
+ * Parses a non-negative number query parameter
+ *
+ * @param {string} value - The parameter value
+ * @param {string} field - The parameter name
+ * @returns {number|null} The number, or null if not given
+ * @throws {ValidationError} If it is not a non-negative number
+ */
+function parseNumber(value, field) {
+    if (value === undefined || value === '') {
+        return null;
+    }
+    const number = Number(value);
+    if (!Number.isFinite(number) || number < 0) {
+        throw new ValidationError(`${field} must be a non-negative number`, field);
+    }
+    return number;
+}
+
+/**
+ * Encodes a page cursor
+ *
+ * @param {Object} query - The parsed query
+ * @param {Object} connection - The last connection on the page
+ * @param {number} now - The time the page was computed
+ * @returns {string} The cursor
+ */
+function encodeCursor(query, connection, now) {
+    const cursor = {
+        sort: query.sort,
+        order: query.order,
+        key: SORT_KEYS[query.sort](connection, now),
+        id: connection.id
+    };
+    return Buffer.from(JSON.stringify(cursor)).toString('base64url');
+}
+
+/**
+ * Decodes a page cursor
+ *
+ * @param {string} value - The cursor
+ * @param {Object} query - The parsed query it must belong to
+ * @returns {Object} { key, id }
+ * @throws {ValidationError} If the cursor is malformed or was made for another sort order
+ */
+function decodeCursor(value, query) {
+    let cursor;
+    try {
+        cursor = JSON.parse(Buffer.from(value, 'base64url').toString());
+    } catch (error) {
+        throw new ValidationError('Invalid cursor', 'cursor');
+    }
+    if (!cursor || !Array.isArray(cursor.key) || typeof cursor.id !== 'string') {
+        throw new ValidationError('Invalid cursor', 'cursor');
+    }
+    if (cursor.sort !== query.sort || cursor.order !== query.order) {
+        throw new ValidationError('The cursor belongs to a different sort order', 'cursor');
+    }
+    return cursor;
+}
+
+/**
+ * Parses and validates the query parameters of a connection query
+ *
+ * Filters: `from`/`to` (connections overlapping the range), `active` (true/false),
+ * `clientIp`, `user`, `station` (used at any time during the connection),
+ * `minDuration` (seconds) and `fixQuality` (comma separated GGA fix qualities
+ * of which at least one was reported). Sorting: `sort` (see SORT_KEYS) and
+ * `order` (asc/desc). Paging: `limit` and `cursor`.
+ *
+ * @param {Object} params - The request query parameters
+ * @returns {Object} The parsed query
+ * @throws {ValidationError} For an invalid parameter
+ */
+function parseConnectionQuery(params = {}) {
+    const query = {
+        from: parseDate(params.from, 'from'),
+        to: parseDate(params.to, 'to'),
+        active: null,
+        clientIp: params.clientIp || null,
+        user: params.user || null,
+        station: params.station || null,
+        minDurationMs: null,
+        fixQualities: null,
+        sort: params.sort || 'status',
+        order: params.order || 'desc',
+        limit: DEFAULT_LIMIT,
+        cursor: null
+    };
+
+    if (params.active !== undefined && params.active !== '') {
+        if (params.active !== 'true' && params.active !== 'false') {
+            throw new ValidationError('active must be true or false', 'active');
+        }
+        query.active = params.active === 'true';
+    }
+
+    const minDuration = parseNumber(params.minDuration, 'minDuration');
+    if (minDuration !== null) {
+        query.minDurationMs = minDuration * 1000;
+    }
+
+    if (params.fixQuality !== undefined && params.fixQuality !== '') {
+        query.fixQualities = String(params.fixQuality).split(',').map(value => {
+            const fixQuality = Number(value);
+            if (!Number.isInteger(fixQuality) || fixQuality < 0 || fixQuality > 9) {
+                throw new ValidationError('fixQuality must be a list of GGA fix qualities (0-9)', 'fixQuality');
+            }
+            return fixQuality;
+        });
+    }
+
+    if (!SORT_KEYS[query.sort]) {
+        throw new ValidationError(`sort must be one of ${Object.keys(SORT_KEYS).join(', ')}`, 'sort');
+    }
+    if (query.order !== 'asc' && query.order !== 'desc') {
+        throw new ValidationError('order must be asc or desc', 'order');
+    }
+
+    const limit = parseNumber(params.limit, 'limit');
+    if (limit !== null) {
+        if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+            throw new ValidationError(`limit must be between 1 and ${MAX_LIMIT}`, 'limit');
+        }
+        query.limit = limit;
+    }
+
+    if (params.cursor) {
+        query.cursor = decodeCursor(params.cursor, query);
+    }
+
+    return query;
+}
+
+/**
+ * Checks whether a connection matches the filters of a query
+ *
+ * @param {Object} connection - The connection record
+ * @param {Object} query - The parsed query
+ * @param {number} now - The current time (ms since epoch)
+ * @returns {boolean} True if it matches
+ */
+function matchesQuery(connection, query, now) {
+    const connectedAt = toTime(connection.connectedAt);
+    const disconnectedAt = connection.active ? now : (toTime(connection.disconnectedAt) || now);
+
+    if (query.from !== null && disconnectedAt < query.from) {
+        return false;
+    }
+    if (query.to !== null && connectedAt > query.to) {
+        return false;
+    }
+    if (query.active !== null && Boolean(connection.active) !== query.active) {
+        return false;
+    }
+    if (query.clientIp && connection.clientIp !== query.clientIp) {
+        return false;
+    }
+    if (query.user && connection.user !== query.user) {
+        return false;
+    }
+    if (query.station && !getStationsUsed(connection).includes(query.station)) {
+        return false;
+    }
+    if (query.minDurationMs !== null && getDurationMs(connection, now) < query.minDurationMs) {
+        return false;
+    }
+    if (query.fixQualities) {
+        const counts = connection.fixQualityCounts || {};
+        const reported = query.fixQualities.some(fixQuality =>
+            counts[fixQuality] > 0 || connection.fixQuality === fixQuality);
+        if (!reported) {
+            return false;
+        }
+    }
+    return true;
+}
+
+/**
+ * Compares two sort keys, then the IDs
+ *
+ * @param {Array} keyA - The first key
+ * @param {string} idA - The first ID
+ * @param {Array} keyB - The second key
+ * @param {string} idB - The second ID
+ * @returns {number} Negative, zero or positive, for ascending order
+ */
+function compareKeys(keyA, idA, keyB, idB) {
+    for (let i = 0; i < keyA.length; i++) {
+        if (keyA[i] < keyB[i]) return -1;
+        if (keyA[i] > keyB[i]) return 1;
+    }
+    if (idA < idB) return -1;
+    if (idA > idB) return 1;
+    return 0;
+}
+
+/**
+ * Filters and sorts connections, without paging
+ *
+ * @param {Iterable<Object>} connections - The connection records
+ * @param {Object} query - The parsed query
+ * @param {number} [now=Date.now()] - The current time (ms since epoch)
+ * @returns {Array<Object>} The matching connections in order
+ */
+function selectConnections(connections, query, now = Date.now()) {
+    const direction = query.order === 'asc' ? 1 : -1;
+    const keyOf = SORT_KEYS[query.sort];
+
+    return Array.from(connections)
+        .filter(connection => matchesQuery(connection, query, now))
+        .map(connection => ({ connection, key: keyOf(connection, now) }))
+        .sort((a, b) => direction * compareKeys(a.key, a.connection.id, b.key, b.connection.id))
+        .map(({ connection }) => connection);
+}
+
+/**
+ * Runs a connection query
+ *
+ * @param {Iterable<Object>} connections - The connection records
+ * @param {Object} query - The parsed query
+ * @param {number} [now=Date.now()] - The current time (ms since epoch)
+ * @returns {Object} { connections, total, nextCursor } with the page, the number of matches
+ *   and the cursor of the next page (null on the last page)
+ */
+function queryConnections(connections, query, now = Date.now()) {
+    const direction = query.order === 'asc' ? 1 : -1;
+    let matches = selectConnections(connections, query, now);
+    const total = matches.length;
+
+    if (query.cursor) {
+        const keyOf = SORT_KEYS[query.sort];
+        matches = matches.filter(connection =>
+            direction * compareKeys(keyOf(connection, now), connection.id, query.cursor.key, query.cursor.id) > 0);
+    }
+
+    const page = matches.slice(0, query.limit);
+    return {
+        connections: page,
+        total,
+        nextCursor: matches.length > query.limit ? encodeCursor(query, page[page.length - 1], now) : null
+    };
+}
+
+// Columns of the CSV export
+const CSV_COLUMNS = [
+    ['id', c => c.id],
+    ['active', c => Boolean(c.active)],
+    ['clientIp', c => c.clientIp],
+    ['clientPort', c => c.clientPort],
+    ['user', c => c.user],
+    ['connectedAt', c => c.connectedAt],
+    ['disconnectedAt', c => c.disconnectedAt],
+    ['durationSeconds', (c, now) => Math.round(getDurationMs(c, now) / 1000)],
+    ['endReason', c => c.endReason],
+    ['currentStation', c => c.currentStation],
+    ['stationsUsed', c => getStationsUsed(c).join(';')],
+    ['latitude', c => c.latitude],
+    ['longitude', c => c.longitude],
+    ['fixQuality', c => c.fixQuality],
+    ['fixQualityCounts', c => Object.entries(c.fixQualityCounts || {}).map(([q, n]) => `${q}:${n}`).join(';')],
+    ['numSatellites', c => c.numSatellites],
+    ['bytesSent', c => c.bytesSent],
+    ['bytesReceived', c => c.bytesReceived],
+    ['lastError', c => (c.lastError ? `${c.lastError.station}: ${c.lastError.reason}` : null)]
+];
+
+/**
+ * Escapes a value for a CSV field
+ *
+ * @param {*} value - The value
+ * @returns {string} The field
+ */
+function toCsvField(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Formats connections as CSV with a header row
+ *
+ * @param {Array<Object>} connections - The connection records
+ * @param {number} [now=Date.now()] - The current time (ms since epoch)
+ * @returns {string} The CSV text
+ */
+function toCsv(connections, now = Date.now()) {
+    const rows = [CSV_COLUMNS.map(([name]) => name).join(',')];
+    connections.forEach(connection => {
+        rows.push(CSV_COLUMNS.map(([, getValue]) => toCsvField(getValue(connection, now))).join(','));
+    });
+    return `${rows.join('\r\n')}\r\n`;
+}
+
+/**
+ * Formats connections as JSON lines, one record per line
+ *
+ * @param {Array<Object>} connections - The connection records
+ * @returns {string} The JSON-lines text
+ */
+function toJsonLines(connections) {
+    return connections.map(connection => `${JSON.stringify(connection)}\n`).join('');
+}
+
+module.exports = {
+    DEFAULT_LIMIT,
+    MAX_LIMIT,
+    getDurationMs,
+    getStationsUsed,
+    parseConnectionQuery,
+    selectConnections,
+    queryConnections,
+    toCsv,
+    toJsonLines
+};
@@ -0,0 +1,232 @@
+/**
+ * Persistent connection history
+ *
+ * Connection records are kept in memory, indexed by connection ID, and
+ * persisted to an append-only JSON-lines file so that the history survives
+ * restarts. Each line is an operation:
+ * - `{"op":"put","savedAt":<ms>,"record":{...}}` stores the latest version of a record
+ * - `{"op":"delete","id":"..."}` removes a record
+ *
+ * Replaying the file on startup rebuilds the index; the last version of each
+ * record wins. Records change many times a second while a rover streams, so
+ * changes are written in batches every few seconds and when the process
+ * exits. The file is rewritten with one line per record once superseded
+ * lines make up most of it.
+ *
+ * @module utils/connectionStore
+ */
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+// How often changed records are written
+const FLUSH_INTERVAL_MS = 5000;
+
+// The file is compacted when it has this many lines per record (plus a margin)
+const COMPACT_RATIO = 4;
+const COMPACT_MARGIN_LINES = 1000;
+
+/**
+ * Creates a connection store
+ *
+ * @param {Object} options - Store options
+ * @param {string} options.file - Path of the JSON-lines file
+ * @param {number} [options.flushIntervalMs=FLUSH_INTERVAL_MS] - How often changes are written
+ * @returns {Object} The store, with a Map-like `get`, `has`, `set`, `delete`, `values` and `size`
+ */
+function createConnectionStore(options) {
+    const { file, flushIntervalMs = FLUSH_INTERVAL_MS } = options;
+
+    const records = new Map();
+    // IDs changed or deleted since the last flush
+    const dirty = new Set();
+    let lineCount = 0;
+    let timer = null;
+
+    /**
+     * Writes all records to a new file and replaces the old one
+     */
+    function compact() {
+        const now = Date.now();
+        const lines = Array.from(records.values())
+            .map(record => JSON.stringify({ op: 'put', savedAt: now, record }));
+        const tempFile = `${file}.tmp`;
+
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.writeFileSync(tempFile, lines.length > 0 ? `${lines.join('\n')}\n` : '');
+        fs.renameSync(tempFile, file);
+
+        lineCount = lines.length;
+        dirty.clear();
+    }
+
+    const store = {
+        /**
+         * Loads the records from disk
+         *
+         * Connections that were still active when the process stopped are
+         * closed at the time they were last saved.
+         *
+         * @returns {number} The number of records loaded
+         */
+        load() {
+            records.clear();
+            dirty.clear();
+            if (!fs.existsSync(file)) {
+                return 0;
+            }
+
+            const savedAt = new Map();
+            let skipped = 0;
+            fs.readFileSync(file, 'utf8').split('\n').forEach(line => {
+                if (!line.trim()) {
+                    return;
+                }
+                try {
+                    const entry = JSON.parse(line);
+                    if (entry.op === 'put' && entry.record && entry.record.id) {
+                        records.set(entry.record.id, entry.record);
+                        savedAt.set(entry.record.id, entry.savedAt);
+                    } else if (entry.op === 'delete') {
+                        records.delete(entry.id);
+                    }
+                } catch (error) {
+                    // A line cut short by a crash
+                    skipped++;
+                }
+            });
+            if (skipped > 0) {
+                logger.warn(`Skipped ${skipped} unreadable line(s) in ${file}`);
+            }
+
+            records.forEach((record, id) => {
+                if (record.active) {
+                    records.set(id, {
+                        ...record,
+                        active: false,
+                        disconnectedAt: new Date(savedAt.get(id) || Date.parse(record.connectedAt)).toISOString(),
+                        endReason: 'server_restart'
+                    });
+                }
+            });
+
+            // Start from a clean file with the closed records
+            compact();
+            return records.size;
+        },
+
+        /**
+         * Gets a record
+         *
+         * @param {string} id - The connection ID
+         * @returns {Object|undefined} The record
+         */
+        get(id) {
+            return records.get(id);
+        },
+
+        /**
+         * Checks whether a record exists
+         *
+         * @param {string} id - The connection ID
+         * @returns {boolean} True if it exists
+         */
+        has(id) {
+            return records.has(id);
+        },
+
+        /**
+         * Stores a record; it is written with the next flush
+         *
+         * @param {string} id - The connection ID
+         * @param {Object} record - The record, with `id`
+         */
+        set(id, record) {
+            records.set(id, record);
+            dirty.add(id);
+        },
+
+        /**
+         * Deletes a record; the deletion is written with the next flush
+         *
+         * @param {string} id - The connection ID
+         * @returns {boolean} True if the record existed
+         */
+        delete(id) {
+            const existed = records.delete(id);
+            if (existed) {
+                dirty.add(id);
+            }
+            return existed;
+        },
+
+        /**
+         * Iterates over the records
+         *
+         * @returns {Iterator<Object>} The records
+         */
+        values() {
+            return records.values();
+        },
+
+        get size() {
+            return records.size;
+        },
+
+        /**
+         * Writes the changed records
+         */
+        flush() {
+            if (dirty.size === 0) {
+                return;
+            }
+
+            const now = Date.now();
+            const lines = Array.from(dirty).map(id => (records.has(id)
+                ? JSON.stringify({ op: 'put', savedAt: now, record: records.get(id) })
+                : JSON.stringify({ op: 'delete', id })));
+
+            try {
+                fs.mkdirSync(path.dirname(file), { recursive: true });
+                fs.appendFileSync(file, `${lines.join('\n')}\n`);
+                lineCount += lines.length;
+                dirty.clear();
+
+                if (lineCount > records.size * COMPACT_RATIO + COMPACT_MARGIN_LINES) {
+                    compact();
+                }
+            } catch (error) {
+                // Keep the changes and retry with the next flush
+                logger.error(`Error writing connection history to ${file}:`, error);
+            }
+        },
+
+        compact,
+
+        /**
+         * Starts writing changes periodically
+         */
+        start() {
+            if (timer) {
+                return;
+            }
+            timer = setInterval(() => store.flush(), flushIntervalMs);
+            timer.unref();
+        },
+
+        /**
+         * Stops writing periodically and writes the pending changes
+         */
+        stop() {
+            clearInterval(timer);
+            timer = null;
+            store.flush();
+        }
+    };
+
+    return store;
+}
+
+module.exports = {
+    createConnectionStore
+};
@@ -6,29 +6,103 @@
 const HTTP = {
   OK_STATUS: 200,
   OK_MESSAGE: 'OK',
+  UNAUTHORIZED_STATUS: 401,
+  UNAUTHORIZED_MESSAGE: 'Unauthorized',
   HEADERS: {
     NTRIP_VERSION: 'Ntrip-Version: Ntrip/2.0',
     CONNECTION: 'Connection: keep-alive',
+    CONNECTION_CLOSE: 'Connection: close',
+    SERVER: 'Server: NTRIP NearTRIP/1.0',
   },
   RESPONSE_TYPES: {
     SOURCETABLE: 'SOURCETABLE',
-    ICY: 'ICY'
+    ICY: 'ICY',
+    HTTP_1_0: 'HTTP/1.0',
+    HTTP_1_1: 'HTTP/1.1'
   },
   CONTENT_TYPES: {
     TEXT_PLAIN: 'Content-Type: text/plain',
+    TEXT_HTML: 'Content-Type: text/html',
   }
 };
 
 // NTRIP protocol constants
 const NTRIP = {
   REQUEST_TYPES: {
-    ROOT: 'GET / ',
-    MOUNTPOINT: 'GET /',
-    GPGGA: '$GPGGA'
+    GET: 'GET'
   },
+  ROOT_PATH: '/',
+  // Relaying the rover position to network RTK (VRS) casters
+  GGA_RELAY: {
+    DEFAULT_INTERVAL_SECONDS: 10,
+    // Older rover GGA sentences are replaced by one synthesized from the last position
+    MAX_SENTENCE_AGE_MS: 30000
+  },
+  // How long a new station may take to deliver its first RTCM frame during a handover
+  HANDOVER_TIMEOUT_MS: 15000,
+  // How long a shared caster connection stays open after its last rover left
+  UPSTREAM_LINGER_SECONDS: 30,
   SOURCETABLE_END: 'ENDSOURCETABLE'
 };
 
+// NMEA sentence constants
+const NMEA = {
+  // "$" + two character talker ID (GP, GN, GL, GA, GB, ...) + sentence type
+  ADDRESS_PATTERN: /^\$([A-Z]{2})([A-Z]{3})$/,
+  // Sentences the proxy derives the rover position from
+  POSITION_SENTENCE_PATTERN: /^\$[A-Z]{2}(GGA|RMC|GNS),/,
+  SENTENCE_TYPES: {
+    GGA: 'GGA',
+    RMC: 'RMC',
+    GNS: 'GNS'
+  },
+  // RMC/GNS mode indicators mapped to GGA fix quality values
+  MODE_FIX_QUALITY: {
+    N: 0,
+    A: 1,
+    D: 2,
+    P: 3,
+    R: 4,
+    F: 5,
+    E: 6,
+    M: 7,
+    S: 8
+  },
+  // Fix qualities from worst to best, used to pick the best GNS mode indicator
+  FIX_QUALITY_RANK: [0, 8, 7, 6, 1, 3, 2, 5, 4]
+};
+
+// RTCM 3 framing constants
+const RTCM = {
+  PREAMBLE: 0xd3,
+  // Preamble, 6 reserved bits and 10 bit payload length
+  HEADER_LENGTH: 3,
+  CRC_LENGTH: 3,
+  // CRC-24Q generator polynomial
+  CRC24Q_POLYNOMIAL: 0x1864cfb,
+  // Payload bytes of the station ARP messages 1005 and 1006
+  ARP_1005_LENGTH: 19,
+  ARP_1006_LENGTH: 21,
+  // Resolution of the ARP coordinates and antenna height
+  ARP_RESOLUTION_METERS: 0.0001,
+  // Bytes after which a stream without a single valid frame is taken not to be RTCM 3;
+  // an RTCM 3 stream has one within two frames of the largest size (1023 payload bytes)
+  SYNC_WINDOW_BYTES: 2 * (3 + 1023 + 3)
+};
+
+// GGA fix quality values
+const FIX_QUALITY = {
+  INVALID: 0,
+  GPS: 1,
+  DGPS: 2,
+  PPS: 3,
+  RTK_FIXED: 4,
+  RTK_FLOAT: 5,
+  ESTIMATED: 6,
+  MANUAL: 7,
+  SIMULATION: 8
+};
+
 // File paths for logs
 const FILES = {
   NMEA_LOG: 'logs/nmea.log',
@@ -39,9 +113,19 @@ const CONVERSIONS = {
   METERS_PER_MILE: 1609.344
 };
 
+// WGS84 ellipsoid, for converting ECEF coordinates
+const WGS84 = {
+  SEMI_MAJOR_AXIS: 6378137,
+  FLATTENING: 1 / 298.257223563
+};
+
 module.exports = {
   HTTP,
   NTRIP,
+  NMEA,
+  FIX_QUALITY,
+  RTCM,
   FILES,
-  CONVERSIONS
+  CONVERSIONS,
+  WGS84
 };
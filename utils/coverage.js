@@ -0,0 +1,85 @@
+/**
+ * Station coverage policy
+ *
+ * RTK corrections degrade with the distance to the base, so stations farther
+ * from the rover than their range are never selected. Each station may set
+ * its own `maxRangeMeters`; `maxBaselineMeters` is the default for the others.
+ * When no station covers the rover, `outOfRange` decides what it gets.
+ *
+ * @module utils/coverage
+ */
+
+// What to do when no station is in range of the rover
+const OUT_OF_RANGE = {
+    // Stay on the current station
+    KEEP: 'keep',
+    // Stop sending corrections
+    NONE: 'none',
+    // Switch to the station named by fallbackMountPoint (e.g. a wide-area or DGNSS service)
+    FALLBACK: 'fallback'
+};
+
+// Default policy: no range limit
+const DEFAULT_COVERAGE_POLICY = {
+    // Range of stations without their own maxRangeMeters (null = no limit)
+    maxBaselineMeters: null,
+    outOfRange: OUT_OF_RANGE.KEEP,
+    // Mountpoint of the station used with the fallback behavior; it is only used as a fallback
+    fallbackMountPoint: null
+};
+
+/**
+ * Gets the coverage policy from the configuration, filling in defaults
+ *
+ * @param {Object} config - The server configuration
+ * @returns {Object} The coverage policy
+ */
+function getCoveragePolicy(config) {
+    return { ...DEFAULT_COVERAGE_POLICY, ...((config && config.coverage) || {}) };
+}
+
+/**
+ * Checks whether a station is the designated out-of-range fallback
+ *
+ * @param {Object} station - The station (or anything with a mountPoint)
+ * @param {Object} policy - The coverage policy
+ * @returns {boolean} True for the fallback station
+ */
+function isFallbackStation(station, policy) {
+    return Boolean(policy.fallbackMountPoint) && station.mountPoint === policy.fallbackMountPoint;
+}
+
+/**
+ * Gets the stations that may be selected by distance, i.e. all but the fallback station
+ *
+ * @param {Array<Object>} stations - The configured stations
+ * @param {Object} policy - The coverage policy
+ * @returns {Array<Object>} The stations to rank
+ */
+function getSelectableStations(stations, policy) {
+    return (stations || []).filter(station => !isFallbackStation(station, policy));
+}
+
+/**
+ * Gets the fallback station used when no station is in range
+ *
+ * @param {Array<Object>} stations - The configured stations
+ * @param {Object} policy - The coverage policy
+ * @returns {Object|null} The active fallback station, or null if none is configured or it is inactive
+ */
+function getFallbackStation(stations, policy) {
+    if (policy.outOfRange !== OUT_OF_RANGE.FALLBACK) {
+        return null;
+    }
+    const station = (stations || []).find(s => isFallbackStation(s, policy));
+    return station && station.active !== false ? station : null;
+}
+
+module.exports = {
+    OUT_OF_RANGE,
+    DEFAULT_COVERAGE_POLICY,
+    getCoveragePolicy,
+    isFallbackStation,
+    getSelectableStations,
+    getFallbackStation
+};
@@ -0,0 +1,110 @@
+/**
+ * Error types used by the NearTRIP application
+ * @module utils/errors
+ */
+
+/**
+ * Base class for failures reported by (or while talking to) an upstream NTRIP caster
+ *
+ * The `reason` is a short machine readable code that is shown in the admin
+ * interface and can be used to decide how to react to the failure.
+ */
+class CasterError extends Error {
+    /**
+     * @param {string} message - Human readable description
+     * @param {string} reason - Machine readable failure code
+     * @param {Object} [details] - Extra information such as the caster status line
+     */
+    constructor(message, reason, details = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        this.reason = reason;
+        this.details = details;
+    }
+}
+
+/**
+ * The caster rejected our credentials (401/403)
+ */
+class CasterAuthError extends CasterError {
+    constructor(message = 'Caster rejected credentials', details) {
+        super(message, 'unauthorized', details);
+    }
+}
+
+/**
+ * The caster does not serve the requested mountpoint (404, or a sourcetable instead of a stream)
+ */
+class MountpointNotFoundError extends CasterError {
+    constructor(message = 'Mountpoint not found on caster', details) {
+        super(message, 'mountpoint_not_found', details);
+    }
+}
+
+/**
+ * The caster refused the connection because it or the account has no capacity left
+ */
+class CasterFullError extends CasterError {
+    constructor(message = 'Caster has no capacity for another connection', details) {
+        super(message, 'caster_full', details);
+    }
+}
+
+/**
+ * The caster did not answer within the allowed time
+ */
+class CasterTimeoutError extends CasterError {
+    constructor(message = 'Connection timeout', details) {
+        super(message, 'timeout', details);
+    }
+}
+
+/**
+ * The caster sent a response we could not understand or did not expect
+ */
+class CasterResponseError extends CasterError {
+    constructor(message = 'Unexpected caster response', details) {
+        super(message, 'bad_response', details);
+    }
+}
+
+/**
+ * Data supplied by an administrator (configuration, uploads) is invalid
+ */
+class ValidationError extends Error {
+    /**
+     * @param {string} message - Human readable description
+     * @param {string} [field] - Path of the offending field, e.g. `stations[2].serviceArea`
+     */
+    constructor(message, field = null) {
+        super(message);
+        this.name = this.constructor.name;
+        this.field = field;
+    }
+}
+
+/**
+ * A configuration that breaks one or more rules of the configuration schema
+ */
+class ConfigValidationError extends ValidationError {
+    /**
+     * @param {Array<Object>} errors - The problems found: { field, message }
+     */
+    constructor(errors) {
+        const summary = errors.slice(0, 3).map(error => `${error.field}: ${error.message}`).join('; ');
+        const more = errors.length > 3 ? ` (and ${errors.length - 3} more)` : '';
+        super(`Invalid configuration: ${summary}${more}`, errors[0].field);
+        this.errors = errors;
+    }
+}
+
+module.exports = {
+    CasterError,
+    CasterAuthError,
+    MountpointNotFoundError,
+    CasterFullError,
+    CasterTimeoutError,
+    CasterResponseError,
+    ValidationError,
+    ConfigValidationError
+};
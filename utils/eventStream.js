@@ -0,0 +1,176 @@
+/**
+ * Live admin events over Server-Sent Events
+ *
+ * The admin dashboard subscribes to `GET /api/events` instead of polling the
+ * REST API. Events are JSON messages with a type (`connection`, `station`,
+ * `station_removed`, `server`).
+ *
+ * A streaming rover changes its connection record several times a second, so
+ * events are sent in batches: an event published with a key replaces the
+ * pending event with the same key, e.g. only the latest state of each
+ * connection is sent per batch. Nothing is buffered while no dashboard is
+ * subscribed.
+ *
+ * @module utils/eventStream
+ */
+const logger = require('./logger');
+
+// How often pending events are sent
+const FLUSH_INTERVAL_MS = 500;
+
+// How often a comment is sent on idle streams so that proxies keep them open
+const HEARTBEAT_INTERVAL_MS = 15000;
+
+// How long a browser waits before reconnecting a dropped stream
+const RECONNECT_DELAY_MS = 3000;
+
+/**
+ * Creates an event stream
+ *
+ * @param {Object} [options] - Stream options
+ * @param {number} [options.flushIntervalMs=FLUSH_INTERVAL_MS] - How often pending events are sent
+ * @param {number} [options.heartbeatIntervalMs=HEARTBEAT_INTERVAL_MS] - How often idle streams are kept alive
+ * @returns {Object} The stream with `subscribe(req, res)`, `publish(type, data, key)`,
+ *   `flush()`, `close()` and `clientCount`
+ */
+function createEventStream(options = {}) {
+    const {
+        flushIntervalMs = FLUSH_INTERVAL_MS,
+        heartbeatIntervalMs = HEARTBEAT_INTERVAL_MS
+    } = options;
+
+    const clients = new Set();
+    // Pending events by key, in the order they were (last) published
+    const pending = new Map();
+    let nextEventId = 1;
+    let unkeyedCount = 0;
+    let flushTimer = null;
+    let heartbeatTimer = null;
+
+    /**
+     * Removes a client, stopping the timers after the last one
+     *
+     * @param {Object} res - The client's response
+     */
+    function unsubscribe(res) {
+        clients.delete(res);
+        if (clients.size === 0) {
+            stopTimers();
+            pending.clear();
+        }
+    }
+
+    /**
+     * Writes to every client, dropping those whose connection failed
+     *
+     * @param {string} chunk - The SSE text
+     */
+    function send(chunk) {
+        clients.forEach(res => {
+            try {
+                res.write(chunk);
+            } catch (error) {
+                logger.debug(`Dropping admin event subscriber: ${error.message}`);
+                unsubscribe(res);
+            }
+        });
+    }
+
+    /**
+     * Starts sending batches and heartbeats, if not yet running
+     */
+    function startTimers() {
+        if (flushTimer) {
+            return;
+        }
+        flushTimer = setInterval(() => stream.flush(), flushIntervalMs);
+        flushTimer.unref();
+        heartbeatTimer = setInterval(() => send(': heartbeat\n\n'), heartbeatIntervalMs);
+        heartbeatTimer.unref();
+    }
+
+    /**
+     * Stops sending batches and heartbeats
+     */
+    function stopTimers() {
+        clearInterval(flushTimer);
+        clearInterval(heartbeatTimer);
+        flushTimer = null;
+        heartbeatTimer = null;
+    }
+
+    const stream = {
+        /**
+         * Subscribes an HTTP request to the events
+         *
+         * @param {Object} req - The request, unsubscribed when it closes
+         * @param {Object} res - The response the events are written to
+         */
+        subscribe(req, res) {
+            res.writeHead(200, {
+                'Content-Type': 'text/event-stream',
+                'Cache-Control': 'no-cache',
+                Connection: 'keep-alive',
+                // Stop nginx from buffering the stream
+                'X-Accel-Buffering': 'no'
+            });
+            res.write(`retry: ${RECONNECT_DELAY_MS}\n\n`);
+
+            clients.add(res);
+            startTimers();
+
+            req.on('close', () => unsubscribe(res));
+        },
+
+        /**
+         * Queues an event for the next batch
+         *
+         * @param {string} type - The event type
+         * @param {Object} data - The event data, sent as JSON
+         * @param {string} [key] - Replaces the pending event with the same key
+         */
+        publish(type, data, key) {
+            if (clients.size === 0) {
+                return;
+            }
+            const pendingKey = key || `#${unkeyedCount++}`;
+            // Re-inserting moves the event behind those published since the one it replaces
+            pending.delete(pendingKey);
+            pending.set(pendingKey, { type, data });
+        },
+
+        /**
+         * Sends the pending events
+         */
+        flush() {
+            if (pending.size === 0) {
+                return;
+            }
+            const chunk = Array.from(pending.values())
+                .map(({ type, data }) => `id: ${nextEventId++}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`)
+                .join('');
+            pending.clear();
+            send(chunk);
+        },
+
+        /**
+         * Ends all subscriptions
+         */
+        close() {
+            stopTimers();
+            pending.clear();
+            clients.forEach(res => res.end());
+            clients.clear();
+        },
+
+        get clientCount() {
+            return clients.size;
+        }
+    };
+
+    return stream;
+}
+
+module.exports = {
+    createEventStream
+};
@@ -4,7 +4,7 @@
  */
 const geolib = require('geolib');
 const logger = require('./logger');
-const { CONVERSIONS } = require('./constants');
+const { CONVERSIONS, NMEA, WGS84 } = require('./constants');
 
 /**
  * Converts NMEA format coordinates to decimal degrees
@@ -24,108 +24,340 @@ function parseLatLon(latlon) {
 }
 
 /**
- * Parses a GPGGA NMEA sentence into its components
+ * Calculates the NMEA checksum of a sentence body
  * 
- * @param {string} sentence - A GPGGA NMEA sentence
- * @returns {Object|null} Parsed GPGGA data or null if invalid
+ * @param {string} data - The sentence from "$" up to (not including) "*"
+ * @returns {string} The checksum as two uppercase hexadecimal digits
  */
-function parseGPGGA(sentence) {
+function calculateChecksum(data) {
+    // XOR all bytes between "$" and "*"
+    let checksum = 0;
+    for (let i = 1; i < data.length; i++) {
+        checksum ^= data.charCodeAt(i);
+    }
+    return checksum.toString(16).toUpperCase().padStart(2, '0');
+}
+
+/**
+ * Splits an NMEA sentence into its talker ID, sentence type and fields,
+ * verifying the checksum along the way
+ * 
+ * @param {string} sentence - An NMEA sentence such as "$GNGGA,...*4F"
+ * @returns {Object|null} { talker, type, fields } or null if the sentence is malformed
+ */
+function splitSentence(sentence) {
     if (!sentence || typeof sentence !== 'string') {
-        logger.error('Invalid GPGGA sentence: not a string');
+        logger.error('Invalid NMEA sentence: not a string');
         return null;
     }
 
-    try {
-        // Split the sentence into data and checksum parts
-        const parts = sentence.split('*');
-        if (parts.length !== 2) {
-            logger.error('Invalid GPGGA format: missing checksum');
-            return null;
-        }
+    // Split the sentence into data and checksum parts
+    const parts = sentence.trim().split('*');
+    if (parts.length !== 2) {
+        logger.error('Invalid NMEA format: missing checksum');
+        return null;
+    }
 
-        const [data, checksum] = parts;
+    const [data, checksum] = parts;
+    const calculatedChecksum = calculateChecksum(data);
 
-        // Calculate the checksum by XORing all bytes in data
-        let calculatedChecksum = 0;
-        for (let i = 1; i < data.length; i++) {
-            calculatedChecksum ^= data.charCodeAt(i);
-        }
+    // Compare the calculated checksum with the provided one
+    if (calculatedChecksum !== checksum.toUpperCase()) {
+        logger.warn(`Checksum mismatch: calculated ${calculatedChecksum}, received ${checksum}`);
+    }
 
-        // Convert the calculated checksum into a hexadecimal string
-        calculatedChecksum = calculatedChecksum.toString(16).toUpperCase().padStart(2, '0');
+    const fields = data.split(',');
+    const address = fields[0].match(NMEA.ADDRESS_PATTERN);
+    if (!address) {
+        logger.warn(`Not an NMEA sentence: ${fields[0]}`);
+        return null;
+    }
 
-        // Compare the calculated checksum with the provided one
-        if (calculatedChecksum !== checksum) {
-            logger.warn(`Checksum mismatch: calculated ${calculatedChecksum}, received ${checksum}`);
+    return { talker: address[1], type: address[2], fields };
+}
+
+/**
+ * Converts NMEA latitude/longitude fields with hemisphere indicators to signed decimal degrees
+ * 
+ * @param {string} latField - Latitude in DDMM.MMMM format
+ * @param {string} latDirection - 'N' or 'S'
+ * @param {string} lonField - Longitude in DDDMM.MMMM format
+ * @param {string} lonDirection - 'E' or 'W'
+ * @returns {Object|null} { latitude, longitude } or null if the fields are empty or invalid
+ */
+function parsePosition(latField, latDirection, lonField, lonDirection) {
+    if (!latField || !lonField) {
+        logger.warn('Missing coordinate data in NMEA sentence');
+        return null;
+    }
+
+    try {
+        const latitude = parseLatLon(parseFloat(latField));
+        const longitude = parseLatLon(parseFloat(lonField));
+
+        return {
+            latitude: latDirection === 'N' ? latitude : -latitude,
+            longitude: lonDirection === 'E' ? longitude : -longitude
+        };
+    } catch (error) {
+        logger.error('Error parsing coordinates:', error);
+        return null;
+    }
+}
+
+/**
+ * Parses a GGA NMEA sentence from any talker ($GPGGA, $GNGGA, $GLGGA, ...) into its components
+ * 
+ * @param {string} sentence - A GGA NMEA sentence
+ * @returns {Object|null} Parsed GGA data or null if invalid
+ */
+function parseGGA(sentence) {
+    try {
+        const parsed = splitSentence(sentence);
+        if (!parsed) {
+            return null;
         }
 
-        // Parse the GPGGA fields
-        const fields = data.split(',');
+        const { talker, type, fields } = parsed;
 
-        if (fields[0] !== '$GPGGA') {
-            logger.warn(`Not a GPGGA sentence: ${fields[0]}`);
+        if (type !== NMEA.SENTENCE_TYPES.GGA) {
+            logger.warn(`Not a GGA sentence: ${fields[0]}`);
             return null;
         }
 
         // Check if we have enough fields
         if (fields.length < 15) {
-            logger.warn('GPGGA sentence has insufficient fields');
+            logger.warn('GGA sentence has insufficient fields');
             return null;
         }
         
         // Parse coordinates, handling possible empty fields
-        let latitude = null;
-        let longitude = null;
-        
-        if (fields[2] && fields[4]) {
-            try {
-                latitude = parseLatLon(parseFloat(fields[2]));
-                longitude = parseLatLon(parseFloat(fields[4]));
-            } catch (error) {
-                logger.error('Error parsing coordinates:', error);
-                return null;
-            }
-        } else {
-            logger.warn('Missing coordinate data in GPGGA sentence');
+        const position = parsePosition(fields[2], fields[3], fields[4], fields[5]);
+        if (!position) {
             return null;
         }
 
-        const time = fields[1];
-        const latDirection = fields[3];
-        const lonDirection = fields[5];
-        const fixQuality = parseInt(fields[6], 10) || 0;
-        const numSatellites = parseInt(fields[7], 10) || 0;
-        const horizontalDilution = parseFloat(fields[8]) || 0;
-        const altitude = parseFloat(fields[9]) || 0;
-        const altitudeUnit = fields[10];
-        const heightOfGeoid = parseFloat(fields[11]) || 0;
-        const heightOfGeoidUnit = fields[12];
-        const lastDGPSUpdate = fields[13];
-        const DGPSReferenceStationID = fields[14];
-
-        const lat = latDirection === 'N' ? latitude : -latitude;
-        const lon = lonDirection === 'E' ? longitude : -longitude;
+        return {
+            sentenceType: type,
+            talker,
+            time: fields[1],
+            latitude: position.latitude,
+            longitude: position.longitude,
+            fixQuality: parseInt(fields[6], 10) || 0,
+            numSatellites: parseInt(fields[7], 10) || 0,
+            horizontalDilution: parseFloat(fields[8]) || 0,
+            altitude: parseFloat(fields[9]) || 0,
+            altitudeUnit: fields[10],
+            heightOfGeoid: parseFloat(fields[11]) || 0,
+            heightOfGeoidUnit: fields[12],
+            lastDGPSUpdate: fields[13],
+            DGPSReferenceStationID: fields[14]
+        };
+    } catch (error) {
+        logger.error('Error parsing GGA sentence:', error);
+        return null;
+    }
+}
+
+/**
+ * Derives a GGA style fix quality from an RMC/GNS mode indicator
+ * 
+ * @param {string} mode - One or more mode indicator characters (GNS has one per constellation)
+ * @returns {number} The best fix quality found, 0 if there is no fix
+ */
+function fixQualityFromMode(mode) {
+    return (mode || '').split('').reduce((best, indicator) => {
+        const quality = NMEA.MODE_FIX_QUALITY[indicator] || 0;
+        const rank = NMEA.FIX_QUALITY_RANK.indexOf(quality);
+        return rank > NMEA.FIX_QUALITY_RANK.indexOf(best) ? quality : best;
+    }, 0);
+}
+
+/**
+ * Parses an RMC NMEA sentence from any talker into the same structure as parseGGA
+ * 
+ * RMC carries no satellite count, dilution or altitude; those fields are null.
+ * 
+ * @param {string} sentence - An RMC NMEA sentence
+ * @returns {Object|null} Parsed position data or null if invalid
+ */
+function parseRMC(sentence) {
+    try {
+        const parsed = splitSentence(sentence);
+        if (!parsed) {
+            return null;
+        }
+
+        const { talker, type, fields } = parsed;
+
+        if (type !== NMEA.SENTENCE_TYPES.RMC) {
+            logger.warn(`Not an RMC sentence: ${fields[0]}`);
+            return null;
+        }
+
+        if (fields.length < 10) {
+            logger.warn('RMC sentence has insufficient fields');
+            return null;
+        }
+
+        const position = parsePosition(fields[3], fields[4], fields[5], fields[6]);
+        if (!position) {
+            return null;
+        }
+
+        // Status 'V' means the receiver has no valid fix. The mode indicator
+        // (NMEA 2.3+) tells us what kind of fix it is, otherwise assume autonomous.
+        let fixQuality = 0;
+        if (fields[2] === 'A') {
+            fixQuality = fields[12] ? fixQualityFromMode(fields[12]) : 1;
+        }
 
         return {
-            time,
-            latitude: lat,
-            longitude: lon,
+            sentenceType: type,
+            talker,
+            time: fields[1],
+            date: fields[9],
+            latitude: position.latitude,
+            longitude: position.longitude,
             fixQuality,
-            numSatellites,
-            horizontalDilution,
-            altitude,
-            altitudeUnit,
-            heightOfGeoid,
-            heightOfGeoidUnit,
-            lastDGPSUpdate,
-            DGPSReferenceStationID
+            numSatellites: null,
+            horizontalDilution: null,
+            altitude: null,
+            speedKnots: parseFloat(fields[7]) || 0,
+            courseDegrees: parseFloat(fields[8]) || 0
+        };
+    } catch (error) {
+        logger.error('Error parsing RMC sentence:', error);
+        return null;
+    }
+}
+
+/**
+ * Parses a GNS NMEA sentence from any talker into the same structure as parseGGA
+ * 
+ * @param {string} sentence - A GNS NMEA sentence
+ * @returns {Object|null} Parsed position data or null if invalid
+ */
+function parseGNS(sentence) {
+    try {
+        const parsed = splitSentence(sentence);
+        if (!parsed) {
+            return null;
+        }
+
+        const { talker, type, fields } = parsed;
+
+        if (type !== NMEA.SENTENCE_TYPES.GNS) {
+            logger.warn(`Not a GNS sentence: ${fields[0]}`);
+            return null;
+        }
+
+        if (fields.length < 13) {
+            logger.warn('GNS sentence has insufficient fields');
+            return null;
+        }
+
+        const position = parsePosition(fields[2], fields[3], fields[4], fields[5]);
+        if (!position) {
+            return null;
+        }
+
+        return {
+            sentenceType: type,
+            talker,
+            time: fields[1],
+            latitude: position.latitude,
+            longitude: position.longitude,
+            fixQuality: fixQualityFromMode(fields[6]),
+            numSatellites: parseInt(fields[7], 10) || 0,
+            horizontalDilution: parseFloat(fields[8]) || 0,
+            altitude: parseFloat(fields[9]) || 0,
+            altitudeUnit: 'M',
+            heightOfGeoid: parseFloat(fields[10]) || 0,
+            heightOfGeoidUnit: 'M',
+            lastDGPSUpdate: fields[11],
+            DGPSReferenceStationID: fields[12]
         };
     } catch (error) {
-        logger.error('Error parsing GPGGA sentence:', error);
+        logger.error('Error parsing GNS sentence:', error);
         return null;
     }
 }
 
+/**
+ * Parses any supported NMEA position sentence (GGA, RMC or GNS from any talker)
+ * 
+ * @param {string} sentence - An NMEA sentence
+ * @returns {Object|null} Parsed position data or null if invalid or unsupported
+ */
+function parsePositionSentence(sentence) {
+    const match = typeof sentence === 'string' ? sentence.match(NMEA.POSITION_SENTENCE_PATTERN) : null;
+    if (!match) {
+        return null;
+    }
+
+    switch (match[1]) {
+        case NMEA.SENTENCE_TYPES.GGA: return parseGGA(sentence);
+        case NMEA.SENTENCE_TYPES.RMC: return parseRMC(sentence);
+        case NMEA.SENTENCE_TYPES.GNS: return parseGNS(sentence);
+        default: return null;
+    }
+}
+
+/**
+ * Formats decimal degrees as an NMEA coordinate field (DDMM.MMMMMMM / DDDMM.MMMMMMM)
+ * 
+ * @param {number} value - Coordinate in decimal degrees (sign is ignored)
+ * @param {number} degreeDigits - 2 for latitude, 3 for longitude
+ * @returns {string} The formatted coordinate
+ */
+function formatLatLon(value, degreeDigits) {
+    // Round in minutes first so 59.99999999' does not turn into 60.0000000'
+    const totalMinutes = Math.round(Math.abs(value) * 60 * 1e7) / 1e7;
+    const degrees = Math.floor(totalMinutes / 60);
+    const minutes = totalMinutes - degrees * 60;
+    return `${String(degrees).padStart(degreeDigits, '0')}${minutes.toFixed(7).padStart(10, '0')}`;
+}
+
+/**
+ * Builds a GGA sentence for a position, e.g. to send to a network RTK caster
+ * 
+ * Values missing from the position get defaults most casters accept: an
+ * autonomous fix, 12 satellites and an HDOP of 1.0. The time is always the
+ * current UTC time.
+ * 
+ * @param {Object} position - Position with latitude/longitude in decimal degrees and
+ *   optional fixQuality, numSatellites, horizontalDilution, altitude and heightOfGeoid
+ * @param {Date} [date=new Date()] - Time to put in the sentence
+ * @returns {string} A GGA sentence including its checksum
+ */
+function buildGGA(position, date = new Date()) {
+    const time = [date.getUTCHours(), date.getUTCMinutes(), date.getUTCSeconds()]
+        .map(part => String(part).padStart(2, '0'))
+        .join('') + `.${String(Math.floor(date.getUTCMilliseconds() / 10)).padStart(2, '0')}`;
+
+    const fields = [
+        '$GPGGA',
+        time,
+        formatLatLon(position.latitude, 2),
+        position.latitude >= 0 ? 'N' : 'S',
+        formatLatLon(position.longitude, 3),
+        position.longitude >= 0 ? 'E' : 'W',
+        position.fixQuality || 1,
+        String(position.numSatellites || 12).padStart(2, '0'),
+        (position.horizontalDilution || 1).toFixed(1),
+        (position.altitude || 0).toFixed(3),
+        'M',
+        (position.heightOfGeoid || 0).toFixed(3),
+        'M',
+        '',
+        ''
+    ];
+
+    const data = fields.join(',');
+    return `${data}*${calculateChecksum(data)}`;
+}
+
 /**
  * Calculates the distance between two coordinate points
  * 
@@ -148,22 +380,84 @@ function calculateDistance(user_lat, user_lon, station_lat, station_lon) {
 }
 
 /**
- * Finds the closest NTRIP station to the user's location
+ * Converts Earth-centered, Earth-fixed coordinates to WGS84 geodetic coordinates
+ * 
+ * Uses Bowring's method, which is accurate to well below a millimeter for
+ * points near the Earth's surface.
+ * 
+ * @param {number} x - ECEF X in meters
+ * @param {number} y - ECEF Y in meters
+ * @param {number} z - ECEF Z in meters
+ * @returns {Object} { latitude, longitude } in decimal degrees and `height` above the ellipsoid in meters
+ */
+function ecefToGeodetic(x, y, z) {
+    const a = WGS84.SEMI_MAJOR_AXIS;
+    const b = a * (1 - WGS84.FLATTENING);
+    const e2 = WGS84.FLATTENING * (2 - WGS84.FLATTENING);
+    const ep2 = (a * a - b * b) / (b * b);
+
+    const p = Math.hypot(x, y);
+    const theta = Math.atan2(z * a, p * b);
+    const latitude = Math.atan2(
+        z + ep2 * b * Math.sin(theta) ** 3,
+        p - e2 * a * Math.cos(theta) ** 3
+    );
+    const n = a / Math.sqrt(1 - e2 * Math.sin(latitude) ** 2);
+
+    return {
+        latitude: latitude * 180 / Math.PI,
+        longitude: Math.atan2(y, x) * 180 / Math.PI,
+        height: p / Math.cos(latitude) - n
+    };
+}
+
+/**
+ * Gets the maximum usable baseline of a station
+ * 
+ * @param {Object} station - Station object, optionally with maxRangeMeters
+ * @param {number|null} [maxBaselineMeters=null] - Default for stations without maxRangeMeters
+ * @returns {number|null} The range in meters, or null if unlimited
+ */
+function getStationRange(station, maxBaselineMeters = null) {
+    if (station.maxRangeMeters !== undefined && station.maxRangeMeters !== null) {
+        return station.maxRangeMeters;
+    }
+    return maxBaselineMeters === undefined ? null : maxBaselineMeters;
+}
+
+/**
+ * Checks whether a station is close enough to the user to be useful
+ * 
+ * @param {Object} station - Station object with distance added
+ * @param {number|null} [maxBaselineMeters=null] - Default for stations without maxRangeMeters
+ * @returns {boolean} True if the distance is within the station's range
+ */
+function isWithinRange(station, maxBaselineMeters = null) {
+    const range = getStationRange(station, maxBaselineMeters);
+    return range === null || station.distance <= range;
+}
+
+/**
+ * Ranks the active NTRIP stations by distance to the user's location
  * 
  * @param {number} user_lat - User latitude in decimal degrees
  * @param {number} user_lon - User longitude in decimal degrees
  * @param {Array<Object>} stations - Array of station objects with latitude and longitude
- * @returns {Object|null} The closest station with distance added, or null if no valid stations
+ * @param {Object} [options] - Ranking options
+ * @param {number|null} [options.maxBaselineMeters] - Leave out stations farther away than this
+ *   (a station's own maxRangeMeters takes precedence); when not given only maxRangeMeters applies
+ * @returns {Array<Object>} The active stations in range with distance added, nearest first
+ *   (empty if there are no valid stations or the coordinates are invalid)
  */
-function findClosestStation(user_lat, user_lon, stations) {
+function rankStations(user_lat, user_lon, stations, options = {}) {
     if (!stations || !Array.isArray(stations) || stations.length === 0) {
         logger.error('No valid stations provided');
-        return null;
+        return [];
     }
 
     if (isNaN(user_lat) || isNaN(user_lon)) {
         logger.error(`Invalid coordinates: ${user_lat}, ${user_lon}`);
-        return null;
+        return [];
     }
 
     // Filter only active stations or all if no active flag exists
@@ -175,22 +469,46 @@ function findClosestStation(user_lat, user_lon, stations) {
 
     if (activeStations.length === 0) {
         logger.warn('No active stations available');
-        return null;
+        return [];
     }
 
-    return activeStations.reduce((closestStation, station) => {
-        const distance = calculateDistance(user_lat, user_lon, station.latitude, station.longitude);
+    return activeStations
+        .map(station => {
+            const distance = calculateDistance(user_lat, user_lon, station.latitude, station.longitude);
 
-        logger.info(`Distance to ${station.mountPoint}: ${(distance / CONVERSIONS.METERS_PER_MILE).toFixed(2)} miles`);
+            logger.info(`Distance to ${station.mountPoint}: ${(distance / CONVERSIONS.METERS_PER_MILE).toFixed(2)} miles`);
 
-        return (!closestStation || distance < closestStation.distance)
-            ? { ...station, distance }
-            : closestStation;
-    }, null);
+            return { ...station, distance };
+        })
+        .filter(station => isWithinRange(station, options.maxBaselineMeters))
+        .sort((a, b) => a.distance - b.distance);
+}
+
+/**
+ * Finds the closest NTRIP station to the user's location
+ * 
+ * @param {number} user_lat - User latitude in decimal degrees
+ * @param {number} user_lon - User longitude in decimal degrees
+ * @param {Array<Object>} stations - Array of station objects with latitude and longitude
+ * @param {Object} [options] - Ranking options, see rankStations
+ * @returns {Object|null} The closest station in range with distance added, or null if no valid stations
+ */
+function findClosestStation(user_lat, user_lon, stations, options = {}) {
+    const ranked = rankStations(user_lat, user_lon, stations, options);
+    return ranked.length > 0 ? ranked[0] : null;
 }
 
 module.exports = {
-    parseGPGGA,
+    parseGGA,
+    parseGPGGA: parseGGA, // Kept for backwards compatibility, accepts any talker ID
+    parseRMC,
+    parseGNS,
+    parsePositionSentence,
+    buildGGA,
+    ecefToGeodetic,
+    getStationRange,
+    isWithinRange,
+    rankStations,
     findClosestStation,
     parseLatLon,    // Exported for testing
     calculateDistance // Exported for testing
@@ -0,0 +1,239 @@
+/**
+ * Background station health checks
+ *
+ * Every station is checked periodically: the prober connects to its caster,
+ * waits for the stream to be accepted and for a valid RTCM frame, and
+ * records the result in utils/stationHealth. A dead base or an expired
+ * account is then noticed before a rover is routed to it, and stations that
+ * fail their check are not selected until they pass again.
+ *
+ * A station whose connection is streaming to rovers is not probed; its
+ * recent frames count as a successful check and save a caster login. Nor is
+ * a station rovers are connected to that has not sent a frame lately: a
+ * second login could be refused by accounts limited to one connection, and
+ * the rovers' own connection reports its failures.
+ *
+ * @module utils/healthProber
+ */
+const ntrip = require('./ntrip');
+const rtcm = require('./rtcm');
+const gps = require('./gps');
+const logger = require('./logger');
+const stationHealth = require('./stationHealth');
+const { CasterTimeoutError, CasterResponseError } = require('./errors');
+
+// Default health check settings
+const DEFAULT_HEALTH_CHECK = {
+    enabled: true,
+    // Time between two rounds of checks
+    intervalSeconds: 300,
+    // Time a station has to deliver its first RTCM frame
+    timeoutSeconds: 15
+};
+
+/**
+ * Gets the health check settings from the configuration, filling in defaults
+ *
+ * @param {Object} config - The server configuration
+ * @returns {Object} The health check settings
+ */
+function getHealthCheckSettings(config) {
+    return { ...DEFAULT_HEALTH_CHECK, ...((config && config.healthCheck) || {}) };
+}
+
+/**
+ * Waits for the first valid RTCM frame on a caster connection
+ *
+ * A station that does not send RTCM 3 passes once its data is passed through unframed.
+ *
+ * @param {net.Socket} socket - A caster socket that emits `corrections`
+ * @param {number} timeoutMs - How long to wait
+ * @returns {Promise<void>} Resolves on the first frame
+ */
+function waitForFrame(socket, timeoutMs) {
+    return new Promise((resolve, reject) => {
+        const frameReader = rtcm.createFrameReader();
+        socket.on('corrections', (data) => frameReader.push(data));
+
+        const timer = setTimeout(() => {
+            reject(new CasterTimeoutError('No RTCM data received'));
+        }, timeoutMs);
+
+        const received = () => {
+            clearTimeout(timer);
+            resolve();
+        };
+        frameReader.once('frame', received);
+        frameReader.once('data', received);
+        socket.once('close', () => {
+            clearTimeout(timer);
+            reject(new CasterResponseError('Caster closed the connection before sending corrections'));
+        });
+    });
+}
+
+/**
+ * Checks that a station's caster accepts the stream and sends RTCM data
+ *
+ * Network RTK mountpoints are sent a GGA at the station's own coordinates
+ * with the request, since they only answer once they know a position.
+ *
+ * @param {Object} station - The station configuration
+ * @param {Object} [options] - Check options
+ * @param {number} [options.timeoutMs] - How long to wait for the first frame
+ * @param {string} [options.userAgent] - User agent sent to the caster
+ * @param {Function} [options.connect=ntrip.connectToNtripCaster] - Opens a caster connection
+ * @returns {Promise<Object>} { latencyMs } with the time until the caster accepted the stream;
+ *   rejects with the failure
+ */
+async function probeStation(station, options = {}) {
+    const {
+        timeoutMs = DEFAULT_HEALTH_CHECK.timeoutSeconds * 1000,
+        userAgent,
+        connect = ntrip.connectToNtripCaster
+    } = options;
+
+    const gga = station.sendGga ? gps.buildGGA({ latitude: station.latitude, longitude: station.longitude }) : null;
+
+    const startedAt = Date.now();
+    const socket = await connect(
+        station.casterHost,
+        station.casterPort,
+        station.mountPoint,
+        station.username,
+        station.password,
+        userAgent,
+        gga
+    );
+    const latencyMs = Date.now() - startedAt;
+
+    try {
+        await waitForFrame(socket, timeoutMs);
+    } finally {
+        socket.destroy();
+    }
+
+    return { latencyMs };
+}
+
+/**
+ * Creates the background prober
+ *
+ * @param {Object} options - Prober options
+ * @param {Function} options.getConfig - Returns the current server configuration
+ * @param {Function} [options.getLastFrameAt] - Called with a station, returns when its live
+ *   connection last delivered a frame (ms since epoch) or null
+ * @param {Function} [options.isInUse] - Called with a station, returns true if rovers are connected to it
+ * @param {Function} [options.probe=probeStation] - Checks a single station
+ * @returns {Object} The prober with `start()`, `stop()` and `runChecks()`
+ */
+function createHealthProber(options) {
+    const { getConfig, getLastFrameAt = () => null, isInUse = () => false, probe = probeStation } = options;
+
+    let timer = null;
+    let running = false;
+    let stopped = true;
+    // Set by stop() to end a round in progress
+    let aborted = false;
+
+    /**
+     * Checks every active station once, one after the other
+     *
+     * @returns {Promise<void>} Resolves when the round is complete (at once if checks are disabled)
+     */
+    async function runChecks() {
+        const config = getConfig();
+        const settings = getHealthCheckSettings(config);
+        if (running || !settings.enabled) {
+            return;
+        }
+        running = true;
+        aborted = false;
+
+        try {
+            const timeoutMs = settings.timeoutSeconds * 1000;
+            const stations = (config.stations || []).filter(station => station.active !== false);
+
+            for (const station of stations) {
+                if (aborted) {
+                    break;
+                }
+
+                const lastFrameAt = getLastFrameAt(station);
+                if (lastFrameAt && Date.now() - lastFrameAt < timeoutMs) {
+                    stationHealth.recordCheck(station.mountPoint, { ok: true });
+                    continue;
+                }
+                if (isInUse(station)) {
+                    logger.debug(`Not checking ${station.mountPoint}, rovers are connected to it`);
+                    continue;
+                }
+
+                try {
+                    const { latencyMs } = await probe(station, { timeoutMs, userAgent: config.userAgent });
+                    stationHealth.recordCheck(station.mountPoint, { ok: true, latencyMs });
+                    logger.debug(`Health check passed for ${station.mountPoint} (${latencyMs} ms)`);
+                } catch (error) {
+                    stationHealth.recordCheck(station.mountPoint, { ok: false, error });
+                    logger.warn(`Health check failed for ${station.mountPoint}: ${error.message}`);
+                }
+            }
+        } catch (error) {
+            logger.error('Error running station health checks:', error);
+        } finally {
+            running = false;
+        }
+    }
+
+    /**
+     * Schedules the next round, picking up interval changes from the configuration
+     */
+    function scheduleNext() {
+        const { intervalSeconds } = getHealthCheckSettings(getConfig());
+        timer = setTimeout(async () => {
+            await runChecks();
+            if (!stopped) {
+                scheduleNext();
+            }
+        }, intervalSeconds * 1000);
+    }
+
+    return {
+        runChecks,
+
+        /**
+         * Starts checking now and then every `intervalSeconds`
+         *
+         * Rounds are skipped while `healthCheck.enabled` is false, so the
+         * checks can be switched on and off by reloading the configuration.
+         */
+        start() {
+            if (!stopped) {
+                return;
+            }
+            stopped = false;
+            runChecks().then(() => {
+                if (!stopped) {
+                    scheduleNext();
+                }
+            });
+        },
+
+        /**
+         * Stops checking; a check in progress completes but is the last one
+         */
+        stop() {
+            stopped = true;
+            aborted = true;
+            clearTimeout(timer);
+            timer = null;
+        }
+    };
+}
+
+module.exports = {
+    DEFAULT_HEALTH_CHECK,
+    getHealthCheckSettings,
+    probeStation,
+    createHealthProber
+};
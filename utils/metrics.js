@@ -0,0 +1,310 @@
+/**
+ * Prometheus metrics
+ *
+ * Counters, gauges and histograms in the Prometheus text exposition format,
+ * served by the admin server on `/metrics`. The server updates the metrics
+ * where it updates the connections shown in the admin interface.
+ *
+ * The `metrics` section of the configuration decides who may scrape them:
+ * - `auth: "basic"` (default) requires the admin credentials
+ * - `auth: "token"` requires `Authorization: Bearer <token>`
+ * - `auth: "none"` is open, e.g. when only Prometheus can reach the admin port
+ *
+ * @module utils/metrics
+ */
+const { safeEqual } = require('./auth');
+
+// How the /metrics endpoint is protected
+const METRICS_AUTH = {
+    BASIC: 'basic',
+    TOKEN: 'token',
+    NONE: 'none'
+};
+
+// Default settings: enabled behind the admin login
+const DEFAULT_METRICS_SETTINGS = {
+    enabled: true,
+    auth: METRICS_AUTH.BASIC,
+    // Bearer token required with auth "token"
+    token: null
+};
+
+// Histogram buckets (seconds)
+const CONNECT_LATENCY_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+const FIRST_CORRECTION_BUCKETS = [0.5, 1, 2, 5, 10, 20, 30, 60];
+
+/**
+ * Gets the metrics settings from the configuration, filling in defaults
+ *
+ * @param {Object} config - The server configuration
+ * @returns {Object} The metrics settings
+ */
+function getMetricsSettings(config) {
+    return { ...DEFAULT_METRICS_SETTINGS, ...((config && config.metrics) || {}) };
+}
+
+/**
+ * Checks a bearer token against the configured one
+ *
+ * @param {string} authorizationHeader - The Authorization header
+ * @param {Object} settings - The metrics settings
+ * @returns {boolean} True if the token matches; always false without a configured token
+ */
+function isAuthorized(authorizationHeader, settings) {
+    const match = /^Bearer\s+(.+)$/i.exec(authorizationHeader || '');
+    return Boolean(settings.token) && Boolean(match) && safeEqual(match[1].trim(), settings.token);
+}
+
+/**
+ * Escapes a label value for the exposition format
+ *
+ * @param {*} value - The label value
+ * @returns {string} The escaped value
+ */
+function escapeLabelValue(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+/**
+ * Formats a label set, e.g. `{station="UP1"}`
+ *
+ * @param {Array<string>} names - The label names
+ * @param {Array<string>} values - The label values in the same order
+ * @returns {string} The label set, empty without labels
+ */
+function formatLabels(names, values) {
+    if (names.length === 0) {
+        return '';
+    }
+    return `{${names.map((name, i) => `${name}="${escapeLabelValue(values[i])}"`).join(',')}}`;
+}
+
+/**
+ * Creates a registry of metrics
+ *
+ * @returns {Object} The registry with `counter()`, `gauge()`, `histogram()`, `render()` and `reset()`
+ */
+function createRegistry() {
+    const metrics = [];
+
+    /**
+     * Creates a metric whose series are keyed by their label values
+     *
+     * @param {string} type - counter, gauge or histogram
+     * @param {Object} options - The metric options
+     * @param {Function} createSeries - Creates the state of a new series
+     * @returns {Object} The metric
+     */
+    function register(type, options, createSeries) {
+        const { name, help, labelNames = [] } = options;
+        const series = new Map();
+        const metric = {
+            name,
+            help,
+            type,
+            labelNames,
+            series,
+            /**
+             * Gets the series for a set of label values, creating it on first use
+             *
+             * @param {Object} [labels] - The label values by name
+             * @returns {Object} The series
+             */
+            get(labels = {}) {
+                const values = labelNames.map(label => (labels[label] === undefined || labels[label] === null ? '' : String(labels[label])));
+                const key = JSON.stringify(values);
+                if (!series.has(key)) {
+                    series.set(key, { values, ...createSeries() });
+                }
+                return series.get(key);
+            }
+        };
+        metrics.push(metric);
+        return metric;
+    }
+
+    const registry = {
+        /**
+         * Creates a counter
+         *
+         * @param {Object} options - { name, help, labelNames }
+         * @returns {Object} The counter with `inc(labels, amount)`
+         */
+        counter(options) {
+            const metric = register('counter', options, () => ({ value: 0 }));
+            metric.inc = (labels, amount = 1) => {
+                metric.get(labels).value += amount;
+            };
+            return metric;
+        },
+
+        /**
+         * Creates a gauge
+         *
+         * @param {Object} options - { name, help, labelNames }
+         * @returns {Object} The gauge with `set(labels, value)`, `inc(labels, amount)` and `dec(labels, amount)`
+         */
+        gauge(options) {
+            const metric = register('gauge', options, () => ({ value: 0 }));
+            metric.set = (labels, value) => {
+                metric.get(labels).value = value;
+            };
+            metric.inc = (labels, amount = 1) => {
+                metric.get(labels).value += amount;
+            };
+            metric.dec = (labels, amount = 1) => {
+                metric.get(labels).value -= amount;
+            };
+            return metric;
+        },
+
+        /**
+         * Creates a histogram
+         *
+         * @param {Object} options - { name, help, labelNames, buckets } with the bucket upper bounds in ascending order
+         * @returns {Object} The histogram with `observe(labels, value)`
+         */
+        histogram(options) {
+            const { buckets } = options;
+            const metric = register('histogram', options, () => ({
+                counts: buckets.map(() => 0),
+                sum: 0,
+                count: 0
+            }));
+            metric.observe = (labels, value) => {
+                const entry = metric.get(labels);
+                buckets.forEach((bound, i) => {
+                    if (value <= bound) {
+                        entry.counts[i]++;
+                    }
+                });
+                entry.sum += value;
+                entry.count++;
+            };
+            metric.buckets = buckets;
+            return metric;
+        },
+
+        /**
+         * Formats all metrics in the Prometheus text exposition format
+         *
+         * @returns {string} The metrics
+         */
+        render() {
+            const lines = [];
+            metrics.forEach(metric => {
+                lines.push(`# HELP ${metric.name} ${metric.help}`);
+                lines.push(`# TYPE ${metric.name} ${metric.type}`);
+
+                // Metrics without labels always have their single series
+                if (metric.labelNames.length === 0) {
+                    metric.get();
+                }
+
+                metric.series.forEach(entry => {
+                    if (metric.type !== 'histogram') {
+                        lines.push(`${metric.name}${formatLabels(metric.labelNames, entry.values)} ${entry.value}`);
+                        return;
+                    }
+                    const names = [...metric.labelNames, 'le'];
+                    metric.buckets.forEach((bound, i) => {
+                        lines.push(`${metric.name}_bucket${formatLabels(names, [...entry.values, bound])} ${entry.counts[i]}`);
+                    });
+                    lines.push(`${metric.name}_bucket${formatLabels(names, [...entry.values, '+Inf'])} ${entry.count}`);
+                    lines.push(`${metric.name}_sum${formatLabels(metric.labelNames, entry.values)} ${entry.sum}`);
+                    lines.push(`${metric.name}_count${formatLabels(metric.labelNames, entry.values)} ${entry.count}`);
+                });
+            });
+            return `${lines.join('\n')}\n`;
+        },
+
+        /**
+         * Clears all series, e.g. between tests
+         */
+        reset() {
+            metrics.forEach(metric => metric.series.clear());
+        }
+    };
+
+    return registry;
+}
+
+// The server's metrics
+const registry = createRegistry();
+
+const activeClients = registry.gauge({
+    name: 'neartrip_active_clients',
+    help: 'Rover connections currently open'
+});
+
+const upstreamConnections = registry.gauge({
+    name: 'neartrip_upstream_connections',
+    help: 'Caster connections currently open per station',
+    labelNames: ['station']
+});
+
+const bytesReceived = registry.counter({
+    name: 'neartrip_client_bytes_received_total',
+    help: 'Bytes received from rovers'
+});
+
+const bytesSent = registry.counter({
+    name: 'neartrip_client_bytes_sent_total',
+    help: 'Correction bytes sent to rovers per station',
+    labelNames: ['station']
+});
+
+const stationSwitches = registry.counter({
+    name: 'neartrip_station_switches_total',
+    help: 'Rovers connected to a station, by the station and the reason for the switch',
+    labelNames: ['station', 'reason']
+});
+
+const upstreamFailures = registry.counter({
+    name: 'neartrip_upstream_failures_total',
+    help: 'Caster connection failures per station and reason',
+    labelNames: ['station', 'reason']
+});
+
+const authFailures = registry.counter({
+    name: 'neartrip_auth_failures_total',
+    help: 'Rover requests rejected for missing or wrong credentials'
+});
+
+const nmeaParseErrors = registry.counter({
+    name: 'neartrip_nmea_parse_errors_total',
+    help: 'Position sentences (GGA, RMC, GNS) from rovers that could not be parsed',
+    labelNames: ['sentence']
+});
+
+const upstreamConnectSeconds = registry.histogram({
+    name: 'neartrip_upstream_connect_seconds',
+    help: 'Time from opening a caster connection until the caster accepted the stream',
+    labelNames: ['station'],
+    buckets: CONNECT_LATENCY_BUCKETS
+});
+
+const firstCorrectionSeconds = registry.histogram({
+    name: 'neartrip_time_to_first_correction_seconds',
+    help: 'Time from a rover being granted the mountpoint until it received its first correction frame',
+    buckets: FIRST_CORRECTION_BUCKETS
+});
+
+module.exports = {
+    METRICS_AUTH,
+    DEFAULT_METRICS_SETTINGS,
+    getMetricsSettings,
+    isAuthorized,
+    createRegistry,
+    registry,
+    activeClients,
+    upstreamConnections,
+    bytesReceived,
+    bytesSent,
+    stationSwitches,
+    upstreamFailures,
+    authFailures,
+    nmeaParseErrors,
+    upstreamConnectSeconds,
+    firstCorrectionSeconds
+};
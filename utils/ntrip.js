@@ -5,9 +5,195 @@
 const net = require('net');
 const logger = require('./logger');
 const { HTTP } = require('./constants');
+const {
+    CasterAuthError,
+    MountpointNotFoundError,
+    CasterFullError,
+    CasterTimeoutError,
+    CasterResponseError
+} = require('./errors');
+
+// Largest caster response head we are willing to buffer
+const MAX_RESPONSE_HEAD_LENGTH = 8192;
+
+// Status line: "ICY 200 OK", "HTTP/1.1 401 Unauthorized", "SOURCETABLE 200 OK"
+const STATUS_LINE_PATTERN = /^(ICY|HTTP\/1\.[01]|SOURCETABLE)\s+(\d{3})\s*(.*)$/;
 
 /**
- * Connects to an NTRIP caster using the provided connection parameters and returns a promise that resolves with a net.Socket.
+ * Parses the status line and headers at the start of a caster response
+ * 
+ * NTRIP 1.0 casters may answer "ICY 200 OK" and start streaming binary data
+ * without sending an empty line first, so for ICY responses the head ends
+ * with the status line (or headers) received so far, or at the first byte
+ * that cannot be part of a header line. Network RTK casters may not send
+ * anything more until they get the rover position.
+ * 
+ * @param {Buffer} buffer - The data received from the caster so far
+ * @returns {Object|null} { protocol, statusCode, statusMessage, headers, bodyOffset } or null if incomplete
+ * @throws {CasterResponseError} If the response is not a valid NTRIP/HTTP response
+ */
+function parseCasterResponseHead(buffer) {
+    let lineEnd = buffer.indexOf('\n');
+    if (lineEnd === -1) {
+        if (buffer.length > MAX_RESPONSE_HEAD_LENGTH) {
+            throw new CasterResponseError('Caster response status line too long');
+        }
+        return null;
+    }
+
+    const statusLine = buffer.toString('latin1', 0, lineEnd).replace(/\r$/, '');
+    const match = statusLine.match(STATUS_LINE_PATTERN);
+    if (!match) {
+        throw new CasterResponseError(`Invalid caster response: ${statusLine.substring(0, 100)}`, { statusLine });
+    }
+
+    const head = {
+        protocol: match[1],
+        statusCode: parseInt(match[2], 10),
+        statusMessage: match[3],
+        statusLine,
+        headers: {},
+        bodyOffset: null
+    };
+
+    let offset = lineEnd + 1;
+    while (offset < buffer.length) {
+        // An empty line ends the head
+        if (buffer[offset] === 0x0a) {
+            head.bodyOffset = offset + 1;
+            return head;
+        }
+        if (buffer[offset] === 0x0d && buffer[offset + 1] === 0x0a) {
+            head.bodyOffset = offset + 2;
+            return head;
+        }
+
+        // ICY streams can start right after the status line
+        if (head.protocol === HTTP.RESPONSE_TYPES.ICY && (buffer[offset] < 0x20 || buffer[offset] > 0x7e)) {
+            head.bodyOffset = offset;
+            return head;
+        }
+
+        lineEnd = buffer.indexOf('\n', offset);
+        if (lineEnd === -1) {
+            break;
+        }
+
+        const line = buffer.toString('latin1', offset, lineEnd).replace(/\r$/, '');
+        const separatorIndex = line.indexOf(':');
+        if (separatorIndex > 0) {
+            head.headers[line.substring(0, separatorIndex).trim().toLowerCase()] = line.substring(separatorIndex + 1).trim();
+        }
+        offset = lineEnd + 1;
+    }
+
+    if (buffer.length > MAX_RESPONSE_HEAD_LENGTH) {
+        throw new CasterResponseError('Caster response head too long', { statusLine });
+    }
+
+    // The stream starts right after a complete ICY status line
+    if (head.protocol === HTTP.RESPONSE_TYPES.ICY && offset === buffer.length) {
+        head.bodyOffset = offset;
+        return head;
+    }
+
+    // Wait for the rest of the head
+    return null;
+}
+
+/**
+ * Checks a parsed caster response head and throws a typed error if the caster refused the stream
+ * 
+ * @param {Object} head - The response head returned by parseCasterResponseHead
+ * @throws {CasterError} Describing why the stream was refused
+ */
+function checkCasterResponse(head) {
+    const details = { statusLine: head.statusLine, statusCode: head.statusCode };
+    const contentType = (head.headers['content-type'] || '').toLowerCase();
+
+    // Casters answer an unknown mountpoint with their sourcetable
+    if (head.protocol === HTTP.RESPONSE_TYPES.SOURCETABLE || contentType.includes('sourcetable')) {
+        throw new MountpointNotFoundError('Caster returned its sourcetable instead of a stream (unknown mountpoint)', details);
+    }
+
+    switch (head.statusCode) {
+        case HTTP.OK_STATUS:
+            return;
+        case 401:
+        case 403:
+            throw new CasterAuthError(`Caster rejected credentials: ${head.statusLine}`, details);
+        case 404:
+            throw new MountpointNotFoundError(`Mountpoint not found: ${head.statusLine}`, details);
+        case 429:
+        case 503:
+            throw new CasterFullError(`Caster full: ${head.statusLine}`, details);
+        default:
+            throw new CasterResponseError(`Unexpected caster response: ${head.statusLine}`, details);
+    }
+}
+
+/**
+ * Creates a decoder for HTTP/1.1 chunked transfer-encoding as used by NTRIP 2.0 casters
+ * 
+ * @returns {Function} decode(chunk) returning the payload bytes contained in the chunk
+ */
+function createChunkedDecoder() {
+    let pending = Buffer.alloc(0);
+    // Bytes of payload still expected in the current chunk, or null while reading a size line
+    let remaining = null;
+    let ended = false;
+
+    return function decode(data) {
+        pending = Buffer.concat([pending, data]);
+        const output = [];
+
+        while (!ended && pending.length > 0) {
+            if (remaining === null) {
+                const lineEnd = pending.indexOf('\r\n');
+                if (lineEnd === -1) {
+                    if (pending.length > 64) {
+                        throw new CasterResponseError('Invalid chunk size line from caster');
+                    }
+                    break;
+                }
+
+                // Chunk extensions after ';' are ignored
+                const sizeText = pending.toString('latin1', 0, lineEnd).split(';')[0].trim();
+                if (!/^[0-9a-fA-F]+$/.test(sizeText)) {
+                    throw new CasterResponseError(`Invalid chunk size from caster: ${sizeText.substring(0, 20)}`);
+                }
+
+                remaining = parseInt(sizeText, 16);
+                pending = pending.subarray(lineEnd + 2);
+
+                if (remaining === 0) {
+                    ended = true;
+                }
+            } else if (remaining > 0) {
+                const take = Math.min(remaining, pending.length);
+                output.push(pending.subarray(0, take));
+                pending = pending.subarray(take);
+                remaining -= take;
+            } else {
+                // Every chunk's payload is followed by CRLF
+                if (pending.length < 2) {
+                    break;
+                }
+                pending = pending.subarray(2);
+                remaining = null;
+            }
+        }
+
+        return Buffer.concat(output);
+    };
+}
+
+/**
+ * Connects to an NTRIP caster and waits until it has accepted the request and started streaming.
+ *
+ * The caster's status line and headers are consumed by this function. Correction data
+ * (with any chunked transfer-encoding removed) is emitted on the returned socket as
+ * `corrections` events; listen to those rather than to `data`.
  *
  * @param {string} casterHost - The host of the NTRIP caster.
  * @param {number} casterPort - The port of the NTRIP caster.
@@ -15,15 +201,17 @@ const { HTTP } = require('./constants');
  * @param {string} [username] - Optional username for authentication.
  * @param {string} [password] - Optional password for authentication.
  * @param {string} [userAgent='NTRIP Client/1.0'] - Optional user agent for the connection.
- * @returns {Promise<net.Socket>} A promise that resolves to a net.Socket when the connection is successful.
- * @throws {Error} If required connection parameters are missing or if a connection error occurs.
+ * @param {string} [gga] - A GGA sentence sent right after the request, for network RTK
+ *   mountpoints that do not stream (or even answer) before they know the rover position.
+ * @returns {Promise<net.Socket>} A promise that resolves to a net.Socket once the caster has accepted the stream.
+ * @throws {CasterError} If the caster refuses the stream, does not answer in time or sends an invalid response.
  */
-function connectToNtripCaster(casterHost, casterPort, mountPoint, username, password, userAgent) {
+function connectToNtripCaster(casterHost, casterPort, mountPoint, username, password, userAgent, gga) {
     logger.debug(`Connecting to NTRIP caster: ${casterHost}:${casterPort}/${mountPoint}`);
     
     // Validate required parameters
     if (!casterHost || !casterPort || !mountPoint) {
-        throw new Error('Missing required connection parameters');
+        return Promise.reject(new Error('Missing required connection parameters'));
     }
     
     const auth = Buffer.from(`${username || ''}:${password || ''}`).toString('base64');
@@ -38,24 +226,110 @@ function connectToNtripCaster(casterHost, casterPort, mountPoint, username, pass
         ''
     ].join('\r\n');
 
+    const target = `${casterHost}:${casterPort}/${mountPoint}`;
+
     return new Promise((resolve, reject) => {
+        let settled = false;
+        let responseBuffer = Buffer.alloc(0);
+        let decode = null;
+        let heldBack = null;
+
+        const fail = (error) => {
+            if (!settled) {
+                settled = true;
+                reject(error);
+            }
+        };
+
         const casterSocket = net.connect(casterPort, casterHost, () => {
-            logger.info(`Connected to caster: ${casterHost}:${casterPort}/${mountPoint}`);
+            logger.info(`Connected to caster: ${target}`);
             casterSocket.write(headers);
+            if (gga) {
+                casterSocket.write(`${gga}\r\n`);
+            }
+        });
+
+        // Strip transfer-encoding and pass the corrections on
+        const forward = (data) => {
+            try {
+                const corrections = decode ? decode(data) : data;
+                if (corrections.length > 0) {
+                    casterSocket.emit('corrections', corrections);
+                }
+            } catch (error) {
+                logger.error(`Invalid data from caster (${target}): ${error.message}`);
+                casterSocket.destroy(error);
+            }
+        };
+
+        casterSocket.on('data', (data) => {
+            if (settled) {
+                // Keep ordering while the data received with the response head is still held back
+                if (heldBack) {
+                    heldBack = Buffer.concat([heldBack, data]);
+                } else {
+                    forward(data);
+                }
+                return;
+            }
+
+            // Waiting for the response head
+            responseBuffer = Buffer.concat([responseBuffer, data]);
+
+            let head;
+            try {
+                head = parseCasterResponseHead(responseBuffer);
+                if (!head) {
+                    return;
+                }
+                checkCasterResponse(head);
+            } catch (error) {
+                logger.warn(`Caster refused stream (${target}): ${error.message}`);
+                casterSocket.destroy();
+                fail(error);
+                return;
+            }
+
+            if ((head.headers['transfer-encoding'] || '').toLowerCase() === 'chunked') {
+                decode = createChunkedDecoder();
+            }
+
+            logger.info(`Caster accepted stream (${target}): ${head.statusLine}`);
+            settled = true;
+            // The timeout only covers the handshake; a stream may be quiet for a while
+            casterSocket.setTimeout(0);
             resolve(casterSocket);
+
+            // Hand over any data that arrived with the response head once the caller has attached its listeners
+            const body = responseBuffer.subarray(head.bodyOffset);
+            responseBuffer = null;
+            if (body.length > 0) {
+                heldBack = body;
+                setImmediate(() => {
+                    const data = heldBack;
+                    heldBack = null;
+                    if (!casterSocket.destroyed) {
+                        forward(data);
+                    }
+                });
+            }
         });
 
         // Set up event handlers
         casterSocket.on('error', (error) => {
-            logger.error(`Caster connection error (${casterHost}:${casterPort}/${mountPoint}):`, error);
-            reject(error);
+            logger.error(`Caster connection error (${target}):`, error);
+            fail(error);
+        });
+
+        casterSocket.on('end', () => {
+            fail(new CasterResponseError('Caster closed the connection before responding'));
         });
 
         // Handle connection timeout
         casterSocket.setTimeout(10000, () => {
-            logger.warn(`Connection to ${casterHost}:${casterPort}/${mountPoint} timed out`);
+            logger.warn(`Connection to ${target} timed out`);
             casterSocket.end();
-            reject(new Error('Connection timeout'));
+            fail(new CasterTimeoutError());
         });
     });
 }
@@ -78,7 +352,38 @@ function generateSourcetableResponse(mountPoint, location = 'NTRIP Service') {
     ].join('\r\n');
 }
 
+/**
+ * Generates a 401 Unauthorized response for a mountpoint request
+ * 
+ * NTRIP 2.0 clients get an HTTP/1.1 status line, older clients HTTP/1.0.
+ * 
+ * @param {string} mountPoint - The mountpoint name used as the auth realm
+ * @param {boolean} [ntripV2=false] - Whether the client sent an Ntrip-Version 2.0 header
+ * @returns {string} Formatted unauthorized response
+ */
+function generateUnauthorizedResponse(mountPoint, ntripV2 = false) {
+    const body = `<html><head><title>${HTTP.UNAUTHORIZED_STATUS} ${HTTP.UNAUTHORIZED_MESSAGE}</title></head>` +
+        `<body><h1>${HTTP.UNAUTHORIZED_STATUS} ${HTTP.UNAUTHORIZED_MESSAGE}</h1></body></html>`;
+    const statusLine = ntripV2 ? HTTP.RESPONSE_TYPES.HTTP_1_1 : HTTP.RESPONSE_TYPES.HTTP_1_0;
+
+    return [
+        `${statusLine} ${HTTP.UNAUTHORIZED_STATUS} ${HTTP.UNAUTHORIZED_MESSAGE}`,
+        HTTP.HEADERS.SERVER,
+        ntripV2 ? HTTP.HEADERS.NTRIP_VERSION : null,
+        `WWW-Authenticate: Basic realm="/${mountPoint}"`,
+        HTTP.CONTENT_TYPES.TEXT_HTML,
+        `Content-Length: ${body.length}`,
+        HTTP.HEADERS.CONNECTION_CLOSE,
+        '',
+        body
+    ].filter(line => line !== null).join('\r\n');
+}
+
 module.exports = {
     connectToNtripCaster,
-    generateSourcetableResponse
+    parseCasterResponseHead,
+    checkCasterResponse,
+    createChunkedDecoder,
+    generateSourcetableResponse,
+    generateUnauthorizedResponse
 };
@@ -0,0 +1,81 @@
+/**
+ * Upstream reconnect policy
+ *
+ * When the caster connection of a rover fails, the same station is retried
+ * with exponential backoff. Once the retries are used up the station is
+ * marked unhealthy and the rover falls back to the next nearest station
+ * that is close enough to still give a usable RTK baseline.
+ *
+ * @module utils/reconnect
+ */
+
+// Default policy
+const DEFAULT_RECONNECT_POLICY = {
+    // Retries on the failed station before falling back to another one
+    maxRetries: 3,
+    // Delay before the first retry; each further retry waits backoffMultiplier times longer...
+    initialDelaySeconds: 1,
+    backoffMultiplier: 2,
+    // ...up to this many seconds
+    maxDelaySeconds: 30,
+    // How long a station that used up its retries is avoided
+    unhealthySeconds: 300,
+    // How many stations beyond the nearest one may be used as a fallback
+    maxFallbackStations: 2,
+    // Fallback stations must be within this many meters of the rover (null = no limit)
+    maxFallbackBaselineMeters: null
+};
+
+/**
+ * Gets the reconnect policy from the configuration, filling in defaults
+ *
+ * @param {Object} config - The server configuration
+ * @returns {Object} The reconnect policy
+ */
+function getReconnectPolicy(config) {
+    return { ...DEFAULT_RECONNECT_POLICY, ...((config && config.reconnect) || {}) };
+}
+
+/**
+ * Gets the delay before a retry
+ *
+ * @param {number} attempt - The retry number, starting at 1
+ * @param {Object} [policy=DEFAULT_RECONNECT_POLICY] - The reconnect policy
+ * @returns {number} The delay in milliseconds
+ */
+function getBackoffDelay(attempt, policy = DEFAULT_RECONNECT_POLICY) {
+    const delaySeconds = policy.initialDelaySeconds * Math.pow(policy.backoffMultiplier, Math.max(attempt - 1, 0));
+    return Math.min(delaySeconds, policy.maxDelaySeconds) * 1000;
+}
+
+/**
+ * Picks the station to fall back to after a station failed
+ *
+ * Only the nearest station and the next `maxFallbackStations` are considered,
+ * skipping the failed station, unhealthy stations and stations beyond the
+ * maximum fallback baseline.
+ *
+ * @param {Array<Object>} rankedStations - Stations with `distance`, nearest first (see gps.rankStations)
+ * @param {string} failedMountPoint - The station that failed
+ * @param {Function} isHealthy - Called with a mountpoint, returns false for stations to avoid
+ * @param {Object} [policy=DEFAULT_RECONNECT_POLICY] - The reconnect policy
+ * @returns {Object|null} The fallback station, or null if there is none
+ */
+function selectFallbackStation(rankedStations, failedMountPoint, isHealthy, policy = DEFAULT_RECONNECT_POLICY) {
+    const maxBaseline = policy.maxFallbackBaselineMeters;
+
+    return rankedStations
+        .slice(0, 1 + policy.maxFallbackStations)
+        .find(station =>
+            station.mountPoint !== failedMountPoint &&
+            isHealthy(station.mountPoint) &&
+            (maxBaseline === null || maxBaseline === undefined || station.distance <= maxBaseline)
+        ) || null;
+}
+
+module.exports = {
+    DEFAULT_RECONNECT_POLICY,
+    getReconnectPolicy,
+    getBackoffDelay,
+    selectFallbackStation
+};
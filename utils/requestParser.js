@@ -0,0 +1,135 @@
+/**
+ * Streaming parser for NTRIP client connections
+ *
+ * Clients send an HTTP style request head (request line and headers, ended by
+ * an empty line) followed by a stream of NMEA sentences. TCP does not preserve
+ * message boundaries, so data is buffered and split into lines before it is
+ * interpreted.
+ *
+ * Events emitted by the parser:
+ * - `request` ({ method, path, version, headers, ntripVersion }) once the request head is complete
+ * - `nmea` (sentence) for every NMEA sentence received after the request head
+ * - `invalid` (line) for a first line that is not a request line
+ * - `error` (Error) when a line exceeds the maximum length
+ *
+ * @module utils/requestParser
+ */
+const EventEmitter = require('events');
+
+// Longest line accepted before the buffer is discarded
+const MAX_LINE_LENGTH = 8192;
+
+// Request line: METHOD SP PATH [SP VERSION]
+const REQUEST_LINE_PATTERN = /^([A-Z]+)\s+(\S+)(?:\s+(\S+))?$/;
+
+/**
+ * Parses a header line into its name and value
+ *
+ * @param {string} line - A header line such as "Host: example.com"
+ * @returns {Array<string>|null} The lowercase header name and trimmed value, or null if malformed
+ */
+function parseHeaderLine(line) {
+    const separatorIndex = line.indexOf(':');
+    if (separatorIndex <= 0) {
+        return null;
+    }
+    return [
+        line.substring(0, separatorIndex).trim().toLowerCase(),
+        line.substring(separatorIndex + 1).trim()
+    ];
+}
+
+/**
+ * Creates a parser for the data received on a client socket
+ *
+ * @returns {EventEmitter} The parser; feed it with `parser.push(chunk)`
+ */
+function createRequestParser() {
+    const parser = new EventEmitter();
+
+    // 'requestLine' -> 'headers' -> 'stream'
+    let state = 'requestLine';
+    let buffer = '';
+    let request = null;
+
+    /**
+     * Handles a single line (without its line terminator)
+     *
+     * @param {string} line - The line to handle
+     */
+    function handleLine(line) {
+        if (state === 'requestLine') {
+            // Tolerate blank lines before the request line
+            if (line === '') {
+                return;
+            }
+
+            const match = line.match(REQUEST_LINE_PATTERN);
+            if (!match) {
+                parser.emit('invalid', line);
+                return;
+            }
+
+            request = {
+                method: match[1],
+                path: match[2],
+                version: match[3] || null,
+                headers: {}
+            };
+            state = 'headers';
+        } else if (state === 'headers') {
+            if (line === '') {
+                request.ntripVersion = /ntrip\/2/i.test(request.headers['ntrip-version'] || '') ? 2 : 1;
+                state = 'stream';
+                parser.emit('request', request);
+                return;
+            }
+
+            const header = parseHeaderLine(line);
+            if (header) {
+                request.headers[header[0]] = header[1];
+            }
+        } else {
+            const sentence = line.trim();
+            if (sentence.startsWith('$')) {
+                parser.emit('nmea', sentence);
+            }
+        }
+    }
+
+    /**
+     * Feeds a chunk of socket data to the parser
+     *
+     * @param {Buffer|string} chunk - Data received from the client
+     */
+    parser.push = (chunk) => {
+        // latin1 maps every byte to one character, so a chunk boundary can never split a character
+        buffer += Buffer.isBuffer(chunk) ? chunk.toString('latin1') : String(chunk);
+
+        let newlineIndex;
+        while ((newlineIndex = buffer.indexOf('\n')) !== -1) {
+            const line = buffer.substring(0, newlineIndex).replace(/\r$/, '');
+            buffer = buffer.substring(newlineIndex + 1);
+            handleLine(line);
+        }
+
+        if (buffer.length > MAX_LINE_LENGTH) {
+            buffer = '';
+            parser.emit('error', new Error(`Line exceeds ${MAX_LINE_LENGTH} bytes`));
+        }
+    };
+
+    /**
+     * Checks whether the request head has been received
+     *
+     * @returns {boolean} True once the `request` event has been emitted
+     */
+    parser.isStreaming = () => state === 'stream';
+
+    return parser;
+}
+
+module.exports = {
+    createRequestParser,
+    MAX_LINE_LENGTH
+};
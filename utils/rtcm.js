@@ -0,0 +1,416 @@
+/**
+ * RTCM 3.x stream framing and statistics
+ *
+ * An RTCM 3 frame is a 0xD3 preamble, 6 reserved bits and a 10 bit payload
+ * length, the payload and a 24 bit CRC. Splitting the caster stream into
+ * frames lets the proxy switch a rover between upstream connections without
+ * ever forwarding part of a frame, and drop frames that were corrupted.
+ *
+ * Streams in other formats (RTCM 2, CMR, ...) never deliver a valid frame.
+ * Once such a stream has sent `RTCM.SYNC_WINDOW_BYTES` bytes, the reader
+ * gives up on framing and passes everything through as it comes.
+ *
+ * Events emitted by the frame reader:
+ * - `frame` (Buffer) for each complete frame with a valid CRC, including header and CRC
+ * - `corrupt` (Buffer) for each frame whose CRC does not match; it is not forwarded
+ * - `discard` (number) with the number of bytes skipped while looking for a frame
+ * - `data` (Buffer) for the unframed data of a stream that is not RTCM 3
+ *
+ * @module utils/rtcm
+ */
+const EventEmitter = require('events');
+const { RTCM } = require('./constants');
+
+// CRC-24Q lookup table, one entry per byte value
+const CRC24Q_TABLE = new Int32Array(256);
+for (let i = 0; i < 256; i++) {
+    let crc = i << 16;
+    for (let bit = 0; bit < 8; bit++) {
+        crc <<= 1;
+        if (crc & 0x1000000) {
+            crc ^= RTCM.CRC24Q_POLYNOMIAL;
+        }
+    }
+    CRC24Q_TABLE[i] = crc & 0xffffff;
+}
+
+// Multiple Signal Messages (MSM1-7) and legacy observation messages per constellation
+const CONSTELLATION_MESSAGE_RANGES = [
+    { name: 'GPS', ranges: [[1001, 1004], [1071, 1077]] },
+    { name: 'GLONASS', ranges: [[1009, 1012], [1081, 1087]] },
+    { name: 'Galileo', ranges: [[1091, 1097]] },
+    { name: 'SBAS', ranges: [[1101, 1107]] },
+    { name: 'QZSS', ranges: [[1111, 1117]] },
+    { name: 'BeiDou', ranges: [[1121, 1127]] },
+    { name: 'NavIC', ranges: [[1131, 1137]] }
+];
+
+// Non-observation messages commonly sent by base stations
+const MESSAGE_DESCRIPTIONS = {
+    1005: 'Station ARP',
+    1006: 'Station ARP with antenna height',
+    1007: 'Antenna descriptor',
+    1008: 'Antenna descriptor and serial number',
+    1013: 'System parameters',
+    1019: 'GPS ephemeris',
+    1020: 'GLONASS ephemeris',
+    1033: 'Receiver and antenna descriptors',
+    1042: 'BeiDou ephemeris',
+    1044: 'QZSS ephemeris',
+    1045: 'Galileo F/NAV ephemeris',
+    1046: 'Galileo I/NAV ephemeris',
+    1230: 'GLONASS code-phase biases'
+};
+
+/**
+ * Calculates the CRC-24Q checksum used by RTCM 3
+ *
+ * @param {Buffer} data - The bytes to checksum
+ * @returns {number} The 24 bit CRC
+ */
+function crc24q(data) {
+    let crc = 0;
+    for (let i = 0; i < data.length; i++) {
+        crc = ((crc << 8) & 0xffffff) ^ CRC24Q_TABLE[(crc >> 16) ^ data[i]];
+    }
+    return crc;
+}
+
+/**
+ * Checks the CRC of a complete frame
+ *
+ * @param {Buffer} frame - A complete RTCM 3 frame, including header and CRC
+ * @returns {boolean} True if the CRC matches
+ */
+function isFrameValid(frame) {
+    const crcOffset = frame.length - RTCM.CRC_LENGTH;
+    return crc24q(frame.subarray(0, crcOffset)) === frame.readUIntBE(crcOffset, RTCM.CRC_LENGTH);
+}
+
+/**
+ * Gets the message type number of a frame
+ *
+ * @param {Buffer} frame - A complete RTCM 3 frame
+ * @returns {number|null} The 12 bit message type, or null if the frame has no payload
+ */
+function getMessageType(frame) {
+    if (frame.length < RTCM.HEADER_LENGTH + 2) {
+        return null;
+    }
+    return (frame[RTCM.HEADER_LENGTH] << 4) | (frame[RTCM.HEADER_LENGTH + 1] >> 4);
+}
+
+/**
+ * Gets the constellation whose observations a message type carries
+ *
+ * @param {number} messageType - The RTCM message type
+ * @returns {string|null} The constellation name, or null for non-observation messages
+ */
+function getConstellation(messageType) {
+    const match = CONSTELLATION_MESSAGE_RANGES.find(({ ranges }) =>
+        ranges.some(([first, last]) => messageType >= first && messageType <= last));
+    return match ? match.name : null;
+}
+
+/**
+ * Describes a message type for display
+ *
+ * @param {number} messageType - The RTCM message type
+ * @returns {string|null} A short description, or null if the type is not known
+ */
+function describeMessageType(messageType) {
+    if (MESSAGE_DESCRIPTIONS[messageType]) {
+        return MESSAGE_DESCRIPTIONS[messageType];
+    }
+
+    const constellation = getConstellation(messageType);
+    if (!constellation) {
+        return null;
+    }
+    // MSM types end in 1-7; the legacy observation messages predate MSM
+    return messageType >= 1071
+        ? `${constellation} MSM${messageType % 10}`
+        : `${constellation} observations`;
+}
+
+/**
+ * Reads an unsigned big-endian bit field
+ *
+ * Values up to 53 bits are exact.
+ *
+ * @param {Buffer} data - The bytes to read from
+ * @param {number} offset - Offset of the first bit
+ * @param {number} length - Number of bits
+ * @returns {number} The value
+ */
+function readBits(data, offset, length) {
+    let value = 0;
+    for (let bit = offset; bit < offset + length; bit++) {
+        value = value * 2 + ((data[bit >> 3] >> (7 - (bit & 7))) & 1);
+    }
+    return value;
+}
+
+/**
+ * Reads a two's complement big-endian bit field
+ *
+ * @param {Buffer} data - The bytes to read from
+ * @param {number} offset - Offset of the first bit
+ * @param {number} length - Number of bits
+ * @returns {number} The value
+ */
+function readSignedBits(data, offset, length) {
+    const value = readBits(data, offset, length);
+    return value >= 2 ** (length - 1) ? value - 2 ** length : value;
+}
+
+/**
+ * Decodes the antenna reference point of a 1005 or 1006 message
+ *
+ * @param {Buffer} frame - A complete RTCM 3 frame
+ * @returns {Object|null} { messageType, stationId, itrfYear, x, y, z, antennaHeight } with the ECEF
+ *   coordinates and the antenna height (1006 only, otherwise null) in meters; null for other messages
+ *   or a truncated payload
+ */
+function decodeReferencePoint(frame) {
+    const messageType = getMessageType(frame);
+    if (messageType !== 1005 && messageType !== 1006) {
+        return null;
+    }
+
+    const payload = frame.subarray(RTCM.HEADER_LENGTH, frame.length - RTCM.CRC_LENGTH);
+    if (payload.length < (messageType === 1006 ? RTCM.ARP_1006_LENGTH : RTCM.ARP_1005_LENGTH)) {
+        return null;
+    }
+
+    // Message number (12), station ID (12), ITRF year (6), GPS, GLONASS, Galileo and
+    // reference station indicators (4), X (38), oscillator and reserved (2), Y (38),
+    // quarter cycle indicator (2), Z (38), then the 1006 antenna height (16)
+    return {
+        messageType,
+        stationId: readBits(payload, 12, 12),
+        itrfYear: readBits(payload, 24, 6),
+        x: readSignedBits(payload, 34, 38) * RTCM.ARP_RESOLUTION_METERS,
+        y: readSignedBits(payload, 74, 38) * RTCM.ARP_RESOLUTION_METERS,
+        z: readSignedBits(payload, 114, 38) * RTCM.ARP_RESOLUTION_METERS,
+        antennaHeight: messageType === 1006 ? readBits(payload, 152, 16) * RTCM.ARP_RESOLUTION_METERS : null
+    };
+}
+
+/**
+ * Creates a reader that splits a byte stream into RTCM 3 frames
+ *
+ * `reader.framed` is null until the stream has shown whether it is RTCM 3:
+ * true after the first valid frame, false once it is passed through unframed.
+ *
+ * @returns {EventEmitter} The reader; feed it with `reader.push(chunk)`
+ */
+function createFrameReader() {
+    const reader = new EventEmitter();
+    reader.framed = null;
+    let buffer = Buffer.alloc(0);
+
+    // Everything received before the first valid frame, and the bytes skipped in it
+    let unsynced = [];
+    let unsyncedLength = 0;
+    let unsyncedDiscarded = 0;
+
+    /**
+     * Feeds a chunk of stream data to the reader
+     *
+     * @param {Buffer} chunk - Data received from the caster
+     */
+    reader.push = (chunk) => {
+        if (reader.framed === false) {
+            reader.emit('data', chunk);
+            return;
+        }
+        if (reader.framed === null) {
+            unsynced.push(chunk);
+            unsyncedLength += chunk.length;
+        }
+
+        buffer = buffer.length > 0 ? Buffer.concat([buffer, chunk]) : chunk;
+
+        let offset = 0;
+        let discarded = 0;
+
+        while (buffer.length - offset >= RTCM.HEADER_LENGTH) {
+            // Resynchronise on the preamble; the reserved bits after it must be zero
+            if (buffer[offset] !== RTCM.PREAMBLE || (buffer[offset + 1] & 0xfc) !== 0) {
+                offset++;
+                discarded++;
+                continue;
+            }
+
+            const payloadLength = ((buffer[offset + 1] & 0x03) << 8) | buffer[offset + 2];
+            const frameLength = RTCM.HEADER_LENGTH + payloadLength + RTCM.CRC_LENGTH;
+
+            if (buffer.length - offset < frameLength) {
+                break;
+            }
+
+            const frame = buffer.subarray(offset, offset + frameLength);
+
+            if (!isFrameValid(frame)) {
+                // Either a damaged frame or a 0xD3 byte inside other data; look for
+                // the next preamble right after this one rather than skipping the frame
+                reader.emit('corrupt', frame);
+                offset++;
+                continue;
+            }
+
+            offset += frameLength;
+            if (reader.framed === null) {
+                reader.framed = true;
+                unsynced = null;
+            }
+            reader.emit('frame', frame);
+        }
+
+        if (reader.framed === null) {
+            if (unsyncedLength >= RTCM.SYNC_WINDOW_BYTES) {
+                // Not RTCM 3: hand over all data held so far, then each chunk as it comes
+                reader.framed = false;
+                buffer = Buffer.alloc(0);
+                const data = Buffer.concat(unsynced);
+                unsynced = null;
+                reader.emit('data', data);
+                return;
+            }
+
+            // Only reported once the stream turns out to be RTCM 3
+            unsyncedDiscarded += discarded;
+            discarded = 0;
+        } else {
+            discarded += unsyncedDiscarded;
+            unsyncedDiscarded = 0;
+        }
+
+        if (discarded > 0) {
+            reader.emit('discard', discarded);
+        }
+
+        // Keep only the incomplete remainder (copied so the large chunk can be released)
+        buffer = Buffer.from(buffer.subarray(offset));
+    };
+
+    return reader;
+}
+
+/**
+ * Creates a collector for per-message-type statistics of an RTCM stream
+ *
+ * The collector serialises itself with `JSON.stringify`, so it can be stored
+ * directly in the connection data served by the admin API.
+ *
+ * @returns {Object} The collector
+ */
+function createStreamStats() {
+    const messageTypes = new Map();
+    const stats = {
+        frames: 0,
+        bytes: 0,
+        corruptFrames: 0,
+        discardedBytes: 0,
+        firstFrameAt: null,
+        lastFrameAt: null
+    };
+
+    /**
+     * Records a valid frame
+     *
+     * @param {Buffer} frame - The frame
+     * @param {number} [now=Date.now()] - When it was received (ms since epoch)
+     */
+    stats.recordFrame = (frame, now = Date.now()) => {
+        stats.frames++;
+        stats.bytes += frame.length;
+        stats.firstFrameAt = stats.firstFrameAt || now;
+        stats.lastFrameAt = now;
+
+        const type = getMessageType(frame);
+        if (type === null) {
+            return;
+        }
+
+        const entry = messageTypes.get(type);
+        if (entry) {
+            entry.count++;
+            entry.lastAt = now;
+        } else {
+            messageTypes.set(type, { count: 1, firstAt: now, lastAt: now });
+        }
+    };
+
+    /**
+     * Records a frame that failed its CRC check
+     */
+    stats.recordCorrupt = () => {
+        stats.corruptFrames++;
+    };
+
+    /**
+     * Records bytes skipped while looking for a frame
+     *
+     * @param {number} count - The number of bytes
+     */
+    stats.recordDiscard = (count) => {
+        stats.discardedBytes += count;
+    };
+
+    /**
+     * Gets a snapshot of the statistics
+     *
+     * Rates are averaged over the time between the first and last message of
+     * each type, so they are null until a type has been received twice.
+     *
+     * @returns {Object} The statistics
+     */
+    stats.toJSON = () => {
+        const types = {};
+        const constellations = new Set();
+
+        Array.from(messageTypes.keys()).sort((a, b) => a - b).forEach(type => {
+            const { count, firstAt, lastAt } = messageTypes.get(type);
+            const elapsedSeconds = (lastAt - firstAt) / 1000;
+
+            types[type] = {
+                description: describeMessageType(type),
+                count,
+                ratePerSecond: count > 1 && elapsedSeconds > 0
+                    ? Math.round(((count - 1) / elapsedSeconds) * 100) / 100
+                    : null,
+                lastReceivedAt: new Date(lastAt).toISOString()
+            };
+
+            const constellation = getConstellation(type);
+            if (constellation) {
+                constellations.add(constellation);
+            }
+        });
+
+        return {
+            frames: stats.frames,
+            bytes: stats.bytes,
+            corruptFrames: stats.corruptFrames,
+            discardedBytes: stats.discardedBytes,
+            lastFrameAt: stats.lastFrameAt ? new Date(stats.lastFrameAt).toISOString() : null,
+            constellations: Array.from(constellations),
+            messageTypes: types
+        };
+    };
+
+    return stats;
+}
+
+module.exports = {
+    crc24q,
+    isFrameValid,
+    getMessageType,
+    getConstellation,
+    describeMessageType,
+    decodeReferencePoint,
+    createFrameReader,
+    createStreamStats
+};
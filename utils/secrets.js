@@ -0,0 +1,272 @@
+/**
+ * Configuration secrets
+ *
+ * Passwords and tokens never leave the admin API in clear text: responses
+ * show them as a mask, and a mask sent back keeps the saved value, so a
+ * station can be edited without retyping its password.
+ *
+ * Station passwords can also be encrypted in config.json. With a key in the
+ * `NEARTRIP_CONFIG_KEY` environment variable, or in the file named by
+ * `NEARTRIP_CONFIG_KEY_FILE`, they are saved as
+ * "aes-256-gcm$<iv>$<tag>$<ciphertext>" (hex encoded) and decrypted when the
+ * configuration is loaded.
+ *
+ * @module utils/secrets
+ */
+const crypto = require('crypto');
+const fs = require('fs');
+const { ValidationError, ConfigValidationError } = require('./errors');
+
+// Shown instead of a secret in admin responses
+const SECRET_MASK = '********';
+
+// Fields holding secrets, wherever they appear in the configuration
+const SECRET_FIELDS = ['password', 'passwordHash', 'adminPassword', 'token'];
+
+// Fields that identify list entries, so that masked secrets are taken from the same station or account
+const LIST_KEYS = ['mountPoint', 'username'];
+
+// Environment variables with the encryption key, or the path of a file containing it
+const KEY_ENV = 'NEARTRIP_CONFIG_KEY';
+const KEY_FILE_ENV = 'NEARTRIP_CONFIG_KEY_FILE';
+
+// Encrypted values: "aes-256-gcm$<iv>$<tag>$<ciphertext>"
+const CIPHER = 'aes-256-gcm';
+const CIPHER_IV_BYTES = 12;
+const KEY_SALT = 'neartrip-config';
+const KEY_LENGTH = 32;
+
+// Derived keys by key material, scrypt is too slow to run on every load
+const derivedKeys = new Map();
+
+/**
+ * Checks whether a field holds a secret
+ *
+ * @param {string} name - The field name
+ * @returns {boolean} True for secret fields
+ */
+function isSecretField(name) {
+    return SECRET_FIELDS.includes(name);
+}
+
+/**
+ * Checks whether a value is a plain object (not an array or null)
+ *
+ * @param {*} value - The value
+ * @returns {boolean} True for plain objects
+ */
+function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Masks a secret, keeping empty values recognizable as unset
+ *
+ * @param {*} value - The secret
+ * @returns {*} The mask, or the value itself if it is empty
+ */
+function maskSecret(value) {
+    return value === undefined || value === null || value === '' ? value : SECRET_MASK;
+}
+
+/**
+ * Copies a configuration, or part of it, with all secrets masked
+ *
+ * @param {*} value - The configuration, a station or any other value
+ * @returns {*} The copy
+ */
+function redactSecrets(value) {
+    if (Array.isArray(value)) {
+        return value.map(redactSecrets);
+    }
+    if (!isObject(value)) {
+        return value;
+    }
+    return Object.fromEntries(Object.entries(value).map(([name, fieldValue]) => [
+        name,
+        isSecretField(name) ? maskSecret(fieldValue) : redactSecrets(fieldValue)
+    ]));
+}
+
+/**
+ * Finds the entry of the saved list that corresponds to an entry of the submitted one
+ *
+ * @param {Array} savedList - The saved list
+ * @param {*} item - The submitted entry
+ * @param {number} index - Its index
+ * @returns {*} The saved entry, or undefined
+ */
+function findSavedEntry(savedList, item, index) {
+    const key = isObject(item) && LIST_KEYS.find(name => typeof item[name] === 'string');
+    if (!key) {
+        return savedList[index];
+    }
+    return savedList.find(saved => isObject(saved) && saved[key] === item[key]);
+}
+
+/**
+ * Replaces masked secrets in a submitted configuration with the saved values
+ *
+ * Stations and accounts are matched by mountpoint or username, other list
+ * entries by position.
+ *
+ * @param {*} submitted - The submitted configuration, station or other value
+ * @param {*} [saved] - The saved counterpart, undefined if there is none
+ * @param {string} [fieldPath=''] - Path of the value, for errors
+ * @returns {*} A copy with the saved secrets in place of masks
+ * @throws {ValidationError} If a mask has no saved secret to replace it
+ */
+function restoreSecrets(submitted, saved, fieldPath = '') {
+    const childPath = name => (fieldPath ? `${fieldPath}.${name}` : name);
+
+    if (Array.isArray(submitted)) {
+        const savedList = Array.isArray(saved) ? saved : [];
+        return submitted.map((item, index) => restoreSecrets(item, findSavedEntry(savedList, item, index), `${fieldPath}[${index}]`));
+    }
+    if (!isObject(submitted)) {
+        return submitted;
+    }
+
+    const savedObject = isObject(saved) ? saved : {};
+    return Object.fromEntries(Object.entries(submitted).map(([name, value]) => {
+        if (isSecretField(name) && value === SECRET_MASK) {
+            if (typeof savedObject[name] !== 'string' || savedObject[name] === '') {
+                throw new ValidationError('is masked but there is no saved value to keep, enter it again', childPath(name));
+            }
+            return [name, savedObject[name]];
+        }
+        return [name, restoreSecrets(value, savedObject[name], childPath(name))];
+    }));
+}
+
+/**
+ * Gets the encryption key for station passwords
+ *
+ * @param {Object} [env=process.env] - The environment
+ * @returns {Buffer|null} The key, or null if none is configured
+ * @throws {Error} If the key file cannot be read
+ */
+function getSecretKey(env = process.env) {
+    let material = env[KEY_ENV];
+    if (!material && env[KEY_FILE_ENV]) {
+        material = fs.readFileSync(env[KEY_FILE_ENV], 'utf8').trim();
+    }
+    if (!material) {
+        return null;
+    }
+    if (!derivedKeys.has(material)) {
+        derivedKeys.set(material, crypto.scryptSync(material, KEY_SALT, KEY_LENGTH));
+    }
+    return derivedKeys.get(material);
+}
+
+/**
+ * Checks whether a value was encrypted by encryptValue
+ *
+ * @param {*} value - The value
+ * @returns {boolean} True if it is encrypted
+ */
+function isEncrypted(value) {
+    return typeof value === 'string' && value.startsWith(`${CIPHER}$`);
+}
+
+/**
+ * Encrypts a secret
+ *
+ * @param {string} text - The secret
+ * @param {Buffer} key - The key
+ * @returns {string} The encoded value "aes-256-gcm$<iv>$<tag>$<ciphertext>"
+ */
+function encryptValue(text, key) {
+    const iv = crypto.randomBytes(CIPHER_IV_BYTES);
+    const cipher = crypto.createCipheriv(CIPHER, key, iv);
+    const ciphertext = Buffer.concat([cipher.update(String(text), 'utf8'), cipher.final()]);
+    return [CIPHER, iv.toString('hex'), cipher.getAuthTag().toString('hex'), ciphertext.toString('hex')].join('$');
+}
+
+/**
+ * Decrypts a secret encrypted by encryptValue
+ *
+ * @param {string} value - The encoded value
+ * @param {Buffer} key - The key
+ * @returns {string} The secret
+ * @throws {Error} If the value is malformed or was encrypted with another key
+ */
+function decryptValue(value, key) {
+    const [, ivHex, tagHex, ciphertextHex] = value.split('$');
+    const decipher = crypto.createDecipheriv(CIPHER, key, Buffer.from(ivHex || '', 'hex'));
+    decipher.setAuthTag(Buffer.from(tagHex || '', 'hex'));
+    return Buffer.concat([decipher.update(Buffer.from(ciphertextHex || '', 'hex')), decipher.final()]).toString('utf8');
+}
+
+/**
+ * Copies a configuration with the station passwords encrypted
+ *
+ * @param {Object} config - The configuration
+ * @param {Buffer|null} key - The key, the configuration is returned unchanged without one
+ * @returns {Object} The configuration to write to disk
+ */
+function encryptSecrets(config, key) {
+    if (!key || !Array.isArray(config.stations)) {
+        return config;
+    }
+    return {
+        ...config,
+        stations: config.stations.map(station => (
+            isObject(station) && typeof station.password === 'string' && station.password !== '' && !isEncrypted(station.password)
+                ? { ...station, password: encryptValue(station.password, key) }
+                : station
+        ))
+    };
+}
+
+/**
+ * Copies a configuration read from disk with the station passwords decrypted
+ *
+ * @param {Object} config - The configuration
+ * @param {Buffer|null} key - The key
+ * @returns {Object} The configuration to use
+ * @throws {ConfigValidationError} If a password is encrypted but cannot be decrypted
+ */
+function decryptSecrets(config, key) {
+    if (!isObject(config) || !Array.isArray(config.stations)) {
+        return config;
+    }
+
+    const errors = [];
+    const stations = config.stations.map((station, index) => {
+        if (!isObject(station) || !isEncrypted(station.password)) {
+            return station;
+        }
+        const field = `stations[${index}].password`;
+        if (!key) {
+            errors.push({ field, message: `is encrypted but no key is configured (${KEY_ENV} or ${KEY_FILE_ENV})` });
+            return station;
+        }
+        try {
+            return { ...station, password: decryptValue(station.password, key) };
+        } catch (error) {
+            errors.push({ field, message: 'could not be decrypted with the configured key' });
+            return station;
+        }
+    });
+
+    if (errors.length > 0) {
+        throw new ConfigValidationError(errors);
+    }
+    return { ...config, stations };
+}
+
+module.exports = {
+    SECRET_MASK,
+    isSecretField,
+    maskSecret,
+    redactSecrets,
+    restoreSecrets,
+    getSecretKey,
+    isEncrypted,
+    encryptValue,
+    decryptValue,
+    encryptSecrets,
+    decryptSecrets
+};
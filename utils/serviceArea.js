@@ -0,0 +1,167 @@
+/**
+ * Station service areas
+ *
+ * A station may carry a GeoJSON Polygon or MultiPolygon `serviceArea`. Such a
+ * station only serves rovers inside the area, however close other rovers are:
+ * a base across a mountain ridge or a state line (another datum or license)
+ * can be kept away from areas it should not serve. Stations without a service
+ * area serve rovers anywhere, subject to their coverage radius.
+ *
+ * Coordinates are GeoJSON positions, i.e. [longitude, latitude].
+ *
+ * @module utils/serviceArea
+ */
+const geolib = require('geolib');
+const { ValidationError } = require('./errors');
+
+/**
+ * Validates a linear ring
+ *
+ * @param {Array} ring - The ring positions
+ * @param {string} field - Path of the ring, for error messages
+ * @throws {ValidationError} If the ring is not a closed list of at least 4 valid positions
+ */
+function validateRing(ring, field) {
+    if (!Array.isArray(ring) || ring.length < 4) {
+        throw new ValidationError('A polygon ring needs at least 4 positions', field);
+    }
+    ring.forEach((position, index) => {
+        const [longitude, latitude] = Array.isArray(position) ? position : [];
+        if (!Number.isFinite(longitude) || !Number.isFinite(latitude) ||
+            Math.abs(longitude) > 180 || Math.abs(latitude) > 90) {
+            throw new ValidationError('Positions must be [longitude, latitude] in degrees', `${field}[${index}]`);
+        }
+    });
+    const first = ring[0];
+    const last = ring[ring.length - 1];
+    if (first[0] !== last[0] || first[1] !== last[1]) {
+        throw new ValidationError('A polygon ring must end at its first position', field);
+    }
+}
+
+/**
+ * Validates the rings of a polygon
+ *
+ * @param {Array} polygon - The polygon coordinates (outer ring, then holes)
+ * @param {string} field - Path of the polygon, for error messages
+ * @throws {ValidationError} If the polygon is invalid
+ */
+function validatePolygon(polygon, field) {
+    if (!Array.isArray(polygon) || polygon.length === 0) {
+        throw new ValidationError('A polygon needs an outer ring', field);
+    }
+    polygon.forEach((ring, index) => validateRing(ring, `${field}[${index}]`));
+}
+
+/**
+ * Gets the polygons of a geometry, unwrapping a Feature
+ *
+ * @param {Object} area - A Polygon or MultiPolygon geometry, or a Feature with one
+ * @returns {Array<Array>} The polygon coordinates; empty for anything else
+ */
+function getPolygons(area) {
+    const geometry = area && area.type === 'Feature' ? area.geometry : area;
+    if (!geometry) {
+        return [];
+    }
+    if (geometry.type === 'Polygon') {
+        return [geometry.coordinates];
+    }
+    if (geometry.type === 'MultiPolygon') {
+        return geometry.coordinates;
+    }
+    return [];
+}
+
+/**
+ * Validates an uploaded service area and reduces it to a single geometry
+ *
+ * Accepts a Polygon or MultiPolygon geometry, a Feature with one, or a
+ * FeatureCollection whose features are all polygons; the polygons of a
+ * collection are merged into one MultiPolygon.
+ *
+ * @param {Object} geojson - The GeoJSON object
+ * @returns {Object} A Polygon or MultiPolygon geometry
+ * @throws {ValidationError} If the GeoJSON is not a valid polygonal area
+ */
+function normalizeServiceArea(geojson) {
+    if (!geojson || typeof geojson !== 'object') {
+        throw new ValidationError('The service area must be a GeoJSON object');
+    }
+
+    let geometries;
+    if (geojson.type === 'FeatureCollection' && Array.isArray(geojson.features)) {
+        geometries = geojson.features.map(feature => feature && feature.geometry);
+    } else if (geojson.type === 'Feature') {
+        geometries = [geojson.geometry];
+    } else {
+        geometries = [geojson];
+    }
+
+    if (geometries.length === 0) {
+        throw new ValidationError('The service area contains no polygons');
+    }
+
+    const polygons = [];
+    geometries.forEach((geometry, index) => {
+        const field = geometries.length > 1 ? `features[${index}].geometry` : 'geometry';
+        if (!geometry || !['Polygon', 'MultiPolygon'].includes(geometry.type)) {
+            throw new ValidationError('The service area must be a Polygon or MultiPolygon', field);
+        }
+        if (!Array.isArray(geometry.coordinates)) {
+            throw new ValidationError('The geometry has no coordinates', field);
+        }
+        if (geometry.type === 'Polygon') {
+            validatePolygon(geometry.coordinates, `${field}.coordinates`);
+            polygons.push(geometry.coordinates);
+        } else {
+            geometry.coordinates.forEach((polygon, polygonIndex) => {
+                validatePolygon(polygon, `${field}.coordinates[${polygonIndex}]`);
+                polygons.push(polygon);
+            });
+        }
+    });
+
+    return polygons.length === 1
+        ? { type: 'Polygon', coordinates: polygons[0] }
+        : { type: 'MultiPolygon', coordinates: polygons };
+}
+
+/**
+ * Checks whether a position lies inside an area
+ *
+ * A position inside a hole of a polygon is outside it.
+ *
+ * @param {Object} area - A Polygon or MultiPolygon geometry, or a Feature with one
+ * @param {number} latitude - Latitude in decimal degrees
+ * @param {number} longitude - Longitude in decimal degrees
+ * @returns {boolean} True if the position is inside
+ */
+function containsPosition(area, latitude, longitude) {
+    const point = { latitude, longitude };
+    return getPolygons(area).some(([outer, ...holes]) =>
+        geolib.isPointInPolygon(point, outer) &&
+        !holes.some(hole => geolib.isPointInPolygon(point, hole))
+    );
+}
+
+/**
+ * Checks whether a station may serve a rover at a position
+ *
+ * @param {Object} station - The station configuration
+ * @param {number} latitude - Rover latitude in decimal degrees
+ * @param {number} longitude - Rover longitude in decimal degrees
+ * @returns {boolean} True if the station has no service area or its area contains the rover
+ */
+function servesPosition(station, latitude, longitude) {
+    if (!station.serviceArea) {
+        return true;
+    }
+    return containsPosition(station.serviceArea, latitude, longitude);
+}
+
+module.exports = {
+    normalizeServiceArea,
+    containsPosition,
+    servesPosition
+};
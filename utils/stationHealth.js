@@ -0,0 +1,191 @@
+/**
+ * Station health tracking
+ *
+ * Two sources decide whether a station may be selected:
+ * - Stations whose caster keeps failing for rovers are marked unhealthy for a
+ *   while, so that rovers are steered elsewhere instead of hammering a caster
+ *   that is down. The mark expires on its own.
+ * - The background health checks (see utils/healthProber) record the result
+ *   of each check. A station whose last check failed stays unhealthy until a
+ *   check succeeds again, or a rover's connection to it streams.
+ *
+ * @module utils/stationHealth
+ */
+
+// How many check results are kept per station for the uptime percentage
+const CHECK_HISTORY_SIZE = 288;
+
+// Unhealthy stations by mountpoint: { reason, since, until } (ms since epoch)
+const unhealthyStations = new Map();
+
+// Health check results by mountpoint: { results, lastCheckAt, latencyMs, lastError, failingSince }
+const checkResults = new Map();
+
+/**
+ * Marks a station as unhealthy for a period of time
+ *
+ * @param {string} mountPoint - The station mountpoint
+ * @param {string} reason - Machine readable failure code (see utils/errors)
+ * @param {number} durationMs - How long the station stays unhealthy
+ * @param {number} [now=Date.now()] - The current time (ms since epoch)
+ */
+function markUnhealthy(mountPoint, reason, durationMs, now = Date.now()) {
+    const existing = unhealthyStations.get(mountPoint);
+    unhealthyStations.set(mountPoint, {
+        reason,
+        // Keep the time of the first failure while the station stays down
+        since: existing && existing.until > now ? existing.since : now,
+        until: now + durationMs
+    });
+}
+
+/**
+ * Marks a station as healthy again, e.g. after a successful connection
+ *
+ * A streaming connection is as good as a passed check, so a failed check no
+ * longer counts either.
+ *
+ * @param {string} mountPoint - The station mountpoint
+ */
+function markHealthy(mountPoint) {
+    unhealthyStations.delete(mountPoint);
+    const check = checkResults.get(mountPoint);
+    if (check) {
+        check.failingSince = null;
+    }
+}
+
+/**
+ * Records the result of a health check
+ *
+ * @param {string} mountPoint - The station mountpoint
+ * @param {Object} result - The check result
+ * @param {boolean} result.ok - Whether the station answered with RTCM data
+ * @param {number} [result.latencyMs] - Time until the caster accepted the stream, if measured
+ * @param {Error} [result.error] - The failure, a CasterError carries a reason code
+ * @param {number} [now=Date.now()] - The current time (ms since epoch)
+ */
+function recordCheck(mountPoint, result, now = Date.now()) {
+    const record = checkResults.get(mountPoint) || {
+        results: [],
+        lastCheckAt: null,
+        latencyMs: null,
+        lastError: null,
+        failingSince: null
+    };
+
+    record.results.push(result.ok);
+    if (record.results.length > CHECK_HISTORY_SIZE) {
+        record.results.shift();
+    }
+    record.lastCheckAt = now;
+
+    if (result.ok) {
+        record.failingSince = null;
+        if (result.latencyMs !== undefined && result.latencyMs !== null) {
+            record.latencyMs = result.latencyMs;
+        }
+        // A station that verifiably streams again is usable right away
+        unhealthyStations.delete(mountPoint);
+    } else {
+        record.failingSince = record.failingSince || now;
+        record.lastError = {
+            reason: result.error.reason || result.error.code || 'network',
+            message: result.error.message,
+            at: new Date(now).toISOString()
+        };
+    }
+
+    checkResults.set(mountPoint, record);
+}
+
+/**
+ * Checks whether a station may be selected
+ *
+ * @param {string} mountPoint - The station mountpoint
+ * @param {number} [now=Date.now()] - The current time (ms since epoch)
+ * @returns {boolean} False while the station is marked unhealthy or its last check failed
+ */
+function isHealthy(mountPoint, now = Date.now()) {
+    const check = checkResults.get(mountPoint);
+    if (check && check.failingSince !== null) {
+        return false;
+    }
+
+    const entry = unhealthyStations.get(mountPoint);
+    if (!entry) {
+        return true;
+    }
+    if (entry.until <= now) {
+        unhealthyStations.delete(mountPoint);
+        return true;
+    }
+    return false;
+}
+
+/**
+ * Gets the health of a station for display
+ *
+ * The status is `unknown` for a healthy station that was never checked.
+ *
+ * @param {string} mountPoint - The station mountpoint
+ * @param {number} [now=Date.now()] - The current time (ms since epoch)
+ * @returns {Object} { healthy, status, reason, since, until, lastCheckAt, latencyMs, uptimePercent, lastError }
+ *   with ISO timestamps; fields that do not apply are null
+ */
+function getStationHealth(mountPoint, now = Date.now()) {
+    const healthy = isHealthy(mountPoint, now);
+    const entry = unhealthyStations.get(mountPoint);
+    const mark = entry && entry.until > now ? entry : null;
+    const check = checkResults.get(mountPoint);
+    const checkFailing = Boolean(check && check.failingSince !== null);
+    const toIso = (time) => (time === null || time === undefined ? null : new Date(time).toISOString());
+
+    let status = 'unknown';
+    if (!healthy) {
+        status = 'unhealthy';
+    } else if (check) {
+        status = 'healthy';
+    }
+
+    let reason = null;
+    let since = null;
+    if (mark) {
+        reason = mark.reason;
+        since = mark.since;
+    } else if (checkFailing) {
+        reason = check.lastError.reason;
+        since = check.failingSince;
+    }
+
+    return {
+        healthy,
+        status,
+        reason,
+        since: toIso(since),
+        until: mark ? toIso(mark.until) : null,
+        lastCheckAt: check ? toIso(check.lastCheckAt) : null,
+        latencyMs: check ? check.latencyMs : null,
+        uptimePercent: check
+            ? Math.round((check.results.filter(Boolean).length / check.results.length) * 1000) / 10
+            : null,
+        lastError: check ? check.lastError : null
+    };
+}
+
+/**
+ * Forgets all health marks and check results
+ */
+function clearStationHealth() {
+    unhealthyStations.clear();
+    checkResults.clear();
+}
+
+module.exports = {
+    markUnhealthy,
+    markHealthy,
+    recordCheck,
+    isHealthy,
+    getStationHealth,
+    clearStationHealth
+};
@@ -0,0 +1,123 @@
+/**
+ * Station position verification
+ *
+ * Base stations broadcast their antenna reference point (ARP) in RTCM
+ * messages 1005 and 1006. The position decoded from the live stream is
+ * compared with the hand-typed coordinates in the configuration, so that a
+ * typo that would route rovers to the wrong base shows up in the admin
+ * interface.
+ *
+ * Network RTK (VRS) streams report the position of a virtual station near
+ * each rover, so they are not checked.
+ *
+ * @module utils/stationPosition
+ */
+const gps = require('./gps');
+const logger = require('./logger');
+
+// Default position check settings
+const DEFAULT_POSITION_CHECK = {
+    enabled: true,
+    // Configured positions farther than this from the broadcast ARP are flagged
+    maxOffsetMeters: 50
+};
+
+// Broadcast positions farther than this from the Earth's surface (e.g. an all-zero
+// ARP from a base that was never surveyed in) are ignored
+const MAX_PLAUSIBLE_HEIGHT_METERS = 100000;
+
+// Positions reported by each station's stream, by mountpoint
+const reportedPositions = new Map();
+
+// Mountpoints whose position mismatch has been logged
+const warnedStations = new Set();
+
+/**
+ * Gets the position check settings from the configuration, filling in defaults
+ *
+ * @param {Object} config - The server configuration
+ * @returns {Object} The position check settings
+ */
+function getPositionCheckSettings(config) {
+    return { ...DEFAULT_POSITION_CHECK, ...((config && config.positionCheck) || {}) };
+}
+
+/**
+ * Compares a station's configured position with the position its stream reports
+ *
+ * @param {Object} station - The station configuration
+ * @param {Object} settings - The position check settings
+ * @returns {Object|null} { reported, offsetMeters, mismatch } with `reported` being
+ *   { latitude, longitude, height, antennaHeight, stationId, messageType, receivedAt };
+ *   null if the station has not reported a position
+ */
+function getStationPosition(station, settings) {
+    const entry = reportedPositions.get(station.mountPoint);
+    if (!entry) {
+        return null;
+    }
+
+    const hasCoordinates = !isNaN(station.latitude) && !isNaN(station.longitude);
+    const offsetMeters = hasCoordinates
+        ? gps.calculateDistance(station.latitude, station.longitude, entry.latitude, entry.longitude)
+        : null;
+
+    return {
+        reported: { ...entry, receivedAt: new Date(entry.receivedAt).toISOString() },
+        offsetMeters,
+        mismatch: settings.enabled && (offsetMeters === null || offsetMeters > settings.maxOffsetMeters)
+    };
+}
+
+/**
+ * Records the reference point a station's stream reported
+ *
+ * Logs a warning when the configured position starts to disagree with it.
+ *
+ * @param {Object} station - The station configuration
+ * @param {Object} point - A decoded 1005/1006 message (see rtcm.decodeReferencePoint)
+ * @param {Object} settings - The position check settings
+ * @param {number} [now=Date.now()] - When the message was received (ms since epoch)
+ */
+function recordReferencePoint(station, point, settings, now = Date.now()) {
+    const { latitude, longitude, height } = gps.ecefToGeodetic(point.x, point.y, point.z);
+    if (!Number.isFinite(height) || Math.abs(height) > MAX_PLAUSIBLE_HEIGHT_METERS) {
+        logger.debug(`Ignoring implausible ARP from ${station.mountPoint} (${point.x}, ${point.y}, ${point.z})`);
+        return;
+    }
+
+    reportedPositions.set(station.mountPoint, {
+        latitude,
+        longitude,
+        height,
+        antennaHeight: point.antennaHeight,
+        stationId: point.stationId,
+        messageType: point.messageType,
+        receivedAt: now
+    });
+
+    const { offsetMeters, mismatch } = getStationPosition(station, settings);
+    if (!mismatch) {
+        warnedStations.delete(station.mountPoint);
+    } else if (!warnedStations.has(station.mountPoint)) {
+        warnedStations.add(station.mountPoint);
+        logger.warn(`Station ${station.mountPoint} reports its position at ${latitude.toFixed(6)}, ${longitude.toFixed(6)}, ` +
+            (offsetMeters === null ? 'no position is configured' : `${offsetMeters} meters from the configured position`));
+    }
+}
+
+/**
+ * Forgets all reported positions
+ */
+function clearReportedPositions() {
+    reportedPositions.clear();
+    warnedStations.clear();
+}
+
+module.exports = {
+    DEFAULT_POSITION_CHECK,
+    getPositionCheckSettings,
+    getStationPosition,
+    recordReferencePoint,
+    clearReportedPositions
+};
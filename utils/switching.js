@@ -0,0 +1,93 @@
+/**
+ * Station switching policy
+ *
+ * Decides whether a rover should move from its current station to a closer
+ * one. Without hysteresis a rover travelling along the midline between two
+ * bases would reconnect on every position update and keep losing its fix.
+ *
+ * @module utils/switching
+ */
+const { FIX_QUALITY } = require('./constants');
+
+// Default policy: switch to the nearest station as soon as it changes
+const DEFAULT_SWITCHING_POLICY = {
+    // Candidate must be at least this many meters closer than the current station
+    minAdvantageMeters: 0,
+    // Candidate must be at least this many percent closer than the current station
+    minAdvantagePercent: 0,
+    // Minimum time to stay on a station before switching away from it
+    minDwellSeconds: 0,
+    // Do not switch while the rover has an RTK fixed solution...
+    holdWhileRtkFixed: false,
+    // ...unless the baseline to the current station exceeds this many meters (null = no limit)
+    maxFixedBaselineMeters: null
+};
+
+/**
+ * Gets the switching policy from the configuration, filling in defaults
+ *
+ * @param {Object} config - The server configuration
+ * @returns {Object} The switching policy
+ */
+function getSwitchingPolicy(config) {
+    return { ...DEFAULT_SWITCHING_POLICY, ...((config && config.switching) || {}) };
+}
+
+/**
+ * Decides whether to switch from the current station to a candidate
+ *
+ * @param {Object} state - The rover's current situation
+ * @param {Object|null} state.current - The current station with its `distance` to the rover in meters,
+ *   or null if the rover has no usable station (not connected, station removed or deactivated)
+ * @param {Object} state.candidate - The best station with its `distance` to the rover in meters
+ * @param {number} [state.fixQuality] - The rover's GGA fix quality
+ * @param {number} [state.selectedAt] - When the current station was selected (ms since epoch)
+ * @param {number} [state.now=Date.now()] - The current time (ms since epoch)
+ * @param {Object} [policy=DEFAULT_SWITCHING_POLICY] - The switching policy
+ * @returns {Object} { switch: boolean, reason: string }
+ */
+function evaluateSwitch(state, policy = DEFAULT_SWITCHING_POLICY) {
+    const { current, candidate, fixQuality, selectedAt = 0, now = Date.now() } = state;
+
+    if (!candidate) {
+        return { switch: false, reason: 'no_candidate' };
+    }
+
+    if (!current) {
+        return { switch: true, reason: 'no_current_station' };
+    }
+
+    if (current.mountPoint === candidate.mountPoint) {
+        return { switch: false, reason: 'already_nearest' };
+    }
+
+    if (policy.holdWhileRtkFixed && fixQuality === FIX_QUALITY.RTK_FIXED) {
+        const baselineLimit = policy.maxFixedBaselineMeters;
+        if (baselineLimit === null || baselineLimit === undefined || current.distance <= baselineLimit) {
+            return { switch: false, reason: 'rtk_fixed' };
+        }
+    }
+
+    if (policy.minDwellSeconds > 0 && now - selectedAt < policy.minDwellSeconds * 1000) {
+        return { switch: false, reason: 'dwell' };
+    }
+
+    const advantage = current.distance - candidate.distance;
+
+    if (advantage < (policy.minAdvantageMeters || 0)) {
+        return { switch: false, reason: 'insufficient_advantage' };
+    }
+
+    if (policy.minAdvantagePercent > 0 && current.distance > 0 &&
+        (advantage / current.distance) * 100 < policy.minAdvantagePercent) {
+        return { switch: false, reason: 'insufficient_advantage' };
+    }
+
+    return { switch: true, reason: 'closer_station' };
+}
+
+module.exports = {
+    DEFAULT_SWITCHING_POLICY,
+    getSwitchingPolicy,
+    evaluateSwitch
+};
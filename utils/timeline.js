@@ -0,0 +1,107 @@
+/**
+ * Connection session timeline
+ *
+ * Each connection records what happened to it over time: station switches,
+ * upstream errors, fix quality transitions, gaps in the rover's position
+ * reports and drops in the correction data rate. The events answer questions
+ * like "why did this rover lose fix at 10:42?" after the fact.
+ *
+ * @module utils/timeline
+ */
+
+// Event types
+const TIMELINE_EVENTS = {
+    CONNECTED: 'connected',
+    DISCONNECTED: 'disconnected',
+    STATION_CONNECTED: 'station_connected',
+    STATION_DISCONNECTED: 'station_disconnected',
+    UPSTREAM_ERROR: 'upstream_error',
+    FIX_CHANGED: 'fix_changed',
+    POSITION_GAP: 'position_gap',
+    OUT_OF_RANGE: 'out_of_range',
+    BACK_IN_RANGE: 'back_in_range',
+    BYTE_RATE_DROP: 'byte_rate_drop',
+    BYTE_RATE_RECOVERED: 'byte_rate_recovered'
+};
+
+// Time without a position report from the rover that is recorded as a gap
+const POSITION_GAP_MS = 10000;
+
+// Window over which the correction data rate is measured
+const BYTE_RATE_WINDOW_MS = 10000;
+
+// A window below this fraction of the usual rate is a drop
+const BYTE_RATE_DROP_RATIO = 0.5;
+
+// Weight of the latest window in the usual rate
+const BYTE_RATE_SMOOTHING = 0.3;
+
+/**
+ * Creates a monitor that detects drops in the correction data rate
+ *
+ * Call `sample()` once per window with the total bytes sent so far. The usual
+ * rate is a moving average of the windows without a drop, so a slow decline
+ * is noticed as well as a sudden stop.
+ *
+ * @param {Object} [options] - Monitor options
+ * @param {number} [options.dropRatio=BYTE_RATE_DROP_RATIO] - Fraction of the usual rate below which the rate dropped
+ * @returns {Object} The monitor with `sample(totalBytes, now)`, which returns a
+ *   `byte_rate_drop` or `byte_rate_recovered` event (type plus details) or null
+ */
+function createByteRateMonitor(options = {}) {
+    const { dropRatio = BYTE_RATE_DROP_RATIO } = options;
+
+    let lastBytes = null;
+    let lastAt = null;
+    let usualRate = null;
+    let dropped = false;
+
+    return {
+        sample(totalBytes, now = Date.now()) {
+            if (lastAt === null || now <= lastAt) {
+                lastBytes = totalBytes;
+                lastAt = now;
+                return null;
+            }
+
+            const rate = Math.round(((totalBytes - lastBytes) * 1000) / (now - lastAt));
+            lastBytes = totalBytes;
+            lastAt = now;
+
+            if (usualRate === null) {
+                // Nothing to compare the first window with; a stream that has not started yet is not usual
+                usualRate = rate > 0 ? rate : null;
+                return null;
+            }
+
+            if (!dropped && rate < usualRate * dropRatio) {
+                dropped = true;
+                return {
+                    type: TIMELINE_EVENTS.BYTE_RATE_DROP,
+                    bytesPerSecond: rate,
+                    usualBytesPerSecond: Math.round(usualRate)
+                };
+            }
+            if (dropped && rate >= usualRate * dropRatio) {
+                dropped = false;
+                usualRate = usualRate * (1 - BYTE_RATE_SMOOTHING) + rate * BYTE_RATE_SMOOTHING;
+                return {
+                    type: TIMELINE_EVENTS.BYTE_RATE_RECOVERED,
+                    bytesPerSecond: rate
+                };
+            }
+            if (!dropped) {
+                usualRate = usualRate * (1 - BYTE_RATE_SMOOTHING) + rate * BYTE_RATE_SMOOTHING;
+            }
+            return null;
+        }
+    };
+}
+
+module.exports = {
+    TIMELINE_EVENTS,
+    POSITION_GAP_MS,
+    BYTE_RATE_WINDOW_MS,
+    BYTE_RATE_DROP_RATIO,
+    createByteRateMonitor
+};
@@ -0,0 +1,331 @@
+/**
+ * Rover track export
+ *
+ * Turns the GGA sentences of a connection's NMEA log into a track and
+ * formats it as GPX, KML (coloured by fix quality) or GeoJSON, e.g. as proof
+ * of where a rover was while it had an RTK fixed solution.
+ *
+ * GGA sentences only carry the UTC time of day; the date is taken from the
+ * start of the connection and advanced when the time of day wraps around
+ * midnight.
+ *
+ * @module utils/track
+ */
+const gps = require('./gps');
+const { NMEA, FIX_QUALITY } = require('./constants');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Display names and KML line colours (aabbggrr) per fix quality
+const FIX_QUALITY_STYLES = {
+    [FIX_QUALITY.INVALID]: { name: 'No fix', color: 'ff888888' },
+    [FIX_QUALITY.GPS]: { name: 'GPS', color: 'ff0000ff' },
+    [FIX_QUALITY.DGPS]: { name: 'DGPS', color: 'ff00ffff' },
+    [FIX_QUALITY.PPS]: { name: 'PPS', color: 'ff00ffff' },
+    [FIX_QUALITY.RTK_FIXED]: { name: 'RTK fixed', color: 'ff00ff00' },
+    [FIX_QUALITY.RTK_FLOAT]: { name: 'RTK float', color: 'ff00a5ff' },
+    [FIX_QUALITY.ESTIMATED]: { name: 'Estimated', color: 'ff888888' },
+    [FIX_QUALITY.MANUAL]: { name: 'Manual', color: 'ff888888' },
+    [FIX_QUALITY.SIMULATION]: { name: 'Simulation', color: 'ff888888' }
+};
+
+/**
+ * Gets the display style of a fix quality
+ *
+ * @param {number} fixQuality - The GGA fix quality
+ * @returns {Object} { name, color }
+ */
+function getFixQualityStyle(fixQuality) {
+    return FIX_QUALITY_STYLES[fixQuality] || { name: `Fix ${fixQuality}`, color: 'ff888888' };
+}
+
+/**
+ * Parses a GGA time of day (hhmmss.ss) into ms since midnight
+ *
+ * @param {string} time - The GGA time field
+ * @returns {number|null} The time of day in ms, or null if it is missing or invalid
+ */
+function parseTimeOfDay(time) {
+    const match = /^(\d{2})(\d{2})(\d{2}(?:\.\d+)?)$/.exec(time || '');
+    if (!match) {
+        return null;
+    }
+    return Math.round(((Number(match[1]) * 60 + Number(match[2])) * 60 + Number(match[3])) * 1000);
+}
+
+/**
+ * Parses the GGA sentences of an NMEA log into track points
+ *
+ * @param {string} nmeaLog - The logged sentences, one per line
+ * @param {Object} options - Parse options
+ * @param {string} options.startedAt - ISO time the connection started, for the date
+ * @returns {Array<Object>} Points { time, latitude, longitude, altitude, fixQuality, numSatellites, hdop },
+ *   with `time` as an ISO string or null if the sentence had no time
+ */
+function parseTrack(nmeaLog, options) {
+    const startedAt = Date.parse(options.startedAt);
+    const startOfDay = startedAt - (startedAt % DAY_MS);
+    let day = startOfDay;
+    let lastTime = null;
+
+    const points = [];
+    nmeaLog.split('\n').forEach(line => {
+        const sentence = line.trim();
+        const match = sentence.match(NMEA.POSITION_SENTENCE_PATTERN);
+        if (!match || match[1] !== NMEA.SENTENCE_TYPES.GGA) {
+            return;
+        }
+
+        const gga = gps.parseGGA(sentence);
+        if (!gga) {
+            return;
+        }
+
+        let time = null;
+        const timeOfDay = parseTimeOfDay(gga.time);
+        if (timeOfDay !== null) {
+            if (lastTime === null && startOfDay + timeOfDay - startedAt > DAY_MS / 2) {
+                // A first fix stamped just before midnight belongs to the day before the connection
+                day -= DAY_MS;
+            } else if (lastTime !== null && day + timeOfDay < lastTime - DAY_MS / 2) {
+                day += DAY_MS;
+            }
+            time = day + timeOfDay;
+            lastTime = time;
+        }
+
+        points.push({
+            time: time === null ? null : new Date(time).toISOString(),
+            latitude: gga.latitude,
+            longitude: gga.longitude,
+            altitude: gga.altitude,
+            fixQuality: gga.fixQuality,
+            numSatellites: gga.numSatellites,
+            hdop: gga.horizontalDilution
+        });
+    });
+
+    return points;
+}
+
+/**
+ * Adds the station that fed the rover at each point
+ *
+ * @param {Array<Object>} points - The track points
+ * @param {Array<Object>} stationsUsed - The connection's stations { mountPoint, since } in order
+ * @returns {Array<Object>} The points with `station` (null before the first station)
+ */
+function assignStations(points, stationsUsed = []) {
+    const changes = stationsUsed.map(entry => ({ mountPoint: entry.mountPoint, since: Date.parse(entry.since) }));
+    return points.map(point => {
+        const time = point.time ? Date.parse(point.time) : null;
+        let station = null;
+        if (time !== null) {
+            changes.forEach(change => {
+                if (change.since <= time) {
+                    station = change.mountPoint;
+                }
+            });
+        }
+        return { ...point, station };
+    });
+}
+
+/**
+ * Thins a track out to at most a number of points, keeping the first and last
+ *
+ * @param {Array<Object>} points - The track points
+ * @param {number} maxPoints - The maximum number of points (at least 2)
+ * @returns {Array<Object>} The points
+ */
+function decimateTrack(points, maxPoints) {
+    if (points.length <= maxPoints) {
+        return points;
+    }
+    const step = (points.length - 1) / (maxPoints - 1);
+    return Array.from({ length: maxPoints }, (_, i) => points[Math.round(i * step)]);
+}
+
+/**
+ * Splits a track into runs of points with the same fix quality
+ *
+ * Each run starts with the last point of the previous one, so the drawn line has no gaps.
+ *
+ * @param {Array<Object>} points - The track points
+ * @returns {Array<Object>} Segments { fixQuality, points }
+ */
+function splitByFixQuality(points) {
+    const segments = [];
+    points.forEach((point, index) => {
+        const current = segments[segments.length - 1];
+        if (current && current.fixQuality === point.fixQuality) {
+            current.points.push(point);
+        } else {
+            segments.push({
+                fixQuality: point.fixQuality,
+                points: index > 0 ? [points[index - 1], point] : [point]
+            });
+        }
+    });
+    return segments;
+}
+
+/**
+ * Escapes text for XML
+ *
+ * @param {*} value - The text
+ * @returns {string} The escaped text
+ */
+function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Maps a GGA fix quality to a GPX fix type
+ *
+ * @param {number} fixQuality - The GGA fix quality
+ * @returns {string} none, 3d, dgps or pps
+ */
+function toGpxFix(fixQuality) {
+    switch (fixQuality) {
+        case FIX_QUALITY.INVALID: return 'none';
+        case FIX_QUALITY.DGPS:
+        case FIX_QUALITY.RTK_FIXED:
+        case FIX_QUALITY.RTK_FLOAT: return 'dgps';
+        case FIX_QUALITY.PPS: return 'pps';
+        default: return '3d';
+    }
+}
+
+/**
+ * Formats a track as GPX 1.1
+ *
+ * @param {Array<Object>} points - The track points
+ * @param {Object} options - Format options
+ * @param {string} options.name - The track name
+ * @returns {string} The GPX document
+ */
+function toGpx(points, options) {
+    const trackPoints = points.map(point => [
+        `      <trkpt lat="${point.latitude.toFixed(8)}" lon="${point.longitude.toFixed(8)}">`,
+        `        <ele>${point.altitude}</ele>`,
+        point.time ? `        <time>${point.time}</time>` : null,
+        `        <desc>${escapeXml(getFixQualityStyle(point.fixQuality).name)}${point.station ? ` (${escapeXml(point.station)})` : ''}</desc>`,
+        `        <fix>${toGpxFix(point.fixQuality)}</fix>`,
+        `        <sat>${point.numSatellites}</sat>`,
+        `        <hdop>${point.hdop}</hdop>`,
+        '      </trkpt>'
+    ].filter(Boolean).join('\n'));
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<gpx version="1.1" creator="NearTRIP" xmlns="http://www.topografix.com/GPX/1/1">',
+        '  <trk>',
+        `    <name>${escapeXml(options.name)}</name>`,
+        '    <trkseg>',
+        ...trackPoints,
+        '    </trkseg>',
+        '  </trk>',
+        '</gpx>',
+        ''
+    ].join('\n');
+}
+
+/**
+ * Formats a track as KML, with the line coloured by fix quality
+ *
+ * @param {Array<Object>} points - The track points
+ * @param {Object} options - Format options
+ * @param {string} options.name - The document name
+ * @returns {string} The KML document
+ */
+function toKml(points, options) {
+    const usedQualities = Array.from(new Set(points.map(point => point.fixQuality)));
+    const styles = usedQualities.map(fixQuality => [
+        `    <Style id="fix${fixQuality}">`,
+        `      <LineStyle><color>${getFixQualityStyle(fixQuality).color}</color><width>4</width></LineStyle>`,
+        '    </Style>'
+    ].join('\n'));
+
+    const placemarks = splitByFixQuality(points).map(segment => {
+        const coordinates = segment.points
+            .map(point => `${point.longitude.toFixed(8)},${point.latitude.toFixed(8)},${point.altitude}`)
+            .join(' ');
+        const first = segment.points[0];
+        const last = segment.points[segment.points.length - 1];
+        return [
+            '    <Placemark>',
+            `      <name>${escapeXml(getFixQualityStyle(segment.fixQuality).name)}</name>`,
+            first.time && last.time ? `      <TimeSpan><begin>${first.time}</begin><end>${last.time}</end></TimeSpan>` : null,
+            `      <styleUrl>#fix${segment.fixQuality}</styleUrl>`,
+            `      <LineString><tessellate>1</tessellate><coordinates>${coordinates}</coordinates></LineString>`,
+            '    </Placemark>'
+        ].filter(Boolean).join('\n');
+    });
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<kml xmlns="http://www.opengis.net/kml/2.2">',
+        '  <Document>',
+        `    <name>${escapeXml(options.name)}</name>`,
+        ...styles,
+        ...placemarks,
+        '  </Document>',
+        '</kml>',
+        ''
+    ].join('\n');
+}
+
+/**
+ * Formats a track as a GeoJSON FeatureCollection
+ *
+ * The first feature is the LineString of the whole track, followed by one
+ * Point per position with its time, fix quality, satellites, HDOP and station.
+ *
+ * @param {Array<Object>} points - The track points
+ * @param {Object} options - Format options
+ * @param {string} options.name - The track name
+ * @returns {Object} The FeatureCollection
+ */
+function toGeoJson(points, options) {
+    const coordinates = points.map(point => [point.longitude, point.latitude, point.altitude]);
+    return {
+        type: 'FeatureCollection',
+        features: [
+            {
+                type: 'Feature',
+                geometry: { type: 'LineString', coordinates },
+                properties: {
+                    name: options.name,
+                    coordTimes: points.map(point => point.time)
+                }
+            },
+            ...points.map((point, index) => ({
+                type: 'Feature',
+                geometry: { type: 'Point', coordinates: coordinates[index] },
+                properties: {
+                    time: point.time,
+                    fixQuality: point.fixQuality,
+                    fix: getFixQualityStyle(point.fixQuality).name,
+                    numSatellites: point.numSatellites,
+                    hdop: point.hdop,
+                    station: point.station || null
+                }
+            }))
+        ]
+    };
+}
+
+module.exports = {
+    parseTrack,
+    assignStations,
+    decimateTrack,
+    splitByFixQuality,
+    toGpx,
+    toKml,
+    toGeoJson
+};
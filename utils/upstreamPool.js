@@ -0,0 +1,363 @@
+/**
+ * Upstream caster connection pool
+ *
+ * Rovers on the same station share one caster connection: the correction
+ * stream is split into RTCM frames once and every frame is broadcast to all
+ * subscribed rovers. A rover that joins a running stream starts with the next
+ * whole frame. When the last rover leaves, the connection lingers for a while
+ * so that a rover switching back or reconnecting does not cost a new caster
+ * login.
+ *
+ * Network RTK (VRS) mountpoints compute corrections for the position each
+ * rover sends, so every rover on such a station gets its own connection.
+ *
+ * Events emitted by a subscription:
+ * - `frame` (Buffer) for each RTCM frame with a valid CRC
+ * - `corrupt` (Buffer) for each frame dropped because of a bad CRC
+ * - `discard` (number) with the number of bytes skipped between frames
+ * - `data` (Buffer) for the unframed data of a station that does not send RTCM 3
+ *   (see utils/rtcm); rovers joining such a stream may start mid-message
+ * - `close` (Error|null) when the caster connection was lost, or with null when the
+ *   subscription was released
+ *
+ * The pool emits `upstream` with every new caster connection once it streams;
+ * it emits the same `frame`, `corrupt`, `discard` and `data` events once for all its
+ * subscribers, and `close` when it goes away.
+ *
+ * @module utils/upstreamPool
+ */
+const EventEmitter = require('events');
+const ntrip = require('./ntrip');
+const rtcm = require('./rtcm');
+const logger = require('./logger');
+const { CasterResponseError } = require('./errors');
+const { NTRIP } = require('./constants');
+
+/**
+ * Gets the key under which a station's shared connection is pooled
+ *
+ * Includes the caster address and account, so that stations pointing at
+ * different casters or accounts never share a connection. The password is
+ * left out of the key: after any change of a station's caster settings,
+ * including its password, the server calls `forgetStation` so new rovers get
+ * a new connection.
+ *
+ * @param {Object} station - The station configuration
+ * @returns {string} The pool key
+ */
+function getUpstreamKey(station) {
+    return `${station.username || ''}@${station.casterHost}:${station.casterPort}/${station.mountPoint}`;
+}
+
+/**
+ * Checks whether rovers may share a connection to a station
+ *
+ * @param {Object} station - The station configuration
+ * @returns {boolean} False for network RTK mountpoints that need each rover's position
+ */
+function isShareable(station) {
+    return !station.sendGga;
+}
+
+/**
+ * Creates an upstream connection pool
+ *
+ * @param {Object} [options] - Pool options
+ * @param {Function} [options.connect=ntrip.connectToNtripCaster] - Opens a caster connection
+ * @returns {EventEmitter} The pool; get a subscription with `pool.acquire(station, options)`
+ */
+function createUpstreamPool(options = {}) {
+    const { connect = ntrip.connectToNtripCaster } = options;
+    const pool = new EventEmitter();
+
+    // Shared connections (connecting or streaming) by pool key
+    const sharedUpstreams = new Map();
+
+    // Open connections of a single rover (network RTK mountpoints)
+    const dedicatedUpstreams = new Set();
+
+    /**
+     * Opens a new caster connection
+     *
+     * @param {Object} station - The station configuration
+     * @param {string} userAgent - User agent sent to the caster
+     * @param {boolean} shared - Whether other rovers may join the connection
+     * @param {string|null} gga - Rover position sent with the request
+     * @returns {EventEmitter} The upstream; `upstream.ready` resolves once it streams
+     */
+    function openUpstream(station, userAgent, shared, gga) {
+        const upstream = new EventEmitter();
+        upstream.key = getUpstreamKey(station);
+        upstream.mountPoint = station.mountPoint;
+        upstream.shared = shared;
+        upstream.subscribers = new Set();
+        upstream.socket = null;
+        upstream.closed = false;
+        upstream.lastFrameAt = null;
+        // When the caster connection was opened, for the connect latency
+        upstream.openedAt = Date.now();
+        upstream.lingerMs = 0;
+        upstream.lingerTimer = null;
+        if (!shared) {
+            dedicatedUpstreams.add(upstream);
+        }
+
+        upstream.ready = connect(
+            station.casterHost,
+            station.casterPort,
+            station.mountPoint,
+            station.username,
+            station.password,
+            userAgent,
+            gga
+        ).then(socket => {
+            upstream.socket = socket;
+            attachSocket(upstream, socket);
+            pool.emit('upstream', upstream);
+
+            // Every rover may have left while we were connecting
+            releaseIfIdle(upstream);
+            return upstream;
+        }, error => {
+            upstream.closed = true;
+            forget(upstream);
+            dedicatedUpstreams.delete(upstream);
+            throw error;
+        });
+
+        // Failures are reported to the rovers waiting in acquire()
+        upstream.ready.catch(() => {});
+
+        return upstream;
+    }
+
+    /**
+     * Splits the caster stream into frames and fans them out to the subscribers
+     *
+     * @param {EventEmitter} upstream - The upstream
+     * @param {net.Socket} socket - Its caster socket
+     */
+    function attachSocket(upstream, socket) {
+        const frameReader = rtcm.createFrameReader();
+        socket.on('corrections', (data) => frameReader.push(data));
+
+        // Forward an event to the upstream and then to each subscriber
+        const broadcast = (event) => (payload) => {
+            upstream.emit(event, payload);
+            Array.from(upstream.subscribers).forEach(subscription => subscription.emit(event, payload));
+        };
+        const recordDelivery = () => {
+            upstream.lastFrameAt = Date.now();
+        };
+        frameReader.on('frame', recordDelivery);
+        frameReader.on('data', recordDelivery);
+        frameReader.on('frame', broadcast('frame'));
+        frameReader.on('corrupt', broadcast('corrupt'));
+        frameReader.on('discard', broadcast('discard'));
+        frameReader.on('data', broadcast('data'));
+
+        let socketError = null;
+        socket.on('error', (error) => {
+            logger.error(`Caster socket error (${upstream.mountPoint}):`, error);
+            socketError = error;
+            socket.end();
+        });
+
+        socket.on('end', () => {
+            logger.info(`Caster connection ended: ${upstream.mountPoint}`);
+        });
+
+        socket.on('close', () => {
+            upstream.closed = true;
+            clearTimeout(upstream.lingerTimer);
+            forget(upstream);
+            dedicatedUpstreams.delete(upstream);
+
+            const error = socketError || new CasterResponseError('Caster closed the connection');
+            const subscribers = Array.from(upstream.subscribers);
+            upstream.subscribers.clear();
+            subscribers.forEach(subscription => {
+                subscription.closed = true;
+                subscription.emit('close', error);
+            });
+            upstream.emit('close', error);
+        });
+    }
+
+    /**
+     * Removes a shared upstream from the pool so new rovers open a fresh connection
+     *
+     * @param {EventEmitter} upstream - The upstream
+     */
+    function forget(upstream) {
+        if (sharedUpstreams.get(upstream.key) === upstream) {
+            sharedUpstreams.delete(upstream.key);
+        }
+    }
+
+    /**
+     * Closes an upstream without subscribers, after the linger time for shared ones
+     *
+     * @param {EventEmitter} upstream - The upstream
+     */
+    function releaseIfIdle(upstream) {
+        if (upstream.subscribers.size > 0 || upstream.closed || !upstream.socket) {
+            return;
+        }
+
+        // Ending the connection only half-closes it; casters may keep streaming and
+        // hold the login (counted against the account's connection limit) until they time out
+        const close = () => {
+            forget(upstream);
+            upstream.socket.destroy();
+        };
+
+        if (upstream.shared && upstream.lingerMs > 0) {
+            logger.debug(`No rovers left on ${upstream.mountPoint}, closing in ${upstream.lingerMs / 1000} seconds`);
+            upstream.lingerTimer = setTimeout(close, upstream.lingerMs);
+        } else {
+            close();
+        }
+    }
+
+    /**
+     * Subscribes to an upstream
+     *
+     * @param {EventEmitter} upstream - The upstream
+     * @returns {EventEmitter} The subscription
+     */
+    function subscribe(upstream) {
+        const subscription = new EventEmitter();
+        subscription.mountPoint = upstream.mountPoint;
+        subscription.shared = upstream.shared;
+        subscription.closed = false;
+
+        /**
+         * Sends data (the rover position) to the caster; ignored on shared connections
+         *
+         * @param {string|Buffer} data - The data to send
+         */
+        subscription.write = (data) => {
+            if (!upstream.shared && upstream.socket && !upstream.closed) {
+                upstream.socket.write(data);
+            }
+        };
+
+        /**
+         * Stops receiving from the upstream, closing it when no rover is left
+         */
+        subscription.release = () => {
+            if (subscription.closed) {
+                return;
+            }
+            subscription.closed = true;
+            upstream.subscribers.delete(subscription);
+            subscription.emit('close', null);
+            releaseIfIdle(upstream);
+        };
+
+        clearTimeout(upstream.lingerTimer);
+        upstream.lingerTimer = null;
+        upstream.subscribers.add(subscription);
+
+        return subscription;
+    }
+
+    /**
+     * Gets the open connections to a station, shared or dedicated
+     *
+     * @param {Object} station - The station configuration
+     * @returns {Array<EventEmitter>} The upstreams
+     */
+    function getOpenUpstreams(station) {
+        const key = getUpstreamKey(station);
+        return [sharedUpstreams.get(key), ...dedicatedUpstreams]
+            .filter(upstream => upstream && upstream.key === key && !upstream.closed);
+    }
+
+    /**
+     * Gets when a station's connections last delivered a frame
+     *
+     * @param {Object} station - The station configuration
+     * @returns {number|null} The latest time (ms since epoch), or null if no open connection delivered one
+     */
+    pool.getLastFrameAt = (station) => {
+        const times = getOpenUpstreams(station).map(upstream => upstream.lastFrameAt).filter(time => time !== null);
+        return times.length > 0 ? Math.max(...times) : null;
+    };
+
+    /**
+     * Checks whether rovers are using a connection to a station
+     *
+     * @param {Object} station - The station configuration
+     * @returns {boolean} True if an open connection has subscribers
+     */
+    pool.isInUse = (station) => getOpenUpstreams(station).some(upstream => upstream.subscribers.size > 0);
+
+    /**
+     * Stops sharing the connections to a mountpoint, after its settings changed
+     *
+     * Rovers on them keep streaming until they are moved; rovers acquiring the
+     * station from now on get a new connection.
+     *
+     * @param {string} mountPoint - The station mountpoint
+     */
+    pool.forgetStation = (mountPoint) => {
+        Array.from(sharedUpstreams.values())
+            .filter(upstream => upstream.mountPoint === mountPoint)
+            .forEach(forget);
+    };
+
+    /**
+     * Gets a subscription to a station's correction stream
+     *
+     * Joins the station's shared connection if there is one, otherwise opens a new one.
+     *
+     * @param {Object} station - The station configuration
+     * @param {Object} [acquireOptions] - Connection options
+     * @param {string} [acquireOptions.userAgent] - User agent sent to the caster
+     * @param {number} [acquireOptions.lingerSeconds] - How long a shared connection stays open without rovers
+     * @param {string} [acquireOptions.gga] - The rover position (GGA sentence) to send with the request
+     *   to a network RTK mountpoint
+     * @returns {Promise<EventEmitter>} The subscription, once the caster streams
+     */
+    pool.acquire = async (station, acquireOptions = {}) => {
+        const { userAgent, lingerSeconds = NTRIP.UPSTREAM_LINGER_SECONDS, gga = null } = acquireOptions;
+        const shared = isShareable(station);
+
+        let upstream = shared ? sharedUpstreams.get(getUpstreamKey(station)) : null;
+        if (upstream) {
+            logger.info(`Sharing connection to ${station.mountPoint} with ${upstream.subscribers.size} other rover(s)`);
+        } else {
+            upstream = openUpstream(station, userAgent, shared, shared ? null : gga);
+            if (shared) {
+                sharedUpstreams.set(upstream.key, upstream);
+            }
+        }
+        upstream.lingerMs = lingerSeconds * 1000;
+
+        const subscription = subscribe(upstream);
+
+        try {
+            await upstream.ready;
+        } catch (error) {
+            subscription.closed = true;
+            upstream.subscribers.delete(subscription);
+            throw error;
+        }
+
+        if (subscription.closed) {
+            throw new CasterResponseError('Caster closed the connection');
+        }
+
+        return subscription;
+    };
+
+    return pool;
+}
+
+module.exports = {
+    createUpstreamPool,
+    getUpstreamKey,
+    isShareable
+};